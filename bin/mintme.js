@@ -0,0 +1,700 @@
+#!/usr/bin/env node
+
+/**
+ * mintme: command-line tool of the MintMe SDK
+ *
+ * Usage: mintme <command> [options], see "mintme help". The cluster, RPC endpoint, program ID, commitment and wallet
+ * come from the options, then the environment, then the config file (see resolveConfig).
+ *
+ * Exit codes: 0 success, 1 the operation failed, 2 invalid command, options, wallet or input rejected by the SDK.
+ */
+
+const fs = require("fs")
+const path = require("path")
+const util = require("util")
+const solanaWeb3 = require("@solana/web3.js")
+const splToken = require("@solana/spl-token")
+const anchor = require("@project-serum/anchor")
+const mintme = require("../lib/mintme")
+const tokenSupply = require("../lib/token/supply")
+const errorUtils = require("../lib/utils/errors")
+const packageJson = require("../package.json")
+
+const EXIT_CODES = {
+  OK: 0,
+  FAILED: 1,
+  USAGE: 2,
+}
+
+const DEFAULT_URI = "https://ipfs.mintme.dev/metadata.json"
+
+// IDL shipped with the package. The SDK looks for its default IDL in the working directory, which is the user's here
+const DEFAULT_IDL_PATH = path.join(__dirname, "..", "lib", "idl.json")
+
+// Options of every command
+const GLOBAL_OPTIONS = {
+  cluster: {
+    type: "string",
+    short: "c",
+    arg: "NAME",
+    help: "localnet, devnet, testnet or mainnet-beta (default: devnet)",
+  },
+  url: { type: "string", short: "u", arg: "URL", help: "RPC endpoint, instead of the cluster's" },
+  "program-id": { type: "string", arg: "ADDRESS", help: "MintMe program ID, instead of the cluster's" },
+  wallet: { type: "string", short: "k", arg: "PATH", help: "Wallet file (default: ./wallet.json)" },
+  config: { type: "string", arg: "PATH", help: "Config file (default: mintme.config.json or .mintmerc)" },
+  commitment: { type: "string", arg: "LEVEL", help: "confirmed or finalized (default: confirmed)" },
+  json: { type: "boolean", help: "Print the result as JSON" },
+  verbose: { type: "boolean", help: "Log the details of the operation to stderr" },
+  help: { type: "boolean", short: "h", help: "Show the help" },
+  version: { type: "boolean", help: "Show the version" },
+}
+
+// Options of the commands that send a transaction
+const TRANSACTION_OPTIONS = {
+  "partner-wallet": { type: "string", arg: "ADDRESS", help: "Partner wallet receiving funds" },
+  "partner-amount": { type: "string", arg: "SOL", help: "Amount sent to the partner wallet (default: 0)" },
+  "priority-fee": { type: "string", arg: "FEE", help: 'Priority fee in microLamports per compute unit, or "auto"' },
+  "compute-unit-limit": { type: "string", arg: "UNITS", help: 'Compute unit limit, or "auto"' },
+  simulate: { type: "boolean", help: "Simulate the transaction without sending it" },
+}
+
+const COMMANDS = {
+  create: {
+    usage: "create --name NAME --symbol SYMBOL --unique-key KEY [options]",
+    description: "Create a token, signed and paid by the wallet",
+    options: Object.assign(
+      {
+        name: { type: "string", arg: "NAME", help: "Token name (required)" },
+        symbol: { type: "string", arg: "SYMBOL", help: "Token symbol (required)" },
+        "unique-key": { type: "string", arg: "KEY", help: "Unique key of the token" },
+        "request-id": { type: "string", arg: "ID", help: "Derive the unique key from a request ID" },
+        decimals: { type: "string", arg: "N", help: "Decimals (default: 9)" },
+        supply: { type: "string", arg: "AMOUNT", help: "Initial supply, in tokens (default: 1000000000)" },
+        uri: { type: "string", arg: "URI", help: `Metadata URI (default: ${DEFAULT_URI})` },
+        "revoke-mint": { type: "boolean", help: "Revoke the mint authority" },
+        "revoke-freeze": { type: "boolean", help: "Revoke the freeze authority" },
+        "token-2022": { type: "boolean", help: "Create a Token-2022 mint" },
+      },
+      TRANSACTION_OPTIONS,
+    ),
+    run: createCommand,
+  },
+  revoke: {
+    usage: "revoke <mint> [--mint-authority] [--freeze-authority] [options]",
+    description: "Revoke the authorities of a token (both unless one is chosen)",
+    options: Object.assign(
+      {
+        "mint-authority": { type: "boolean", help: "Revoke the mint authority" },
+        "freeze-authority": { type: "boolean", help: "Revoke the freeze authority" },
+      },
+      TRANSACTION_OPTIONS,
+    ),
+    run: revokeCommand,
+  },
+  info: {
+    usage: "info <mint>",
+    description: "Show the supply, authorities and metadata of a token",
+    options: {},
+    run: infoCommand,
+  },
+  fees: {
+    usage: "fees [--operation create|revoke] [--partner-amount SOL]",
+    description: "Quote the cost of creating a token or revoking authorities",
+    options: {
+      operation: { type: "string", arg: "NAME", help: "create or revoke (default: create)" },
+      "partner-amount": TRANSACTION_OPTIONS["partner-amount"],
+    },
+    run: feesCommand,
+  },
+  wallet: {
+    usage: "wallet new|show|balance [address]",
+    description: "Create a wallet file, or show its address or balance",
+    options: {
+      out: { type: "string", arg: "PATH", help: "File of the new wallet (default: the wallet path)" },
+      force: { type: "boolean", help: "Overwrite an existing wallet file" },
+    },
+    run: walletCommand,
+  },
+  derive: {
+    usage: "derive mint|metadata|ata [mint] [options]",
+    description: "Derive the address of a mint, metadata account or associated token account",
+    options: {
+      name: { type: "string", arg: "NAME", help: "Token name (mint)" },
+      symbol: { type: "string", arg: "SYMBOL", help: "Token symbol (mint)" },
+      "unique-key": { type: "string", arg: "KEY", help: "Unique key (mint)" },
+      payer: { type: "string", arg: "ADDRESS", help: "Creator of the token (mint, default: the wallet)" },
+      owner: { type: "string", arg: "ADDRESS", help: "Owner of the token account (ata, default: the wallet)" },
+      "token-2022": { type: "boolean", help: "The mint is a Token-2022 mint (ata)" },
+    },
+    run: deriveCommand,
+  },
+}
+
+/**
+ * Returns the options of a command in the format of util.parseArgs
+ * @param {Object} options - Option specs ({ type, short, arg, help })
+ * @returns {Object}
+ */
+function toParseArgsOptions(options) {
+  const parseOptions = {}
+  Object.keys(options).forEach((name) => {
+    parseOptions[name] = { type: options[name].type }
+    if (options[name].short) {
+      parseOptions[name].short = options[name].short
+    }
+  })
+  return parseOptions
+}
+
+/**
+ * Formats the help of a set of options, one per line
+ * @param {Object} options - Option specs
+ * @returns {string}
+ */
+function formatOptions(options) {
+  return Object.keys(options)
+    .map((name) => {
+      const spec = options[name]
+      const flag = `${spec.short ? `-${spec.short}, ` : "    "}--${name}${spec.arg ? ` ${spec.arg}` : ""}`
+      return `  ${flag.padEnd(30)} ${spec.help}`
+    })
+    .join("\n")
+}
+
+/**
+ * Returns the help of the tool, or of a command
+ * @param {string} [commandName] - Command
+ * @returns {string}
+ */
+function getHelp(commandName) {
+  const command = COMMANDS[commandName]
+  if (command) {
+    const options = Object.keys(command.options).length > 0 ? `\nOptions:\n${formatOptions(command.options)}\n` : ""
+    return (
+      `Usage: mintme ${command.usage}\n\n${command.description}\n${options}\n` +
+      `Global options:\n${formatOptions(GLOBAL_OPTIONS)}\n`
+    )
+  }
+  const commands = Object.keys(COMMANDS)
+    .map((name) => `  ${COMMANDS[name].usage.split(/ \[| --/)[0].padEnd(30)} ${COMMANDS[name].description}`)
+    .join("\n")
+  return (
+    `Usage: mintme <command> [options]\n\nCommands:\n${commands}\n\n` +
+    `Global options:\n${formatOptions(GLOBAL_OPTIONS)}\n\n` +
+    'Run "mintme help <command>" for the options of a command.\n'
+  )
+}
+
+/**
+ * Throws a ValidationError if a required option is missing
+ * @param {Object} values - Parsed options
+ * @param {string} name - Option name
+ */
+function requireOption(values, name) {
+  if (values[name] === undefined || values[name] === "") {
+    throw new errorUtils.ValidationError(`Missing option: --${name}`)
+  }
+}
+
+/**
+ * Parses an address given on the command line
+ * @param {string} value - Address
+ * @param {string} label - Name of the argument, for the error message
+ * @returns {solanaWeb3.PublicKey}
+ */
+function parsePublicKey(value, label) {
+  if (!value) {
+    throw new errorUtils.ValidationError(`Missing argument: ${label}`)
+  }
+  try {
+    return new solanaWeb3.PublicKey(value)
+  } catch (error) {
+    throw new errorUtils.ValidationError(`Invalid ${label}: ${value}`)
+  }
+}
+
+/**
+ * Parses a non-negative integer option
+ * @param {string} value - Option value
+ * @param {string} name - Option name
+ * @returns {number}
+ */
+function parseInteger(value, name) {
+  if (!/^\d+$/.test(value)) {
+    throw new errorUtils.ValidationError(`Invalid --${name}: ${value}. Must be a non-negative integer`)
+  }
+  return Number(value)
+}
+
+/**
+ * Parses a SOL amount option into lamports
+ * @param {string} [value] - Amount in SOL
+ * @param {string} name - Option name
+ * @returns {number} - Lamports (0 without a value)
+ */
+function parseSolAmount(value, name) {
+  if (value === undefined) {
+    return 0
+  }
+  const amount = Number(value)
+  if (value.trim() === "" || !Number.isFinite(amount) || amount < 0) {
+    throw new errorUtils.ValidationError(`Invalid --${name}: ${value}. Must be an amount of SOL`)
+  }
+  return mintme.solToLamports(amount)
+}
+
+/**
+ * Parses an option that takes a number or "auto" (priority fee, compute unit limit)
+ * @param {string} [value] - Option value
+ * @param {string} name - Option name
+ * @returns {number|string|undefined}
+ */
+function parseAutoOrInteger(value, name) {
+  if (value === undefined || value === "auto") {
+    return value
+  }
+  return parseInteger(value, name)
+}
+
+/**
+ * Options shared by the commands that send a transaction
+ * @param {Object} context - Command context
+ * @returns {Object}
+ */
+function transactionOptions(context) {
+  const values = context.values
+  return {
+    partnerWallet: values["partner-wallet"]
+      ? parsePublicKey(values["partner-wallet"], "--partner-wallet").toBase58()
+      : undefined,
+    partnerAmount: parseSolAmount(values["partner-amount"], "partner-amount"),
+    priorityFee: parseAutoOrInteger(values["priority-fee"], "priority-fee"),
+    computeUnitLimit: parseAutoOrInteger(values["compute-unit-limit"], "compute-unit-limit"),
+    simulate: !!values.simulate,
+    onProgress: context.onProgress,
+  }
+}
+
+/**
+ * Adds the explorer link of the transaction of a result
+ * @param {Object} context - Command context
+ * @param {Object} result - Result of the operation
+ * @returns {Object}
+ */
+function withExplorerUrl(context, result) {
+  if (!result.txSignature) {
+    return result
+  }
+  return Object.assign({}, result, { explorerUrl: mintme.getExplorerUrl("tx", result.txSignature, context.config) })
+}
+
+/**
+ * Loads the wallet file of the configuration
+ * @param {Object} context - Command context
+ * @returns {solanaWeb3.Keypair}
+ * @throws {WalletError} - If the file is missing or is not a wallet
+ */
+function loadWallet(context) {
+  const walletPath = path.resolve(context.config.walletPath)
+  if (!fs.existsSync(walletPath)) {
+    throw new errorUtils.WalletError(`Wallet file not found at ${walletPath}. Create one with: mintme wallet new`)
+  }
+  const keypair = mintme.loadWalletFromFile(walletPath)
+  if (!keypair) {
+    throw new errorUtils.WalletError(`Invalid wallet file: ${walletPath}`)
+  }
+  return keypair
+}
+
+/**
+ * Returns a client on the configuration of the command
+ * @param {Object} context - Command context
+ * @param {boolean} [withSigner=false] - Sign with the wallet file
+ * @returns {MintMeClient}
+ */
+function getClient(context, withSigner) {
+  const config = context.config
+  return new mintme.MintMeClient({
+    cluster: config.cluster,
+    connection: config.rpcEndpoint,
+    programId: config.programId,
+    commitment: config.commitment,
+    idl: config.idl || DEFAULT_IDL_PATH,
+    // Already resolved
+    configPath: false,
+    signer: withSigner ? loadWallet(context) : null,
+  })
+}
+
+/**
+ * mintme create
+ * @param {Object} context - Command context
+ * @param {string[]} args - Arguments after the command
+ * @returns {Promise<Object>}
+ */
+function createCommand(context, args) {
+  const values = context.values
+  if (args.length > 0) {
+    throw new errorUtils.ValidationError(`Unexpected argument: ${args[0]}`)
+  }
+  requireOption(values, "name")
+  requireOption(values, "symbol")
+  if (!values["unique-key"] && !values["request-id"]) {
+    throw new errorUtils.ValidationError("Missing option: --unique-key (or --request-id)")
+  }
+
+  const decimals = parseInteger(values.decimals || "9", "decimals")
+  let initialSupply
+  try {
+    initialSupply = tokenSupply.toBaseUnits(values.supply || "1000000000", decimals)
+  } catch (error) {
+    throw new errorUtils.ValidationError(`Invalid --supply: ${error.message}`)
+  }
+
+  return getClient(context, true)
+    .createToken(
+      Object.assign(transactionOptions(context), {
+        name: values.name,
+        symbol: values.symbol,
+        uniqueKey: values["unique-key"],
+        requestId: values["request-id"],
+        decimals: decimals,
+        initialSupply: initialSupply.toString(),
+        uri: values.uri || DEFAULT_URI,
+        revokeMint: !!values["revoke-mint"],
+        revokeFreeze: !!values["revoke-freeze"],
+        tokenProgram: values["token-2022"] ? "token-2022" : undefined,
+      }),
+    )
+    .then((result) => withExplorerUrl(context, result))
+}
+
+/**
+ * mintme revoke <mint>
+ * @param {Object} context - Command context
+ * @param {string[]} args - Arguments after the command
+ * @returns {Promise<Object>}
+ */
+function revokeCommand(context, args) {
+  const values = context.values
+  const mint = parsePublicKey(args[0], "<mint>")
+  // Both authorities unless one is chosen
+  const chosen = values["mint-authority"] || values["freeze-authority"]
+
+  return getClient(context, true)
+    .revokeAuthority(
+      Object.assign(transactionOptions(context), {
+        mint: mint.toBase58(),
+        revokeMint: chosen ? !!values["mint-authority"] : true,
+        revokeFreeze: chosen ? !!values["freeze-authority"] : true,
+      }),
+    )
+    .then((result) => withExplorerUrl(context, result))
+}
+
+/**
+ * mintme info <mint>
+ * @param {Object} context - Command context
+ * @param {string[]} args - Arguments after the command
+ * @returns {Promise<Object>}
+ */
+function infoCommand(context, args) {
+  const mint = parsePublicKey(args[0], "<mint>")
+  return getClient(context)
+    .getTokenInfo(mint.toBase58())
+    .then((info) =>
+      info.success
+        ? Object.assign({}, info, { explorerUrl: mintme.getExplorerUrl("address", mint.toBase58(), context.config) })
+        : info,
+    )
+}
+
+/**
+ * mintme fees
+ * @param {Object} context - Command context
+ * @returns {Promise<Object>}
+ */
+function feesCommand(context) {
+  const values = context.values
+  const operation = values.operation || "create"
+  if (operation !== "create" && operation !== "revoke") {
+    throw new errorUtils.ValidationError(`Invalid --operation: ${operation}. Use "create" or "revoke"`)
+  }
+  return getClient(context).getFeeQuote({
+    operation: operation,
+    partnerAmount: parseSolAmount(values["partner-amount"], "partner-amount"),
+  })
+}
+
+/**
+ * mintme wallet new|show|balance
+ * @param {Object} context - Command context
+ * @param {string[]} args - Arguments after the command
+ * @returns {Promise<Object>}
+ */
+function walletCommand(context, args) {
+  const values = context.values
+  const action = args[0]
+
+  if (action === "new") {
+    const walletPath = path.resolve(values.out || context.config.walletPath)
+    if (fs.existsSync(walletPath) && !values.force) {
+      throw new errorUtils.ValidationError(`${walletPath} already exists. Use --force to overwrite it`)
+    }
+    const keypair = solanaWeb3.Keypair.generate()
+    fs.mkdirSync(path.dirname(walletPath), { recursive: true })
+    // Readable by its owner only, like the wallets of the Solana CLI
+    fs.writeFileSync(walletPath, JSON.stringify(Array.from(keypair.secretKey)), { mode: 0o600 })
+    return Promise.resolve({ success: true, publicKey: keypair.publicKey.toBase58(), walletPath: walletPath })
+  }
+
+  if (action === "show") {
+    const keypair = loadWallet(context)
+    return Promise.resolve({
+      success: true,
+      publicKey: keypair.publicKey.toBase58(),
+      walletPath: path.resolve(context.config.walletPath),
+    })
+  }
+
+  if (action === "balance") {
+    const address = args[1] ? parsePublicKey(args[1], "address") : loadWallet(context).publicKey
+    const connection = getClient(context).connection
+    return connection.getBalance(address, context.config.commitment).then((lamports) => ({
+      success: true,
+      address: address.toBase58(),
+      cluster: context.config.cluster,
+      lamports: lamports,
+      sol: mintme.lamportsToSol(lamports),
+    }))
+  }
+
+  throw new errorUtils.ValidationError(action ? `Unknown wallet command: ${action}` : "Missing wallet command")
+}
+
+/**
+ * mintme derive mint|metadata|ata
+ * @param {Object} context - Command context
+ * @param {string[]} args - Arguments after the command
+ * @returns {Promise<Object>}
+ */
+function deriveCommand(context, args) {
+  const values = context.values
+  const action = args[0]
+
+  if (action === "mint") {
+    requireOption(values, "name")
+    requireOption(values, "symbol")
+    requireOption(values, "unique-key")
+    const programId = parsePublicKey(context.config.programId.toString(), "program ID")
+    const payer = values.payer ? parsePublicKey(values.payer, "--payer") : loadWallet(context).publicKey
+    return mintme
+      .deriveMintPDA(programId, payer, values.name, values.symbol, values["unique-key"])
+      .then((derived) => ({
+        success: true,
+        mint: derived.mintPDA.toBase58(),
+        bump: derived.bump,
+        payer: payer.toBase58(),
+        programId: programId.toBase58(),
+      }))
+  }
+
+  if (action === "metadata") {
+    const mint = parsePublicKey(args[1], "<mint>")
+    return mintme.deriveMetadataAccount(mint).then((derived) => ({
+      success: true,
+      mint: mint.toBase58(),
+      metadata: derived.metadataAddress.toBase58(),
+      bump: derived.metadataBump,
+    }))
+  }
+
+  if (action === "ata") {
+    const mint = parsePublicKey(args[1], "<mint>")
+    const owner = values.owner ? parsePublicKey(values.owner, "--owner") : loadWallet(context).publicKey
+    const tokenProgram = values["token-2022"] ? splToken.TOKEN_2022_PROGRAM_ID : splToken.TOKEN_PROGRAM_ID
+    return mintme.deriveTokenAccount(mint, owner, tokenProgram).then((tokenAccount) => ({
+      success: true,
+      mint: mint.toBase58(),
+      owner: owner.toBase58(),
+      tokenProgram: tokenProgram.toBase58(),
+      tokenAccount: tokenAccount.toBase58(),
+    }))
+  }
+
+  throw new errorUtils.ValidationError(action ? `Unknown derive command: ${action}` : "Missing derive command")
+}
+
+/**
+ * Serializes a result to JSON: public keys as base58, BN and bigint as decimal strings
+ * @param {*} value - Value to serialize
+ * @param {number} [indent] - Indentation
+ * @returns {string}
+ */
+function toJson(value, indent) {
+  return JSON.stringify(
+    value,
+    function (key, item) {
+      const original = this[key]
+      if (typeof original === "bigint" || anchor.BN.isBN(original)) {
+        return original.toString()
+      }
+      if (original && typeof original.toBase58 === "function") {
+        return original.toBase58()
+      }
+      return item
+    },
+    indent,
+  )
+}
+
+/**
+ * Formats a result as "key: value" lines
+ * @param {Object} result - Result of a command
+ * @returns {string}
+ */
+function formatText(result) {
+  const plain = JSON.parse(toJson(result))
+  const keys = Object.keys(plain).filter((key) => key !== "success" && plain[key] !== null && plain[key] !== undefined)
+  const width = Math.max(0, ...keys.map((key) => key.length))
+  return keys
+    .map((key) => {
+      const value = plain[key]
+      return `${`${key}:`.padEnd(width + 1)} ${value && typeof value === "object" ? JSON.stringify(value) : value}`
+    })
+    .join("\n")
+}
+
+/**
+ * Prints the transaction stages to stderr, in text mode
+ * @param {Object} event - Progress event
+ */
+function printProgress(event) {
+  if (event.type === mintme.ProgressEvent.AWAITING_SIGNATURE) {
+    process.stderr.write("Signing the transaction...\n")
+  } else if (event.type === mintme.ProgressEvent.SUBMITTED) {
+    process.stderr.write(`Submitted ${event.signature}, waiting for confirmation...\n`)
+  }
+}
+
+/**
+ * Tells whether an error comes from invalid input: options, arguments, wallet or config file, or values the SDK rejects
+ * @param {Object} [error] - Error, or the details of a failed result
+ * @returns {boolean}
+ */
+function isUsageError(error) {
+  return !!error && (error.type === "ValidationError" || error.type === "WalletError")
+}
+
+/**
+ * Writes the output of the command, then exits with its code. The keep-alive sockets of the RPC connection would
+ * otherwise hold the process open for a few seconds
+ * @param {string} stdout - Output
+ * @param {string} stderr - Errors
+ * @param {number} code - Exit code
+ */
+function finish(stdout, stderr, code) {
+  if (stderr) {
+    process.stderr.write(stderr.endsWith("\n") ? stderr : `${stderr}\n`)
+  }
+  process.stdout.write(stdout && !stdout.endsWith("\n") ? `${stdout}\n` : stdout || "", () => process.exit(code))
+}
+
+/**
+ * Runs the command line
+ * @param {string[]} argv - Arguments (without node and the script)
+ * @returns {Promise<void>}
+ */
+function main(argv) {
+  const json = argv.includes("--json")
+  let commandName
+
+  return Promise.resolve()
+    .then(() => {
+      // The command is the first argument that is not an option
+      const global = util.parseArgs({
+        args: argv,
+        options: toParseArgsOptions(GLOBAL_OPTIONS),
+        strict: false,
+        allowPositionals: true,
+      })
+      commandName = global.positionals[0]
+      if (global.values.version) {
+        return { help: packageJson.version }
+      }
+      if (!commandName || commandName === "help") {
+        return { help: getHelp(global.positionals[1]) }
+      }
+      const command = COMMANDS[commandName]
+      if (!command) {
+        throw new errorUtils.ValidationError(`Unknown command: ${commandName}`)
+      }
+
+      let parsed
+      try {
+        parsed = util.parseArgs({
+          args: argv,
+          options: toParseArgsOptions(Object.assign({}, GLOBAL_OPTIONS, command.options)),
+          strict: true,
+          allowPositionals: true,
+        })
+      } catch (error) {
+        throw new errorUtils.ValidationError(error.message, { cause: error })
+      }
+      const values = parsed.values
+      if (values.help) {
+        return { help: getHelp(commandName) }
+      }
+
+      // SDK logs go to stderr, so that stdout only holds the result
+      mintme.configureLogger({
+        level: values.verbose ? "debug" : "warn",
+        sink: (line) => process.stderr.write(`${line}\n`),
+      })
+
+      const context = {
+        values: values,
+        config: mintme.resolveConfig({
+          cluster: values.cluster,
+          connection: values.url,
+          programId: values["program-id"],
+          commitment: values.commitment,
+          walletPath: values.wallet,
+          configPath: values.config,
+        }),
+        onProgress: json ? undefined : printProgress,
+      }
+      return command.run(context, parsed.positionals.slice(1)).then((result) => ({ result: result }))
+    })
+    .then((output) => {
+      if (output.help) {
+        finish(output.help, "", EXIT_CODES.OK)
+        return
+      }
+      const result = output.result
+      const failed = result.success === false || result.wouldSucceed === false
+      const failedCode = result.success === false && isUsageError(result.details) ? EXIT_CODES.USAGE : EXIT_CODES.FAILED
+      if (json) {
+        finish(toJson(result, 2), "", failed ? failedCode : EXIT_CODES.OK)
+      } else if (result.success === false) {
+        finish("", formatText(result), failedCode)
+      } else {
+        finish(formatText(result), "", failed ? EXIT_CODES.FAILED : EXIT_CODES.OK)
+      }
+    })
+    .catch((error) => {
+      const usage = isUsageError(error)
+      const code = usage ? EXIT_CODES.USAGE : EXIT_CODES.FAILED
+      if (json) {
+        const details = errorUtils.toMintMeError(error)
+        finish(toJson({ success: false, error: error.message, details: details }, 2), "", code)
+      } else {
+        const helpCommand = COMMANDS[commandName] ? `mintme help ${commandName}` : "mintme help"
+        const hint = usage && error.type !== "WalletError" ? `\nRun "${helpCommand}" for usage.` : ""
+        finish("", `Error: ${error.message}${hint}`, code)
+      }
+    })
+}
+
+main(process.argv.slice(2))
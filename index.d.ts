@@ -3,17 +3,233 @@
  * A simple library for creating tokens on Solana
  */
 
-import type { PublicKey, Connection, Transaction, VersionedTransaction } from "@solana/web3.js"
+import type { PublicKey, Connection, Keypair, Transaction, VersionedTransaction } from "@solana/web3.js"
 
 /**
- * Type for logger function
+ * Type for logger function. It receives each formatted line (text or JSON, see configureLogger).
+ * A Logger returned by createLogger can be used wherever a LoggerFunction is accepted
  */
 export type LoggerFunction = (message: string) => void
 
+export type LogLevel = "debug" | "info" | "warn" | "error"
+
+/**
+ * A log record. Operations add their name and a correlation ID shared by all their records
+ */
+export interface LogRecord {
+  /**
+   * ISO 8601 time
+   */
+  time: string
+  level: LogLevel
+  message: string
+  operation?: string
+  correlationId?: string
+  [field: string]: any
+}
+
+/**
+ * Leveled logger. Calling it logs at the info level
+ */
+export interface Logger {
+  (message: string, fields?: Record<string, any>): void
+  debug(message: string, fields?: Record<string, any>): void
+  info(message: string, fields?: Record<string, any>): void
+  warn(message: string, fields?: Record<string, any>): void
+  error(message: string, fields?: Record<string, any>): void
+  /**
+   * Returns a logger adding fields to every record
+   */
+  child(fields: Record<string, any>): Logger
+  /**
+   * Fields added to every record
+   */
+  fields: Record<string, any>
+}
+
+/**
+ * Logging settings. Those left out of createLogger follow the global settings
+ */
+export interface LoggerSettings {
+  /**
+   * Minimum level (default "info")
+   */
+  level?: LogLevel | "silent"
+  /**
+   * "text" (message and fields as key=value, default) or "json" (one object per line)
+   */
+  format?: "text" | "json"
+  /**
+   * Receives each line and its record (default: the console method of the level); null restores the console
+   */
+  sink?: ((line: string, record: LogRecord) => void) | null
+  /**
+   * Replace secret-looking values: fields named like secrets, 64-byte secret keys and credentials in URLs
+   * (default true)
+   */
+  redact?: boolean
+}
+
+/**
+ * Priority fee: microLamports per compute unit, "auto", or settings for the automatic estimate
+ */
+export type PriorityFeeOption =
+  | number
+  | "auto"
+  | {
+      /**
+       * Percentile of the recent prioritization fees to use (default 75)
+       */
+      percentile?: number
+      minMicroLamports?: number
+      maxMicroLamports?: number
+    }
+
+/**
+ * Compute budget applied to a transaction
+ */
+export interface ComputeBudgetInfo {
+  microLamports: number | null
+  computeUnitLimit: number | null
+}
+
+/**
+ * Commitment level to wait for when sending a transaction
+ */
+export type SendCommitment = "processed" | "confirmed" | "finalized"
+
+/**
+ * Definitive status of a sent transaction:
+ * - landed: confirmed at the requested commitment
+ * - failed: rejected by preflight or on-chain (see programError)
+ * - expired: the blockhash expired before it landed, it was not processed and is safe to retry
+ * - unknown: the cluster could not be reached until the blockhash expired, the transaction may have landed
+ * - pending: sendCosignedTransaction only, a durable nonce transaction did not land in time but its nonce has not
+ *   advanced, it can still land
+ */
+export type TransactionStatusValue = "landed" | "failed" | "expired" | "unknown" | "pending"
+
+export const TransactionStatus: {
+  LANDED: "landed"
+  FAILED: "failed"
+  EXPIRED: "expired"
+  UNKNOWN: "unknown"
+  PENDING: "pending"
+}
+
+/**
+ * Options controlling how a transaction is sent and confirmed
+ */
+export interface SendOptions {
+  /**
+   * Commitment to wait for (default "confirmed")
+   */
+  commitment?: SendCommitment
+
+  /**
+   * Skip the preflight simulation when sending (default false)
+   */
+  skipPreflight?: boolean
+
+  /**
+   * Milliseconds between rebroadcasts while waiting (default 2000)
+   */
+  rebroadcastInterval?: number
+}
+
+/**
+ * Outcome of sendAndConfirmTransaction / confirmTransaction
+ */
+export interface SendTransactionOutcome {
+  status: TransactionStatusValue
+  signature: string
+  slot?: number
+  confirmationStatus?: SendCommitment
+  lastValidBlockHeight?: number
+  error?: DecodedProgramError
+  rawError?: any
+  logs?: string[]
+}
+
+/**
+ * Token program of a new mint: the legacy token program or Token-2022
+ */
+export type TokenProgramOption = "token" | "token-2022" | PublicKey
+
+/**
+ * Extensions of a Token-2022 mint. Authorities default to the payer
+ */
+export interface Token2022Extensions {
+  /**
+   * Fee withheld on every transfer
+   */
+  transferFee?: {
+    /**
+     * Fee in basis points of the transferred amount (0-10000)
+     */
+    feeBasisPoints: number
+    /**
+     * Maximum fee per transfer, in base units
+     */
+    maxFee: number | string | bigint
+    transferFeeConfigAuthority?: string | PublicKey
+    withdrawWithheldAuthority?: string | PublicKey
+  }
+  /**
+   * Metadata stored in the mint itself, through a metadata pointer (default true)
+   */
+  metadata?:
+    | boolean
+    | {
+        /**
+         * Update authority (default the payer). It does not sign: the payer writes additionalMetadata, then hands
+         * the authority over in the same transaction
+         */
+        updateAuthority?: string | PublicKey
+        additionalMetadata?: Record<string, string>
+      }
+  /**
+   * Tokens cannot be transferred once minted
+   */
+  nonTransferable?: boolean
+  /**
+   * Interest accrued on the displayed amount
+   */
+  interestBearing?: {
+    /**
+     * Annual rate in basis points (-32768 to 32767)
+     */
+    rate: number
+    rateAuthority?: string | PublicKey
+  }
+  /**
+   * State of new token accounts
+   */
+  defaultAccountState?: "initialized" | "frozen"
+}
+
+/**
+ * Options selecting the MintMe program: programId, or the program ID of a cluster (see resolveConfig)
+ */
+export interface ProgramOptions {
+  /**
+   * Program ID (default: the program ID of the cluster)
+   */
+  programId?: string | PublicKey
+  /**
+   * Cluster whose program ID is used without programId (default: MINTME_CLUSTER, then the config file, then devnet)
+   */
+  cluster?: ClusterName | string
+  /**
+   * Config file read to resolve the program ID (see resolveConfig), false to skip it
+   */
+  configPath?: string | false
+}
+
 /**
  * Configuration options for token creation (createToken function)
  */
-export interface CreateTokenOptions {
+export interface CreateTokenOptions extends SendOptions, ProgramOptions {
   /**
    * Solana connection
    */
@@ -35,9 +251,14 @@ export interface CreateTokenOptions {
   symbol: string
 
   /**
-   * Unique key for this token creation
+   * Unique key for this token creation (optional when requestId is given)
    */
-  uniqueKey: string
+  uniqueKey?: string
+
+  /**
+   * Request ID used to derive a deterministic uniqueKey when none is given (see generateUniqueKey)
+   */
+  requestId?: string
 
   /**
    * Number of decimal places for the token (default 9)
@@ -75,180 +296,2321 @@ export interface CreateTokenOptions {
   partnerAmount?: number | string
 
   /**
-   * Program ID (optional)
+   * Program IDL (URL, object, or path, optional)
    */
-  programId?: string | PublicKey
+  idl?: string | object
 
   /**
-   * Program IDL (URL, object, or path, optional)
+   * Anchor program built beforehand on the same connection (e.g. by MintMeClient), used instead of loading the IDL
    */
-  idl?: string | object
+  program?: any
 
   /**
    * Custom logger function (optional)
    */
   logger?: LoggerFunction
-}
 
-/**
- * Configuration options for token creation
- */
-export interface TokenCreationConfig {
   /**
-   * Name of the token
+   * Called with each lifecycle event: validated, idlLoaded, pdasDerived, awaitingSignature, submitted, then
+   * confirmed or failed. Token-2022 mints skip idlLoaded and pdasDerived
    */
-  tokenName: string
+  onProgress?: ProgressCallback
 
   /**
-   * Symbol of the token
+   * Build and simulate the transaction without sending it (default false)
    */
-  tokenSymbol: string
+  simulate?: boolean
 
   /**
-   * A unique key for this token creation
+   * Priority fee added through a ComputeBudget instruction (optional)
    */
-  uniqueKey: string
+  priorityFee?: PriorityFeeOption
 
   /**
-   * Number of decimal places for the token
+   * Compute unit limit, or "auto" to size it from a simulation (optional)
    */
-  decimals: number
+  computeUnitLimit?: number | "auto"
 
   /**
-   * Initial supply of the token
+   * Token program of the new mint (default "token"). Token-2022 mints are created without the MintMe program
    */
-  initialSupply: number
+  tokenProgram?: TokenProgramOption
 
   /**
-   * URI for the token metadata
+   * Token-2022 extensions (only with tokenProgram "token-2022")
    */
-  uri?: string
+  extensions?: Token2022Extensions
 
   /**
-   * Whether to revoke the mint authority after creation
+   * Keypair of a Token-2022 mint (generated if omitted). Reuse it to retry a creation safely
    */
-  revokeMint?: boolean
+  mint?: Keypair
 
   /**
-   * Whether to revoke the freeze authority after creation
+   * Fetch the metadata URI before creating and fail if it does not resolve to JSON matching the name and symbol
    */
-  revokeFreeze?: boolean
+  verifyMetadata?: boolean | DeepUriCheckOptions
 
   /**
-   * Solana connection string or Connection object
+   * SPL multisig (see createMultisig) receiving the mint and freeze authorities that are not revoked,
+   * in the creation transaction
    */
-  connection: string | Connection
+  multisig?: string | PublicKey
+}
+
+/**
+ * Lamport balance change of an account observed during a simulation
+ */
+export interface SimulationBalanceChange {
+  label: string
+  address: string
+  preLamports: number
+  postLamports: number
+  delta: number
+}
 
+/**
+ * Program error decoded from a failed simulation or transaction.
+ * It is a ProgramError instance, or an RpcError / InsufficientBalanceError when the transaction never ran
+ */
+export interface DecodedProgramError {
   /**
-   * Solana cluster to use (e.g., 'devnet', 'mainnet-beta')
-   * Made more flexible to accept any string value for future compatibility
+   * Class of the error: "ProgramError", "RpcError" or "InsufficientBalanceError"
    */
-  cluster: "devnet" | "testnet" | "mainnet-beta" | string
-
+  type?: MintMeErrorType
+  instructionIndex: number | null
   /**
-   * Wallet configuration for signing transactions
+   * Custom error code from the program IDL (e.g. 6001), null for non-custom errors
    */
-  wallet?:
-    | {
-        /**
-         * Public key of the wallet
-         */
-        publicKey: PublicKey
-
-        /**
-         * Function to sign a transaction
-         * Updated to support both Transaction and VersionedTransaction
-         */
-        signTransaction?: <T extends Transaction | VersionedTransaction>(transaction: T) => Promise<T>
+  code: number | null
+  name: string
+  message: string
+}
 
-        /**
-         * Function to sign multiple transactions
-         * Updated to support both Transaction and VersionedTransaction
-         */
-        signAllTransactions?: <T extends Transaction | VersionedTransaction>(transactions: T[]) => Promise<T[]>
-      }
-    | string // Can also be a path to a wallet file
+export type MintMeErrorType =
+  | "MintMeError"
+  | "ValidationError"
+  | "WalletError"
+  | "InsufficientBalanceError"
+  | "RpcError"
+  | "ProgramError"
 
+/**
+ * Base class of the errors produced by the SDK. Failed operations resolve with details set to a MintMeError;
+ * invalid inputs reject with a ValidationError or a WalletError
+ */
+export class MintMeError extends Error {
+  constructor(message: string, fields?: Record<string, any>, type?: MintMeErrorType)
   /**
-   * Custom logger function to capture log messages
+   * Class name, kept by toJSON so it survives serialization
    */
-  logger?: LoggerFunction
-
+  type: MintMeErrorType
   /**
-   * Path to wallet file (when not using wallet object)
+   * Specific error: the class name, or e.g. "BlockhashExpired" or the IDL error name of a ProgramError
    */
-  walletPath?: string
+  name: string
+  /**
+   * Original error, when this one wraps it
+   */
+  cause?: any
+  toJSON(): { type: MintMeErrorType; name: string; message: string; [field: string]: any }
 }
 
 /**
- * Result of a token creation operation
+ * Invalid input: a missing option, a malformed address or amount, a token that does not allow the operation
  */
-export interface TokenCreationResult {
+export class ValidationError extends MintMeError {
+  constructor(message: string, fields?: Record<string, any>)
   /**
-   * Whether the operation was successful
+   * Individual validation failures, when there are several
    */
-  success: boolean
+  errors?: string[]
+}
 
-  /**
-   * The address of the created token
-   * @deprecated Use mint instead
-   */
-  tokenAddress?: string
+/**
+ * The payer or signer cannot be used: unsupported format, wallet file missing, read-only wallet
+ */
+export class WalletError extends MintMeError {
+  constructor(message: string, fields?: Record<string, any>)
+}
 
+/**
+ * The payer cannot cover the cost of the operation
+ */
+export class InsufficientBalanceError extends MintMeError {
+  constructor(message: string, fields?: Record<string, any>)
   /**
-   * The address of the created token (mint address)
+   * Required and available balance in lamports, when known
    */
-  mint?: string
+  required?: number
+  available?: number
+}
+
+/**
+ * The RPC node or the network failed, the transaction expired before it landed (name "BlockhashExpired"), or its
+ * status could not be read before it expired (name "StatusUnknown")
+ */
+export class RpcError extends MintMeError {
+  constructor(message: string, fields?: Record<string, any>)
+}
 
+/**
+ * A transaction failed on-chain. name is the IDL error name for custom errors (e.g. "NoMintAuthority")
+ */
+export class ProgramError extends MintMeError implements DecodedProgramError {
+  constructor(message: string, fields?: Record<string, any>)
+  type: "ProgramError"
+  instructionIndex: number | null
   /**
-   * The transaction signature
+   * Custom error code from the program IDL (e.g. 6001), null for runtime errors
    */
-  txSignature?: string
+  code: number | null
+}
+
+/**
+ * Finds the program error reported in transaction logs (Anchor error line or custom error code)
+ * @param logs Transaction or simulation logs
+ * @param idl Program IDL used to resolve a custom error code
+ */
+export function parseProgramErrorLogs(logs: string[], idl?: object): ProgramError | null
 
+/**
+ * Lifecycle events of createToken, createTokenSimple and the revoke functions, in the order they are emitted
+ */
+export const ProgressEvent: {
+  VALIDATED: "validated"
+  IDL_LOADED: "idlLoaded"
+  PDAS_DERIVED: "pdasDerived"
+  AWAITING_SIGNATURE: "awaitingSignature"
+  SUBMITTED: "submitted"
+  CONFIRMED: "confirmed"
+  FAILED: "failed"
+}
+
+export type ProgressEventType = (typeof ProgressEvent)[keyof typeof ProgressEvent]
+
+/**
+ * Fields of every lifecycle event
+ */
+export interface ProgressEventBase {
+  type: ProgressEventType
   /**
-   * Error message if the operation failed
+   * Operation the caller started (e.g. "createToken", "revokeAuthoritySimple")
    */
-  error?: string
-
+  operation?: string
   /**
-   * Additional error details if available
+   * Milliseconds since the epoch
    */
-  details?: any
+  timestamp: number
+}
 
+/**
+ * The options were checked. Token creations carry the token fields, revocations the mint and the revoked authorities
+ */
+export interface ValidatedEvent extends ProgressEventBase {
+  type: "validated"
+  payer: string
   /**
-   * Whether the freeze authority was revoked (if revokeFreeze was true)
+   * MintMe program ID, or the Token-2022 program ID for Token-2022 mints
    */
-  freezeRevoked?: boolean
-
+  programId: string
+  name?: string
+  symbol?: string
+  uniqueKey?: string
+  decimals?: number
   /**
-   * Transaction signature for the freeze authority revocation
+   * Initial supply in base units
    */
-  freezeRevokeTx?: string
+  initialSupply?: string
+  mint?: string
+  revokeMint?: boolean
+  revokeFreeze?: boolean
+}
+
+export interface IdlLoadedEvent extends ProgressEventBase {
+  type: "idlLoaded"
+  programId: string
+  idlName?: string
+  idlVersion?: string
 }
 
 /**
- * Creates a token on Solana (advanced function)
- * @param options Configuration options for token creation
- * @returns A promise that resolves to the result of the token creation
+ * The accounts of the operation are derived
  */
-export function createToken(options: CreateTokenOptions): Promise<TokenCreationResult>
+export interface PdasDerivedEvent extends ProgressEventBase {
+  type: "pdasDerived"
+  mint: string
+  tokenAccount?: string
+  metadata?: string
+  paymentPDA?: string
+  networkFeeConfig?: string
+  tokenPda?: string
+  revokeFeeConfig?: string
+}
 
 /**
- * Creates a token on Solana with simplified configuration
- * @param config Configuration options for token creation
- * @returns A promise that resolves to the result of the token creation
+ * The transaction is built and waits for the wallet to sign it
  */
-export function createTokenSimple(config: TokenCreationConfig): Promise<TokenCreationResult>
+export interface AwaitingSignatureEvent extends ProgressEventBase {
+  type: "awaitingSignature"
+  feePayer: string
+  lastValidBlockHeight: number
+}
+
+/**
+ * The RPC node accepted the signed transaction
+ */
+export interface SubmittedEvent extends ProgressEventBase {
+  type: "submitted"
+  signature: string
+  lastValidBlockHeight: number
+}
+
+/**
+ * The operation succeeded. alreadyExisted is set when createToken found the token and sent nothing
+ */
+export interface ConfirmedEvent extends ProgressEventBase {
+  type: "confirmed"
+  signature: string | null
+  status: TransactionStatusValue | null
+  mint: string | null
+  alreadyExisted: boolean
+}
+
+/**
+ * The operation failed, at any stage. signature is set when a transaction was sent
+ */
+export interface FailedEvent extends ProgressEventBase {
+  type: "failed"
+  signature: string | null
+  status: TransactionStatusValue | null
+  mint?: string | null
+  error: MintMeError
+  retryable: boolean
+}
+
+export type ProgressEventPayload =
+  | ValidatedEvent
+  | IdlLoadedEvent
+  | PdasDerivedEvent
+  | AwaitingSignatureEvent
+  | SubmittedEvent
+  | ConfirmedEvent
+  | FailedEvent
+
+export type ProgressCallback = (event: ProgressEventPayload) => void
+
+/**
+ * Result of a simulated operation (simulate: true)
+ */
+export interface SimulationResult {
+  success: boolean
+  simulated: true
+  /**
+   * Whether the transaction would succeed if it were sent now
+   */
+  wouldSucceed: boolean
+  unitsConsumed: number
+  logs: string[]
+  /**
+   * Network signature fee in lamports
+   */
+  networkFee: number
+  /**
+   * Lamports leaving the payer according to the simulated post-state
+   */
+  lamportOutflow: number
+  balanceChanges: SimulationBalanceChange[]
+  programError: DecodedProgramError | null
+  computeBudget?: ComputeBudgetInfo | null
+}
+
+/**
+ * Result of a simulated token creation
+ */
+export interface CreateTokenSimulationResult extends SimulationResult {
+  mint: string
+  tokenAccount: string
+  metadata: string
+  /**
+   * Not set for Token-2022 mints, which do not use the MintMe program
+   */
+  paymentPDA?: string
+  networkFeeConfig?: string
+  tokenName: string
+  tokenSymbol: string
+  tokenProgram?: "token-2022"
+  extensions?: string[]
+  /**
+   * Multisig receiving the retained authorities, if any
+   */
+  multisig?: string | null
+  /**
+   * True when the mint already exists: there is nothing to simulate, wouldSucceed is true and nothing would be spent
+   */
+  alreadyExisted?: boolean
+  /**
+   * Decimals, metadata URI, supply and authorities read from the existing token (alreadyExisted only)
+   */
+  decimals?: number
+  uri?: string | null
+  supply?: string
+  mintAuthority?: string | null
+  freezeAuthority?: string | null
+  uniqueKey?: string
+}
+
+/**
+ * Unsigned transaction prepared for a client-side wallet
+ */
+export interface UnsignedTransactionResult {
+  success: boolean
+  /**
+   * Serialized unsigned transaction (base64)
+   */
+  transaction?: string
+  feePayer?: string
+  recentBlockhash?: string
+  lastValidBlockHeight?: number
+  computeBudget?: ComputeBudgetInfo | null
+  error?: string
+  details?: MintMeError
+}
+
+/**
+ * Options for buildCreateTokenTransaction: the payer is only a public key
+ */
+export interface BuildCreateTokenTransactionOptions
+  extends Omit<CreateTokenOptions, "payer" | "simulate" | "skipPreflight" | "rebroadcastInterval"> {
+  /**
+   * Public key of the wallet that will sign and pay
+   */
+  payer: string | PublicKey
+}
+
+/**
+ * Unsigned token creation transaction and its derived accounts
+ */
+export interface CreateTokenTransactionResult extends UnsignedTransactionResult {
+  /**
+   * True when the mint PDA already existed: no transaction is returned
+   */
+  alreadyExisted?: boolean
+  /**
+   * Decimals, metadata URI, supply and authorities read from the existing token (alreadyExisted only)
+   */
+  decimals?: number
+  uri?: string | null
+  supply?: string
+  mintAuthority?: string | null
+  freezeAuthority?: string | null
+  uniqueKey?: string
+  mint?: string
+  tokenAccount?: string
+  metadata?: string
+  paymentPDA?: string
+  networkFeeConfig?: string
+  tokenName?: string
+  tokenSymbol?: string
+  tokenProgram?: "token-2022"
+  extensions?: string[]
+}
+
+/**
+ * Options for revoking authorities (revokeAuthority function)
+ */
+export interface RevokeAuthorityOptions extends SendOptions, MultisigAuthorityOptions, ProgramOptions {
+  connection: Connection
+  payer: any
+  /**
+   * Token mint address
+   */
+  mint: string | PublicKey
+  /**
+   * Whether to revoke the mint authority (default true)
+   */
+  revokeMint?: boolean
+  /**
+   * Whether to revoke the freeze authority (default true)
+   */
+  revokeFreeze?: boolean
+  partnerWallet?: string | PublicKey
+  partnerAmount?: number | string
+  idl?: string | object
+  /**
+   * Anchor program built beforehand on the same connection (see CreateTokenOptions)
+   */
+  program?: any
+  logger?: LoggerFunction
+  /**
+   * Lifecycle events, like createToken's. Multisig revocations skip idlLoaded and pdasDerived
+   */
+  onProgress?: ProgressCallback
+  /**
+   * Build and simulate the transaction without sending it (default false)
+   */
+  simulate?: boolean
+
+  /**
+   * Priority fee added through a ComputeBudget instruction (optional)
+   */
+  priorityFee?: PriorityFeeOption
+
+  /**
+   * Compute unit limit, or "auto" to size it from a simulation (optional)
+   */
+  computeUnitLimit?: number | "auto"
+}
+
+/**
+ * Result of an authority revocation
+ */
+export interface RevokeAuthorityResult extends PartiallySignedFields {
+  success: boolean
+  /**
+   * Definitive status of the transaction, when it was sent
+   */
+  status?: TransactionStatusValue
+  mint?: string
+  txSignature?: string
+  revokedAuthorities?: { mint: boolean; freeze: boolean }
+  /**
+   * Multisig that held the authorities, when revoked with multisig
+   */
+  multisig?: MultisigInfo | null
+  computeBudget?: ComputeBudgetInfo | null
+  error?: string
+  programError?: DecodedProgramError
+  /**
+   * True when the transaction expired without being processed
+   */
+  retryable?: boolean
+  logs?: string[]
+  details?: MintMeError
+}
+
+/**
+ * Result of a simulated authority revocation
+ */
+export interface RevokeAuthoritySimulationResult extends SimulationResult {
+  mint: string
+  tokenPda: string
+  revokeFeeConfig: string
+  revokedAuthorities: { mint: boolean; freeze: boolean }
+}
+
+/**
+ * Options for buildRevokeAuthorityTransaction: the payer is only a public key
+ */
+export interface BuildRevokeAuthorityTransactionOptions
+  extends Omit<
+    RevokeAuthorityOptions,
+    "payer" | "simulate" | "skipPreflight" | "rebroadcastInterval" | "multisig" | "multisigSigners" | "nonceAccount"
+  > {
+  /**
+   * Public key of the current authority, which signs and pays
+   */
+  payer: string | PublicKey
+}
+
+/**
+ * Unsigned revocation transaction and its derived accounts
+ */
+export interface RevokeAuthorityTransactionResult extends UnsignedTransactionResult {
+  mint?: string
+  tokenPda?: string
+  revokeFeeConfig?: string
+  revokedAuthorities?: { mint: boolean; freeze: boolean }
+}
+
+/**
+ * Options for getFeeQuote
+ */
+export interface FeeQuoteOptions extends ProgramOptions {
+  connection: Connection
+  /**
+   * Operation to quote (default "create")
+   */
+  operation?: "create" | "revoke"
+  /**
+   * Amount sent to the partner wallet, in lamports (default 0)
+   */
+  partnerAmount?: number
+  /**
+   * Program IDL (URL, object, or path, optional)
+   */
+  idl?: string | object
+}
+
+/**
+ * Line of a fee quote
+ */
+export interface FeeQuoteItem {
+  name: "programFee" | "mintRent" | "tokenAccountRent" | "metadataRent" | "partnerAmount" | "networkFee"
+  lamports: number
+}
+
+/**
+ * Itemized cost of a MintMe operation
+ */
+export interface FeeQuote {
+  operation: "create" | "revoke"
+  items: FeeQuoteItem[]
+  /**
+   * Total cost in lamports
+   */
+  total: number
+  totalSol: number
+  /**
+   * Address of the account the program fee was read from: networkFeeConfig to create, revokeFeeConfig to revoke
+   */
+  feeConfig: string
+}
+
+/**
+ * Configuration options for token creation
+ */
+export interface TokenCreationConfig {
+  /**
+   * Name of the token
+   */
+  tokenName: string
+
+  /**
+   * Symbol of the token
+   */
+  tokenSymbol: string
+
+  /**
+   * A unique key for this token creation
+   */
+  uniqueKey: string
+
+  /**
+   * Number of decimal places for the token
+   */
+  decimals: number
+
+  /**
+   * Initial supply of the token
+   */
+  initialSupply: number
+
+  /**
+   * URI for the token metadata
+   */
+  uri?: string
+
+  /**
+   * Whether to revoke the mint authority after creation
+   */
+  revokeMint?: boolean
+
+  /**
+   * Whether to revoke the freeze authority after creation
+   */
+  revokeFreeze?: boolean
+
+  /**
+   * Solana connection string or Connection object (default: the endpoint of the cluster)
+   */
+  connection?: string | Connection
+
+  /**
+   * Solana cluster to use (default "devnet", see resolveConfig)
+   * Made more flexible to accept any string value for future compatibility
+   */
+  cluster?: ClusterName | string
+
+  /**
+   * Config file (default: mintme.config.json or .mintmerc in the working directory), false to skip it
+   */
+  configPath?: string | false
+
+  /**
+   * Wallet configuration for signing transactions
+   */
+  wallet?:
+    | {
+        /**
+         * Public key of the wallet
+         */
+        publicKey: PublicKey
+
+        /**
+         * Function to sign a transaction
+         * Updated to support both Transaction and VersionedTransaction
+         */
+        signTransaction?: <T extends Transaction | VersionedTransaction>(transaction: T) => Promise<T>
+
+        /**
+         * Function to sign multiple transactions
+         * Updated to support both Transaction and VersionedTransaction
+         */
+        signAllTransactions?: <T extends Transaction | VersionedTransaction>(transactions: T[]) => Promise<T[]>
+      }
+    | string // Can also be a path to a wallet file
+
+  /**
+   * Custom logger function to capture log messages
+   */
+  logger?: LoggerFunction
+
+  /**
+   * Lifecycle events, with operation "createTokenSimple" (see CreateTokenOptions)
+   */
+  onProgress?: ProgressCallback
+
+  /**
+   * Path to wallet file (when not using wallet object)
+   */
+  walletPath?: string
+
+  /**
+   * Priority fee added through a ComputeBudget instruction (optional)
+   */
+  priorityFee?: PriorityFeeOption
+
+  /**
+   * Compute unit limit, or "auto" to size it from a simulation (optional)
+   */
+  computeUnitLimit?: number | "auto"
+
+  /**
+   * Commitment to wait for (default "confirmed")
+   */
+  commitment?: SendCommitment
+
+  /**
+   * Token program of the new mint (default "token")
+   */
+  tokenProgram?: TokenProgramOption
+
+  /**
+   * Token-2022 extensions (only with tokenProgram "token-2022")
+   */
+  extensions?: Token2022Extensions
+
+  /**
+   * Check the metadata URI before creating (see CreateTokenOptions)
+   */
+  verifyMetadata?: boolean | DeepUriCheckOptions
+}
+
+/**
+ * Result of a token creation operation
+ */
+export interface TokenCreationResult {
+  /**
+   * Whether the operation was successful
+   */
+  success: boolean
+
+  /**
+   * Definitive status of the transaction, when it was sent
+   */
+  status?: TransactionStatusValue
+
+  /**
+   * True when the mint PDA already existed: nothing was sent and the existing token is returned
+   */
+  alreadyExisted?: boolean
+
+  /**
+   * Decimals, metadata URI, supply and authorities read from the existing token (alreadyExisted only)
+   */
+  decimals?: number
+  uri?: string | null
+  supply?: string
+  mintAuthority?: string | null
+  freezeAuthority?: string | null
+
+  /**
+   * Unique key used to derive the mint PDA
+   */
+  uniqueKey?: string
+
+  /**
+   * True when the transaction expired without being processed: it is safe to retry
+   */
+  retryable?: boolean
+
+  /**
+   * Decoded program error when the transaction failed
+   */
+  programError?: DecodedProgramError
+
+  /**
+   * Program logs of a failed preflight
+   */
+  logs?: string[]
+
+  /**
+   * Associated token account of the payer
+   */
+  tokenAccount?: string
+
+  /**
+   * Metaplex metadata account
+   */
+  metadata?: string
+
+  /**
+   * The address of the created token
+   * @deprecated Use mint instead
+   */
+  tokenAddress?: string
+
+  /**
+   * The address of the created token (mint address)
+   */
+  mint?: string
+
+  /**
+   * The transaction signature
+   */
+  txSignature?: string
+
+  /**
+   * Error message if the operation failed
+   */
+  error?: string
+
+  /**
+   * Additional error details if available
+   */
+  details?: MintMeError
+
+  /**
+   * Whether the freeze authority was revoked (if revokeFreeze was true)
+   */
+  freezeRevoked?: boolean
+
+  /**
+   * Transaction signature for the freeze authority revocation
+   */
+  freezeRevokeTx?: string
+
+  /**
+   * Compute budget applied to the transaction, if any
+   */
+  computeBudget?: ComputeBudgetInfo | null
+
+  /**
+   * Multisig holding the retained mint and freeze authorities, if one was given
+   */
+  multisig?: string | null
+
+  /**
+   * "token-2022" when the mint was created with the Token-2022 program
+   */
+  tokenProgram?: "token-2022"
+
+  /**
+   * Names of the Token-2022 extensions of the mint
+   */
+  extensions?: string[]
+}
+
+/**
+ * Creates a token on Solana (advanced function)
+ * @param options Configuration options for token creation
+ * @returns A promise that resolves to the result of the token creation
+ */
+export function createToken(options: CreateTokenOptions & { simulate: true }): Promise<CreateTokenSimulationResult>
+export function createToken(options: CreateTokenOptions): Promise<TokenCreationResult>
+
+/**
+ * Creates a token on Solana with simplified configuration
+ * @param config Configuration options for token creation
+ * @returns A promise that resolves to the result of the token creation
+ */
+export function createTokenSimple(config: TokenCreationConfig): Promise<TokenCreationResult>
+
+/**
+ * Revokes mint and/or freeze authorities in a single transaction
+ * @param options Options for the revocation
+ * @returns A promise that resolves to the result of the revocation
+ */
+export function revokeAuthority(
+  options: RevokeAuthorityOptions & { simulate: true },
+): Promise<RevokeAuthoritySimulationResult>
+export function revokeAuthority(options: RevokeAuthorityOptions): Promise<RevokeAuthorityResult>
+
+/**
+ * Builds an unsigned token creation transaction to be signed by a client-side wallet
+ * @param options Same options as createToken, with the payer given as a public key
+ * @returns A promise that resolves to the serialized transaction and its derived accounts
+ */
+export function buildCreateTokenTransaction(
+  options: BuildCreateTokenTransactionOptions,
+): Promise<CreateTokenTransactionResult>
+
+/**
+ * Builds an unsigned revocation transaction to be signed by a client-side wallet
+ * @param options Same options as revokeAuthority, with the payer given as a public key
+ * @returns A promise that resolves to the serialized transaction and its derived accounts
+ */
+export function buildRevokeAuthorityTransaction(
+  options: BuildRevokeAuthorityTransactionOptions,
+): Promise<RevokeAuthorityTransactionResult>
+
+/**
+ * Options of the operations that can be signed by an SPL multisig holding the authority
+ */
+export interface MultisigAuthorityOptions {
+  /**
+   * SPL multisig holding the authority (see createMultisig)
+   */
+  multisig?: string | PublicKey
+  /**
+   * Co-signers, at least the multisig threshold. Keypairs sign right away; public keys sign later, and the
+   * transaction is then returned partially signed (see cosignTransaction)
+   */
+  multisigSigners?: Array<Keypair | string | PublicKey>
+  /**
+   * Durable nonce account, so a partially signed transaction does not expire while it waits for the co-signers.
+   * Its nonce authority must sign too
+   */
+  nonceAccount?: string | PublicKey
+}
+
+/**
+ * An SPL multisig
+ */
+export interface MultisigInfo {
+  address: string
+  threshold: number
+  signers: string[]
+}
+
+/**
+ * A transaction waiting for co-signatures
+ */
+export interface PartiallySignedTransaction {
+  /**
+   * Serialized transaction (base64), to pass to cosignTransaction
+   */
+  transaction: string
+  /**
+   * Signature the transaction will have once sent (the fee payer's)
+   */
+  txSignature: string
+  /**
+   * Signers that still have to sign
+   */
+  missingSignatures: string[]
+  recentBlockhash: string
+  /**
+   * Block height after which the transaction expires (null with a durable nonce)
+   */
+  lastValidBlockHeight: number | null
+  nonceAccount: string | null
+}
+
+/**
+ * Fields set on a result when co-signatures are still missing: nothing was sent
+ */
+export interface PartiallySignedFields {
+  partiallySigned?: boolean
+  transaction?: string
+  missingSignatures?: string[]
+  recentBlockhash?: string
+  lastValidBlockHeight?: number | null
+  nonceAccount?: string | null
+}
+
+/**
+ * Options for createMultisig
+ */
+export interface CreateMultisigOptions extends SendOptions {
+  connection: Connection
+  /**
+   * Keypair or wallet paying for the account
+   */
+  payer: any
+  /**
+   * Members of the multisig (1 to 11)
+   */
+  signers: Array<string | PublicKey>
+  /**
+   * Number of members that must sign
+   */
+  threshold: number
+  /**
+   * Token program of the mints it will control (default "token")
+   */
+  tokenProgram?: "token" | "token-2022"
+  /**
+   * Keypair of the new account (default: generated)
+   */
+  keypair?: Keypair
+  /**
+   * Build and simulate the transaction without sending it (default false)
+   */
+  simulate?: boolean
+  priorityFee?: PriorityFeeOption
+  computeUnitLimit?: number | "auto"
+  logger?: LoggerFunction
+}
+
+/**
+ * Result of createMultisig
+ */
+export interface CreateMultisigResult {
+  success: boolean
+  status?: TransactionStatusValue
+  simulated?: boolean
+  wouldSucceed?: boolean
+  multisig?: string
+  threshold?: number
+  signers?: string[]
+  tokenProgram?: "token" | "token-2022"
+  txSignature?: string
+  computeBudget?: ComputeBudgetInfo | null
+  retryable?: boolean
+  programError?: DecodedProgramError | null
+  logs?: string[]
+  error?: string
+  details?: MintMeError
+}
+
+/**
+ * Result of cosignTransaction
+ */
+export interface CosignTransactionResult {
+  success: boolean
+  /**
+   * Transaction with the new signature (base64)
+   */
+  transaction: string
+  signer: string
+  missingSignatures: string[]
+  /**
+   * true once every signer has signed: the transaction can be sent with sendCosignedTransaction
+   */
+  complete: boolean
+}
+
+/**
+ * Result of sendCosignedTransaction
+ */
+export interface SendCosignedTransactionResult {
+  success: boolean
+  status?: TransactionStatusValue
+  txSignature?: string
+  retryable?: boolean
+  programError?: DecodedProgramError | null
+  logs?: string[]
+  error?: string
+  details?: MintMeError
+}
+
+/**
+ * Creates an SPL multisig account, to hold a mint or freeze authority
+ */
+export function createMultisig(options: CreateMultisigOptions): Promise<CreateMultisigResult>
+
+/**
+ * Adds a co-signer's signature to a partially signed transaction
+ */
+export function cosignTransaction(options: {
+  transaction: string
+  signer: any
+}): Promise<CosignTransactionResult>
+
+/**
+ * Sends a transaction once every co-signer has signed it, and waits for a definitive status
+ */
+export function sendCosignedTransaction(
+  options: SendOptions & {
+    connection: Connection
+    transaction: string
+    /**
+     * Returned with the partially signed transaction. Without it, the transaction is given up on after 150 blocks.
+     * A durable nonce transaction is then "pending" while its nonce has not advanced
+     */
+    lastValidBlockHeight?: number | null
+    logger?: LoggerFunction
+  },
+): Promise<SendCosignedTransactionResult>
+
+/**
+ * Options for setAuthority
+ */
+export interface SetAuthorityOptions extends SendOptions, MultisigAuthorityOptions {
+  connection: Connection
+  /**
+   * Keypair or wallet of the current authority (pays the fees)
+   */
+  payer: any
+  mint: string | PublicKey
+  authorityType: "mint" | "freeze"
+  /**
+   * New authority: a wallet or an SPL multisig account
+   */
+  newAuthority: string | PublicKey
+  /**
+   * Build and simulate the transaction without sending it (default false)
+   */
+  simulate?: boolean
+  priorityFee?: PriorityFeeOption
+  computeUnitLimit?: number | "auto"
+  logger?: LoggerFunction
+}
+
+/**
+ * Result of setAuthority
+ */
+export interface SetAuthorityResult extends PartiallySignedFields {
+  success: boolean
+  status?: TransactionStatusValue
+  simulated?: boolean
+  wouldSucceed?: boolean
+  mint?: string
+  authorityType?: "mint" | "freeze"
+  previousAuthority?: string
+  newAuthority?: string
+  /**
+   * Set when the new authority is an SPL multisig
+   */
+  multisig?: { threshold: number; signers: string[] } | null
+  /**
+   * Whether the mint was read back with the new authority
+   */
+  verified?: boolean
+  txSignature?: string
+  computeBudget?: ComputeBudgetInfo | null
+  retryable?: boolean
+  programError?: DecodedProgramError | null
+  logs?: string[]
+  error?: string
+  details?: MintMeError
+}
+
+/**
+ * Transfers the mint or freeze authority to another key (e.g. a cold wallet or a multisig) and verifies it on-chain
+ */
+export function setAuthority(options: SetAuthorityOptions): Promise<SetAuthorityResult>
+
+/**
+ * Creates a Token-2022 mint with extensions (same as createToken with tokenProgram "token-2022")
+ * @param options Configuration options for token creation
+ * @returns A promise that resolves to the result of the token creation
+ */
+export function createToken2022(
+  options: Omit<CreateTokenOptions, "tokenProgram"> & { simulate: true },
+): Promise<CreateTokenSimulationResult>
+export function createToken2022(options: Omit<CreateTokenOptions, "tokenProgram">): Promise<TokenCreationResult>
+
+/**
+ * Builds a Token-2022 creation transaction, already signed by the new mint, to be signed by a client-side wallet
+ * @param options Same options as createToken2022, with the payer given as a public key
+ * @returns A promise that resolves to the serialized transaction and the new accounts
+ */
+export function buildCreateToken2022Transaction(
+  options: Omit<BuildCreateTokenTransactionOptions, "tokenProgram">,
+): Promise<CreateTokenTransactionResult>
+
+/**
+ * Current state of a token, read by getTokenInfo
+ */
+export interface TokenInfo {
+  success: boolean
+  mint?: string
+  tokenProgram?: "token" | "token-2022"
+  decimals?: number
+  /**
+   * Supply in base units
+   */
+  supply?: string
+  /**
+   * Supply adjusted with the decimals (e.g. "1000.5")
+   */
+  uiSupply?: string
+  /**
+   * null once the mint authority is revoked
+   */
+  mintAuthority?: string | null
+  /**
+   * null once the freeze authority is revoked
+   */
+  freezeAuthority?: string | null
+  isInitialized?: boolean
+  /**
+   * Token-2022 extensions of the mint
+   */
+  extensions?: string[]
+  metadata?: {
+    address: string
+    /**
+     * "metaplex" for a Metaplex metadata account, "token-2022" for on-mint metadata
+     */
+    source: "metaplex" | "token-2022"
+    name: string
+    symbol: string
+    uri: string
+    updateAuthority: string | null
+    isMutable: boolean
+    sellerFeeBasisPoints?: number
+    additionalMetadata?: [string, string][]
+  } | null
+  error?: string
+  details?: MintMeError
+}
+
+/**
+ * Reads the mint, its authorities and its metadata
+ * @param options Connection and mint address
+ * @returns A promise that resolves to the current state of the token
+ */
+export function getTokenInfo(options: {
+  connection: Connection
+  mint: string | PublicKey
+  commitment?: SendCommitment
+}): Promise<TokenInfo>
+
+/**
+ * Options shared by updateTokenMetadata and makeMetadataImmutable
+ */
+export interface MetadataAuthorityOptions extends SendOptions {
+  connection: Connection
+  /**
+   * Keypair or wallet of the update authority (pays the fees)
+   */
+  payer: any
+  mint: string | PublicKey
+  /**
+   * Build and simulate the transaction without sending it (default false)
+   */
+  simulate?: boolean
+  priorityFee?: PriorityFeeOption
+  computeUnitLimit?: number | "auto"
+  logger?: LoggerFunction
+}
+
+/**
+ * Options for updateTokenMetadata: at least one change is required
+ */
+export interface UpdateTokenMetadataOptions extends MetadataAuthorityOptions {
+  name?: string
+  symbol?: string
+  uri?: string
+  newUpdateAuthority?: string | PublicKey
+}
+
+/**
+ * Result of a metadata update: the metadata as it is after the update
+ */
+export interface MetadataUpdateResult {
+  success: boolean
+  status?: TransactionStatusValue
+  simulated?: boolean
+  wouldSucceed?: boolean
+  mint?: string
+  metadata?: string
+  source?: "metaplex" | "token-2022"
+  name?: string
+  symbol?: string
+  uri?: string
+  updateAuthority?: string | null
+  isMutable?: boolean
+  txSignature?: string
+  computeBudget?: ComputeBudgetInfo | null
+  retryable?: boolean
+  programError?: DecodedProgramError | null
+  logs?: string[]
+  error?: string
+  details?: MintMeError
+}
+
+/**
+ * Updates the name, symbol, URI and/or update authority of a token's metadata
+ */
+export function updateTokenMetadata(options: UpdateTokenMetadataOptions): Promise<MetadataUpdateResult>
+
+/**
+ * Makes a token's metadata immutable, for good
+ */
+export function makeMetadataImmutable(options: MetadataAuthorityOptions): Promise<MetadataUpdateResult>
+
+/**
+ * Options for mintMoreTokens
+ */
+export interface MintMoreTokensOptions extends SendOptions, MultisigAuthorityOptions {
+  connection: Connection
+  /**
+   * Keypair or wallet of the mint authority (pays the fees)
+   */
+  payer: any
+  mint: string | PublicKey
+  /**
+   * Amount in tokens (e.g. 1000 or "1.5"), converted with the mint's decimals
+   */
+  amount: number | string
+  /**
+   * Owner of the account receiving the tokens (default: payer).
+   * Its associated token account is created if missing.
+   */
+  destination?: string | PublicKey
+  /**
+   * Build and simulate the transaction without sending it (default false)
+   */
+  simulate?: boolean
+  priorityFee?: PriorityFeeOption
+  computeUnitLimit?: number | "auto"
+  logger?: LoggerFunction
+}
+
+/**
+ * Result of mintMoreTokens
+ */
+export interface MintMoreTokensResult extends PartiallySignedFields {
+  success: boolean
+  status?: TransactionStatusValue
+  simulated?: boolean
+  wouldSucceed?: boolean
+  mint?: string
+  tokenProgram?: "token" | "token-2022"
+  destination?: string
+  tokenAccount?: string
+  /**
+   * Whether the destination's token account is created by this transaction
+   */
+  createdTokenAccount?: boolean
+  /**
+   * Minted amount in tokens
+   */
+  amount?: string
+  /**
+   * Minted amount in base units
+   */
+  rawAmount?: string
+  /**
+   * Supply after the mint, in base units and in tokens
+   */
+  supply?: string
+  uiSupply?: string
+  /**
+   * Multisig holding the mint authority, when minted with multisig
+   */
+  multisig?: MultisigInfo | null
+  txSignature?: string
+  computeBudget?: ComputeBudgetInfo | null
+  retryable?: boolean
+  programError?: DecodedProgramError | null
+  logs?: string[]
+  error?: string
+  details?: MintMeError
+}
+
+/**
+ * Mints more tokens of an existing token. Fails if the mint authority has been revoked.
+ */
+export function mintMoreTokens(options: MintMoreTokensOptions): Promise<MintMoreTokensResult>
+
+/**
+ * Options for burnTokens: either amount or all is required
+ */
+export interface BurnTokensOptions extends SendOptions {
+  connection: Connection
+  /**
+   * Keypair or wallet of the holder (pays the fees). Tokens are burned from its associated token account.
+   */
+  payer: any
+  mint: string | PublicKey
+  /**
+   * Amount in tokens (e.g. 1000 or "1.5"), converted with the mint's decimals
+   */
+  amount?: number | string
+  /**
+   * Burn the whole balance (default false)
+   */
+  all?: boolean
+  /**
+   * Build and simulate the transaction without sending it (default false)
+   */
+  simulate?: boolean
+  priorityFee?: PriorityFeeOption
+  computeUnitLimit?: number | "auto"
+  logger?: LoggerFunction
+}
+
+/**
+ * Result of burnTokens
+ */
+export interface BurnTokensResult {
+  success: boolean
+  status?: TransactionStatusValue
+  simulated?: boolean
+  wouldSucceed?: boolean
+  mint?: string
+  tokenProgram?: "token" | "token-2022"
+  tokenAccount?: string
+  /**
+   * Burned amount in tokens
+   */
+  amount?: string
+  /**
+   * Burned amount in base units
+   */
+  rawAmount?: string
+  /**
+   * Balance left in the holder's account, in base units and in tokens
+   */
+  balance?: string
+  uiBalance?: string
+  /**
+   * Supply after the burn, in base units and in tokens
+   */
+  supply?: string
+  uiSupply?: string
+  txSignature?: string
+  computeBudget?: ComputeBudgetInfo | null
+  retryable?: boolean
+  programError?: DecodedProgramError | null
+  logs?: string[]
+  error?: string
+  details?: MintMeError
+}
+
+/**
+ * Burns tokens from the payer's associated token account
+ */
+export function burnTokens(options: BurnTokensOptions): Promise<BurnTokensResult>
+
+/**
+ * Options for freezeAccount and thawAccount: either owner or tokenAccount is required
+ */
+export interface FreezeAccountOptions extends SendOptions, MultisigAuthorityOptions {
+  connection: Connection
+  /**
+   * Keypair or wallet of the freeze authority (pays the fees)
+   */
+  payer: any
+  mint: string | PublicKey
+  /**
+   * Holder whose associated token account is frozen or thawed
+   */
+  owner?: string | PublicKey
+  /**
+   * Token account to freeze or thaw, instead of owner
+   */
+  tokenAccount?: string | PublicKey
+  priorityFee?: PriorityFeeOption
+  computeUnitLimit?: number | "auto"
+  logger?: LoggerFunction
+}
+
+/**
+ * Result of freezeAccount and thawAccount
+ */
+export interface FreezeAccountResult extends PartiallySignedFields {
+  success: boolean
+  mint?: string
+  owner?: string | null
+  tokenAccount?: string
+  isFrozen?: boolean
+  /**
+   * false when the account was already in the requested state
+   */
+  changed?: boolean
+  txSignature?: string | null
+  retryable?: boolean
+  error?: string
+  details?: MintMeError
+}
+
+/**
+ * Options for freezeAccounts and thawAccounts
+ */
+export interface FreezeAccountsOptions extends Omit<FreezeAccountOptions, "owner" | "tokenAccount"> {
+  /**
+   * Holders or token accounts. Token accounts of the mint are used as is, any other address is treated as a holder.
+   */
+  addresses: Array<string | PublicKey>
+}
+
+/**
+ * Per-address entry of freezeAccounts and thawAccounts
+ */
+export interface FreezeAccountsRow {
+  address: string
+  owner: string | null
+  tokenAccount: string
+  /**
+   * "awaitingSignatures" when the transaction is waiting for co-signatures (see pendingTransactions)
+   */
+  status: "frozen" | "thawed" | "unchanged" | "failed" | "awaitingSignatures"
+  txSignature?: string | null
+  retryable?: boolean
+  error?: string
+}
+
+/**
+ * Result of freezeAccounts and thawAccounts
+ */
+export interface FreezeAccountsResult {
+  success: boolean
+  mint?: string
+  changed?: number
+  unchanged?: number
+  failed?: number
+  awaitingSignatures?: number
+  transactions?: number
+  /**
+   * Partially signed transactions left to co-sign, with the token accounts they change
+   */
+  pendingTransactions?: Array<PartiallySignedTransaction & { tokenAccounts: string[] }>
+  rows?: FreezeAccountsRow[]
+  error?: string
+  details?: MintMeError
+}
+
+/**
+ * Freezes a holder's token account with the retained freeze authority
+ */
+export function freezeAccount(options: FreezeAccountOptions): Promise<FreezeAccountResult>
+
+/**
+ * Thaws a frozen token account
+ */
+export function thawAccount(options: FreezeAccountOptions): Promise<FreezeAccountResult>
+
+/**
+ * Freezes the token accounts of many holders
+ */
+export function freezeAccounts(options: FreezeAccountsOptions): Promise<FreezeAccountsResult>
+
+/**
+ * Thaws the token accounts of many holders
+ */
+export function thawAccounts(options: FreezeAccountsOptions): Promise<FreezeAccountsResult>
+
+/**
+ * Off-chain metadata attribute
+ */
+export interface MetadataAttribute {
+  trait_type: string
+  value: string | number
+}
+
+/**
+ * Fields of the off-chain metadata JSON
+ */
+export interface MetadataFields {
+  /**
+   * Token name (must match the on-chain name)
+   */
+  name: string
+  /**
+   * Token symbol (must match the on-chain symbol)
+   */
+  symbol: string
+  description?: string
+  /**
+   * Image URI
+   */
+  image?: string
+  /**
+   * Content type of the image (guessed from the URI if omitted)
+   */
+  imageType?: string
+  /**
+   * Project links, e.g. { website, twitter, telegram, discord }
+   */
+  links?: Record<string, string>
+  attributes?: MetadataAttribute[] | Record<string, string | number>
+}
+
+/**
+ * Metaplex off-chain metadata JSON of a fungible token
+ */
+export interface MetadataJson {
+  name: string
+  symbol: string
+  description: string
+  image?: string
+  external_url?: string
+  properties?: {
+    files: { uri: string; type: string }[]
+    category: "image"
+  }
+  extensions?: Record<string, string>
+  attributes: MetadataAttribute[]
+}
+
+/**
+ * Storage adapter: uploads a file and resolves to its public URI
+ */
+export interface StorageAdapter {
+  upload(data: Buffer | Uint8Array | string, file: { fileName: string; contentType: string }): Promise<string>
+}
+
+/**
+ * In-memory storage adapter, for tests and previews
+ */
+export interface MemoryStorageAdapter extends StorageAdapter {
+  files: Map<string, { data: Buffer | Uint8Array | string; contentType: string }>
+  get(uri: string): { data: Buffer | Uint8Array | string; contentType: string } | null
+}
+
+/**
+ * Options for uploadMetadata
+ */
+export interface UploadMetadataOptions extends Omit<MetadataFields, "image"> {
+  storage: StorageAdapter
+  /**
+   * Image URI (used as is), file path (Node.js), or image data to upload
+   */
+  image?: string | { data: Buffer | Uint8Array; contentType?: string; fileName?: string }
+}
+
+/**
+ * Options of the deep metadata URI check
+ */
+export interface DeepUriCheckOptions {
+  /**
+   * Timeout of each request in milliseconds (default 10000)
+   */
+  timeout?: number
+  /**
+   * fetch implementation (default: global fetch)
+   */
+  fetch?: (url: string, init?: any) => Promise<any>
+}
+
+/**
+ * Result of the deep metadata URI check
+ */
+export interface DeepUriCheckResult {
+  isValid: boolean
+  /**
+   * First error, if any
+   */
+  message?: string
+  errors: string[]
+  /**
+   * Non-blocking issues, e.g. image size or dimensions
+   */
+  warnings: string[]
+  /**
+   * Fetched metadata JSON
+   */
+  metadata: any | null
+  image: {
+    uri: string
+    contentType: string
+    /**
+     * Size in bytes. Only the first 64 KB are downloaded: larger images report their Content-Length, or null
+     */
+    size: number | null
+    width: number | null
+    height: number | null
+  } | null
+}
+
+/**
+ * Validates a metadata URI. With deep: true, also fetches it and checks its JSON and image
+ */
+export function validateUri(
+  uri: string,
+  options: DeepUriCheckOptions & { deep: true; name?: string; symbol?: string },
+): Promise<DeepUriCheckResult>
+export function validateUri(uri: string): { isValid: boolean; message?: string }
+
+/**
+ * Builds a Metaplex-compliant off-chain metadata JSON
+ */
+export function buildMetadataJson(fields: MetadataFields): MetadataJson
+
+/**
+ * Uploads the metadata JSON and its image, and resolves to the URI to pass to createToken
+ */
+export function uploadMetadata(
+  options: UploadMetadataOptions,
+): Promise<{ uri: string; imageUri: string | null; metadata: MetadataJson }>
+
+/**
+ * Storage adapter writing files to a local directory published under baseUrl (Node.js only)
+ */
+export function createFileSystemStorage(options: { directory: string; baseUrl: string }): StorageAdapter
+
+/**
+ * Storage adapter keeping files in memory (URIs use the reserved https://storage.invalid domain by default)
+ */
+export function createMemoryStorage(options?: { baseUrl?: string }): MemoryStorageAdapter
+
+/**
+ * Storage adapter uploading each file as the raw body of an HTTP request.
+ * An upload rejects with an RpcError when the endpoint fails or returns no URI
+ */
+export function createHttpStorage(options: {
+  endpoint: string
+  method?: string
+  headers?: Record<string, string>
+  /**
+   * Extracts the URI from the JSON response (default: response.uri or response.url)
+   */
+  getUri?: (response: any) => string
+  fetch?: (url: string, init?: any) => Promise<any>
+}): StorageAdapter
+
+/**
+ * Gets an itemized quote of what a MintMe operation will cost, read from the on-chain fee configuration
+ * @param options Quote options
+ * @returns A promise that resolves to the itemized quote
+ */
+export function getFeeQuote(options: FeeQuoteOptions): Promise<FeeQuote>
+
+/**
+ * Options for getFeeConfig
+ */
+export interface FeeConfigOptions extends ProgramOptions {
+  connection: Connection
+  /**
+   * Program IDL (URL, object, or path, optional)
+   */
+  idl?: string | object
+}
+
+/**
+ * Fee configuration of a MintMe program
+ */
+export interface FeeConfigResult {
+  success: boolean
+  programId?: string
+  /**
+   * Address of the networkFeeConfig account
+   */
+  networkFeeConfig?: string
+  /**
+   * Address of the revokeFeeConfig account, which the revoke instruction charges against
+   */
+  revokeFeeConfig?: string
+  /**
+   * Fee to create a token, in lamports and in SOL
+   */
+  createFee?: number
+  createFeeSol?: number
+  /**
+   * Fee to revoke authorities, in lamports and in SOL (null when the revokeFeeConfig account does not exist)
+   */
+  revokeFee?: number | null
+  revokeFeeSol?: number | null
+  error?: string
+  details?: MintMeError
+}
+
+/**
+ * Options shared by the admin instructions
+ */
+export interface AdminInstructionOptions extends SendOptions, ProgramOptions {
+  connection: Connection
+  /**
+   * Keypair or wallet of the program admin (pays the fees)
+   */
+  admin: any
+  /**
+   * Program IDL defining the instruction (default: the embedded IDL, or lib/idl.json for loadStats)
+   */
+  idl?: string | object
+  /**
+   * Build and simulate the transaction without sending it (default false)
+   */
+  simulate?: boolean
+  priorityFee?: PriorityFeeOption
+  computeUnitLimit?: number | "auto"
+  logger?: LoggerFunction
+}
+
+/**
+ * Options for updateNetworkFee / updateRevokeFee
+ */
+export interface UpdateFeeOptions extends AdminInstructionOptions {
+  /**
+   * New fee, in lamports (whole number up to u64::MAX)
+   */
+  feeLamports: number | string
+}
+
+/**
+ * Fields shared by the results of the admin instructions
+ */
+export interface AdminInstructionResult {
+  success: boolean
+  status?: TransactionStatusValue
+  simulated?: boolean
+  wouldSucceed?: boolean
+  programId?: string
+  /**
+   * True when the signer is not the admin of the program (UnauthorizedAdmin)
+   */
+  unauthorizedAdmin?: boolean
+  txSignature?: string
+  computeBudget?: ComputeBudgetInfo | null
+  retryable?: boolean
+  programError?: DecodedProgramError | null
+  logs?: string[]
+  error?: string
+  details?: MintMeError
+}
+
+/**
+ * Result of updateNetworkFee / updateRevokeFee
+ */
+export interface UpdateFeeResult extends AdminInstructionResult {
+  /**
+   * Fee config account that was updated
+   */
+  config?: string
+  fee?: "create" | "revoke"
+  /**
+   * Fee before the update, in lamports (null if it could not be read)
+   */
+  previousFee?: number | null
+  newFee?: number
+  /**
+   * Whether the fee read back after the update is the new one
+   */
+  verified?: boolean
+}
+
+/**
+ * Result of loadStats
+ */
+export interface LoadStatsResult extends AdminInstructionResult {
+  /**
+   * Fee vault of the program (payment PDA)
+   */
+  vault?: string
+  /**
+   * Vault balance before and after the instruction, in lamports
+   */
+  vaultBalanceBefore?: number
+  vaultBalanceAfter?: number
+}
+
+/**
+ * Reads the fee configuration of a MintMe program
+ */
+export function getFeeConfig(options: FeeConfigOptions): Promise<FeeConfigResult>
+
+/**
+ * Changes the fee the program charges to create a token. Only the program admin can sign it.
+ */
+export function updateNetworkFee(options: UpdateFeeOptions): Promise<UpdateFeeResult>
+
+/**
+ * Changes the fee the program charges to revoke authorities. Only the program admin can sign it.
+ */
+export function updateRevokeFee(options: UpdateFeeOptions): Promise<UpdateFeeResult>
+
+/**
+ * Runs the admin-only loadStats instruction on the fee vault of the program
+ */
+export function loadStats(options: AdminInstructionOptions): Promise<LoadStatsResult>
+
+/**
+ * Signs, sends and confirms a transaction, rebroadcasting it until it lands or its blockhash expires
+ */
+export function sendAndConfirmTransaction(
+  options: SendOptions & {
+    connection: Connection
+    transaction: Transaction
+    wallet: { publicKey: PublicKey; signTransaction: (transaction: Transaction) => Promise<Transaction> }
+    signers?: Keypair[]
+    idl?: object
+    /**
+     * Called right before the transaction is sent, e.g. to record it and confirm it later if the process stops
+     */
+    onSigned?: (signed: { signature: string; rawTransaction: Buffer; lastValidBlockHeight: number }) => void
+    logger?: LoggerFunction
+    /**
+     * Receives the awaitingSignature and submitted events
+     */
+    onProgress?: ProgressCallback
+  },
+): Promise<SendTransactionOutcome>
+
+/**
+ * Waits for an already sent transaction (e.g. signed and sent by a browser wallet)
+ */
+export function confirmTransaction(options: {
+  connection: Connection
+  signature: string
+  rawTransaction: Buffer | Uint8Array
+  lastValidBlockHeight: number
+  commitment?: SendCommitment
+  rebroadcastInterval?: number
+  idl?: object
+  logger?: LoggerFunction
+}): Promise<SendTransactionOutcome>
+
+/**
+ * Generates a deterministic unique key from the creation parameters and a caller-supplied request ID
+ * @param params Token creation parameters
+ * @param requestId Caller-supplied request ID
+ * @returns A 32-character hex key
+ */
+export function generateUniqueKey(
+  params: {
+    name: string
+    symbol: string
+    decimals?: number
+    initialSupply?: number | string
+    uri?: string
+    revokeMint?: boolean
+    revokeFreeze?: boolean
+  },
+  requestId: string,
+): string
+
+/**
+ * Row of a token manifest
+ */
+export interface TokenManifestRow {
+  name: string
+  symbol: string
+  /**
+   * Required: keeps the mint PDA stable so the batch can be resumed
+   */
+  uniqueKey: string
+  decimals?: number
+  /**
+   * Supply in whole tokens, adjusted with the decimals (default 1000000000)
+   */
+  supply?: number | string
+  uri?: string
+  revokeMint?: boolean
+  revokeFreeze?: boolean
+}
+
+/**
+ * Options for createTokensBatch: any createToken option applies to every row
+ */
+export interface CreateTokensBatchOptions
+  extends Omit<
+    CreateTokenOptions,
+    "name" | "symbol" | "uniqueKey" | "requestId" | "decimals" | "initialSupply" | "uri" | "revokeMint" | "revokeFreeze" | "simulate"
+  > {
+  /**
+   * Path of the JSON report used to resume the batch (Node.js only)
+   */
+  reportPath?: string
+  /**
+   * Maximum number of tokens created at the same time (default 2)
+   */
+  concurrency?: number
+}
+
+/**
+ * Per-row entry of a batch report
+ */
+export interface BatchReportRow {
+  index: number
+  name: string
+  symbol: string
+  uniqueKey: string
+  status: "pending" | "created" | "alreadyExisted" | "failed" | "expired" | "unknown"
+  mint?: string
+  tokenAccount?: string
+  metadata?: string
+  txSignature?: string | null
+  error?: string
+  finishedAt?: string
+}
+
+/**
+ * Result of createTokensBatch
+ */
+export interface CreateTokensBatchResult {
+  success: boolean
+  total: number
+  created: number
+  alreadyExisted: number
+  /**
+   * Rows already created by a previous run of the same report
+   */
+  skipped: number
+  failed: number
+  rows: BatchReportRow[]
+  reportPath: string | null
+}
+
+/**
+ * Creates the tokens of a manifest with bounded concurrency and a resumable report
+ * @param manifest Rows, { tokens: [...] }, a path to a .json/.csv file, or CSV text
+ * @param options Batch options
+ */
+export function createTokensBatch(
+  manifest: TokenManifestRow[] | { tokens: TokenManifestRow[] } | string,
+  options: CreateTokensBatchOptions,
+): Promise<CreateTokensBatchResult>
+
+/**
+ * Loads and normalizes a token manifest
+ */
+export function loadManifest(manifest: TokenManifestRow[] | { tokens: TokenManifestRow[] } | string): TokenManifestRow[]
+
+/**
+ * Validates the rows returned by loadManifest without sending anything
+ * @param rows Normalized rows
+ * @param options Batch options (partnerWallet is validated too)
+ * @returns Invalid rows, numbered from 1 (empty if every row is valid)
+ */
+export function validateManifest(
+  rows: TokenManifestRow[],
+  options?: { partnerWallet?: string | PublicKey },
+): Array<{ row: number; errors: string[] }>
+
+/**
+ * Recipient of a distribution
+ */
+export interface DistributionRecipient {
+  address: string | PublicKey
+  /**
+   * Amount in tokens (e.g. 1000 or "1.5"), converted with the mint's decimals
+   */
+  amount: number | string
+}
+
+/**
+ * Options for distributeTokens: either recipients or csvPath is required
+ */
+export interface DistributeTokensOptions extends SendOptions {
+  connection: Connection
+  /**
+   * Keypair or wallet of the holder (pays the fees and the rent of new token accounts)
+   */
+  payer: any
+  mint: string | PublicKey
+  recipients?: DistributionRecipient[]
+  /**
+   * CSV file with address and amount columns (Node.js only)
+   */
+  csvPath?: string
+  /**
+   * Path of the JSON journal used to resume the distribution (Node.js only)
+   */
+  journalPath?: string
+  /**
+   * Maximum number of transactions in flight (default 2)
+   */
+  concurrency?: number
+  /**
+   * Upper bound of transfers per transaction (default: as many as fit)
+   */
+  maxTransfersPerTransaction?: number
+  priorityFee?: PriorityFeeOption
+  computeUnitLimit?: number | "auto"
+  logger?: LoggerFunction
+}
+
+/**
+ * Per-recipient entry of a distribution journal
+ */
+export interface DistributionJournalRow {
+  index: number
+  address: string
+  amount: string
+  rawAmount: string
+  tokenAccount: string
+  /**
+   * "sending": signed and possibly sent, confirmed by the next run of the same journal
+   */
+  status: "pending" | "sending" | "sent" | "failed"
+  txSignature?: string | null
+  error?: string
+  finishedAt?: string
+}
+
+/**
+ * Comparison of the on-chain balances with what the run sent
+ */
+export interface DistributionReconciliation {
+  matches: boolean
+  /**
+   * Tokens sent by this run
+   */
+  sentAmount: string
+  sourceBalanceBefore: string
+  sourceBalanceAfter: string
+  /**
+   * Accounts whose balance did not change by the expected amount
+   */
+  mismatches: Array<{ address: string; expected: string; received: string }>
+}
+
+/**
+ * Result of distributeTokens
+ */
+export interface DistributeTokensResult {
+  success: boolean
+  mint: string
+  total: number
+  sent: number
+  /**
+   * Recipients already paid by a previous run of the same journal
+   */
+  alreadySent: number
+  failed: number
+  transactions: number
+  rows: DistributionJournalRow[]
+  reconciliation: DistributionReconciliation
+  journalPath: string | null
+}
+
+/**
+ * Distributes a token from the payer's account to many recipients, with a resumable journal
+ */
+export function distributeTokens(options: DistributeTokensOptions): Promise<DistributeTokensResult>
+
+/**
+ * Settings of a MintMeClient
+ */
+export interface MintMeClientOptions {
+  /**
+   * RPC endpoint or Connection (default: the endpoint of the cluster)
+   */
+  connection?: string | Connection
+  /**
+   * Keypair or wallet that signs and pays. Without it, the client can only read and build unsigned transactions
+   */
+  signer?: Keypair | { publicKey: PublicKey; signTransaction: (transaction: Transaction) => Promise<Transaction> }
+  programId?: string | PublicKey
+  idl?: string | object
+  /**
+   * Solana cluster (default "devnet")
+   */
+  cluster?: ClusterName | string
+  commitment?: SendCommitment
+  /**
+   * Config file (see resolveConfig), false to skip it
+   */
+  configPath?: string | false
+  logger?: LoggerFunction
+  /**
+   * Options added to every operation (e.g. { priorityFee: "auto" })
+   */
+  defaults?: Record<string, any>
+}
+
+/**
+ * Options of a MintMeClient method: the client fills in the connection and the signer
+ */
+export type ClientCallOptions<T> = Omit<T, "connection" | "payer" | "admin"> &
+  Partial<Pick<T, Extract<keyof T, "connection" | "payer" | "admin">>>
+
+/**
+ * Client built once with a connection, a signer and a program, shared by the operations of an application.
+ * It loads the IDL and builds the Anchor program once, and never changes the global Anchor provider
+ */
+export class MintMeClient {
+  constructor(options?: MintMeClientOptions)
+  readonly connection: Connection
+  readonly programId: PublicKey
+  readonly cluster: string
+  readonly commitment: SendCommitment
+  readonly publicKey: PublicKey | null
+  readonly config: ResolvedConfig
+  getExplorerUrl(type: "tx" | "address", value: string | PublicKey): string
+  getIDL(): Promise<object>
+  getProgram(): Promise<any>
+  createToken(
+    options: ClientCallOptions<CreateTokenOptions> & { simulate: true },
+  ): Promise<CreateTokenSimulationResult>
+  createToken(options: ClientCallOptions<CreateTokenOptions>): Promise<TokenCreationResult>
+  buildCreateTokenTransaction(
+    options: ClientCallOptions<BuildCreateTokenTransactionOptions>,
+  ): Promise<CreateTokenTransactionResult>
+  createTokensBatch(
+    manifest: TokenManifestRow[] | { tokens: TokenManifestRow[] } | string,
+    options?: ClientCallOptions<CreateTokensBatchOptions>,
+  ): Promise<CreateTokensBatchResult>
+  revokeAuthority(
+    options: ClientCallOptions<RevokeAuthorityOptions> & { simulate: true },
+  ): Promise<RevokeAuthoritySimulationResult>
+  revokeAuthority(options: ClientCallOptions<RevokeAuthorityOptions>): Promise<RevokeAuthorityResult>
+  buildRevokeAuthorityTransaction(
+    options: ClientCallOptions<BuildRevokeAuthorityTransactionOptions>,
+  ): Promise<RevokeAuthorityTransactionResult>
+  setAuthority(options: ClientCallOptions<SetAuthorityOptions>): Promise<SetAuthorityResult>
+  mintMoreTokens(options: ClientCallOptions<MintMoreTokensOptions>): Promise<MintMoreTokensResult>
+  burnTokens(options: ClientCallOptions<BurnTokensOptions>): Promise<BurnTokensResult>
+  distributeTokens(options: ClientCallOptions<DistributeTokensOptions>): Promise<DistributeTokensResult>
+  freezeAccount(options: ClientCallOptions<FreezeAccountOptions>): Promise<FreezeAccountResult>
+  thawAccount(options: ClientCallOptions<FreezeAccountOptions>): Promise<FreezeAccountResult>
+  freezeAccounts(options: ClientCallOptions<FreezeAccountsOptions>): Promise<FreezeAccountsResult>
+  thawAccounts(options: ClientCallOptions<FreezeAccountsOptions>): Promise<FreezeAccountsResult>
+  updateTokenMetadata(options: ClientCallOptions<UpdateTokenMetadataOptions>): Promise<MetadataUpdateResult>
+  makeMetadataImmutable(options: ClientCallOptions<MetadataAuthorityOptions>): Promise<MetadataUpdateResult>
+  createMultisig(options: ClientCallOptions<CreateMultisigOptions>): Promise<CreateMultisigResult>
+  getTokenInfo(options: string | { mint: string | PublicKey; commitment?: SendCommitment }): Promise<TokenInfo>
+  getFeeQuote(options?: ClientCallOptions<FeeQuoteOptions>): Promise<FeeQuote>
+  getFeeConfig(options?: ClientCallOptions<FeeConfigOptions>): Promise<FeeConfigResult>
+  updateNetworkFee(options: ClientCallOptions<UpdateFeeOptions>): Promise<UpdateFeeResult>
+  updateRevokeFee(options: ClientCallOptions<UpdateFeeOptions>): Promise<UpdateFeeResult>
+  loadStats(options?: ClientCallOptions<AdminInstructionOptions>): Promise<LoadStatsResult>
+}
+
+/**
+ * Sets a custom logger function to capture log messages of every function called without a logger option
+ * @param loggerFunction Function that will receive log messages (null restores the console)
+ */
+export function setCustomLogger(loggerFunction: LoggerFunction | null): void
+
+/**
+ * Changes the global logging settings
+ */
+export function configureLogger(settings: LoggerSettings): void
+
+/**
+ * Creates a logger, e.g. to pass as the logger option with fields of your own
+ */
+export function createLogger(settings?: LoggerSettings & { fields?: Record<string, any> }): Logger
+
+/**
+ * Clusters with a preset
+ */
+export type ClusterName = "localnet" | "devnet" | "testnet" | "mainnet-beta"
+
+/**
+ * Settings of a cluster. {rpcEndpoint} in explorerQuery is replaced by the endpoint in use
+ */
+export interface ClusterPreset {
+  rpcEndpoint: string
+  programId: string
+  explorerUrl: string
+  explorerQuery: string
+}
+
+/**
+ * Presets of the clusters. They all use DEFAULT_PROGRAM_ID: the program is deployed with the same ID on every cluster
+ * (on localnet, deploy it with that ID or set programId in the config file)
+ */
+export const CLUSTERS: Record<ClusterName, ClusterPreset>
+
+/**
+ * Contents of mintme.config.json or .mintmerc
+ */
+export interface MintMeConfigFile {
+  cluster?: ClusterName | string
+  commitment?: SendCommitment
+  idl?: string | object
+  walletPath?: string
+  /**
+   * Settings of each cluster, over the presets. Clusters without a preset need an rpcEndpoint
+   */
+  clusters?: Record<string, Partial<ClusterPreset>>
+}
+
+/**
+ * Options resolved by resolveConfig
+ */
+export interface ConfigOptions {
+  cluster?: ClusterName | string
+  connection?: string | Connection
+  rpcEndpoint?: string
+  programId?: string | PublicKey
+  explorerUrl?: string
+  explorerQuery?: string
+  commitment?: SendCommitment
+  idl?: string | object
+  walletPath?: string
+  /**
+   * Config file (default: MINTME_CONFIG, then mintme.config.json or .mintmerc in the working directory), false to skip
+   * it
+   */
+  configPath?: string | false
+  [key: string]: any
+}
+
+/**
+ * Configuration returned by resolveConfig: the options, with the settings resolved
+ */
+export interface ResolvedConfig extends Omit<ConfigOptions, "configPath"> {
+  cluster: string
+  connection: string | Connection
+  rpcEndpoint: string
+  programId: string | PublicKey
+  explorerUrl: string
+  explorerQuery: string
+  commitment: SendCommitment
+  idl?: string | object
+  walletPath: string
+  /**
+   * Config file read, null if there was none
+   */
+  configPath: string | null
+}
+
+/**
+ * Resolves the settings of an operation: the cluster preset, then the config file, then the environment variables
+ * (MINTME_CLUSTER, MINTME_RPC_URL, MINTME_PROGRAM_ID, MINTME_EXPLORER_URL, MINTME_COMMITMENT, MINTME_IDL,
+ * MINTME_WALLET_PATH), then the options. MINTME_RPC_URL, MINTME_PROGRAM_ID and MINTME_EXPLORER_URL only apply to the
+ * cluster of MINTME_CLUSTER, or to the default cluster when it is not set
+ * @throws ValidationError if the config file is invalid, or the cluster is unknown and has no RPC endpoint
+ */
+export function resolveConfig(options?: ConfigOptions): ResolvedConfig
 
 /**
- * Sets a custom logger function to capture log messages
- * @param loggerFunction Function that will receive log messages
+ * Returns the explorer link of a transaction or an address
+ * @param config Configuration returned by resolveConfig, options to resolve, or a cluster name
  */
-export function setCustomLogger(loggerFunction: LoggerFunction): void
+export function getExplorerUrl(
+  type: "tx" | "address",
+  value: string | PublicKey,
+  config?: ResolvedConfig | ConfigOptions | string,
+): string
 
 // Export as default and named export for maximum compatibility
 export default {
   createToken,
   createTokenSimple,
+  revokeAuthority,
+  buildCreateTokenTransaction,
+  createToken2022,
+  buildCreateToken2022Transaction,
+  getTokenInfo,
+  updateTokenMetadata,
+  makeMetadataImmutable,
+  mintMoreTokens,
+  burnTokens,
+  freezeAccount,
+  thawAccount,
+  freezeAccounts,
+  thawAccounts,
+  distributeTokens,
+  buildMetadataJson,
+  uploadMetadata,
+  validateUri,
+  createFileSystemStorage,
+  createMemoryStorage,
+  createHttpStorage,
+  buildRevokeAuthorityTransaction,
+  setAuthority,
+  createMultisig,
+  cosignTransaction,
+  sendCosignedTransaction,
+  getFeeQuote,
+  getFeeConfig,
+  updateNetworkFee,
+  updateRevokeFee,
+  loadStats,
+  MintMeError,
+  ValidationError,
+  WalletError,
+  InsufficientBalanceError,
+  RpcError,
+  ProgramError,
+  parseProgramErrorLogs,
+  ProgressEvent,
   setCustomLogger,
+  configureLogger,
+  createLogger,
+  CLUSTERS,
+  resolveConfig,
+  getExplorerUrl,
+  MintMeClient,
 }
@@ -0,0 +1,394 @@
+/**
+ * MintMe client: the connection, signer, program and settings shared by a series of operations
+ * @module mintme-client
+ */
+
+const solanaWeb3 = require("@solana/web3.js")
+const anchor = require("@project-serum/anchor")
+const walletUtils = require("./utils/wallet")
+const idlUtils = require("./utils/idl")
+const errorUtils = require("./utils/errors")
+const configUtils = require("./utils/config")
+const tokenCreator = require("./token/creator")
+const tokenAuthority = require("./token/authority")
+const tokenFees = require("./token/fees")
+const tokenAdmin = require("./token/admin")
+const tokenBatch = require("./token/batch")
+const tokenInfo = require("./token/info")
+const tokenUpdater = require("./token/updater")
+const tokenSupply = require("./token/supply")
+const tokenDistribution = require("./token/distribution")
+const tokenFreeze = require("./token/freeze")
+const tokenMultisig = require("./token/multisig")
+
+/**
+ * Client built once and shared by the operations of an application. It loads the IDL and builds the Anchor program a
+ * single time, and works with its own provider: the global Anchor provider is never changed, so clients with
+ * different signers can run side by side.
+ *
+ * Each method takes the options of the function of the same name; the client fills in connection, payer, programId,
+ * idl, commitment and logger, and the options of the call take precedence. The settings not given to the client come
+ * from the cluster preset, the config file and the environment (see resolveConfig).
+ */
+class MintMeClient {
+  /**
+   * @param {Object} [options] - Client settings
+   * @param {string|solanaWeb3.Connection} [options.connection] - RPC endpoint or Connection (default: the public
+   *   endpoint of the cluster)
+   * @param {solanaWeb3.Keypair|Object} [options.signer] - Keypair or wallet (publicKey and signTransaction) that signs
+   *   and pays. Without a signer, the client can only read and build unsigned transactions
+   * @param {string|solanaWeb3.PublicKey} [options.programId] - MintMe program ID (default: the program ID of the
+   *   cluster)
+   * @param {string|Object} [options.idl] - Program IDL (URL, object, or path, optional)
+   * @param {string} [options.cluster="devnet"] - Solana cluster: "localnet", "devnet", "testnet" or "mainnet-beta"
+   * @param {string} [options.commitment="confirmed"] - Commitment of the reads and of the confirmations
+   * @param {string|boolean} [options.configPath] - Config file (see resolveConfig), false to skip it
+   * @param {Function} [options.logger] - Logger of every operation (see createLogger)
+   * @param {Object} [options.defaults] - Options added to every operation (e.g. { priorityFee: "auto" })
+   * @throws {ValidationError|WalletError} - If the configuration, the program ID or the signer is invalid
+   */
+  constructor(options) {
+    const settings = options || {}
+    const config = configUtils.resolveConfig({
+      cluster: settings.cluster,
+      connection: settings.connection,
+      programId: settings.programId,
+      commitment: settings.commitment,
+      idl: settings.idl,
+      configPath: settings.configPath,
+    })
+
+    this.config = config
+    this.cluster = config.cluster
+    this.commitment = config.commitment
+    try {
+      this.programId = walletUtils.toPublicKey(config.programId)
+    } catch (error) {
+      throw new errorUtils.ValidationError(`Invalid programId: ${error.message}`, { cause: error })
+    }
+    this.idlSource = config.idl || null
+    this.logger = settings.logger
+    this.defaults = Object.assign({}, settings.defaults)
+
+    this.connection =
+      typeof config.connection === "string"
+        ? new solanaWeb3.Connection(config.connection, this.commitment)
+        : config.connection
+
+    // Checked now rather than on the first operation
+    this.signer = settings.signer || null
+    this.wallet = this.signer ? walletUtils.toWallet(this.signer) : null
+
+    this.idlPromise = null
+    this.programPromise = null
+  }
+
+  /**
+   * @returns {solanaWeb3.PublicKey|null} - Public key of the signer
+   */
+  get publicKey() {
+    return this.wallet ? this.wallet.publicKey : null
+  }
+
+  /**
+   * Returns the explorer link of a transaction or an address on the cluster of the client
+   * @param {string} type - "tx" or "address"
+   * @param {string|solanaWeb3.PublicKey} value - Transaction signature or address
+   * @returns {string}
+   */
+  getExplorerUrl(type, value) {
+    return configUtils.getExplorerUrl(type, value, this.config)
+  }
+
+  /**
+   * Loads the IDL once. A failed load is not cached, the next call tries again
+   * @returns {Promise<Object>} - The program IDL
+   */
+  getIDL() {
+    if (!this.idlPromise) {
+      this.idlPromise = idlUtils.loadIDL(this.idlSource).catch((error) => {
+        this.idlPromise = null
+        throw error
+      })
+    }
+    return this.idlPromise
+  }
+
+  /**
+   * Builds the Anchor program once, on a provider of its own
+   * @returns {Promise<anchor.Program>}
+   */
+  getProgram() {
+    if (!this.programPromise) {
+      this.programPromise = this.getIDL().then((idl) => {
+        const wallet = this.wallet || walletUtils.createReadOnlyWallet(solanaWeb3.PublicKey.default)
+        const provider = new anchor.AnchorProvider(this.connection, wallet, { commitment: this.commitment })
+        return new anchor.Program(idl, this.programId, provider)
+      })
+      this.programPromise.catch(() => {
+        this.programPromise = null
+      })
+    }
+    return this.programPromise
+  }
+
+  /**
+   * Options of an operation: the client settings, the defaults, then the options of the call.
+   * The cached program is only passed on when the call keeps the program ID and IDL of the client. If the IDL cannot
+   * be loaded, the operation loads it itself and reports the failure in its result, as when it is called directly
+   * @param {Object} [options] - Options of the call
+   * @param {Object} [signer] - How the operation takes the signer: { field, publicKeyOnly }
+   * @returns {Promise<Object>}
+   */
+  withSettings(options, signer) {
+    const callOptions = options || {}
+    return this.getProgram().then(
+      (program) => this.mergeSettings(callOptions, signer, program),
+      () => this.mergeSettings(callOptions, signer, null),
+    )
+  }
+
+  /**
+   * Merges the options of an operation (see withSettings)
+   * @param {Object} callOptions - Options of the call
+   * @param {Object} [signer] - See withSettings
+   * @param {anchor.Program|null} program - Cached program, if it could be built
+   * @returns {Object}
+   */
+  mergeSettings(callOptions, signer, program) {
+    const overrides = Object.assign({}, this.defaults, callOptions)
+    const settings = {
+      connection: this.connection,
+      programId: this.programId,
+      idl: program ? program.idl : this.idlSource,
+      commitment: this.commitment,
+      cluster: this.cluster,
+    }
+    if (program && overrides.programId === undefined && overrides.idl === undefined) {
+      settings.program = program
+    }
+    if (this.logger) {
+      settings.logger = this.logger
+    }
+    if (signer && this.wallet) {
+      settings[signer.field] = signer.publicKeyOnly ? this.wallet.publicKey : this.signer
+    }
+    return Object.assign(settings, overrides)
+  }
+
+  /**
+   * Creates a token (see createToken)
+   * @param {Object} options - Options of createToken, except connection and payer
+   * @returns {Promise<Object>}
+   */
+  createToken(options) {
+    return this.withSettings(options, { field: "payer" }).then((settings) => tokenCreator.createToken(settings))
+  }
+
+  /**
+   * Builds an unsigned token creation transaction for the signer (see buildCreateTokenTransaction)
+   * @param {Object} options - Options of buildCreateTokenTransaction
+   * @returns {Promise<Object>}
+   */
+  buildCreateTokenTransaction(options) {
+    return this.withSettings(options, { field: "payer", publicKeyOnly: true }).then((settings) =>
+      tokenCreator.buildCreateTokenTransaction(settings),
+    )
+  }
+
+  /**
+   * Creates tokens from a manifest (see createTokensBatch)
+   * @param {string|Object[]} manifest - Path of a CSV/JSON manifest, or rows
+   * @param {Object} [options] - Options of createTokensBatch
+   * @returns {Promise<Object>}
+   */
+  createTokensBatch(manifest, options) {
+    return this.withSettings(options, { field: "payer" }).then((settings) =>
+      tokenBatch.createTokensBatch(manifest, settings),
+    )
+  }
+
+  /**
+   * Revokes mint and/or freeze authorities (see revokeAuthority)
+   * @param {Object} options - Options of revokeAuthority
+   * @returns {Promise<Object>}
+   */
+  revokeAuthority(options) {
+    return this.withSettings(options, { field: "payer" }).then((settings) => tokenAuthority.revokeAuthority(settings))
+  }
+
+  /**
+   * Builds an unsigned revocation transaction for the signer (see buildRevokeAuthorityTransaction)
+   * @param {Object} options - Options of buildRevokeAuthorityTransaction
+   * @returns {Promise<Object>}
+   */
+  buildRevokeAuthorityTransaction(options) {
+    return this.withSettings(options, { field: "payer", publicKeyOnly: true }).then((settings) =>
+      tokenAuthority.buildRevokeAuthorityTransaction(settings),
+    )
+  }
+
+  /**
+   * Transfers the mint or freeze authority (see setAuthority)
+   * @param {Object} options - Options of setAuthority
+   * @returns {Promise<Object>}
+   */
+  setAuthority(options) {
+    return this.withSettings(options, { field: "payer" }).then((settings) => tokenAuthority.setAuthority(settings))
+  }
+
+  /**
+   * Mints more tokens (see mintMoreTokens)
+   * @param {Object} options - Options of mintMoreTokens
+   * @returns {Promise<Object>}
+   */
+  mintMoreTokens(options) {
+    return this.withSettings(options, { field: "payer" }).then((settings) => tokenSupply.mintMoreTokens(settings))
+  }
+
+  /**
+   * Burns tokens of the signer (see burnTokens)
+   * @param {Object} options - Options of burnTokens
+   * @returns {Promise<Object>}
+   */
+  burnTokens(options) {
+    return this.withSettings(options, { field: "payer" }).then((settings) => tokenSupply.burnTokens(settings))
+  }
+
+  /**
+   * Sends tokens to many wallets (see distributeTokens)
+   * @param {Object} options - Options of distributeTokens
+   * @returns {Promise<Object>}
+   */
+  distributeTokens(options) {
+    return this.withSettings(options, { field: "payer" }).then((settings) =>
+      tokenDistribution.distributeTokens(settings),
+    )
+  }
+
+  /**
+   * Freezes a token account (see freezeAccount)
+   * @param {Object} options - Options of freezeAccount
+   * @returns {Promise<Object>}
+   */
+  freezeAccount(options) {
+    return this.withSettings(options, { field: "payer" }).then((settings) => tokenFreeze.freezeAccount(settings))
+  }
+
+  /**
+   * Thaws a token account (see thawAccount)
+   * @param {Object} options - Options of thawAccount
+   * @returns {Promise<Object>}
+   */
+  thawAccount(options) {
+    return this.withSettings(options, { field: "payer" }).then((settings) => tokenFreeze.thawAccount(settings))
+  }
+
+  /**
+   * Freezes many token accounts (see freezeAccounts)
+   * @param {Object} options - Options of freezeAccounts
+   * @returns {Promise<Object>}
+   */
+  freezeAccounts(options) {
+    return this.withSettings(options, { field: "payer" }).then((settings) => tokenFreeze.freezeAccounts(settings))
+  }
+
+  /**
+   * Thaws many token accounts (see thawAccounts)
+   * @param {Object} options - Options of thawAccounts
+   * @returns {Promise<Object>}
+   */
+  thawAccounts(options) {
+    return this.withSettings(options, { field: "payer" }).then((settings) => tokenFreeze.thawAccounts(settings))
+  }
+
+  /**
+   * Updates the metadata of a token (see updateTokenMetadata)
+   * @param {Object} options - Options of updateTokenMetadata
+   * @returns {Promise<Object>}
+   */
+  updateTokenMetadata(options) {
+    return this.withSettings(options, { field: "payer" }).then((settings) =>
+      tokenUpdater.updateTokenMetadata(settings),
+    )
+  }
+
+  /**
+   * Makes the metadata of a token immutable (see makeMetadataImmutable)
+   * @param {Object} options - Options of makeMetadataImmutable
+   * @returns {Promise<Object>}
+   */
+  makeMetadataImmutable(options) {
+    return this.withSettings(options, { field: "payer" }).then((settings) =>
+      tokenUpdater.makeMetadataImmutable(settings),
+    )
+  }
+
+  /**
+   * Creates an SPL multisig paid by the signer (see createMultisig)
+   * @param {Object} options - Options of createMultisig
+   * @returns {Promise<Object>}
+   */
+  createMultisig(options) {
+    return this.withSettings(options, { field: "payer" }).then((settings) => tokenMultisig.createMultisig(settings))
+  }
+
+  /**
+   * Reads the current state of a token (see getTokenInfo)
+   * @param {Object|string} options - Options of getTokenInfo, or the mint address
+   * @returns {Promise<Object>}
+   */
+  getTokenInfo(options) {
+    const callOptions = typeof options === "string" ? { mint: options } : options
+    return this.withSettings(callOptions).then((settings) => tokenInfo.getTokenInfo(settings))
+  }
+
+  /**
+   * Quotes the cost of an operation (see getFeeQuote)
+   * @param {Object} [options] - Options of getFeeQuote
+   * @returns {Promise<Object>}
+   */
+  getFeeQuote(options) {
+    return this.withSettings(options).then((settings) => tokenFees.getFeeQuote(settings))
+  }
+
+  /**
+   * Reads the fee configuration of the program (see getFeeConfig)
+   * @param {Object} [options] - Options of getFeeConfig
+   * @returns {Promise<Object>}
+   */
+  getFeeConfig(options) {
+    return this.withSettings(options).then((settings) => tokenAdmin.getFeeConfig(settings))
+  }
+
+  /**
+   * Changes the creation fee; the signer must be the program admin (see updateNetworkFee)
+   * @param {Object} options - Options of updateNetworkFee
+   * @returns {Promise<Object>}
+   */
+  updateNetworkFee(options) {
+    return this.withSettings(options, { field: "admin" }).then((settings) => tokenAdmin.updateNetworkFee(settings))
+  }
+
+  /**
+   * Changes the revocation fee; the signer must be the program admin (see updateRevokeFee)
+   * @param {Object} options - Options of updateRevokeFee
+   * @returns {Promise<Object>}
+   */
+  updateRevokeFee(options) {
+    return this.withSettings(options, { field: "admin" }).then((settings) => tokenAdmin.updateRevokeFee(settings))
+  }
+
+  /**
+   * Runs loadStats on the fee vault; the signer must be the program admin (see loadStats)
+   * @param {Object} [options] - Options of loadStats
+   * @returns {Promise<Object>}
+   */
+  loadStats(options) {
+    return this.withSettings(options, { field: "admin" }).then((settings) => tokenAdmin.loadStats(settings))
+  }
+}
+
+module.exports = {
+  MintMeClient,
+}
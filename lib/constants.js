@@ -11,10 +11,60 @@ const TOKEN_METADATA_PROGRAM_ID = new solanaWeb3.PublicKey(
 const DEFAULT_PROGRAM_ID = "4eujMtc4dqftZ2ZZQbH4RAMK7mjf9DGpRMpWhLxYr7hB";
 const PAYMENT_SEED = "payment_fixed";
 const DEFAULT_IDL_PATH = "./lib/idl.json";
+const NETWORK_FEE_CONFIG_SEED = "network_fee_config";
+const REVOKE_FEE_CONFIG_SEED = "revoke_fee_config";
+// Size of a Metaplex metadata account (MAX_METADATA_LEN)
+const METADATA_ACCOUNT_SIZE = 679;
+// Base network fee charged per transaction signature
+const LAMPORTS_PER_SIGNATURE = 5000;
+
+// Cluster presets: RPC endpoint, MintMe program ID and explorer links of each cluster.
+// Every preset uses DEFAULT_PROGRAM_ID: the program is deployed with the same ID on every cluster
+// (on localnet, deploy it with that ID). A config file can point a cluster to another deployment.
+// {rpcEndpoint} in explorerQuery is replaced by the endpoint in use
+const CLUSTERS = {
+  localnet: {
+    rpcEndpoint: "http://127.0.0.1:8899",
+    programId: DEFAULT_PROGRAM_ID,
+    explorerUrl: "https://explorer.solana.com",
+    explorerQuery: "?cluster=custom&customUrl={rpcEndpoint}",
+  },
+  devnet: {
+    rpcEndpoint: "https://api.devnet.solana.com",
+    programId: DEFAULT_PROGRAM_ID,
+    explorerUrl: "https://explorer.solana.com",
+    explorerQuery: "?cluster=devnet",
+  },
+  testnet: {
+    rpcEndpoint: "https://api.testnet.solana.com",
+    programId: DEFAULT_PROGRAM_ID,
+    explorerUrl: "https://explorer.solana.com",
+    explorerQuery: "?cluster=testnet",
+  },
+  "mainnet-beta": {
+    rpcEndpoint: "https://api.mainnet-beta.solana.com",
+    programId: DEFAULT_PROGRAM_ID,
+    explorerUrl: "https://explorer.solana.com",
+    explorerQuery: "",
+  },
+};
+// Other names accepted for the clusters
+const CLUSTER_ALIASES = {
+  localhost: "localnet",
+  mainnet: "mainnet-beta",
+};
+const DEFAULT_CLUSTER = "devnet";
 
 module.exports = {
   TOKEN_METADATA_PROGRAM_ID,
   DEFAULT_PROGRAM_ID,
   PAYMENT_SEED,
   DEFAULT_IDL_PATH,
+  NETWORK_FEE_CONFIG_SEED,
+  REVOKE_FEE_CONFIG_SEED,
+  METADATA_ACCOUNT_SIZE,
+  LAMPORTS_PER_SIGNATURE,
+  CLUSTERS,
+  CLUSTER_ALIASES,
+  DEFAULT_CLUSTER,
 };
@@ -34,27 +34,100 @@
   const idlUtils = require("./utils/idl")
   const tokenCreator = require("./token/creator")
   const tokenAuthority = require("./token/authority")
+  const tokenFees = require("./token/fees")
+  const tokenAdmin = require("./token/admin")
+  const tokenBatch = require("./token/batch")
+  const token2022 = require("./token/token2022")
+  const tokenMetadata = require("./token/metadata")
+  const tokenInfo = require("./token/info")
+  const tokenUpdater = require("./token/updater")
+  const tokenSupply = require("./token/supply")
+  const tokenDistribution = require("./token/distribution")
+  const tokenFreeze = require("./token/freeze")
+  const tokenMultisig = require("./token/multisig")
   const conversionUtils = require("./utils/conversion")
   const validationUtils = require("./utils/validation")
+  const transactionUtils = require("./utils/transaction")
+  const storageUtils = require("./utils/storage")
+  const errorUtils = require("./utils/errors")
+  const progressUtils = require("./utils/progress")
+  const loggerUtils = require("./utils/logger")
+  const configUtils = require("./utils/config")
+  const mintmeClient = require("./client")
 
   // Export public functions
   return {
+    // Client sharing a connection, a signer and a program between operations
+    MintMeClient: mintmeClient.MintMeClient,
+
     // Main functions
     createToken: tokenCreator.createToken,
     createTokenSimple: tokenCreator.createTokenSimple,
+    buildCreateTokenTransaction: tokenCreator.buildCreateTokenTransaction,
+
+    // Token-2022 functions
+    createToken2022: token2022.createToken2022,
+    buildCreateToken2022Transaction: token2022.buildCreateToken2022Transaction,
+
+    // Batch functions
+    createTokensBatch: tokenBatch.createTokensBatch,
+    loadManifest: tokenBatch.loadManifest,
+    validateManifest: tokenBatch.validateManifest,
+    distributeTokens: tokenDistribution.distributeTokens,
 
     // Authority management functions
     revokeAuthority: tokenAuthority.revokeAuthority,
     revokeAuthoritySimple: tokenAuthority.revokeAuthoritySimple,
+    buildRevokeAuthorityTransaction: tokenAuthority.buildRevokeAuthorityTransaction,
+    setAuthority: tokenAuthority.setAuthority,
     revokeFreezeAuthoritySimple: tokenAuthority.revokeFreezeAuthoritySimple,
     simpleRevokeMintAuthority: tokenAuthority.simpleRevokeMintAuthority,
-    setCustomLogger: tokenAuthority.setCustomLogger,
+
+    // Multisig functions
+    createMultisig: tokenMultisig.createMultisig,
+    cosignTransaction: tokenMultisig.cosignTransaction,
+    sendCosignedTransaction: tokenMultisig.sendCosignedTransaction,
+
+    // Token state functions
+    getTokenInfo: tokenInfo.getTokenInfo,
+    updateTokenMetadata: tokenUpdater.updateTokenMetadata,
+    makeMetadataImmutable: tokenUpdater.makeMetadataImmutable,
+    mintMoreTokens: tokenSupply.mintMoreTokens,
+    burnTokens: tokenSupply.burnTokens,
+    freezeAccount: tokenFreeze.freezeAccount,
+    thawAccount: tokenFreeze.thawAccount,
+    freezeAccounts: tokenFreeze.freezeAccounts,
+    thawAccounts: tokenFreeze.thawAccounts,
+
+    // Metadata functions
+    buildMetadataJson: tokenMetadata.buildMetadataJson,
+    uploadMetadata: tokenMetadata.uploadMetadata,
+    createFileSystemStorage: storageUtils.createFileSystemStorage,
+    createMemoryStorage: storageUtils.createMemoryStorage,
+    createHttpStorage: storageUtils.createHttpStorage,
+
+    // Fee functions
+    getFeeQuote: tokenFees.getFeeQuote,
+
+    // Admin functions
+    getFeeConfig: tokenAdmin.getFeeConfig,
+    updateNetworkFee: tokenAdmin.updateNetworkFee,
+    updateRevokeFee: tokenAdmin.updateRevokeFee,
+    loadStats: tokenAdmin.loadStats,
 
     // PDA utilities
     derivePaymentPDA: pdaUtils.derivePaymentPDA,
     deriveMintPDA: pdaUtils.deriveMintPDA,
     deriveTokenAccount: pdaUtils.deriveTokenAccount,
     deriveMetadataAccount: pdaUtils.deriveMetadataAccount,
+    deriveNetworkFeeConfigPDA: pdaUtils.deriveNetworkFeeConfigPDA,
+    deriveRevokeFeeConfigPDA: pdaUtils.deriveRevokeFeeConfigPDA,
+    generateUniqueKey: pdaUtils.generateUniqueKey,
+
+    // Transaction utilities
+    TransactionStatus: transactionUtils.TransactionStatus,
+    sendAndConfirmTransaction: transactionUtils.sendAndConfirmTransaction,
+    confirmTransaction: transactionUtils.confirmTransaction,
 
     // Wallet utilities
     verifyWalletFile: walletUtils.verifyWalletFile,
@@ -74,5 +147,27 @@
     validateUri: validationUtils.validateUri,
     validatePublicKey: validationUtils.validatePublicKey,
     validateTokenCreationParams: validationUtils.validateTokenCreationParams,
+
+    // Error classes
+    MintMeError: errorUtils.MintMeError,
+    ValidationError: errorUtils.ValidationError,
+    WalletError: errorUtils.WalletError,
+    InsufficientBalanceError: errorUtils.InsufficientBalanceError,
+    RpcError: errorUtils.RpcError,
+    ProgramError: errorUtils.ProgramError,
+    parseProgramErrorLogs: errorUtils.parseProgramErrorLogs,
+
+    // Lifecycle events
+    ProgressEvent: progressUtils.ProgressEvent,
+
+    // Logging
+    setCustomLogger: loggerUtils.setCustomLogger,
+    configureLogger: loggerUtils.configureLogger,
+    createLogger: loggerUtils.createLogger,
+
+    // Configuration
+    CLUSTERS: constants.CLUSTERS,
+    resolveConfig: configUtils.resolveConfig,
+    getExplorerUrl: configUtils.getExplorerUrl,
   }
 })
@@ -0,0 +1,376 @@
+/**
+ * Functions for the admin of a MintMe program: fee configuration and fee vault
+ * @module token-admin-utils
+ */
+
+const solanaWeb3 = require("@solana/web3.js")
+const anchor = require("@project-serum/anchor")
+const walletUtils = require("../utils/wallet")
+const pdaUtils = require("../utils/pda")
+const idlUtils = require("../utils/idl")
+const configUtils = require("../utils/config")
+const conversionUtils = require("../utils/conversion")
+const transactionUtils = require("../utils/transaction")
+const errorUtils = require("../utils/errors")
+const loggerUtils = require("../utils/logger")
+const tokenFees = require("./fees")
+
+// Program error returned when the signer is not the admin of the program. Matched by name: its code is 6008 in the
+// embedded IDL (fee instructions) and 6007 in lib/idl.json (loadStats), and errors are decoded with the IDL that
+// defines the instruction
+const UNAUTHORIZED_ADMIN = "UnauthorizedAdmin"
+// Largest value of a u64
+const MAX_U64 = BigInt("18446744073709551615")
+
+/**
+ * Loads an IDL that defines an admin instruction. Without an idl option, the default IDL is tried first,
+ * then the embedded IDL (updateNetworkFee, updateRevokeFee) and lib/idl.json (loadStats)
+ * @param {string|Object} [idlSource] - Program IDL (URL, object, or path)
+ * @param {string} instructionName - Admin instruction
+ * @returns {Promise<Object>} - The IDL
+ */
+function loadAdminIDL(idlSource, instructionName) {
+  const defines = (idl) => (idl.instructions || []).some((instruction) => instruction.name === instructionName)
+
+  return idlUtils.loadIDL(idlSource || null).then((idl) => {
+    if (defines(idl)) {
+      return idl
+    }
+    if (idlSource) {
+      throw new errorUtils.ValidationError(`The IDL does not define the ${instructionName} instruction`)
+    }
+    return [idlUtils.EMBEDDED_IDL, require("../idl.json")].find(defines)
+  })
+}
+
+/**
+ * Reads the fee configuration of a MintMe program
+ * @param {Object} options - Read options
+ * @param {solanaWeb3.Connection} options.connection - Solana connection
+ * @param {string|solanaWeb3.PublicKey} [options.programId] - Program ID (default: the program ID of the cluster)
+ * @param {string} [options.cluster] - Cluster whose program ID is used without programId (see resolveConfig)
+ * @param {string|Object} [options.idl] - Program IDL (URL, object, or path, optional)
+ * @returns {Promise<Object>} - { success, programId, networkFeeConfig, revokeFeeConfig, createFee, createFeeSol,
+ *   revokeFee, revokeFeeSol }. Fees are in lamports; revokeFee is null when the revokeFeeConfig account does not exist
+ */
+function getFeeConfig(options) {
+  if (!options || !options.connection) {
+    return Promise.reject(new errorUtils.ValidationError("A Solana connection is required"))
+  }
+
+  let programId
+  try {
+    programId = configUtils.resolveProgramId(options)
+  } catch (error) {
+    return Promise.reject(error)
+  }
+
+  return idlUtils
+    .loadIDL(options.idl || null)
+    .then((idl) => tokenFees.fetchFeeConfig(options.connection, programId, idl))
+    .then((feeConfig) => ({
+      success: true,
+      programId: programId.toString(),
+      networkFeeConfig: feeConfig.address.toString(),
+      revokeFeeConfig: feeConfig.revokeAddress.toString(),
+      createFee: feeConfig.createFee,
+      createFeeSol: conversionUtils.lamportsToSol(feeConfig.createFee),
+      revokeFee: feeConfig.revokeFee,
+      revokeFeeSol: feeConfig.revokeFee === null ? null : conversionUtils.lamportsToSol(feeConfig.revokeFee),
+    }))
+    .catch((error) => ({
+      success: false,
+      error: error.message,
+      details: errorUtils.toMintMeError(error),
+    }))
+}
+
+/**
+ * Replaces the message of an UnauthorizedAdmin failure with one that names the signer and the program
+ * @param {Object} result - Result of executeInstructions
+ * @param {solanaWeb3.PublicKey} admin - Signer
+ * @param {solanaWeb3.PublicKey} programId - Program ID
+ * @returns {Object} - The result, flagged unauthorizedAdmin when the signer is not the admin
+ */
+function explainAdminError(result, admin, programId) {
+  if (!result.programError || result.programError.name !== UNAUTHORIZED_ADMIN) {
+    return result
+  }
+  result.unauthorizedAdmin = true
+  result.programError.message =
+    `${admin.toString()} is not the admin of program ${programId.toString()} (${UNAUTHORIZED_ADMIN}, ` +
+    `error ${result.programError.code}). Sign with the admin wallet of the program`
+  if (result.error) {
+    result.error = result.programError.message
+  }
+  return result
+}
+
+/**
+ * Builds and runs an admin instruction of the program
+ * @param {Object} options - Options of the public function
+ * @param {string} instructionName - Instruction in the IDL
+ * @param {Array} args - Instruction arguments
+ * @param {Function} getAccounts - Called with (admin, programId), resolves the instruction accounts
+ * @returns {Promise<Object>} - { result, admin, programId, idl } (result of executeInstructions)
+ */
+function runAdminInstruction(options, instructionName, args, getAccounts) {
+  const logger = loggerUtils.forOperation(options.logger, instructionName)
+
+  let wallet
+  let programId
+  let commitment
+  try {
+    wallet = walletUtils.toWallet(options.admin)
+    programId = configUtils.resolveProgramId(options, logger)
+    commitment = transactionUtils.resolveCommitment(options.commitment)
+  } catch (error) {
+    return Promise.reject(error)
+  }
+
+  // Local provider only, the global Anchor provider is left untouched
+  const provider = new anchor.AnchorProvider(options.connection, wallet, { commitment: commitment })
+  let idl
+
+  return loadAdminIDL(options.idl, instructionName)
+    .then((loaded) => {
+      idl = loaded
+      return getAccounts(wallet.publicKey, programId)
+    })
+    .then((accounts) => {
+      const program = new anchor.Program(idl, programId, provider)
+      return program.methods[instructionName](...args)
+        .accounts(accounts)
+        .instruction()
+    })
+    .then((instruction) =>
+      transactionUtils.executeInstructions({
+        connection: options.connection,
+        wallet: wallet,
+        instructions: [instruction],
+        simulate: options.simulate,
+        priorityFee: options.priorityFee,
+        computeUnitLimit: options.computeUnitLimit,
+        commitment: commitment,
+        skipPreflight: options.skipPreflight,
+        rebroadcastInterval: options.rebroadcastInterval,
+        idl: idl,
+        logger: logger,
+      }),
+    )
+    .then((result) => ({
+      result: explainAdminError(result, wallet.publicKey, programId),
+      admin: wallet.publicKey,
+      programId: programId,
+      idl: idl,
+    }))
+}
+
+/**
+ * Validates the options of updateNetworkFee / updateRevokeFee
+ * @param {Object} options - Options
+ * @returns {Error|null} - The error, if an option is invalid
+ */
+function checkFeeOptions(options) {
+  if (!options || !options.connection) {
+    return new errorUtils.ValidationError("A Solana connection is required")
+  }
+  if (!options.admin) {
+    return new errorUtils.WalletError("The admin (wallet or keypair) is required")
+  }
+  if (options.feeLamports === undefined || options.feeLamports === null) {
+    return new errorUtils.ValidationError("The new fee (feeLamports) is required")
+  }
+  if (!/^\d+$/.test(String(options.feeLamports)) || BigInt(String(options.feeLamports)) > MAX_U64) {
+    return new errorUtils.ValidationError(`Invalid fee: ${options.feeLamports}. Must be a whole number of lamports`)
+  }
+  return null
+}
+
+/**
+ * Changes one of the program fees, then reads the configuration back to verify it
+ * @param {Object} options - Options of updateNetworkFee / updateRevokeFee
+ * @param {string} fee - "create" or "revoke"
+ * @returns {Promise<Object>} - Result of the update
+ */
+function updateFee(options, fee) {
+  const error = checkFeeOptions(options)
+  if (error) {
+    return Promise.reject(error)
+  }
+
+  const instructionName = fee === "create" ? "updateNetworkFee" : "updateRevokeFee"
+  const logger = loggerUtils.forOperation(options.logger, instructionName)
+  const field = fee === "create" ? "createFee" : "revokeFee"
+  const newFee = Number(options.feeLamports)
+  let adminOptions
+  let config
+  let previousFee = null
+
+  // The fee configuration is read with the IDL that defines the instruction, before and after the update
+  return loadAdminIDL(options.idl, instructionName)
+    .then((idl) => {
+      adminOptions = Object.assign({}, options, { idl: idl, logger: logger })
+      return getFeeConfig(adminOptions)
+    })
+    .then((current) => {
+      // The configuration may be missing or unreadable with this IDL: the update can still go through
+      if (current.success) {
+        previousFee = current[field]
+        logger(`Current ${fee} fee: ${previousFee} lamports`)
+      }
+      if (options.simulate) {
+        logger(`Simulating ${instructionName} (nothing will be sent)...`)
+      } else {
+        logger(`Setting the ${fee} fee to ${newFee} lamports`)
+      }
+
+      const args = [new anchor.BN(String(options.feeLamports))]
+      return runAdminInstruction(adminOptions, instructionName, args, (admin, programId) => {
+        const derive = fee === "create" ? pdaUtils.deriveNetworkFeeConfigPDA : pdaUtils.deriveRevokeFeeConfigPDA
+        return derive(programId).then((configPDA) => {
+          config = configPDA.pda
+          return { config: config, admin: admin, systemProgram: solanaWeb3.SystemProgram.programId }
+        })
+      })
+    })
+    .then((run) => {
+      const result = Object.assign(run.result, {
+        programId: run.programId.toString(),
+        config: config.toString(),
+        fee: fee,
+        previousFee: previousFee,
+        newFee: newFee,
+      })
+      if (!result.success || result.simulated) {
+        if (!result.success) {
+          logger.error(`Error updating the ${fee} fee: ${result.error}`)
+        }
+        return result
+      }
+
+      // Read the configuration back: the fee must now be the new one
+      return getFeeConfig(adminOptions).then((updated) => {
+        result.verified = updated.success && updated[field] === newFee
+        if (result.verified) {
+          logger(`Verified: the ${fee} fee is now ${newFee} lamports`)
+        } else {
+          logger.warn(`Could not verify the new ${fee} fee: ${updated.success ? updated[field] : updated.error}`)
+        }
+        return result
+      })
+    })
+    .catch((failure) => {
+      logger.error(`Error updating the ${fee} fee: ${failure.message}`)
+      return {
+        success: false,
+        error: failure.message,
+        details: errorUtils.toMintMeError(failure),
+      }
+    })
+}
+
+/**
+ * Changes the fee the program charges to create a token (updateNetworkFee instruction).
+ * Only the admin of the program can sign it: any other signer fails with UnauthorizedAdmin (unauthorizedAdmin: true).
+ * @param {Object} options - Update options
+ * @param {solanaWeb3.Connection} options.connection - Solana connection
+ * @param {solanaWeb3.Keypair|Object} options.admin - Keypair or wallet of the program admin (pays the fees)
+ * @param {number|string} options.feeLamports - New fee, in lamports
+ * @param {string|solanaWeb3.PublicKey} [options.programId] - Program ID (default: the program ID of the cluster)
+ * @param {string} [options.cluster] - Cluster whose program ID is used without programId (see resolveConfig)
+ * @param {string|Object} [options.idl] - Program IDL defining the instruction (default: the embedded IDL)
+ * @param {boolean} [options.simulate=false] - Build and simulate the transaction without sending it
+ * @param {number|string|Object} [options.priorityFee] - Priority fee (see createToken)
+ * @param {number|string} [options.computeUnitLimit] - Compute unit limit (see createToken)
+ * @param {string} [options.commitment="confirmed"] - Commitment to wait for
+ * @param {Function} [options.logger] - Custom logger function
+ * @returns {Promise<Object>} - { success, status, programId, config, fee, previousFee, newFee, verified, txSignature,
+ *   unauthorizedAdmin }
+ */
+function updateNetworkFee(options) {
+  return updateFee(options, "create")
+}
+
+/**
+ * Changes the fee the program charges to revoke authorities (updateRevokeFee instruction)
+ * @param {Object} options - Same options as updateNetworkFee
+ * @returns {Promise<Object>} - Same result as updateNetworkFee
+ */
+function updateRevokeFee(options) {
+  return updateFee(options, "revoke")
+}
+
+/**
+ * Runs the admin-only loadStats instruction (lib/idl.json) on the fee vault of the program (payment PDA),
+ * reporting the vault balance before and after
+ * @param {Object} options - Options
+ * @param {solanaWeb3.Connection} options.connection - Solana connection
+ * @param {solanaWeb3.Keypair|Object} options.admin - Keypair or wallet of the program admin (pays the fees)
+ * @param {string|solanaWeb3.PublicKey} [options.programId] - Program ID (default: the program ID of the cluster)
+ * @param {string} [options.cluster] - Cluster whose program ID is used without programId (see resolveConfig)
+ * @param {string|Object} [options.idl] - Program IDL defining the instruction (default: lib/idl.json)
+ * @param {boolean} [options.simulate=false] - Build and simulate the transaction without sending it
+ * @param {number|string|Object} [options.priorityFee] - Priority fee (see createToken)
+ * @param {number|string} [options.computeUnitLimit] - Compute unit limit (see createToken)
+ * @param {string} [options.commitment="confirmed"] - Commitment to wait for
+ * @param {Function} [options.logger] - Custom logger function
+ * @returns {Promise<Object>} - { success, status, programId, vault, vaultBalanceBefore, vaultBalanceAfter, txSignature,
+ *   unauthorizedAdmin }. Balances are in lamports
+ */
+function loadStats(options) {
+  if (!options || !options.connection) {
+    return Promise.reject(new errorUtils.ValidationError("A Solana connection is required"))
+  }
+  if (!options.admin) {
+    return Promise.reject(new errorUtils.WalletError("The admin (wallet or keypair) is required"))
+  }
+
+  const logger = loggerUtils.forOperation(options.logger, "loadStats")
+  const connection = options.connection
+  let vault
+
+  return runAdminInstruction(Object.assign({}, options, { logger: logger }), "loadStats", [], (admin, programId) =>
+    pdaUtils.derivePaymentPDA(programId).then((paymentPDA) => {
+      vault = { address: paymentPDA.pda }
+      return connection.getBalance(paymentPDA.pda).then((balance) => {
+        vault.before = balance
+        return { tokenPda: paymentPDA.pda, admin: admin, systemProgram: solanaWeb3.SystemProgram.programId }
+      })
+    }),
+  )
+    .then((run) => {
+      const result = Object.assign(run.result, {
+        programId: run.programId.toString(),
+        vault: vault.address.toString(),
+        vaultBalanceBefore: vault.before,
+      })
+      if (!result.success || result.simulated) {
+        if (!result.success) {
+          logger.error(`Error running loadStats: ${result.error}`)
+        }
+        return result
+      }
+      const commitment = transactionUtils.resolveCommitment(options.commitment)
+      return connection.getBalance(vault.address, commitment).then((balance) => {
+        result.vaultBalanceAfter = balance
+        logger(`Fee vault ${result.vault}: ${vault.before} -> ${balance} lamports`)
+        return result
+      })
+    })
+    .catch((error) => {
+      logger.error(`Error running loadStats: ${error.message}`)
+      return {
+        success: false,
+        error: error.message,
+        details: errorUtils.toMintMeError(error),
+      }
+    })
+}
+
+module.exports = {
+  getFeeConfig,
+  updateNetworkFee,
+  updateRevokeFee,
+  loadStats,
+}
@@ -6,51 +6,33 @@
 const solanaWeb3 = require("@solana/web3.js")
 const splToken = require("@solana/spl-token")
 const anchor = require("@project-serum/anchor")
-const constants = require("../constants")
 const walletUtils = require("../utils/wallet")
 const idlUtils = require("../utils/idl")
 const conversionUtils = require("../utils/conversion")
+const simulationUtils = require("../utils/simulation")
+const tokenFees = require("./fees")
+const budgetUtils = require("../utils/budget")
+const transactionUtils = require("../utils/transaction")
+const errorUtils = require("../utils/errors")
+const loggerUtils = require("../utils/logger")
+const progressUtils = require("../utils/progress")
+const configUtils = require("../utils/config")
+const validationUtils = require("../utils/validation")
+const tokenSupply = require("./supply")
+const tokenMultisig = require("./multisig")
 const { PublicKey } = require("@solana/web3.js")
 
-// Variable for custom logger
-let customLogger = console.log
-
 /**
- * Sets a custom logger function
- * @param {Function} loggerFunction - Function that will receive log messages
- */
-function setCustomLogger(loggerFunction) {
-  customLogger = loggerFunction || console.log
-}
-
-/**
- * Revokes mint and/or freeze authorities in a single transaction
- * @param {Object} options - Options for revoking authorities
- * @param {solanaWeb3.Connection} options.connection - Solana connection
- * @param {solanaWeb3.Keypair|Object} options.payer - Payer's keypair or compatible wallet
- * @param {string|solanaWeb3.PublicKey} options.mint - Token mint address
- * @param {boolean} options.revokeMint - Whether to revoke mint authority (default: true)
- * @param {boolean} options.revokeFreeze - Whether to revoke freeze authority (default: true)
- * @param {string|PublicKey} options.partnerWallet - Partner wallet receiving funds
- * @param {number} [options.partnerAmount=0] - Amount for partner wallet
- * @param {string|solanaWeb3.PublicKey} options.programId - Program ID (optional)
- * @param {string|Object} options.idl - Program IDL (URL, object, or path, optional)
- * @param {Function} options.logger - Custom logger function (optional)
- * @returns {Promise<Object>} - Result of the revocation
+ * Parses and validates the options shared by revokeAuthority and buildRevokeAuthorityTransaction
+ * @param {Object} options - Revocation options (see revokeAuthority)
+ * @param {solanaWeb3.PublicKey} ownerPublicKey - Public key of the current authority
+ * @param {Function} logger - Logger function
+ * @returns {Object} - Normalized revocation parameters
+ * @throws {errorUtils.ValidationError} - If a parameter is invalid
  */
-function revokeAuthority(options) {
-  // Use custom logger if provided in options for this call
-  const logger = options.logger || customLogger
-
-  // Validate required options
-  if (!options.connection) {
-    return Promise.reject(new Error("A Solana connection is required"))
-  }
-  if (!options.payer) {
-    return Promise.reject(new Error("A payer (wallet or keypair) is required"))
-  }
+function resolveRevokeAuthorityParams(options, ownerPublicKey, logger) {
   if (!options.mint) {
-    return Promise.reject(new Error("A token mint address is required"))
+    throw new errorUtils.ValidationError("A token mint address is required")
   }
 
   // Set default values for which authorities to revoke
@@ -58,7 +40,7 @@ function revokeAuthority(options) {
   const revokeFreeze = options.revokeFreeze !== false // Default to true if not specified
 
   if (!revokeMint && !revokeFreeze) {
-    return Promise.reject(new Error("At least one authority must be specified to revoke"))
+    throw new errorUtils.ValidationError("At least one authority must be specified to revoke")
   }
 
   // Parse mint address
@@ -66,8 +48,8 @@ function revokeAuthority(options) {
   try {
     mintPubkey = typeof options.mint === "string" ? new solanaWeb3.PublicKey(options.mint) : options.mint
   } catch (error) {
-    logger(`Error parsing mint address: ${error.message}`)
-    return Promise.reject(new Error(`Invalid mint address: ${error.message}`))
+    logger.error(`Error parsing mint address: ${error.message}`)
+    throw new errorUtils.ValidationError(`Invalid mint address: ${error.message}`, { cause: error })
   }
 
   // Handle partner wallet correctly
@@ -77,30 +59,137 @@ function revokeAuthority(options) {
       ? typeof options.partnerWallet === "string"
         ? new solanaWeb3.PublicKey(options.partnerWallet)
         : options.partnerWallet
-      : options.payer.publicKey
+      : ownerPublicKey
   } catch (error) {
-    logger(`Error parsing partner wallet: ${error.message}`)
-    return Promise.reject(new Error(`Invalid partner wallet: ${error.message}`))
+    logger.error(`Error parsing partner wallet: ${error.message}`)
+    throw new errorUtils.ValidationError(`Invalid partner wallet: ${error.message}`, { cause: error })
   }
 
-  // Get partner amount or default to 0
-  const partnerAmount = options.partnerAmount || 0
-
-  // Validate programId
+  // Validate programId: the option, or the program ID of the cluster (see resolveConfig)
   let programId
   try {
-    programId = options.programId
-      ? typeof options.programId === "string"
-        ? new solanaWeb3.PublicKey(options.programId)
-        : options.programId
-      : new solanaWeb3.PublicKey(constants.DEFAULT_PROGRAM_ID)
+    programId = configUtils.resolveProgramId(options, logger)
   } catch (error) {
-    logger(`Error parsing program ID: ${error.message}`)
-    return Promise.reject(new Error(`Invalid program ID: ${error.message}`))
+    logger.error(`Error resolving program ID: ${error.message}`)
+    throw error
+  }
+
+  return {
+    owner: ownerPublicKey,
+    mint: mintPubkey,
+    revokeMint: revokeMint,
+    revokeFreeze: revokeFreeze,
+    partnerWallet: partnerWallet,
+    // Get partner amount or default to 0
+    partnerAmount: options.partnerAmount || 0,
+    programId: programId,
+    // Use the provided IDL or the default
+    idlSource: options.idl || null,
+    priorityFee: options.priorityFee,
+    computeUnitLimit: options.computeUnitLimit,
+    commitment: transactionUtils.resolveCommitment(options.commitment),
   }
+}
+
+/**
+ * Derives the accounts involved in a revocation and builds the revoke_authority instruction
+ * @param {anchor.Program} program - MintMe program
+ * @param {Object} params - Parameters returned by resolveRevokeAuthorityParams
+ * @param {Function} logger - Logger function
+ * @returns {Promise<Object>} - { methodBuilder, computeBudget, tokenPDA, revokeConfigPDA }
+ */
+async function prepareRevokeAuthority(program, params, logger) {
+  const programId = params.programId
+
+  logger(`Revoking authorities for token: ${params.mint.toString()}`)
+  logger(`Owner: ${params.owner.toString()}`)
+  logger(
+    `Authorities to revoke: ${params.revokeMint ? "Mint" : ""}${params.revokeMint && params.revokeFreeze ? " and " : ""}${params.revokeFreeze ? "Freeze" : ""}`,
+  )
+
+  // Derive the PDA addresses
+  const [revokeConfigPDA] = await PublicKey.findProgramAddress([Buffer.from("revoke_fee_config")], programId)
+  const [tokenPDA] = await PublicKey.findProgramAddress([Buffer.from("payment_fixed")], programId)
+
+  logger(`partnerWallet: ${params.partnerWallet.toString()}`)
+  logger(`partnerAmount: ${params.partnerAmount}`)
+
+  // Build the revoke_authority instruction with updated account structure
+  const methodBuilder = program.methods
+    .revokeAuthority(params.revokeMint, params.revokeFreeze, params.partnerWallet, new anchor.BN(params.partnerAmount))
+    .accounts({
+      owner: params.owner,
+      mint: params.mint,
+      tokenProgram: splToken.TOKEN_PROGRAM_ID,
+      systemProgram: solanaWeb3.SystemProgram.programId,
+      tokenPda: tokenPDA,
+      payer: params.owner,
+      partnerWallet: params.partnerWallet,
+      config: revokeConfigPDA, // Use revokeConfigPDA instead of networkConfigPDA
+    })
+
+  // Add the ComputeBudget instructions before the MintMe instruction
+  const budgeted = await budgetUtils.applyComputeBudget(methodBuilder, {
+    connection: program.provider.connection,
+    feePayer: params.owner,
+    priorityFee: params.priorityFee,
+    computeUnitLimit: params.computeUnitLimit,
+    logger: logger,
+  })
+
+  return {
+    methodBuilder: budgeted.methodBuilder,
+    computeBudget: budgeted.computeBudget,
+    tokenPDA: tokenPDA,
+    revokeConfigPDA: revokeConfigPDA,
+  }
+}
+
+/**
+ * Revokes mint and/or freeze authorities in a single transaction
+ * @param {Object} options - Options for revoking authorities
+ * @param {solanaWeb3.Connection} options.connection - Solana connection
+ * @param {solanaWeb3.Keypair|Object} options.payer - Payer's keypair or compatible wallet
+ * @param {string|solanaWeb3.PublicKey} options.mint - Token mint address
+ * @param {boolean} options.revokeMint - Whether to revoke mint authority (default: true)
+ * @param {boolean} options.revokeFreeze - Whether to revoke freeze authority (default: true)
+ * @param {string|PublicKey} options.partnerWallet - Partner wallet receiving funds
+ * @param {number} [options.partnerAmount=0] - Amount for partner wallet
+ * @param {string|solanaWeb3.PublicKey} [options.programId] - Program ID (default: the program ID of the cluster)
+ * @param {string} [options.cluster] - Cluster whose program ID is used without programId (see resolveConfig)
+ * @param {string|boolean} [options.configPath] - Config file read to resolve the program ID (see resolveConfig)
+ * @param {string|Object} options.idl - Program IDL (URL, object, or path, optional)
+ * @param {anchor.Program} [options.program] - Program client built beforehand on the same connection (e.g. by
+ *   MintMeClient), used instead of loading the IDL
+ * @param {Function} options.logger - Custom logger function (optional)
+ * @param {boolean} [options.simulate=false] - Build and simulate the transaction without sending it
+ * @param {number|string|Object} [options.priorityFee] - Priority fee in microLamports per compute unit, "auto", or
+ *   { percentile, minMicroLamports, maxMicroLamports } to derive it from recent prioritization fees
+ * @param {number|string} [options.computeUnitLimit] - Compute unit limit, or "auto" to size it from a simulation
+ * @param {string} [options.commitment="confirmed"] - Commitment to wait for ("confirmed" or "finalized")
+ * @param {boolean} [options.skipPreflight=false] - Skip the preflight simulation when sending
+ * @param {number} [options.rebroadcastInterval=2000] - Milliseconds between rebroadcasts while waiting
+ * @param {string|solanaWeb3.PublicKey} [options.multisig] - SPL multisig holding the authorities. The MintMe program
+ *   cannot sign for a multisig: the authorities are revoked with the token program directly, and no revoke fee applies
+ * @param {Array<solanaWeb3.Keypair|string|solanaWeb3.PublicKey>} [options.multisigSigners] - Co-signers (see mintMoreTokens)
+ * @param {string|solanaWeb3.PublicKey} [options.nonceAccount] - See mintMoreTokens
+ * @param {Function} [options.onProgress] - Called with each lifecycle event, like createToken's, with operation
+ *   "revokeAuthority". Multisig revocations skip idlLoaded and pdasDerived
+ * @returns {Promise<Object>} - Result of the revocation (or of the simulation when options.simulate is set).
+ *   status is "landed", "failed" (program error) or "expired" (not processed, safe to retry)
+ */
+function revokeAuthority(options) {
+  // Logger of this call: options.logger or the global logger, with a correlation ID
+  const logger = loggerUtils.forOperation(options.logger, "revokeAuthority")
+  const onProgress = progressUtils.forOperation(options.onProgress, "revokeAuthority")
 
-  // Use the provided IDL or the default
-  const idlSource = options.idl || null
+  // Validate required options
+  if (!options.connection) {
+    return Promise.reject(new errorUtils.ValidationError("A Solana connection is required"))
+  }
+  if (!options.payer) {
+    return Promise.reject(new errorUtils.WalletError("A payer (wallet or keypair) is required"))
+  }
 
   // Determine the wallet/payer type
   let wallet
@@ -110,65 +199,501 @@ function revokeAuthority(options) {
     // Anchor-compatible wallet (like Phantom)
     wallet = options.payer
   } else {
-    return Promise.reject(new Error("Unsupported wallet format"))
+    return Promise.reject(new errorUtils.WalletError("Unsupported wallet format"))
   }
 
-  // Configure the Anchor provider
+  let params
+  try {
+    params = resolveRevokeAuthorityParams(options, wallet.publicKey, logger)
+  } catch (error) {
+    return Promise.reject(error)
+  }
+  progressUtils.emitProgress(onProgress, progressUtils.ProgressEvent.VALIDATED, {
+    payer: wallet.publicKey.toString(),
+    mint: params.mint.toString(),
+    revokeMint: params.revokeMint,
+    revokeFreeze: params.revokeFreeze,
+    programId: params.programId.toString(),
+  })
+
+  if (options.multisig) {
+    return revokeMultisigAuthority(options, params, wallet, logger, onProgress)
+  }
+
+  // Local provider only, the global Anchor provider is left untouched
   const provider = new anchor.AnchorProvider(options.connection, wallet, {
-    commitment: "confirmed",
+    commitment: params.commitment,
   })
-  anchor.setProvider(provider)
 
   // Load the IDL and configure the program
   return idlUtils
-    .loadIDL(idlSource)
-    .then(async (idl) => {
-      const program = new anchor.Program(idl, programId, provider)
-
-      logger(`Revoking authorities for token: ${mintPubkey.toString()}`)
-      logger(`Owner: ${wallet.publicKey.toString()}`)
-      logger(
-        `Authorities to revoke: ${revokeMint ? "Mint" : ""}${revokeMint && revokeFreeze ? " and " : ""}${revokeFreeze ? "Freeze" : ""}`,
-      )
+    .loadProgram(params.idlSource, params.programId, provider, options.program)
+    .then(async (program) => {
+      const idl = program.idl
+      progressUtils.emitProgress(onProgress, progressUtils.ProgressEvent.IDL_LOADED, {
+        programId: params.programId.toString(),
+        idlName: idl.name,
+        idlVersion: idl.version,
+      })
+      const prepared = await prepareRevokeAuthority(program, params, logger)
+      progressUtils.emitProgress(onProgress, progressUtils.ProgressEvent.PDAS_DERIVED, {
+        mint: params.mint.toString(),
+        tokenPda: prepared.tokenPDA.toString(),
+        revokeFeeConfig: prepared.revokeConfigPDA.toString(),
+      })
 
-      // Derive the PDA addresses
-      const [networkConfigPDA] = await PublicKey.findProgramAddress([Buffer.from("network_fee_config")], programId)
-      const [revokeConfigPDA] = await PublicKey.findProgramAddress([Buffer.from("revoke_fee_config")], programId)
-      const [tokenPDA] = await PublicKey.findProgramAddress([Buffer.from("payment_fixed")], programId)
-
-      logger(`partnerWallet: ${partnerWallet.toString()}`)
-      logger(`partnerAmount: ${partnerAmount}`)
-
-      // Call the revoke_authority instruction with updated account structure
-      return program.methods
-        .revokeAuthority(revokeMint, revokeFreeze, partnerWallet, new anchor.BN(partnerAmount))
-        .accounts({
-          owner: wallet.publicKey,
-          mint: mintPubkey,
-          tokenProgram: splToken.TOKEN_PROGRAM_ID,
-          systemProgram: solanaWeb3.SystemProgram.programId,
-          tokenPda: tokenPDA,
-          payer: wallet.publicKey,
-          partnerWallet: partnerWallet,
-          config: revokeConfigPDA, // Use revokeConfigPDA instead of networkConfigPDA
+      if (options.simulate) {
+        logger("Simulating authority revocation (nothing will be sent)...")
+        const transaction = await prepared.methodBuilder.transaction()
+        const simulation = await simulationUtils.simulateTransaction({
+          connection: options.connection,
+          transaction: transaction,
+          feePayer: wallet.publicKey,
+          idl: idl,
+          watchAccounts: [
+            { label: "payer", address: wallet.publicKey },
+            { label: "partnerWallet", address: params.partnerWallet },
+            { label: "tokenPda", address: prepared.tokenPDA },
+          ],
         })
-        .rpc()
-        .then((txSignature) => ({
+        logger(`Simulation units consumed: ${simulation.unitsConsumed}`)
+        if (simulation.error) {
+          logger(`Simulation failed: ${simulation.error.message}`)
+        }
+        return {
           success: true,
-          mint: mintPubkey.toString(),
-          txSignature: txSignature,
+          simulated: true,
+          wouldSucceed: !simulation.error,
+          mint: params.mint.toString(),
+          tokenPda: prepared.tokenPDA.toString(),
+          revokeFeeConfig: prepared.revokeConfigPDA.toString(),
           revokedAuthorities: {
-            mint: revokeMint,
-            freeze: revokeFreeze,
+            mint: params.revokeMint,
+            freeze: params.revokeFreeze,
           },
-        }))
+          unitsConsumed: simulation.unitsConsumed,
+          logs: simulation.logs,
+          networkFee: simulation.networkFee,
+          lamportOutflow: simulation.lamportOutflow,
+          balanceChanges: simulation.balanceChanges,
+          programError: simulation.error,
+          computeBudget: prepared.computeBudget,
+        }
+      }
+
+      // Send the revoke_authority instruction and wait for a definitive status
+      const transaction = await prepared.methodBuilder.transaction()
+      const sent = await transactionUtils.sendAndConfirmTransaction({
+        connection: options.connection,
+        transaction: transaction,
+        wallet: wallet,
+        commitment: params.commitment,
+        skipPreflight: options.skipPreflight,
+        rebroadcastInterval: options.rebroadcastInterval,
+        idl: idl,
+        onProgress: onProgress,
+        logger: logger,
+      })
+
+      const result = {
+        success: sent.status === transactionUtils.TransactionStatus.LANDED,
+        status: sent.status,
+        mint: params.mint.toString(),
+        txSignature: sent.signature,
+        revokedAuthorities: {
+          mint: params.revokeMint,
+          freeze: params.revokeFreeze,
+        },
+        computeBudget: prepared.computeBudget,
+      }
+      if (!result.success) {
+        logger.error(`Error revoking authorities: ${sent.error.message}`)
+        result.error = sent.error.message
+        result.programError = sent.error
+        result.retryable = sent.status === transactionUtils.TransactionStatus.EXPIRED
+        result.logs = sent.logs
+        result.details = sent.error
+      }
+      return result
     })
     .catch((error) => {
-      logger(`Error revoking authorities: ${error.message}`)
+      logger.error(`Error revoking authorities: ${error.message}`)
       return {
         success: false,
         error: error.message,
-        details: error,
+        details: errorUtils.toMintMeError(error),
+      }
+    })
+    .then((result) => progressUtils.emitOutcome(onProgress, result, { mint: params.mint.toString() }))
+}
+
+/**
+ * Revokes authorities held by an SPL multisig, with SetAuthority instructions signed by its co-signers
+ * @param {Object} options - Options of revokeAuthority
+ * @param {Object} params - Parameters returned by resolveRevokeAuthorityParams
+ * @param {Object} wallet - Payer's wallet
+ * @param {Function} logger - Logger function
+ * @param {Function} [onProgress] - Lifecycle callback of revokeAuthority
+ * @returns {Promise<Object>} - Result of the revocation, like revokeAuthority
+ */
+function revokeMultisigAuthority(options, params, wallet, logger, onProgress) {
+  const connection = options.connection
+  const mint = params.mint
+  const types = []
+  if (params.revokeMint) {
+    types.push("mint")
+  }
+  if (params.revokeFreeze) {
+    types.push("freeze")
+  }
+
+  let mintAccount
+
+  return tokenSupply
+    .loadMint(connection, mint)
+    .then((loaded) => {
+      mintAccount = loaded
+      return tokenMultisig.resolveAuthority(connection, options, wallet, mintAccount.programId)
+    })
+    .then((authority) => {
+      const instructions = types.map((type) => {
+        const current = type === "mint" ? mintAccount.info.mintAuthority : mintAccount.info.freezeAuthority
+        if (!current) {
+          throw new errorUtils.ValidationError(`The ${type} authority of ${mint.toString()} is already revoked`)
+        }
+        if (!current.equals(authority.address)) {
+          throw new errorUtils.ValidationError(
+            `The ${type} authority of ${mint.toString()} is ${current.toString()}, not the multisig ${authority.address.toString()}`,
+          )
+        }
+        return splToken.createSetAuthorityInstruction(
+          mint,
+          authority.address,
+          AUTHORITY_TYPES[type],
+          null,
+          authority.multiSigners,
+          mintAccount.programId,
+        )
+      })
+
+      if (options.simulate) {
+        logger("Simulating authority revocation (nothing will be sent)...")
+      } else {
+        logger(`Revoking the ${types.join(" and ")} authority of ${mint.toString()} held by ${authority.address.toString()}`)
+      }
+
+      return tokenMultisig.executeWithAuthority(authority, {
+        connection: connection,
+        wallet: wallet,
+        instructions: instructions,
+        simulate: options.simulate,
+        priorityFee: params.priorityFee,
+        computeUnitLimit: params.computeUnitLimit,
+        commitment: params.commitment,
+        skipPreflight: options.skipPreflight,
+        rebroadcastInterval: options.rebroadcastInterval,
+        nonceAccount: options.nonceAccount,
+        onProgress: onProgress,
+        logger: logger,
+      }).then((result) => {
+        if (!result.success) {
+          logger.error(`Error revoking authorities: ${result.error}`)
+        }
+        return Object.assign(result, {
+          mint: mint.toString(),
+          multisig: authority.multisig,
+          revokedAuthorities: {
+            mint: params.revokeMint,
+            freeze: params.revokeFreeze,
+          },
+        })
+      })
+    })
+    .catch((error) => {
+      logger.error(`Error revoking authorities: ${error.message}`)
+      return {
+        success: false,
+        error: error.message,
+        details: errorUtils.toMintMeError(error),
+      }
+    })
+    .then((result) => progressUtils.emitOutcome(onProgress, result, { mint: params.mint.toString() }))
+}
+
+/**
+ * Builds an unsigned revocation transaction without sending it.
+ * The transaction can be handed to a browser wallet to be signed and sent.
+ * @param {Object} options - Same options as revokeAuthority, except for the payer
+ * @param {solanaWeb3.Connection} options.connection - Solana connection
+ * @param {string|solanaWeb3.PublicKey} options.payer - Public key of the current authority, which signs and pays
+ * @returns {Promise<Object>} - Serialized transaction (base64) and the derived accounts
+ */
+function buildRevokeAuthorityTransaction(options) {
+  const logger = loggerUtils.forOperation(options.logger, "buildRevokeAuthorityTransaction")
+
+  // Validate required options
+  if (!options.connection) {
+    return Promise.reject(new errorUtils.ValidationError("A Solana connection is required"))
+  }
+  if (!options.payer) {
+    return Promise.reject(new errorUtils.WalletError("A payer public key is required"))
+  }
+
+  let ownerPublicKey
+  try {
+    ownerPublicKey = walletUtils.toPublicKey(options.payer)
+  } catch (error) {
+    return Promise.reject(new errorUtils.WalletError(`Invalid payer: ${error.message}`, { cause: error }))
+  }
+
+  let params
+  try {
+    params = resolveRevokeAuthorityParams(options, ownerPublicKey, logger)
+  } catch (error) {
+    return Promise.reject(error)
+  }
+
+  // Local provider only, the global Anchor provider is left untouched
+  const provider = new anchor.AnchorProvider(options.connection, walletUtils.createReadOnlyWallet(ownerPublicKey), {
+    commitment: params.commitment,
+  })
+
+  return idlUtils
+    .loadProgram(params.idlSource, params.programId, provider, options.program)
+    .then(async (program) => {
+      const prepared = await prepareRevokeAuthority(program, params, logger)
+      const latestBlockhash = await options.connection.getLatestBlockhash()
+      const transaction = await prepared.methodBuilder.transaction()
+
+      transaction.feePayer = ownerPublicKey
+      transaction.recentBlockhash = latestBlockhash.blockhash
+
+      return {
+        success: true,
+        transaction: transaction.serialize({ requireAllSignatures: false, verifySignatures: false }).toString("base64"),
+        feePayer: ownerPublicKey.toString(),
+        recentBlockhash: latestBlockhash.blockhash,
+        lastValidBlockHeight: latestBlockhash.lastValidBlockHeight,
+        mint: params.mint.toString(),
+        tokenPda: prepared.tokenPDA.toString(),
+        revokeFeeConfig: prepared.revokeConfigPDA.toString(),
+        revokedAuthorities: {
+          mint: params.revokeMint,
+          freeze: params.revokeFreeze,
+        },
+        computeBudget: prepared.computeBudget,
+      }
+    })
+    .catch((error) => {
+      logger.error(`Error building revocation transaction: ${error.message}`)
+      return {
+        success: false,
+        error: error.message,
+        details: errorUtils.toMintMeError(error),
+      }
+    })
+}
+
+// SPL authority types that setAuthority can transfer
+const AUTHORITY_TYPES = {
+  mint: splToken.AuthorityType.MintTokens,
+  freeze: splToken.AuthorityType.FreezeAccount,
+}
+
+/**
+ * Reads the new authority account to tell a wallet from an SPL multisig
+ * @param {solanaWeb3.Connection} connection - Solana connection
+ * @param {solanaWeb3.PublicKey} address - New authority
+ * @param {solanaWeb3.PublicKey} programId - Token program of the mint
+ * @returns {Promise<Object|null>} - { threshold, signers } if the address is a multisig, null for a regular key
+ * @throws {Error} - If the address is another kind of token account, or a multisig of the other token program
+ */
+function describeNewAuthority(connection, address, programId) {
+  return connection.getAccountInfo(address).then((account) => {
+    const isTokenProgram =
+      account &&
+      (account.owner.equals(splToken.TOKEN_PROGRAM_ID) || account.owner.equals(splToken.TOKEN_2022_PROGRAM_ID))
+    if (!isTokenProgram) {
+      return null
+    }
+    if (account.data.length !== splToken.MULTISIG_SIZE) {
+      throw new errorUtils.ValidationError(`${address.toString()} is a token account or mint, not a wallet or multisig`)
+    }
+    if (!account.owner.equals(programId)) {
+      throw new errorUtils.ValidationError(
+        `The multisig ${address.toString()} belongs to another token program than the mint`,
+      )
+    }
+    const multisig = tokenMultisig.decodeMultisig(address, account)
+    return { threshold: multisig.threshold, signers: multisig.signers.map((signer) => signer.toString()) }
+  })
+}
+
+/**
+ * Transfers the mint or freeze authority of a token to another key (a cold wallet or an SPL multisig),
+ * then reads the mint back to verify that the change took effect.
+ * @param {Object} options - Options
+ * @param {solanaWeb3.Connection} options.connection - Solana connection
+ * @param {solanaWeb3.Keypair|Object} options.payer - Keypair or wallet of the current authority (pays the fees)
+ * @param {string|solanaWeb3.PublicKey} options.mint - Token mint address
+ * @param {string} options.authorityType - "mint" or "freeze"
+ * @param {string|solanaWeb3.PublicKey} options.newAuthority - New authority: a wallet or an SPL multisig account
+ * @param {string|solanaWeb3.PublicKey} [options.multisig] - SPL multisig holding the current authority
+ * @param {Array<solanaWeb3.Keypair|string|solanaWeb3.PublicKey>} [options.multisigSigners] - Co-signers (see mintMoreTokens)
+ * @param {string|solanaWeb3.PublicKey} [options.nonceAccount] - See mintMoreTokens
+ * @param {boolean} [options.simulate=false] - Build and simulate the transaction without sending it
+ * @param {number|string|Object} [options.priorityFee] - Priority fee (see createToken)
+ * @param {number|string} [options.computeUnitLimit] - Compute unit limit (see createToken)
+ * @param {string} [options.commitment="confirmed"] - Commitment to wait for ("confirmed" or "finalized")
+ * @param {Function} [options.logger] - Custom logger function
+ * @returns {Promise<Object>} - { success, status, mint, authorityType, previousAuthority, newAuthority, multisig,
+ *   verified, txSignature }, or { success, partiallySigned, transaction, missingSignatures, ... } when
+ *   co-signatures are still missing (nothing is verified then)
+ */
+function setAuthority(options) {
+  if (!options || !options.connection) {
+    return Promise.reject(new errorUtils.ValidationError("A Solana connection is required"))
+  }
+  if (!options.payer) {
+    return Promise.reject(new errorUtils.WalletError("A payer (wallet or keypair) is required"))
+  }
+  if (!options.mint) {
+    return Promise.reject(new errorUtils.ValidationError("A token mint address is required"))
+  }
+  if (!AUTHORITY_TYPES.hasOwnProperty(options.authorityType)) {
+    return Promise.reject(
+      new errorUtils.ValidationError(`Invalid authorityType "${options.authorityType}". Use "mint" or "freeze"`),
+    )
+  }
+  if (!options.newAuthority) {
+    return Promise.reject(
+      new errorUtils.ValidationError("A new authority is required. Use revokeAuthority to remove an authority"),
+    )
+  }
+  const keyValidation = validationUtils.validatePublicKey(options.newAuthority)
+  if (!keyValidation.isValid) {
+    return Promise.reject(new errorUtils.ValidationError(`Invalid new authority: ${keyValidation.message}`))
+  }
+
+  const logger = loggerUtils.forOperation(options.logger, "setAuthority")
+  const connection = options.connection
+  const authorityType = options.authorityType
+
+  let wallet
+  let mint
+  let newAuthority
+  let commitment
+  try {
+    wallet = walletUtils.toWallet(options.payer)
+    mint = walletUtils.toPublicKey(options.mint)
+    newAuthority = walletUtils.toPublicKey(options.newAuthority)
+    commitment = transactionUtils.resolveCommitment(options.commitment)
+  } catch (error) {
+    return Promise.reject(error)
+  }
+
+  let mintAccount
+  let authority
+  let details
+
+  return tokenSupply
+    .loadMint(connection, mint)
+    .then((loaded) => {
+      mintAccount = loaded
+      return tokenMultisig.resolveAuthority(connection, options, wallet, mintAccount.programId)
+    })
+    .then((resolved) => {
+      authority = resolved
+      const current = authorityType === "mint" ? mintAccount.info.mintAuthority : mintAccount.info.freezeAuthority
+
+      if (!current) {
+        throw new errorUtils.ValidationError(
+          `The ${authorityType} authority of ${mint.toString()} has been revoked and cannot be transferred`,
+        )
+      }
+      if (!current.equals(authority.address)) {
+        throw new errorUtils.ValidationError(
+          `The ${authorityType} authority of ${mint.toString()} is ${current.toString()}, not ${authority.address.toString()}`,
+        )
+      }
+      if (current.equals(newAuthority)) {
+        throw new errorUtils.ValidationError(
+          `${newAuthority.toString()} already holds the ${authorityType} authority of ${mint.toString()}`,
+        )
+      }
+
+      return describeNewAuthority(connection, newAuthority, mintAccount.programId)
+    })
+    .then((multisig) => {
+      details = {
+        mint: mint.toString(),
+        authorityType: authorityType,
+        previousAuthority: authority.address.toString(),
+        newAuthority: newAuthority.toString(),
+        multisig: multisig,
+      }
+
+      if (options.simulate) {
+        logger(`Simulating ${authorityType} authority transfer (nothing will be sent)...`)
+      } else {
+        const target = multisig
+          ? `the ${multisig.threshold}-of-${multisig.signers.length} multisig ${newAuthority.toString()}`
+          : newAuthority.toString()
+        logger(`Transferring the ${authorityType} authority of ${mint.toString()} to ${target}`)
+      }
+
+      return tokenMultisig.executeWithAuthority(authority, {
+        connection: connection,
+        wallet: wallet,
+        instructions: [
+          splToken.createSetAuthorityInstruction(
+            mint,
+            authority.address,
+            AUTHORITY_TYPES[authorityType],
+            newAuthority,
+            authority.multiSigners,
+            mintAccount.programId,
+          ),
+        ],
+        simulate: options.simulate,
+        priorityFee: options.priorityFee,
+        computeUnitLimit: options.computeUnitLimit,
+        commitment: commitment,
+        skipPreflight: options.skipPreflight,
+        rebroadcastInterval: options.rebroadcastInterval,
+        nonceAccount: options.nonceAccount,
+        logger: logger,
+      })
+    })
+    .then((result) => {
+      Object.assign(result, details)
+      if (!result.success || result.simulated || result.partiallySigned) {
+        if (!result.success) {
+          logger.error(`Error transferring authority: ${result.error}`)
+        }
+        return result
+      }
+
+      // Read the mint back: the authority must now be the new key
+      return tokenSupply.loadMint(connection, mint, commitment).then((updated) => {
+        const holder = authorityType === "mint" ? updated.info.mintAuthority : updated.info.freezeAuthority
+        result.verified = !!holder && holder.equals(newAuthority)
+        if (!result.verified) {
+          result.success = false
+          result.error = `The transaction landed but the ${authorityType} authority is ${holder ? holder.toString() : "revoked"}`
+          logger.error(`Error transferring authority: ${result.error}`)
+        } else {
+          logger(`Verified: the ${authorityType} authority is now ${newAuthority.toString()}`)
+        }
+        return result
+      })
+    })
+    .catch((error) => {
+      logger.error(`Error transferring authority: ${error.message}`)
+      return {
+        success: false,
+        error: error.message,
+        details: errorUtils.toMintMeError(error),
       }
     })
 }
@@ -179,42 +704,53 @@ function revokeAuthority(options) {
  * @param {string} config.mint - Token mint address
  * @param {boolean} [config.revokeMint=true] - Whether to revoke mint authority
  * @param {boolean} [config.revokeFreeze=true] - Whether to revoke freeze authority
- * @param {string} [config.walletPath] - Path to wallet.json file (default "./wallet.json")
+ * @param {string} [config.walletPath] - Path to wallet.json file (default "./wallet.json", see resolveConfig)
  * @param {Object} [config.wallet] - Web3 wallet object with publicKey and signTransaction methods
  * @param {string|PublicKey} options.partnerWallet - Partner wallet receiving funds
  * @param {number} [options.partnerAmount=0] - Amount for partner wallet
- * @param {string|solanaWeb3.Connection} config.connection - Solana RPC endpoint or Connection object (default "https://api.devnet.solana.com")
- * @param {string} config.cluster - Solana cluster (default "devnet")
+ * @param {string|solanaWeb3.Connection} [config.connection] - Solana RPC endpoint or Connection object (default: the
+ *   endpoint of the cluster)
+ * @param {string} [config.cluster="devnet"] - Solana cluster: "localnet", "devnet", "testnet" or "mainnet-beta"
+ * @param {string|boolean} [config.configPath] - Config file (see resolveConfig), false to skip it
+ * @param {string|solanaWeb3.PublicKey} [config.programId] - Program ID (default: the program ID of the cluster)
+ * @param {string|Object} [config.idl] - Program IDL (URL, object, or path)
+ * @param {number|string|Object} [config.priorityFee] - Priority fee (see createToken)
+ * @param {number|string} [config.computeUnitLimit] - Compute unit limit (see createToken)
+ * @param {string} [config.commitment="confirmed"] - Commitment to wait for ("confirmed" or "finalized")
+ * @param {Function} [config.onProgress] - Lifecycle events (see revokeAuthority), with operation "revokeAuthoritySimple"
  * @param {Function} [config.logger] - Custom logger function
  * @returns {Promise<Object>} - Result of the operation
  */
 function revokeAuthoritySimple(config) {
   // Default configuration
   const defaultConfig = {
-    walletPath: "./wallet.json",
-    connection: "https://api.devnet.solana.com",
-    cluster: "devnet",
     revokeMint: true,
     revokeFreeze: true,
     partnerWallet: "7viHj1u6aQS9Nmc55FokX3B9NbDJUPwMYQvKgBfWeYXE",
     partnerAmount: 0,
   }
 
-  // Merge the provided configuration with the default
-  const mergedConfig = Object.assign({}, defaultConfig, config || {})
+  // Merge the provided configuration with the default, then resolve the cluster settings (config file, environment)
+  let mergedConfig
+  try {
+    mergedConfig = configUtils.resolveConfig(Object.assign({}, defaultConfig, config || {}))
+  } catch (error) {
+    return Promise.reject(error)
+  }
 
   // Use provided logger or default
-  const logger = mergedConfig.logger || customLogger
+  const logger = loggerUtils.forOperation(mergedConfig.logger, "revokeAuthoritySimple")
+  const onProgress = progressUtils.forOperation(mergedConfig.onProgress, "revokeAuthoritySimple")
 
   // Validate required parameters
   if (!mergedConfig.mint) {
-    return Promise.reject(new Error("Token mint address is required"))
+    return Promise.reject(new errorUtils.ValidationError("Token mint address is required"))
   }
 
   // Create Solana connection if a string was provided
   const connection =
     typeof mergedConfig.connection === "string"
-      ? new solanaWeb3.Connection(mergedConfig.connection, "confirmed")
+      ? new solanaWeb3.Connection(mergedConfig.connection, mergedConfig.commitment || "confirmed")
       : mergedConfig.connection
 
   // Determine the wallet to use (web3 wallet or file-based wallet)
@@ -229,37 +765,54 @@ function revokeAuthoritySimple(config) {
     // Verify that the wallet file exists
     if (!walletUtils.verifyWalletFile(mergedConfig.walletPath)) {
       return Promise.reject(
-        new Error(`Wallet file not found at ${mergedConfig.walletPath}. Generate a wallet with generate-wallet.js`),
+        new errorUtils.WalletError(
+          `Wallet file not found at ${mergedConfig.walletPath}. Generate a wallet with generate-wallet.js`,
+        ),
       )
     }
 
     // Load wallet from file
     payer = walletUtils.loadWalletFromFile(mergedConfig.walletPath)
     if (!payer) {
-      return Promise.reject(new Error(`Error loading wallet from ${mergedConfig.walletPath}`))
+      return Promise.reject(new errorUtils.WalletError(`Error loading wallet from ${mergedConfig.walletPath}`))
     }
   }
 
-  // Verify balance and revoke authorities
-  return connection
-    .getBalance(payer.publicKey)
-    .then(async (balance) => {
+  const partnerAmount = conversionUtils.solToLamports(mergedConfig.partnerAmount)
+
+  // Verify balance against the on-chain fee quote and revoke authorities
+  return Promise.all([
+    connection.getBalance(payer.publicKey),
+    tokenFees.getFeeQuote({
+      connection: connection,
+      programId: mergedConfig.programId,
+      idl: mergedConfig.idl,
+      operation: "revoke",
+      partnerAmount: partnerAmount,
+    }),
+  ])
+    .then(async (results) => {
+      const balance = results[0]
+      const quote = results[1]
+
       logger(`Address: ${payer.publicKey.toString()}`)
       logger(`Balance: ${balance / 1000000000} SOL`)
+      logger(`Estimated cost: ${conversionUtils.formatSolAmount(quote.total, 6)}`)
 
-      // Estimate the required fee (transaction fee + revoke fee)
-      // In a production environment, you might want to query the actual fee from the RevokeFeeConfig account
-      const estimatedRevokeFee = 2000000 // 0.002 SOL (typical revoke fee)
-      const estimatedTxFee = 5000 // 0.000005 SOL (typical transaction fee)
-      const requiredBalance = estimatedRevokeFee + estimatedTxFee
+      const requiredBalance = quote.total
 
       if (balance < requiredBalance) {
+        const amounts = { required: requiredBalance, available: balance }
         if (mergedConfig.cluster === "devnet") {
-          throw new Error(
+          throw new errorUtils.InsufficientBalanceError(
             `Insufficient balance. You need at least ${requiredBalance / 1000000000} SOL. Get SOL with: solana airdrop 1 ${payer.publicKey.toString()} --url devnet`,
+            amounts,
           )
         } else {
-          throw new Error(`Insufficient balance. You need at least ${requiredBalance / 1000000000} SOL.`)
+          throw new errorUtils.InsufficientBalanceError(
+            `Insufficient balance. You need at least ${requiredBalance / 1000000000} SOL.`,
+            amounts,
+          )
         }
       }
 
@@ -271,17 +824,24 @@ function revokeAuthoritySimple(config) {
         revokeMint: mergedConfig.revokeMint,
         revokeFreeze: mergedConfig.revokeFreeze,
         partnerWallet: mergedConfig.partnerWallet,
-        partnerAmount: conversionUtils.solToLamports(mergedConfig.partnerAmount),
+        partnerAmount: partnerAmount,
+        programId: mergedConfig.programId,
+        idl: mergedConfig.idl,
+        priorityFee: mergedConfig.priorityFee,
+        computeUnitLimit: mergedConfig.computeUnitLimit,
+        commitment: mergedConfig.commitment,
+        onProgress: onProgress,
         logger: logger,
       })
     })
     .catch((error) => {
-      logger(`Error in revokeAuthoritySimple: ${error.message}`)
-      return {
+      logger.error(`Error in revokeAuthoritySimple: ${error.message}`)
+      // revokeAuthority reports the outcomes it resolves; this covers the balance check and rejected options
+      return progressUtils.emitOutcome(onProgress, {
         success: false,
         error: error.message,
-        details: error,
-      }
+        details: errorUtils.toMintMeError(error),
+      })
     })
 }
 
@@ -314,8 +874,10 @@ function simpleRevokeMintAuthority(config) {
 module.exports = {
   revokeAuthority,
   revokeAuthoritySimple,
+  buildRevokeAuthorityTransaction,
+  setAuthority,
   // Maintain these exports for compatibility with existing code
   revokeFreezeAuthoritySimple,
   simpleRevokeMintAuthority,
-  setCustomLogger,
+  setCustomLogger: loggerUtils.setCustomLogger,
 }
@@ -0,0 +1,314 @@
+/**
+ * Functions for creating several tokens from a manifest
+ * @module token-batch-utils
+ */
+
+const fs = require("fs")
+const path = require("path")
+const tokenCreator = require("./creator")
+const validationUtils = require("../utils/validation")
+const csvUtils = require("../utils/csv")
+const journalUtils = require("../utils/journal")
+const loggerUtils = require("../utils/logger")
+const errorUtils = require("../utils/errors")
+
+// Row statuses that mean the token exists and must not be created again on resume
+const DONE_STATUSES = ["created", "alreadyExisted"]
+
+/**
+ * Converts a manifest value to a boolean ("true", "yes", "1" are true)
+ * @param {*} value - Raw value
+ * @returns {boolean}
+ */
+function toBoolean(value) {
+  if (typeof value === "boolean") {
+    return value
+  }
+  return ["true", "yes", "1"].indexOf(String(value || "").trim().toLowerCase()) !== -1
+}
+
+/**
+ * Normalizes a manifest row (CSV rows only contain strings)
+ * @param {Object} row - Raw row
+ * @returns {Object} - { name, symbol, uniqueKey, decimals, supply, uri, revokeMint, revokeFreeze }
+ */
+function normalizeRow(row) {
+  const decimals = row.decimals === undefined || row.decimals === "" ? 9 : Number(row.decimals)
+  const supply = row.supply === undefined || row.supply === "" ? 1000000000 : row.supply
+
+  return {
+    name: row.name,
+    symbol: row.symbol,
+    uniqueKey: row.uniqueKey !== undefined && row.uniqueKey !== "" ? String(row.uniqueKey) : undefined,
+    decimals: decimals,
+    supply: typeof supply === "number" ? supply : String(supply).trim(),
+    uri: row.uri || undefined,
+    revokeMint: toBoolean(row.revokeMint),
+    revokeFreeze: toBoolean(row.revokeFreeze),
+  }
+}
+
+/**
+ * Loads a token manifest.
+ *
+ * A manifest is a list of rows with the columns name, symbol, uniqueKey, decimals, supply, uri,
+ * revokeMint and revokeFreeze. supply is in whole tokens, it is adjusted with the decimals like in createTokenSimple.
+ * @param {Object[]|Object|string} source - Array of rows, { tokens: [...] }, a path to a .json/.csv file, or CSV text
+ * @returns {Object[]} - Normalized rows
+ */
+function loadManifest(source) {
+  let rows = source
+
+  if (typeof source === "string") {
+    const looksLikeFile = /\.(json|csv)$/i.test(source.trim())
+    if (looksLikeFile) {
+      if (!fs) {
+        throw new errorUtils.ValidationError("Loading a manifest from a file is only available in Node.js environments")
+      }
+      try {
+        const text = fs.readFileSync(path.resolve(source), "utf-8")
+        rows = /\.json$/i.test(source) ? JSON.parse(text) : csvUtils.parseCsv(text)
+      } catch (error) {
+        throw new errorUtils.ValidationError(`Could not read the manifest ${source}: ${error.message}`, {
+          cause: error,
+        })
+      }
+    } else {
+      rows = csvUtils.parseCsv(source)
+    }
+  }
+
+  if (rows && !Array.isArray(rows) && Array.isArray(rows.tokens)) {
+    rows = rows.tokens
+  }
+  if (!Array.isArray(rows)) {
+    throw new errorUtils.ValidationError(
+      "Invalid manifest: expected an array of tokens, { tokens: [...] }, a .json/.csv path or CSV text",
+    )
+  }
+
+  return rows.map(normalizeRow)
+}
+
+/**
+ * Validates every row of a manifest
+ * @param {Object[]} rows - Normalized rows
+ * @param {Object} [options] - Batch options (partnerWallet is validated too)
+ * @returns {Array<{row: number, errors: string[]}>} - Invalid rows (empty if all rows are valid)
+ */
+function validateManifest(rows, options) {
+  const invalidRows = []
+  const seenKeys = {}
+
+  rows.forEach((row, index) => {
+    const validation = validationUtils.validateTokenCreationParams({
+      name: row.name,
+      symbol: row.symbol,
+      decimals: row.decimals,
+      initialSupply: row.supply,
+      uri: row.uri,
+      partnerWallet: options && options.partnerWallet,
+    })
+    const errors = validation.errors.slice()
+
+    if (validation.isValid) {
+      try {
+        tokenCreator.calculateAdjustedSupply(row.supply, row.decimals)
+      } catch (error) {
+        errors.push(error.message)
+      }
+    }
+
+    // The unique key makes the mint PDA stable, which is what lets a batch be resumed safely
+    if (!row.uniqueKey) {
+      errors.push("uniqueKey is required")
+    } else {
+      const key = `${row.name}\u0000${row.uniqueKey}`
+      if (seenKeys[key] !== undefined) {
+        errors.push(`Duplicate of row ${seenKeys[key] + 1} (same name and uniqueKey)`)
+      } else {
+        seenKeys[key] = index
+      }
+    }
+
+    if (errors.length > 0) {
+      invalidRows.push({ row: index + 1, errors: errors })
+    }
+  })
+
+  return invalidRows
+}
+
+/**
+ * Creates the tokens of a manifest with bounded concurrency.
+ * Every row is validated before anything is sent. A per-row report is written after each token,
+ * and running the batch again with the same report skips the rows that were already created.
+ * @param {Object[]|Object|string} manifest - Manifest (see loadManifest)
+ * @param {Object} options - Batch options
+ * @param {solanaWeb3.Connection} options.connection - Solana connection
+ * @param {solanaWeb3.Keypair|Object} options.payer - Payer's keypair or compatible wallet
+ * @param {string} [options.reportPath] - Path of the JSON report used to resume the batch (Node.js only)
+ * @param {number} [options.concurrency=2] - Maximum number of tokens created at the same time
+ * @param {Function} [options.logger] - Custom logger function
+ * @param {Object} [options.*] - Any other createToken option (partnerWallet, programId, priorityFee, commitment...),
+ *   except simulate
+ * @returns {Promise<Object>} - { success, total, created, alreadyExisted, skipped, failed, rows, reportPath }
+ */
+function createTokensBatch(manifest, options) {
+  const settings = options || {}
+  const logger = loggerUtils.forOperation(settings.logger, "createTokensBatch")
+
+  if (!settings.connection) {
+    return Promise.reject(new errorUtils.ValidationError("A Solana connection is required"))
+  }
+  if (!settings.payer) {
+    return Promise.reject(new errorUtils.WalletError("A payer (wallet or keypair) is required"))
+  }
+  // A simulated row would be recorded as created in the report and skipped when the batch is resumed
+  if (settings.simulate) {
+    return Promise.reject(
+      new errorUtils.ValidationError(
+        "createTokensBatch cannot simulate: check the manifest with validateManifest(loadManifest(manifest))",
+      ),
+    )
+  }
+
+  let rows
+  try {
+    rows = loadManifest(manifest)
+  } catch (error) {
+    return Promise.reject(error)
+  }
+  if (rows.length === 0) {
+    return Promise.reject(new errorUtils.ValidationError("The manifest does not contain any token"))
+  }
+
+  // Validate every row up front, nothing is created if one of them is invalid
+  const invalidRows = validateManifest(rows, settings)
+  if (invalidRows.length > 0) {
+    logger("Manifest validation failed:")
+    invalidRows.forEach((invalid) => logger(`- Row ${invalid.row}: ${invalid.errors.join(", ")}`))
+    const error = new errorUtils.ValidationError(
+      `Manifest validation failed: ${invalidRows.map((invalid) => `row ${invalid.row}: ${invalid.errors.join(", ")}`).join("; ")}`,
+      { invalidRows: invalidRows },
+    )
+    return Promise.reject(error)
+  }
+
+  const concurrency = Math.max(1, Number.parseInt(settings.concurrency || 2, 10))
+
+  let previousReport
+  try {
+    previousReport = journalUtils.readJournal(settings.reportPath)
+  } catch (error) {
+    return Promise.reject(
+      new errorUtils.ValidationError(`Could not read the batch report: ${error.message}`, { cause: error }),
+    )
+  }
+
+  const report = {
+    startedAt: previousReport ? previousReport.startedAt : new Date().toISOString(),
+    updatedAt: null,
+    rows: rows.map((row, index) => {
+      const previous =
+        previousReport &&
+        previousReport.rows.find((entry) => entry.name === row.name && entry.uniqueKey === row.uniqueKey)
+      return Object.assign(
+        { index: index, name: row.name, symbol: row.symbol, uniqueKey: row.uniqueKey, status: "pending" },
+        previous && DONE_STATUSES.indexOf(previous.status) !== -1 ? previous : {},
+        { index: index },
+      )
+    }),
+  }
+
+  const pending = report.rows.filter((entry) => DONE_STATUSES.indexOf(entry.status) === -1).map((entry) => entry.index)
+  const skipped = rows.length - pending.length
+  if (skipped > 0) {
+    logger(`Resuming batch: ${skipped} of ${rows.length} tokens already created`)
+  }
+  journalUtils.writeJournal(settings.reportPath, report)
+
+  // Options shared by every createToken call
+  const sharedOptions = Object.assign({}, settings)
+  delete sharedOptions.reportPath
+  delete sharedOptions.concurrency
+
+  const createRow = (index) => {
+    const row = rows[index]
+    logger(`[${index + 1}/${rows.length}] Creating ${row.name} (${row.symbol})...`)
+
+    return Promise.resolve()
+      .then(() =>
+        tokenCreator.createToken(
+          Object.assign({}, sharedOptions, {
+            name: row.name,
+            symbol: row.symbol,
+            uniqueKey: row.uniqueKey,
+            decimals: row.decimals,
+            initialSupply: tokenCreator.calculateAdjustedSupply(row.supply, row.decimals),
+            uri: row.uri,
+            revokeMint: row.revokeMint,
+            revokeFreeze: row.revokeFreeze,
+            logger: logger,
+          }),
+        ),
+      )
+      .catch((error) => ({ success: false, error: error.message }))
+      .then((result) => {
+        const entry = report.rows[index]
+        if (result.success) {
+          entry.status = result.alreadyExisted ? "alreadyExisted" : "created"
+          entry.mint = result.mint
+          entry.tokenAccount = result.tokenAccount
+          entry.metadata = result.metadata
+          entry.txSignature = result.txSignature || null
+          delete entry.error
+        } else {
+          entry.status = result.status || "failed"
+          entry.txSignature = result.txSignature || null
+          entry.error = result.error
+        }
+        entry.finishedAt = new Date().toISOString()
+        journalUtils.writeJournal(settings.reportPath, report)
+      })
+  }
+
+  // Simple worker pool: each worker takes the next pending row until none are left
+  let next = 0
+  const worker = () => {
+    if (next >= pending.length) {
+      return Promise.resolve()
+    }
+    const index = pending[next++]
+    return createRow(index).then(worker)
+  }
+
+  const workers = []
+  for (let i = 0; i < Math.min(concurrency, pending.length); i++) {
+    workers.push(worker())
+  }
+
+  return Promise.all(workers).then(() => {
+    const count = (status) => report.rows.filter((entry) => entry.status === status).length
+    const failed = report.rows.filter((entry) => DONE_STATUSES.indexOf(entry.status) === -1).length
+
+    logger(`Batch finished: ${count("created")} created, ${count("alreadyExisted")} already existed, ${failed} failed`)
+
+    return {
+      success: failed === 0,
+      total: rows.length,
+      created: count("created"),
+      alreadyExisted: count("alreadyExisted"),
+      skipped: skipped,
+      failed: failed,
+      rows: report.rows,
+      reportPath: settings.reportPath ? path.resolve(settings.reportPath) : null,
+    }
+  })
+}
+
+module.exports = {
+  createTokensBatch,
+  loadManifest,
+  validateManifest,
+}
@@ -14,55 +14,36 @@ const idlUtils = require("../utils/idl")
 // const tokenAuthority = require("./authority")
 const conversionUtils = require("../utils/conversion")
 const validationUtils = require("../utils/validation")
-
-// Variable for custom logger
-let customLogger = console.log
-
-/**
- * Sets a custom logger function
- * @param {Function} loggerFunction - Function that will receive log messages
- */
-function setCustomLogger(loggerFunction) {
-  customLogger = loggerFunction || console.log
-}
+const simulationUtils = require("../utils/simulation")
+const tokenFees = require("./fees")
+const budgetUtils = require("../utils/budget")
+const transactionUtils = require("../utils/transaction")
+const errorUtils = require("../utils/errors")
+const loggerUtils = require("../utils/logger")
+const progressUtils = require("../utils/progress")
+const configUtils = require("../utils/config")
+const token2022 = require("./token2022")
+const tokenMetadata = require("./metadata")
+const tokenMultisig = require("./multisig")
+const tokenInfo = require("./info")
 
 /**
- * Creates a token on Solana
- * @param {Object} options - Options for creating the token
- * @param {solanaWeb3.Connection} options.connection - Solana connection
- * @param {solanaWeb3.Keypair|Object} options.payer - Payer's keypair or compatible wallet
- * @param {string} options.name - Token name
- * @param {string} options.symbol - Token symbol
- * @param {string} options.uniqueKey - Unique Key
- * @param {number} options.decimals - Token decimals (default 9)
- * @param {number|string|BN} options.initialSupply - Initial supply (default 1000000000)
- * @param {string} options.uri - Metadata URI (default "https://example.com/metadata.json")
- * @param {boolean} options.revokeMint - Revoke mint authority (default false)
- * @param {boolean} options.revokeFreeze - Revoke freeze authority (default false)
- * @param {string|PublicKey} options.partnerWallet - Partner wallet public key
- * @param {number|string|BN} [options.partnerAmount=0] - Amount for partner wallet
- * @param {string|solanaWeb3.PublicKey} options.programId - Program ID (optional)
- * @param {string|Object} options.idl - Program IDL (URL, object, or path, optional)
- * @param {Function} options.logger - Custom logger function (optional)
- * @returns {Promise<Object>} - Result of token creation
+ * Parses and validates the options shared by createToken and buildCreateTokenTransaction
+ * @param {Object} options - Token creation options (see createToken)
+ * @param {solanaWeb3.PublicKey} payerPublicKey - Public key of the account paying for the token
+ * @param {Function} logger - Logger function
+ * @returns {Object} - Normalized creation parameters
+ * @throws {errorUtils.ValidationError} - If a parameter is invalid
  */
-function createToken(options) {
-  // Use custom logger if provided in options for this call
-  const logger = options.logger || customLogger
-
-  // Validate required options
-  if (!options.connection) {
-    return Promise.reject(new Error("A Solana connection is required"))
-  }
-  if (!options.payer) {
-    return Promise.reject(new Error("A payer (wallet or keypair) is required"))
-  }
+function resolveCreateTokenParams(options, payerPublicKey, logger) {
+  // 0 is a valid number of decimals
+  const decimals = options.decimals === undefined || options.decimals === null ? 9 : options.decimals
 
   // Validate token parameters
   const validation = validationUtils.validateTokenCreationParams({
     name: options.name,
     symbol: options.symbol,
-    decimals: options.decimals || 9,
+    decimals: decimals,
     initialSupply: options.initialSupply || 1,
     uri: options.uri || "https://ipfs.mintme.dev/metadata.json",
     partnerWallet: options.partnerWallet,
@@ -72,24 +53,22 @@ function createToken(options) {
     logger("Token validation failed:")
     validation.errors.forEach((error) => logger(`- ${error}`))
     logger(`Maximum supply allowed: ${validation.maxSupply}`)
-    return Promise.reject(new Error(`Token validation failed: ${validation.errors.join(", ")}`))
+    throw new errorUtils.ValidationError(`Token validation failed: ${validation.errors.join(", ")}`, {
+      errors: validation.errors,
+    })
   }
 
   // Registrar el valor máximo de suministro para referencia
   logger(`Maximum supply allowed: ${validation.maxSupply}`)
 
-  // Set default values
-  const decimals = options.decimals || 9
-  const initialSupply = options.initialSupply || 1
-  const uri = options.uri || "https://ipfs.mintme.dev/metadata.json"
-  const revokeMint = options.revokeMint || false
-  const revokeFreeze = options.revokeFreeze || false
-
-  // Validate uniqueKey
-  if (!options.uniqueKey) {
-    logger("Warning: No uniqueKey provided, using default 'mintme.dev'")
+  // Validate uniqueKey, or derive it from the request ID so that retries target the same mint
+  let uniqueKey = options.uniqueKey
+  if (!uniqueKey && options.requestId) {
+    uniqueKey = pdaUtils.generateUniqueKey(options, options.requestId)
+    logger(`Unique key derived from request ID: ${uniqueKey}`)
+  } else if (!uniqueKey) {
+    logger.warn("Warning: No uniqueKey provided, using default 'mintme.dev'")
   }
-  const uniqueKey = options.uniqueKey || "mintme.dev"
 
   // Handle partner wallet correctly
   let partnerWallet
@@ -98,29 +77,334 @@ function createToken(options) {
       ? typeof options.partnerWallet === "string"
         ? new solanaWeb3.PublicKey(options.partnerWallet)
         : options.partnerWallet
-      : options.payer.publicKey
+      : payerPublicKey
   } catch (error) {
-    logger(`Error parsing partner wallet: ${error.message}`)
-    return Promise.reject(new Error(`Invalid partner wallet: ${error.message}`))
+    logger.error(`Error parsing partner wallet: ${error.message}`)
+    throw new errorUtils.ValidationError(`Invalid partner wallet: ${error.message}`, { cause: error })
   }
 
-  const partnerAmount = options.partnerAmount || 0
-
-  // Validate programId
+  // Validate programId: the option, or the program ID of the cluster (see resolveConfig)
   let programId
   try {
-    programId = options.programId
-      ? typeof options.programId === "string"
-        ? new solanaWeb3.PublicKey(options.programId)
-        : options.programId
-      : new solanaWeb3.PublicKey(constants.DEFAULT_PROGRAM_ID)
+    programId = configUtils.resolveProgramId(options, logger)
+  } catch (error) {
+    logger.error(`Error resolving program ID: ${error.message}`)
+    throw error
+  }
+
+  // Set default values
+  return {
+    payer: payerPublicKey,
+    name: options.name,
+    symbol: options.symbol,
+    uniqueKey: uniqueKey || "mintme.dev",
+    decimals: decimals,
+    initialSupply: options.initialSupply || 1,
+    uri: options.uri || "https://ipfs.mintme.dev/metadata.json",
+    revokeMint: options.revokeMint || false,
+    revokeFreeze: options.revokeFreeze || false,
+    multisig: tokenMultisig.parseHandoffMultisig(options),
+    partnerWallet: partnerWallet,
+    partnerAmount: options.partnerAmount || 0,
+    programId: programId,
+    // Use the provided IDL or the default
+    idlSource: options.idl || null,
+    priorityFee: options.priorityFee,
+    computeUnitLimit: options.computeUnitLimit,
+    commitment: transactionUtils.resolveCommitment(options.commitment),
+  }
+}
+
+/**
+ * Converts the initial supply to a BN, checking it fits in a u64
+ * @param {number|string|BN} initialSupply - Initial supply in base units
+ * @param {Function} logger - Logger function
+ * @returns {BN} - Initial supply as BN
+ * @throws {errorUtils.ValidationError} - If the supply is not a valid u64
+ */
+function toInitialSupplyBN(initialSupply, logger) {
+  if (typeof initialSupply !== "number" && typeof initialSupply !== "string") {
+    return initialSupply
+  }
+
+  try {
+    const supplyString = initialSupply.toString()
+
+    // Validate that the string represents a valid number
+    if (!/^\d+$/.test(supplyString)) {
+      throw new errorUtils.ValidationError(`Invalid initial supply format: ${initialSupply}`)
+    }
+
+    // Check if the number is within safe BigInt range before converting to BN
+    const supplyBigInt = BigInt(supplyString)
+    const MAX_BN_VALUE = BigInt("18446744073709551615") // 2^64 - 1
+
+    if (supplyBigInt > MAX_BN_VALUE) {
+      throw new errorUtils.ValidationError(
+        `Initial supply ${supplyString} exceeds maximum allowed value ${MAX_BN_VALUE.toString()}`,
+      )
+    }
+
+    // Convert to BN only after validation
+    const initialSupplyBN = new anchor.BN(supplyString)
+
+    // Registrar el valor para depuración
+    logger(`Initial Supply (raw): ${initialSupply}`)
+    logger(`Initial Supply (BN): ${initialSupplyBN.toString()}`)
+
+    return initialSupplyBN
+  } catch (error) {
+    logger.error(`Error converting initial supply: ${error.message}`)
+    throw new errorUtils.ValidationError(`Invalid initial supply: ${error.message}`, { cause: error })
+  }
+}
+
+/**
+ * Derives the accounts involved in a token creation and builds the create_token instruction
+ * @param {anchor.Program} program - MintMe program
+ * @param {Object} params - Parameters returned by resolveCreateTokenParams
+ * @param {Function} logger - Logger function
+ * @returns {Promise<Object>} - { methodBuilder, computeBudget, paymentPDA, mintPDA, tokenAccount, metadataAccount, configPDA }
+ */
+function prepareCreateToken(program, params, logger) {
+  const programId = params.programId
+
+  let initialSupplyBN
+  try {
+    initialSupplyBN = toInitialSupplyBN(params.initialSupply, logger)
   } catch (error) {
-    logger(`Error parsing program ID: ${error.message}`)
-    return Promise.reject(new Error(`Invalid program ID: ${error.message}`))
+    return Promise.reject(error)
   }
 
-  // Use the provided IDL or the default
-  const idlSource = options.idl || null
+  // Derive the necessary addresses
+  return Promise.all([
+    pdaUtils.derivePaymentPDA(programId),
+    pdaUtils.deriveMintPDA(programId, params.payer, params.name, params.symbol, params.uniqueKey),
+    pdaUtils.deriveNetworkFeeConfigPDA(programId),
+    // The multisig must exist and belong to the legacy token program, or the authorities would be lost
+    params.multisig
+      ? tokenMultisig.loadMultisig(program.provider.connection, params.multisig, splToken.TOKEN_PROGRAM_ID)
+      : null,
+  ])
+    .then((results) => {
+      const paymentPDA = results[0]
+      const mintPDA = results[1]
+      const configPDA = results[2]
+
+      return Promise.all([
+        paymentPDA,
+        mintPDA,
+        pdaUtils.deriveTokenAccount(mintPDA.mintPDA, params.payer),
+        pdaUtils.deriveMetadataAccount(mintPDA.mintPDA),
+        configPDA,
+      ])
+    })
+    .then((results) => {
+      const paymentPDA = results[0]
+      const mintPDA = results[1]
+      const tokenAccount = results[2]
+      const metadataAccount = results[3]
+      const configPDA = results[4]
+
+      logger(`Payment PDA: ${paymentPDA.pda.toString()}`)
+      logger(`Mint PDA: ${mintPDA.mintPDA.toString()}`)
+      logger(`Token Account: ${tokenAccount.toString()}`)
+      logger(`Metadata Account: ${metadataAccount.metadataAddress.toString()}`)
+      logger(`Network Fee Config: ${configPDA.pda.toString()}`)
+      logger(`Partner: ${params.partnerWallet?.toString() || "Not defined"}`)
+
+      // Build the create_token instruction
+      const methodBuilder = program.methods
+        .createToken(
+          params.name,
+          params.symbol,
+          params.uniqueKey,
+          params.decimals,
+          initialSupplyBN,
+          params.uri,
+          params.revokeMint,
+          params.revokeFreeze,
+          params.partnerWallet,
+          new anchor.BN(params.partnerAmount),
+        )
+        .accounts({
+          payer: params.payer,
+          config: configPDA.pda,
+          mint: mintPDA.mintPDA,
+          tokenAccount: tokenAccount,
+          metadata: metadataAccount.metadataAddress,
+          tokenPda: paymentPDA.pda, // Use tokenPda instead of paymentPda according to the new IDL
+          tokenProgram: splToken.TOKEN_PROGRAM_ID,
+          metadataProgram: constants.TOKEN_METADATA_PROGRAM_ID,
+          systemProgram: solanaWeb3.SystemProgram.programId,
+          partnerWallet: params.partnerWallet,
+          rent: solanaWeb3.SYSVAR_RENT_PUBKEY,
+          associatedTokenProgram: splToken.ASSOCIATED_TOKEN_PROGRAM_ID,
+        })
+
+      // The mint is created with the payer as authority: hand what is kept over to the multisig in the same transaction
+      if (params.multisig) {
+        logger(`Multisig authority: ${params.multisig.toString()}`)
+        methodBuilder.postInstructions(
+          tokenMultisig.createHandoffInstructions(
+            mintPDA.mintPDA,
+            params.payer,
+            params.multisig,
+            params,
+            splToken.TOKEN_PROGRAM_ID,
+          ),
+        )
+      }
+
+      // Add the ComputeBudget instructions before the MintMe instruction
+      return budgetUtils
+        .applyComputeBudget(methodBuilder, {
+          connection: program.provider.connection,
+          feePayer: params.payer,
+          priorityFee: params.priorityFee,
+          computeUnitLimit: params.computeUnitLimit,
+          logger: logger,
+        })
+        .then((budgeted) => ({
+          methodBuilder: budgeted.methodBuilder,
+          computeBudget: budgeted.computeBudget,
+          paymentPDA: paymentPDA,
+          mintPDA: mintPDA,
+          tokenAccount: tokenAccount,
+          metadataAccount: metadataAccount,
+          configPDA: configPDA,
+        }))
+    })
+}
+
+/**
+ * Checks whether the mint PDA of a token creation already exists, and reads it if it does.
+ * The PDA is derived from the payer, the name and the unique key only: an existing token with another symbol, decimals
+ * or URI is a different token, reported as a conflict
+ * @param {solanaWeb3.Connection} connection - Solana connection
+ * @param {Object} prepared - Result of prepareCreateToken
+ * @param {Object} params - Parameters returned by resolveCreateTokenParams
+ * @param {Function} logger - Logger function
+ * @returns {Promise<Object|null>} - Details of the existing token as stored on-chain (flagged alreadyExisted), or null
+ * @throws {ValidationError} - If the existing token does not match the requested symbol, decimals or URI
+ */
+function findExistingToken(connection, prepared, params, logger) {
+  const mint = prepared.mintPDA.mintPDA
+  return connection.getAccountInfo(mint).then((accountInfo) => {
+    if (!accountInfo) {
+      return null
+    }
+
+    return tokenInfo
+      .getTokenInfo({ connection: connection, mint: mint, commitment: params.commitment })
+      .then((info) => {
+        if (!info.success) {
+          throw info.details
+        }
+
+        const metadata = info.metadata || {}
+        const existing = { symbol: metadata.symbol, decimals: info.decimals, uri: metadata.uri }
+        const conflicts = Object.keys(existing).filter(
+          (field) => existing[field] !== undefined && existing[field] !== params[field],
+        )
+        if (conflicts.length > 0) {
+          const differences = conflicts.map((field) => `${field} ${existing[field]} (requested ${params[field]})`)
+          throw new errorUtils.ValidationError(
+            `A different token already exists at ${mint.toString()}: ${differences.join(", ")}. Use another unique key`,
+            { mint: mint.toString(), conflicts: conflicts },
+          )
+        }
+
+        logger(`Token already exists at ${mint.toString()}, nothing to create`)
+        return {
+          success: true,
+          alreadyExisted: true,
+          mint: mint.toString(),
+          tokenAccount: prepared.tokenAccount.toString(),
+          metadata: prepared.metadataAccount.metadataAddress.toString(),
+          tokenName: metadata.name || null,
+          tokenSymbol: metadata.symbol || null,
+          decimals: info.decimals,
+          uri: metadata.uri || null,
+          supply: info.supply,
+          mintAuthority: info.mintAuthority,
+          freezeAuthority: info.freezeAuthority,
+          uniqueKey: params.uniqueKey,
+        }
+      })
+  })
+}
+
+/**
+ * Creates a token on Solana
+ * @param {Object} options - Options for creating the token
+ * @param {solanaWeb3.Connection} options.connection - Solana connection
+ * @param {solanaWeb3.Keypair|Object} options.payer - Payer's keypair or compatible wallet
+ * @param {string} options.name - Token name
+ * @param {string} options.symbol - Token symbol
+ * @param {string} options.uniqueKey - Unique Key
+ * @param {string} [options.requestId] - Request ID used to derive a deterministic uniqueKey when none is given
+ * @param {number} options.decimals - Token decimals (default 9)
+ * @param {number|string|BN} options.initialSupply - Initial supply (default 1000000000)
+ * @param {string} options.uri - Metadata URI (default "https://example.com/metadata.json")
+ * @param {boolean} options.revokeMint - Revoke mint authority (default false)
+ * @param {boolean} options.revokeFreeze - Revoke freeze authority (default false)
+ * @param {string|PublicKey} options.partnerWallet - Partner wallet public key
+ * @param {number|string|BN} [options.partnerAmount=0] - Amount for partner wallet
+ * @param {string|solanaWeb3.PublicKey} [options.programId] - Program ID (default: the program ID of the cluster)
+ * @param {string} [options.cluster] - Cluster whose program ID is used without programId (see resolveConfig)
+ * @param {string|boolean} [options.configPath] - Config file read to resolve the program ID (see resolveConfig)
+ * @param {string|Object} options.idl - Program IDL (URL, object, or path, optional)
+ * @param {anchor.Program} [options.program] - Program client built beforehand on the same connection (e.g. by
+ *   MintMeClient), used instead of loading the IDL
+ * @param {Function} options.logger - Custom logger function (optional)
+ * @param {boolean} [options.simulate=false] - Build and simulate the transaction without sending it. An existing token
+ *   is returned flagged simulated and alreadyExisted, with nothing to simulate
+ * @param {number|string|Object} [options.priorityFee] - Priority fee in microLamports per compute unit, "auto", or
+ *   { percentile, minMicroLamports, maxMicroLamports } to derive it from recent prioritization fees
+ * @param {number|string} [options.computeUnitLimit] - Compute unit limit, or "auto" to size it from a simulation
+ * @param {string} [options.commitment="confirmed"] - Commitment to wait for ("confirmed" or "finalized")
+ * @param {boolean} [options.skipPreflight=false] - Skip the preflight simulation when sending
+ * @param {number} [options.rebroadcastInterval=2000] - Milliseconds between rebroadcasts while waiting
+ * @param {boolean|Object} [options.verifyMetadata=false] - Fetch the metadata URI before creating the token and fail if
+ *   it does not resolve to JSON matching the name and symbol (true, or { timeout, fetch }, see validateUri)
+ * @param {string} [options.tokenProgram="token"] - "token-2022" creates a Token-2022 mint (see createToken2022 for
+ *   its extensions option). The MintMe program only supports the legacy token program, so it is not used in that case
+ * @param {string|solanaWeb3.PublicKey} [options.multisig] - SPL multisig (see createMultisig) that receives the mint
+ *   and freeze authorities not revoked, in the same transaction: no single key ever controls the supply afterwards
+ * @param {Function} [options.onProgress] - Called with each lifecycle event ({ type, operation, timestamp, ... }):
+ *   validated, idlLoaded, pdasDerived, awaitingSignature, submitted, then confirmed or failed (see ProgressEvent).
+ *   Token-2022 mints skip idlLoaded and pdasDerived. Invalid options reject before any event
+ * @returns {Promise<Object>} - Result of token creation (or of the simulation when options.simulate is set).
+ *   status is "landed", "failed" (program error) or "expired" (not processed, safe to retry).
+ *   If the mint PDA already exists, nothing is sent and the existing token is returned as stored on-chain with
+ *   alreadyExisted: true. An existing token with another symbol, decimals or URI fails with a ValidationError
+ */
+function createToken(options) {
+  // Logger of this call: options.logger or the global logger, with a correlation ID
+  const logger = loggerUtils.forOperation(options.logger, "createToken")
+  const onProgress = progressUtils.forOperation(options.onProgress, "createToken")
+
+  // Validate required options
+  if (!options.connection) {
+    return Promise.reject(new errorUtils.ValidationError("A Solana connection is required"))
+  }
+  if (!options.payer) {
+    return Promise.reject(new errorUtils.WalletError("A payer (wallet or keypair) is required"))
+  }
+
+  // Token-2022 mints are created without the MintMe program
+  let useToken2022
+  try {
+    useToken2022 = token2022.isToken2022(options)
+  } catch (error) {
+    return Promise.reject(error)
+  }
+  if (useToken2022) {
+    return token2022
+      .createToken2022(Object.assign({}, options, { logger: logger, onProgress: onProgress }))
+      .then((result) => progressUtils.emitOutcome(onProgress, result, { mint: result.mint || null }))
+  }
 
   // Determine the wallet/payer type
   let wallet
@@ -130,134 +414,278 @@ function createToken(options) {
     // Anchor-compatible wallet (like Phantom)
     wallet = options.payer
   } else {
-    return Promise.reject(new Error("Unsupported wallet format"))
+    return Promise.reject(new errorUtils.WalletError("Unsupported wallet format"))
+  }
+
+  let params
+  try {
+    params = resolveCreateTokenParams(options, wallet.publicKey, logger)
+  } catch (error) {
+    return Promise.reject(error)
   }
+  progressUtils.emitProgress(onProgress, progressUtils.ProgressEvent.VALIDATED, {
+    payer: wallet.publicKey.toString(),
+    name: params.name,
+    symbol: params.symbol,
+    uniqueKey: params.uniqueKey,
+    decimals: params.decimals,
+    initialSupply: params.initialSupply.toString(),
+    programId: params.programId.toString(),
+  })
 
-  // Configure the Anchor provider
+  // Local provider only, the global Anchor provider is left untouched
   const provider = new anchor.AnchorProvider(options.connection, wallet, {
-    commitment: "confirmed",
+    commitment: params.commitment,
   })
-  anchor.setProvider(provider)
-
-  // Load the IDL and configure the program
-  return idlUtils
-    .loadIDL(idlSource)
-    .then((idl) => {
-      const program = new anchor.Program(idl, programId, provider)
-
-      // Convert initialSupply to BN if necessary
-      let initialSupplyBN = initialSupply
-      if (typeof initialSupply === "number" || typeof initialSupply === "string") {
-        try {
-          const supplyString = initialSupply.toString()
-
-          // Validate that the string represents a valid number
-          if (!/^\d+$/.test(supplyString)) {
-            throw new Error(`Invalid initial supply format: ${initialSupply}`)
-          }
 
-          // Check if the number is within safe BigInt range before converting to BN
-          const supplyBigInt = BigInt(supplyString)
-          const MAX_BN_VALUE = BigInt("18446744073709551615") // 2^64 - 1
+  // Check the off-chain metadata first if requested, then load the IDL and configure the program
+  return tokenMetadata
+    .verifyTokenMetadata(params, options.verifyMetadata, logger)
+    .then(() => idlUtils.loadProgram(params.idlSource, params.programId, provider, options.program))
+    .then((program) => {
+      const idl = program.idl
+      progressUtils.emitProgress(onProgress, progressUtils.ProgressEvent.IDL_LOADED, {
+        programId: params.programId.toString(),
+        idlName: idl.name,
+        idlVersion: idl.version,
+      })
 
-          if (supplyBigInt > MAX_BN_VALUE) {
-            throw new Error(`Initial supply ${supplyString} exceeds maximum allowed value ${MAX_BN_VALUE.toString()}`)
+      return prepareCreateToken(program, params, logger)
+        .then((prepared) => {
+          progressUtils.emitProgress(onProgress, progressUtils.ProgressEvent.PDAS_DERIVED, {
+            mint: prepared.mintPDA.mintPDA.toString(),
+            tokenAccount: prepared.tokenAccount.toString(),
+            metadata: prepared.metadataAccount.metadataAddress.toString(),
+            paymentPDA: prepared.paymentPDA.pda.toString(),
+            networkFeeConfig: prepared.configPDA.pda.toString(),
+          })
+          return prepared
+        })
+        .then((prepared) =>
+          // Idempotency: if the mint PDA already exists, return the existing token instead of failing
+          findExistingToken(options.connection, prepared, params, logger).then((existing) => ({
+            prepared: prepared,
+            existing: existing,
+          })),
+        )
+        .then((found) => {
+          if (found.existing) {
+            return options.simulate ? simulationUtils.existingTokenSimulation(found.existing) : found.existing
           }
 
-          // Convert to BN only after validation
-          initialSupplyBN = new anchor.BN(supplyString)
-
-          // Registrar el valor para depuración
-          logger(`Initial Supply (raw): ${initialSupply}`)
-          logger(`Initial Supply (BN): ${initialSupplyBN.toString()}`)
-        } catch (error) {
-          logger(`Error converting initial supply: ${error.message}`)
-          return Promise.reject(new Error(`Invalid initial supply: ${error.message}`))
-        }
-      }
-
-      // Get current timestamp
-      const timestamp = Math.floor(Date.now() / 1000)
+          const prepared = found.prepared
+          const mintPDA = prepared.mintPDA
+          const tokenAccount = prepared.tokenAccount
+          const metadataAccount = prepared.metadataAccount
+
+          if (options.simulate) {
+            logger("Simulating token creation (nothing will be sent)...")
+            return prepared.methodBuilder
+              .transaction()
+              .then((transaction) =>
+                simulationUtils.simulateTransaction({
+                  connection: options.connection,
+                  transaction: transaction,
+                  feePayer: wallet.publicKey,
+                  idl: idl,
+                  watchAccounts: [
+                    { label: "payer", address: wallet.publicKey },
+                    { label: "partnerWallet", address: params.partnerWallet },
+                    { label: "tokenPda", address: prepared.paymentPDA.pda },
+                    { label: "mint", address: mintPDA.mintPDA },
+                    { label: "tokenAccount", address: tokenAccount },
+                    { label: "metadata", address: metadataAccount.metadataAddress },
+                  ],
+                }),
+              )
+              .then((simulation) => {
+                logger(`Simulation units consumed: ${simulation.unitsConsumed}`)
+                if (simulation.error) {
+                  logger(`Simulation failed: ${simulation.error.message}`)
+                }
+                return {
+                  success: true,
+                  simulated: true,
+                  wouldSucceed: !simulation.error,
+                  mint: mintPDA.mintPDA.toString(),
+                  tokenAccount: tokenAccount.toString(),
+                  metadata: metadataAccount.metadataAddress.toString(),
+                  paymentPDA: prepared.paymentPDA.pda.toString(),
+                  networkFeeConfig: prepared.configPDA.pda.toString(),
+                  tokenName: params.name,
+                  tokenSymbol: params.symbol,
+                  multisig: params.multisig ? params.multisig.toString() : null,
+                  unitsConsumed: simulation.unitsConsumed,
+                  logs: simulation.logs,
+                  networkFee: simulation.networkFee,
+                  lamportOutflow: simulation.lamportOutflow,
+                  balanceChanges: simulation.balanceChanges,
+                  programError: simulation.error,
+                  computeBudget: prepared.computeBudget,
+                }
+              })
+          }
 
-      // Derive the necessary addresses
-      return Promise.all([
-        pdaUtils.derivePaymentPDA(programId),
-        pdaUtils.deriveMintPDA(programId, wallet.publicKey, options.name, options.symbol, options.uniqueKey),
-        pdaUtils.deriveNetworkFeeConfigPDA(programId),
-      ])
-        .then((results) => {
-          const paymentPDA = results[0]
-          const mintPDA = results[1]
-          const configPDA = results[2]
-
-          return Promise.all([
-            paymentPDA,
-            mintPDA,
-            pdaUtils.deriveTokenAccount(mintPDA.mintPDA, wallet.publicKey),
-            pdaUtils.deriveMetadataAccount(mintPDA.mintPDA),
-            configPDA,
-          ])
-        })
-        .then((results) => {
-          const paymentPDA = results[0]
-          const mintPDA = results[1]
-          const tokenAccount = results[2]
-          const metadataAccount = results[3]
-          const configPDA = results[4]
-
-          logger(`Payment PDA: ${paymentPDA.pda.toString()}`)
-          logger(`Mint PDA: ${mintPDA.mintPDA.toString()}`)
-          logger(`Token Account: ${tokenAccount.toString()}`)
-          logger(`Metadata Account: ${metadataAccount.metadataAddress.toString()}`)
-          logger(`Network Fee Config: ${configPDA.pda.toString()}`)
-          logger(`Partner: ${partnerWallet?.toString() || "Not defined"}`)
-
-          // Call the create_token instruction
-          return program.methods
-            .createToken(
-              options.name,
-              options.symbol,
-              uniqueKey,
-              decimals,
-              initialSupplyBN,
-              uri,
-              revokeMint,
-              revokeFreeze,
-              partnerWallet,
-              new anchor.BN(partnerAmount),
+          // Send the create_token instruction and wait for a definitive status
+          return prepared.methodBuilder
+            .transaction()
+            .then((transaction) =>
+              transactionUtils.sendAndConfirmTransaction({
+                connection: options.connection,
+                transaction: transaction,
+                wallet: wallet,
+                commitment: params.commitment,
+                skipPreflight: options.skipPreflight,
+                rebroadcastInterval: options.rebroadcastInterval,
+                idl: idl,
+                onProgress: onProgress,
+                logger: logger,
+              }),
             )
-            .accounts({
-              payer: wallet.publicKey,
-              config: configPDA.pda,
-              mint: mintPDA.mintPDA,
-              tokenAccount: tokenAccount,
-              metadata: metadataAccount.metadataAddress,
-              tokenPda: paymentPDA.pda, // Use tokenPda instead of paymentPda according to the new IDL
-              tokenProgram: splToken.TOKEN_PROGRAM_ID,
-              metadataProgram: constants.TOKEN_METADATA_PROGRAM_ID,
-              systemProgram: solanaWeb3.SystemProgram.programId,
-              partnerWallet: partnerWallet,
-              rent: solanaWeb3.SYSVAR_RENT_PUBKEY,
-              associatedTokenProgram: splToken.ASSOCIATED_TOKEN_PROGRAM_ID,
+            .then((sent) => {
+              const result = {
+                success: sent.status === transactionUtils.TransactionStatus.LANDED,
+                status: sent.status,
+                mint: mintPDA.mintPDA.toString(),
+                tokenAccount: tokenAccount.toString(),
+                metadata: metadataAccount.metadataAddress.toString(),
+                txSignature: sent.signature,
+                tokenName: params.name,
+                tokenSymbol: params.symbol,
+                uniqueKey: params.uniqueKey,
+                multisig: params.multisig ? params.multisig.toString() : null,
+                computeBudget: prepared.computeBudget,
+              }
+              if (result.success) {
+                return result
+              }
+
+              logger.error("Error creating token: " + sent.error.message)
+              result.error = sent.error.message
+              result.programError = sent.error
+              result.retryable = sent.status === transactionUtils.TransactionStatus.EXPIRED
+              result.logs = sent.logs
+              result.details = sent.error
+
+              if (sent.status !== transactionUtils.TransactionStatus.FAILED) {
+                return result
+              }
+              // A concurrent request may have created the same mint in the meantime
+              return findExistingToken(options.connection, prepared, params, logger).then(
+                (existing) => existing || result,
+              )
             })
-            .rpc()
-            .then((txSignature) => ({
-              success: true,
-              mint: mintPDA.mintPDA.toString(),
-              tokenAccount: tokenAccount.toString(),
-              metadata: metadataAccount.metadataAddress.toString(),
-              txSignature: txSignature,
-              tokenName: options.name,
-              tokenSymbol: options.symbol,
-            }))
         })
     })
     .catch((error) => {
-      logger("Error creating token: " + error.message)
+      logger.error("Error creating token: " + error.message)
       return {
         success: false,
         error: error.message,
-        details: error,
+        details: errorUtils.toMintMeError(error),
+      }
+    })
+    .then((result) => progressUtils.emitOutcome(onProgress, result, { mint: result.mint || null }))
+}
+
+/**
+ * Builds an unsigned token creation transaction without sending it.
+ * The transaction can be handed to a browser wallet to be signed and sent.
+ * @param {Object} options - Same options as createToken, except for the payer
+ * @param {solanaWeb3.Connection} options.connection - Solana connection
+ * @param {string|solanaWeb3.PublicKey} options.payer - Public key of the wallet that will sign and pay
+ * @returns {Promise<Object>} - Serialized transaction (base64) and the derived accounts,
+ *   or the existing token (alreadyExisted: true, no transaction) if the mint PDA already exists
+ */
+function buildCreateTokenTransaction(options) {
+  const logger = loggerUtils.forOperation(options.logger, "buildCreateTokenTransaction")
+
+  // Validate required options
+  if (!options.connection) {
+    return Promise.reject(new errorUtils.ValidationError("A Solana connection is required"))
+  }
+  if (!options.payer) {
+    return Promise.reject(new errorUtils.WalletError("A payer public key is required"))
+  }
+
+  let useToken2022
+  try {
+    useToken2022 = token2022.isToken2022(options)
+  } catch (error) {
+    return Promise.reject(error)
+  }
+  if (useToken2022) {
+    return token2022.buildCreateToken2022Transaction(Object.assign({}, options, { logger: logger }))
+  }
+
+  let payerPublicKey
+  try {
+    payerPublicKey = walletUtils.toPublicKey(options.payer)
+  } catch (error) {
+    return Promise.reject(new errorUtils.WalletError(`Invalid payer: ${error.message}`, { cause: error }))
+  }
+
+  let params
+  try {
+    params = resolveCreateTokenParams(options, payerPublicKey, logger)
+  } catch (error) {
+    return Promise.reject(error)
+  }
+
+  // Local provider only, the global Anchor provider is left untouched
+  const provider = new anchor.AnchorProvider(options.connection, walletUtils.createReadOnlyWallet(payerPublicKey), {
+    commitment: params.commitment,
+  })
+
+  return tokenMetadata
+    .verifyTokenMetadata(params, options.verifyMetadata, logger)
+    .then(() => idlUtils.loadProgram(params.idlSource, params.programId, provider, options.program))
+    .then((program) => prepareCreateToken(program, params, logger))
+    .then((prepared) =>
+      Promise.all([
+        prepared,
+        findExistingToken(options.connection, prepared, params, logger),
+        options.connection.getLatestBlockhash(params.commitment),
+      ]),
+    )
+    .then((results) => {
+      const prepared = results[0]
+      const existing = results[1]
+      const latestBlockhash = results[2]
+
+      // Nothing to sign: the token was already created
+      if (existing) {
+        return existing
+      }
+
+      return prepared.methodBuilder.transaction().then((transaction) => {
+        transaction.feePayer = payerPublicKey
+        transaction.recentBlockhash = latestBlockhash.blockhash
+
+        return {
+          success: true,
+          transaction: transaction.serialize({ requireAllSignatures: false, verifySignatures: false }).toString("base64"),
+          feePayer: payerPublicKey.toString(),
+          recentBlockhash: latestBlockhash.blockhash,
+          lastValidBlockHeight: latestBlockhash.lastValidBlockHeight,
+          mint: prepared.mintPDA.mintPDA.toString(),
+          tokenAccount: prepared.tokenAccount.toString(),
+          metadata: prepared.metadataAccount.metadataAddress.toString(),
+          paymentPDA: prepared.paymentPDA.pda.toString(),
+          networkFeeConfig: prepared.configPDA.pda.toString(),
+          tokenName: params.name,
+          tokenSymbol: params.symbol,
+          uniqueKey: params.uniqueKey,
+          computeBudget: prepared.computeBudget,
+        }
+      })
+    })
+    .catch((error) => {
+      logger.error("Error building token creation transaction: " + error.message)
+      return {
+        success: false,
+        error: error.message,
+        details: errorUtils.toMintMeError(error),
       }
     })
 }
@@ -275,10 +703,21 @@ function createToken(options) {
  * @param {boolean} config.revokeFreeze - Revoke freeze authority after creating the token (default false)
  * @param {string|PublicKey} config.partnerWallet - Partner wallet receiving funds
  * @param {number} [config.partnerAmount=0] - Amount for partner wallet
- * @param {string} [config.walletPath] - Path to wallet.json file (default "./wallet.json")
+ * @param {string} [config.walletPath] - Path to wallet.json file (default "./wallet.json", see resolveConfig)
  * @param {Object} [config.wallet] - Web3 wallet object with publicKey and signTransaction methods
- * @param {string|solanaWeb3.Connection} config.connection - Solana RPC endpoint or Connection object (default "https://api.devnet.solana.com")
- * @param {string} config.cluster - Solana cluster (default "devnet")
+ * @param {string|solanaWeb3.Connection} [config.connection] - Solana RPC endpoint or Connection object (default: the
+ *   endpoint of the cluster)
+ * @param {string} [config.cluster="devnet"] - Solana cluster: "localnet", "devnet", "testnet" or "mainnet-beta"
+ * @param {string|boolean} [config.configPath] - Config file (see resolveConfig), false to skip it
+ * @param {string|solanaWeb3.PublicKey} [config.programId] - Program ID (default: the program ID of the cluster)
+ * @param {string|Object} [config.idl] - Program IDL (URL, object, or path)
+ * @param {number|string|Object} [config.priorityFee] - Priority fee (see createToken)
+ * @param {number|string} [config.computeUnitLimit] - Compute unit limit (see createToken)
+ * @param {string} [config.commitment="confirmed"] - Commitment to wait for ("confirmed" or "finalized")
+ * @param {string} [config.tokenProgram="token"] - Token program: "token" or "token-2022"
+ * @param {boolean|Object} [config.verifyMetadata=false] - Check the metadata URI before creating (see createToken)
+ * @param {Object} [config.extensions] - Token-2022 extensions (see createToken2022)
+ * @param {Function} [config.onProgress] - Lifecycle events (see createToken), with operation "createTokenSimple"
  * @param {Function} [config.logger] - Custom logger function
  * @returns {Promise<Object>} - Result of token creation
  */
@@ -295,21 +734,24 @@ function createTokenSimple(config) {
     revokeFreeze: false,
     partnerWallet: "7viHj1u6aQS9Nmc55FokX3B9NbDJUPwMYQvKgBfWeYXE",
     partnerAmount: 0,
-    walletPath: "./wallet.json",
-    connection: "https://api.devnet.solana.com",
-    cluster: "devnet",
   }
 
-  // Merge the provided configuration with the default
-  const mergedConfig = Object.assign({}, defaultConfig, config || {})
+  // Merge the provided configuration with the default, then resolve the cluster settings (config file, environment)
+  let mergedConfig
+  try {
+    mergedConfig = configUtils.resolveConfig(Object.assign({}, defaultConfig, config || {}))
+  } catch (error) {
+    return Promise.reject(error)
+  }
 
   // Use provided logger or default
-  const logger = mergedConfig.logger || customLogger
+  const logger = loggerUtils.forOperation(mergedConfig.logger, "createTokenSimple")
+  const onProgress = progressUtils.forOperation(mergedConfig.onProgress, "createTokenSimple")
 
   // Create Solana connection if a string was provided
   const connection =
     typeof mergedConfig.connection === "string"
-      ? new solanaWeb3.Connection(mergedConfig.connection, "confirmed")
+      ? new solanaWeb3.Connection(mergedConfig.connection, mergedConfig.commitment || "confirmed")
       : mergedConfig.connection
 
   // Determine the wallet to use (web3 wallet or file-based wallet)
@@ -324,33 +766,58 @@ function createTokenSimple(config) {
     // Verify that the wallet file exists
     if (!walletUtils.verifyWalletFile(mergedConfig.walletPath)) {
       return Promise.reject(
-        new Error(`Wallet file not found at ${mergedConfig.walletPath}. Generate a wallet with generate-wallet.js`),
+        new errorUtils.WalletError(
+          `Wallet file not found at ${mergedConfig.walletPath}. Generate a wallet with generate-wallet.js`,
+        ),
       )
     }
 
     // Load wallet from file
     payer = walletUtils.loadWalletFromFile(mergedConfig.walletPath)
     if (!payer) {
-      return Promise.reject(new Error(`Error loading wallet from ${mergedConfig.walletPath}`))
+      return Promise.reject(new errorUtils.WalletError(`Error loading wallet from ${mergedConfig.walletPath}`))
     }
   }
 
   let tokenResult
 
-  // Verify balance and create token
-  return connection
-    .getBalance(payer.publicKey)
-    .then((balance) => {
+  const partnerAmount = conversionUtils.solToLamports(mergedConfig.partnerAmount)
+
+  // Verify balance against the on-chain fee quote and create token
+  return Promise.all([
+    connection.getBalance(payer.publicKey),
+    tokenFees.getFeeQuote({
+      connection: connection,
+      programId: mergedConfig.programId,
+      idl: mergedConfig.idl,
+      operation: "create",
+      partnerAmount: partnerAmount,
+    }),
+  ])
+    .then((results) => {
+      const balance = results[0]
+      const quote = results[1]
+
+      // Token-2022 mints are created without the MintMe program, so its fee does not apply
+      let estimatedCost = quote.total
+      if (token2022.isToken2022(mergedConfig)) {
+        estimatedCost -= quote.items.find((item) => item.name === "programFee").lamports
+      }
+
       logger(`Address: ${payer.publicKey.toString()}`)
       logger(`Balance: ${balance / 1000000000} SOL`)
+      logger(`Estimated cost: ${conversionUtils.formatSolAmount(estimatedCost, 6)}`)
 
-      if (balance < 10000000) {
+      if (balance < estimatedCost) {
+        const required = conversionUtils.formatSolAmount(estimatedCost, 6)
+        const amounts = { required: estimatedCost, available: balance }
         if (mergedConfig.cluster === "devnet") {
-          throw new Error(
-            `Insufficient balance. You need at least 0.03 SOL. Get SOL with: solana airdrop 2 ${payer.publicKey.toString()} --url devnet`,
+          throw new errorUtils.InsufficientBalanceError(
+            `Insufficient balance. You need at least ${required}. Get SOL with: solana airdrop 2 ${payer.publicKey.toString()} --url devnet`,
+            amounts,
           )
         } else {
-          throw new Error(`Insufficient balance. You need at least 0.03 SOL.`)
+          throw new errorUtils.InsufficientBalanceError(`Insufficient balance. You need at least ${required}.`, amounts)
         }
       }
 
@@ -358,15 +825,15 @@ function createTokenSimple(config) {
       logger(`Initial Supply (from form): ${mergedConfig.initialSupply}`)
 
       // Calcular el valor real considerando los decimales
-      const decimals = mergedConfig.decimals || 9
+      const decimals = mergedConfig.decimals === undefined || mergedConfig.decimals === null ? 9 : mergedConfig.decimals
 
       let adjustedSupply
       try {
         adjustedSupply = calculateAdjustedSupply(mergedConfig.initialSupply, decimals)
         logger(`Adjusted Supply (with decimals): ${adjustedSupply}`)
       } catch (error) {
-        logger(`Error calculating adjusted supply: ${error.message}`)
-        throw new Error(`Supply calculation failed: ${error.message}`)
+        logger.error(`Error calculating adjusted supply: ${error.message}`)
+        throw new errorUtils.ValidationError(`Supply calculation failed: ${error.message}`, { cause: error })
       }
 
       // Create token
@@ -376,13 +843,22 @@ function createTokenSimple(config) {
         name: mergedConfig.tokenName,
         symbol: mergedConfig.tokenSymbol,
         uniqueKey: mergedConfig.uniqueKey,
-        decimals: mergedConfig.decimals,
+        decimals: decimals,
         initialSupply: adjustedSupply, // Usar el valor ajustado
         uri: mergedConfig.uri,
         revokeMint: mergedConfig.revokeMint,
         revokeFreeze: mergedConfig.revokeFreeze,
         partnerWallet: mergedConfig.partnerWallet,
-        partnerAmount: conversionUtils.solToLamports(mergedConfig.partnerAmount),
+        partnerAmount: partnerAmount,
+        programId: mergedConfig.programId,
+        idl: mergedConfig.idl,
+        priorityFee: mergedConfig.priorityFee,
+        computeUnitLimit: mergedConfig.computeUnitLimit,
+        commitment: mergedConfig.commitment,
+        tokenProgram: mergedConfig.tokenProgram,
+        extensions: mergedConfig.extensions,
+        verifyMetadata: mergedConfig.verifyMetadata,
+        onProgress: onProgress,
         logger: logger, // Send Logger
       })
     })
@@ -419,7 +895,7 @@ function createTokenSimple(config) {
             // Note: The original code doesn't actually save the file,
             // just prepares the tokenInfo object
           } catch (error) {
-            logger("Error saving token information: " + error.message)
+            logger.error("Error saving token information: " + error.message)
           }
         }
 
@@ -433,38 +909,46 @@ function createTokenSimple(config) {
       return tokenResult
     })
     .catch((error) => {
-      logger(`Error in createTokenSimple: ${error.message}`)
-      return {
+      logger.error(`Error in createTokenSimple: ${error.message}`)
+      // createToken reports the outcomes it resolves; this covers the balance check and rejected options
+      return progressUtils.emitOutcome(onProgress, {
         success: false,
         error: error.message,
-        details: error,
-      }
+        details: errorUtils.toMintMeError(error),
+      })
     })
 }
 
 /**
  * Calcula el suministro ajustado considerando los decimales
- * @param {number|string} supply - Suministro inicial sin ajustar
+ * @param {number|string} supply - Suministro inicial sin ajustar (admite decimales, p. ej. "1.5")
  * @param {number} decimals - Número de decimales del token
  * @returns {string} - Suministro ajustado como string
  */
 function calculateAdjustedSupply(supply, decimals) {
   try {
+    // Split decimal amounts ("1.5") so they can be scaled without floating point errors
+    const parts = /^(\d+)\.(\d+)$/.exec(String(supply).trim())
+    if (parts && parts[2].length > decimals) {
+      throw new errorUtils.ValidationError(`Invalid supply value: ${supply} has more than ${decimals} decimal places`)
+    }
+
     // Convert supply to BigInt for safe arithmetic
-    const supplyBigInt = BigInt(supply)
+    const supplyBigInt = BigInt(parts ? parts[1] : supply)
 
     // Calculate the factor using BigInt
     const factorBigInt = BigInt(10) ** BigInt(decimals)
 
     // Calculate the adjusted supply using BigInt arithmetic
-    const adjustedSupplyBigInt = supplyBigInt * factorBigInt
+    const fractionBigInt = parts ? BigInt(parts[2].padEnd(decimals, "0")) : BigInt(0)
+    const adjustedSupplyBigInt = supplyBigInt * factorBigInt + fractionBigInt
 
     // Define the maximum allowed value for Solana tokens (2^64 - 1)
     const MAX_SUPPLY = BigInt("18446744073709551615")
 
     // Validate that the adjusted supply doesn't exceed the maximum
     if (adjustedSupplyBigInt > MAX_SUPPLY) {
-      throw new Error(
+      throw new errorUtils.ValidationError(
         `Adjusted supply (${adjustedSupplyBigInt.toString()}) exceeds maximum allowed value (${MAX_SUPPLY.toString()})`,
       )
     }
@@ -473,7 +957,7 @@ function calculateAdjustedSupply(supply, decimals) {
     return adjustedSupplyBigInt.toString()
   } catch (error) {
     if (error.message.includes("Cannot convert")) {
-      throw new Error(`Invalid supply value: ${supply}. Must be a valid number.`)
+      throw new errorUtils.ValidationError(`Invalid supply value: ${supply}. Must be a valid number.`)
     }
     throw error
   }
@@ -482,6 +966,8 @@ function calculateAdjustedSupply(supply, decimals) {
 module.exports = {
   createToken,
   createTokenSimple,
-  setCustomLogger,
+  buildCreateTokenTransaction,
+  // Kept for compatibility: the logger is global (see utils/logger)
+  setCustomLogger: loggerUtils.setCustomLogger,
   calculateAdjustedSupply, // Exportar la nueva función
 }
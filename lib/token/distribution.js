@@ -0,0 +1,581 @@
+/**
+ * Functions for distributing a token to many recipients (airdrops, team and treasury allocations)
+ * @module token-distribution-utils
+ */
+
+const fs = require("fs")
+const path = require("path")
+const solanaWeb3 = require("@solana/web3.js")
+const splToken = require("@solana/spl-token")
+const walletUtils = require("../utils/wallet")
+const pdaUtils = require("../utils/pda")
+const conversionUtils = require("../utils/conversion")
+const transactionUtils = require("../utils/transaction")
+const errorUtils = require("../utils/errors")
+const accountUtils = require("../utils/accounts")
+const csvUtils = require("../utils/csv")
+const journalUtils = require("../utils/journal")
+const loggerUtils = require("../utils/logger")
+const tokenSupply = require("./supply")
+
+/**
+ * Loads the recipient list
+ * @param {Object} options - Options of distributeTokens
+ * @returns {Array<{address: string, amount: string|number}>}
+ * @throws {errorUtils.ValidationError} - If neither recipients nor csvPath is a usable list
+ */
+function loadRecipients(options) {
+  if (options.recipients && options.csvPath) {
+    throw new errorUtils.ValidationError("Use either recipients or csvPath, not both")
+  }
+
+  let rows = options.recipients
+  if (options.csvPath) {
+    if (!fs) {
+      throw new errorUtils.ValidationError("Loading recipients from a file is only available in Node.js environments")
+    }
+    let text
+    try {
+      text = fs.readFileSync(path.resolve(options.csvPath), "utf-8")
+    } catch (error) {
+      throw new errorUtils.ValidationError(`Could not read ${options.csvPath}: ${error.message}`, { cause: error })
+    }
+    rows = csvUtils.parseCsv(text)
+  }
+
+  if (!Array.isArray(rows)) {
+    throw new errorUtils.ValidationError(
+      "Recipients are required: an array of { address, amount } or a csvPath with address,amount columns",
+    )
+  }
+  if (rows.length === 0) {
+    throw new errorUtils.ValidationError("The recipient list is empty")
+  }
+
+  return rows.map((row) => ({
+    address: row && row.address !== undefined ? String(row.address).trim() : "",
+    amount: row && typeof row.amount === "string" ? row.amount.trim() : row && row.amount,
+  }))
+}
+
+/**
+ * Validates the recipients and converts their amounts to base units
+ * @param {Array<{address: string, amount: string|number}>} rows - Recipients
+ * @param {number} decimals - Mint decimals
+ * @returns {Array<{address: solanaWeb3.PublicKey, amount: string, rawAmount: bigint}>}
+ * @throws {errorUtils.ValidationError} - With invalidRows if a row is invalid. Nothing is sent in that case.
+ */
+function validateRecipients(rows, decimals) {
+  const invalidRows = []
+  const seen = {}
+
+  const recipients = rows.map((row, index) => {
+    const errors = []
+    let address = null
+    let rawAmount = null
+
+    try {
+      address = walletUtils.toPublicKey(row.address)
+    } catch (error) {
+      errors.push(`Invalid address: ${row.address || "(empty)"}`)
+    }
+    if (address) {
+      // Paying the same wallet twice is almost always a mistake in the list
+      if (seen[address.toString()] !== undefined) {
+        errors.push(`Duplicate of row ${seen[address.toString()] + 1}`)
+      } else {
+        seen[address.toString()] = index
+      }
+    }
+
+    if (row.amount === undefined || row.amount === null || row.amount === "") {
+      errors.push("amount is required")
+    } else {
+      try {
+        rawAmount = tokenSupply.toBaseUnits(row.amount, decimals)
+      } catch (error) {
+        errors.push(error.message)
+      }
+    }
+
+    if (errors.length > 0) {
+      invalidRows.push({ row: index + 1, errors: errors })
+    }
+    return {
+      address: address,
+      amount: rawAmount !== null ? conversionUtils.toUiAmount(rawAmount, decimals) : null,
+      rawAmount: rawAmount,
+    }
+  })
+
+  if (invalidRows.length > 0) {
+    const error = new errorUtils.ValidationError(
+      `Recipient validation failed: ${invalidRows.map((invalid) => `row ${invalid.row}: ${invalid.errors.join(", ")}`).join("; ")}`,
+      { invalidRows: invalidRows },
+    )
+    throw error
+  }
+
+  return recipients
+}
+
+/**
+ * Reads the balance of token accounts (0 for accounts that do not exist)
+ * @param {solanaWeb3.Connection} connection - Solana connection
+ * @param {solanaWeb3.PublicKey[]} tokenAccounts - Token accounts
+ * @param {solanaWeb3.PublicKey} programId - Token program
+ * @returns {Promise<Array<{exists: boolean, amount: bigint, isFrozen: boolean}>>}
+ */
+function getTokenBalances(connection, tokenAccounts, programId) {
+  return accountUtils.getAccounts(connection, tokenAccounts).then((accounts) =>
+    accounts.map((account, index) => {
+      if (!account) {
+        return { exists: false, amount: BigInt(0), isFrozen: false }
+      }
+      const decoded = splToken.unpackAccount(tokenAccounts[index], account, programId)
+      return { exists: true, amount: decoded.amount, isFrozen: decoded.isFrozen }
+    }),
+  )
+}
+
+/**
+ * Distributes a token from the payer's account to many recipients.
+ *
+ * Missing recipient token accounts are created (the payer pays their rent), transfers are packed into as few
+ * transactions as fit, and transactions are sent with bounded concurrency. With journalPath, every transfer is
+ * recorded before its transaction is sent: running the distribution again with the same journal skips what was
+ * already sent and confirms the transactions that were in flight when the previous run stopped, so no recipient
+ * is paid twice.
+ * @param {Object} options - Distribution options
+ * @param {solanaWeb3.Connection} options.connection - Solana connection
+ * @param {solanaWeb3.Keypair|Object} options.payer - Keypair or wallet of the holder (pays the fees and the new accounts)
+ * @param {string|solanaWeb3.PublicKey} options.mint - Mint address
+ * @param {Array<{address: string, amount: number|string}>} [options.recipients] - Recipients, amounts in tokens
+ * @param {string} [options.csvPath] - CSV file with address and amount columns, instead of recipients (Node.js only)
+ * @param {string} [options.journalPath] - Path of the JSON journal used to resume the distribution (Node.js only)
+ * @param {number} [options.concurrency=2] - Maximum number of transactions in flight
+ * @param {number} [options.maxTransfersPerTransaction] - Upper bound of transfers per transaction (default: as many as fit)
+ * @param {number|string|Object} [options.priorityFee] - Priority fee (see createToken)
+ * @param {number|string} [options.computeUnitLimit] - Compute unit limit (see createToken)
+ * @param {string} [options.commitment="confirmed"] - Commitment to wait for
+ * @param {Function} [options.logger] - Custom logger function
+ * @returns {Promise<Object>} - { success, mint, total, sent, alreadySent, failed, transactions, rows, reconciliation, journalPath }
+ */
+function distributeTokens(options) {
+  const settings = options || {}
+  if (!settings.connection) {
+    return Promise.reject(new errorUtils.ValidationError("A Solana connection is required"))
+  }
+  if (!settings.payer) {
+    return Promise.reject(new errorUtils.WalletError("A payer (wallet or keypair) is required"))
+  }
+  if (!settings.mint) {
+    return Promise.reject(new errorUtils.ValidationError("A mint address is required"))
+  }
+
+  const logger = loggerUtils.forOperation(settings.logger, "distributeTokens")
+  const connection = settings.connection
+
+  let wallet
+  let mint
+  let commitment
+  let rows
+  let previousJournal
+  try {
+    wallet = walletUtils.toWallet(settings.payer)
+    mint = walletUtils.toPublicKey(settings.mint)
+    commitment = transactionUtils.resolveCommitment(settings.commitment)
+    rows = loadRecipients(settings)
+  } catch (error) {
+    return Promise.reject(error)
+  }
+  try {
+    previousJournal = journalUtils.readJournal(settings.journalPath)
+  } catch (error) {
+    return Promise.reject(
+      new errorUtils.ValidationError(`Could not read the distribution journal: ${error.message}`, { cause: error }),
+    )
+  }
+  if (previousJournal && previousJournal.mint !== mint.toString()) {
+    return Promise.reject(
+      new errorUtils.ValidationError(
+        `The journal ${settings.journalPath} belongs to a distribution of ${previousJournal.mint}, not ${mint.toString()}`,
+      ),
+    )
+  }
+
+  const concurrency = Math.max(1, Number.parseInt(settings.concurrency || 2, 10))
+
+  let mintAccount
+  let recipients
+  let journal
+  let sourceAccount
+  const write = () => journalUtils.writeJournal(settings.journalPath, journal)
+
+  return tokenSupply
+    .loadMint(connection, mint)
+    .then((loaded) => {
+      mintAccount = loaded
+      recipients = validateRecipients(rows, mintAccount.info.decimals)
+
+      return Promise.all(
+        [pdaUtils.deriveTokenAccount(mint, wallet.publicKey, mintAccount.programId)].concat(
+          recipients.map((recipient) => pdaUtils.deriveTokenAccount(mint, recipient.address, mintAccount.programId)),
+        ),
+      )
+    })
+    .then((addresses) => {
+      sourceAccount = addresses[0]
+      const tokenAccounts = addresses.slice(1)
+
+      journal = {
+        mint: mint.toString(),
+        source: sourceAccount.toString(),
+        startedAt: previousJournal ? previousJournal.startedAt : new Date().toISOString(),
+        updatedAt: null,
+        recipients: recipients.map((recipient, index) => {
+          const address = recipient.address.toString()
+          const previous = previousJournal && previousJournal.recipients.find((entry) => entry.address === address)
+          const isRecorded = previous && (previous.status === "sent" || previous.status === "sending")
+          if (isRecorded && previous.amount !== recipient.amount) {
+            throw new errorUtils.ValidationError(
+              `${address} is recorded in the journal with ${previous.amount} tokens, not ${recipient.amount}. ` +
+                "Fix the list or use a new journal",
+            )
+          }
+          return Object.assign(
+            { index: index, address: address, amount: recipient.amount, rawAmount: recipient.rawAmount.toString() },
+            previous && previous.status !== "pending" ? previous : { status: "pending" },
+            { index: index, tokenAccount: tokenAccounts[index].toString() },
+          )
+        }),
+        // Transactions signed but not yet confirmed, by signature
+        inFlight: (previousJournal && previousJournal.inFlight) || {},
+      }
+      write()
+
+      return resolveInFlight(connection, journal, commitment, settings, logger, write)
+    })
+    .then(() => {
+      const entries = journal.recipients.filter((entry) => entry.status !== "sent")
+      const alreadySent = journal.recipients.length - entries.length
+      if (alreadySent > 0) {
+        logger(`Resuming distribution: ${alreadySent} of ${journal.recipients.length} recipients already paid`)
+      }
+
+      return getTokenBalances(
+        connection,
+        [sourceAccount].concat(journal.recipients.map((entry) => new solanaWeb3.PublicKey(entry.tokenAccount))),
+        mintAccount.programId,
+      ).then((balances) => ({ entries: entries, alreadySent: alreadySent, balances: balances }))
+    })
+    .then((state) => {
+      const decimals = mintAccount.info.decimals
+      const programId = mintAccount.programId
+      const sourceBalance = state.balances[0]
+      const balancesBefore = state.balances.slice(1)
+
+      const required = state.entries.reduce((total, entry) => total + BigInt(entry.rawAmount), BigInt(0))
+      if (required > sourceBalance.amount) {
+        const needed = conversionUtils.toUiAmount(required, decimals)
+        const held = conversionUtils.toUiAmount(sourceBalance.amount, decimals)
+        throw new errorUtils.ValidationError(
+          `Insufficient balance: the distribution needs ${needed} tokens but ${sourceAccount.toString()} holds ${held}`,
+        )
+      }
+      if (sourceBalance.isFrozen && state.entries.length > 0) {
+        throw new errorUtils.ValidationError(
+          `Token account ${sourceAccount.toString()} is frozen: its tokens cannot be transferred`,
+        )
+      }
+
+      const sendable = []
+      state.entries.forEach((entry) => {
+        const balance = balancesBefore[entry.index]
+        if (balance.isFrozen) {
+          entry.status = "failed"
+          entry.error = `Token account ${entry.tokenAccount} is frozen`
+          return
+        }
+        const destination = new solanaWeb3.PublicKey(entry.tokenAccount)
+        const instructions = []
+        if (!balance.exists) {
+          instructions.push(
+            splToken.createAssociatedTokenAccountIdempotentInstruction(
+              wallet.publicKey,
+              destination,
+              new solanaWeb3.PublicKey(entry.address),
+              mint,
+              programId,
+            ),
+          )
+        }
+        instructions.push(
+          splToken.createTransferCheckedInstruction(
+            sourceAccount,
+            mint,
+            destination,
+            wallet.publicKey,
+            BigInt(entry.rawAmount),
+            decimals,
+            [],
+            programId,
+          ),
+        )
+        sendable.push({ entry: entry, instructions: instructions })
+      })
+      write()
+
+      const batches = transactionUtils.packInstructions(
+        sendable,
+        wallet.publicKey,
+        settings.maxTransfersPerTransaction ? Number(settings.maxTransfersPerTransaction) : null,
+      )
+      if (batches.length > 0) {
+        logger(`Sending ${sendable.length} transfers in ${batches.length} transactions...`)
+      }
+
+      let transactions = 0
+      const sentThisRun = []
+      const sendBatch = (batch, number) => {
+        logger(`[${number}/${batches.length}] Sending ${batch.length} transfers...`)
+        return transactionUtils
+          .executeInstructions({
+            connection: connection,
+            wallet: wallet,
+            instructions: batch.reduce((all, item) => all.concat(item.instructions), []),
+            priorityFee: settings.priorityFee,
+            computeUnitLimit: settings.computeUnitLimit,
+            commitment: commitment,
+            skipPreflight: settings.skipPreflight,
+            rebroadcastInterval: settings.rebroadcastInterval,
+            // Record the transaction before it can land, so an interrupted run confirms it instead of paying twice
+            onSigned: (signed) => {
+              journal.inFlight[signed.signature] = {
+                rawTransaction: Buffer.from(signed.rawTransaction).toString("base64"),
+                lastValidBlockHeight: signed.lastValidBlockHeight,
+              }
+              batch.forEach((item) => {
+                item.entry.status = "sending"
+                item.entry.txSignature = signed.signature
+              })
+              write()
+            },
+            logger: logger,
+          })
+          .then(
+            (result) => {
+              const entries = batch.map((item) => item.entry)
+              if (result.status === transactionUtils.TransactionStatus.UNKNOWN) {
+                // The transaction may have landed: it stays in flight for the next run to confirm
+                entries.forEach((entry) => {
+                  entry.error = result.error
+                })
+                write()
+                return
+              }
+              if (result.success) {
+                transactions++
+                sentThisRun.push.apply(sentThisRun, entries)
+              }
+              settleEntries(entries, result)
+              if (result.txSignature) {
+                delete journal.inFlight[result.txSignature]
+              }
+              write()
+            },
+            (error) => {
+              // The outcome is unknown once the transaction is signed: it stays in flight for the next run to confirm
+              batch.forEach((item) => {
+                if (item.entry.status !== "sending") {
+                  item.entry.status = "failed"
+                }
+                item.entry.error = error.message
+              })
+              write()
+            },
+          )
+      }
+
+      // Simple worker pool: each worker takes the next transaction until none are left
+      let next = 0
+      const worker = () => {
+        if (next >= batches.length) {
+          return Promise.resolve()
+        }
+        const number = ++next
+        return sendBatch(batches[number - 1], number).then(worker)
+      }
+      const workers = []
+      for (let i = 0; i < Math.min(concurrency, batches.length); i++) {
+        workers.push(worker())
+      }
+
+      return Promise.all(workers)
+        .then(() =>
+          reconcile(connection, journal, sentThisRun, sourceAccount, programId, decimals, sourceBalance, balancesBefore),
+        )
+        .then((reconciliation) => {
+          const count = (status) => journal.recipients.filter((entry) => entry.status === status).length
+          const failed = journal.recipients.length - count("sent")
+
+          logger(
+            `Distribution finished: ${count("sent") - state.alreadySent} sent, ${state.alreadySent} already sent, ${failed} failed`,
+          )
+          if (!reconciliation.matches) {
+            logger.warn("Warning: the on-chain balances do not match the journal, check reconciliation.mismatches")
+          }
+
+          return {
+            success: failed === 0 && reconciliation.matches,
+            mint: mint.toString(),
+            total: journal.recipients.length,
+            sent: count("sent") - state.alreadySent,
+            alreadySent: state.alreadySent,
+            failed: failed,
+            transactions: transactions,
+            rows: journal.recipients,
+            reconciliation: reconciliation,
+            journalPath: settings.journalPath ? path.resolve(settings.journalPath) : null,
+          }
+        })
+    })
+}
+
+/**
+ * Records the outcome of a transaction on its journal entries
+ * @param {Object[]} entries - Journal entries sent in the transaction
+ * @param {Object} result - Send result ({ success, status, txSignature, error })
+ */
+function settleEntries(entries, result) {
+  entries.forEach((entry) => {
+    entry.finishedAt = new Date().toISOString()
+    if (result.success) {
+      entry.status = "sent"
+      entry.txSignature = result.txSignature
+      delete entry.error
+    } else {
+      // Failed and expired transactions did not move any token: the entries are retried on the next run
+      entry.status = "failed"
+      entry.txSignature = result.txSignature || null
+      entry.error = result.error
+    }
+  })
+}
+
+/**
+ * Confirms the transactions a previous run left in flight, before anything new is sent
+ * @param {solanaWeb3.Connection} connection - Solana connection
+ * @param {Object} journal - Distribution journal
+ * @param {string} commitment - Commitment to wait for
+ * @param {Object} settings - Options of distributeTokens
+ * @param {Function} logger - Logger function
+ * @param {Function} write - Saves the journal
+ * @returns {Promise<void>}
+ */
+function resolveInFlight(connection, journal, commitment, settings, logger, write) {
+  const signatures = Object.keys(journal.inFlight)
+  if (signatures.length > 0) {
+    logger(`Confirming ${signatures.length} transactions left in flight by the previous run...`)
+  }
+
+  return signatures.reduce(
+    (promise, signature) =>
+      promise.then(() => {
+        const pending = journal.inFlight[signature]
+        return transactionUtils
+          .confirmTransaction({
+            connection: connection,
+            signature: signature,
+            rawTransaction: Buffer.from(pending.rawTransaction, "base64"),
+            lastValidBlockHeight: pending.lastValidBlockHeight,
+            commitment: commitment,
+            rebroadcastInterval: settings.rebroadcastInterval,
+            logger: logger,
+          })
+          .then((outcome) => {
+            if (outcome.status === transactionUtils.TransactionStatus.UNKNOWN) {
+              // Sending the entries again could pay them twice
+              throw new errorUtils.RpcError(
+                `Could not confirm transaction ${signature} left in flight by the previous run: ` +
+                  `${outcome.error.message}. Run the distribution again`,
+                { cause: outcome.error },
+              )
+            }
+            const entries = journal.recipients.filter((entry) => entry.txSignature === signature)
+            settleEntries(entries, {
+              success: outcome.status === transactionUtils.TransactionStatus.LANDED,
+              txSignature: signature,
+              error: outcome.error && outcome.error.message,
+            })
+            delete journal.inFlight[signature]
+            write()
+          })
+      }),
+    Promise.resolve(),
+  )
+}
+
+/**
+ * Formats a signed difference of base units
+ * @param {bigint} delta - Difference in base units
+ * @param {number} decimals - Mint decimals
+ * @returns {string}
+ */
+function formatDelta(delta, decimals) {
+  return delta < 0 ? `-${conversionUtils.toUiAmount(-delta, decimals)}` : conversionUtils.toUiAmount(delta, decimals)
+}
+
+/**
+ * Compares the on-chain balances after the run with what the journal says was sent during the run
+ * @param {solanaWeb3.Connection} connection - Solana connection
+ * @param {Object} journal - Distribution journal
+ * @param {Object[]} sentThisRun - Journal entries paid by this run
+ * @param {solanaWeb3.PublicKey} sourceAccount - Payer's token account
+ * @param {solanaWeb3.PublicKey} programId - Token program
+ * @param {number} decimals - Mint decimals
+ * @param {Object} sourceBefore - Balance of the payer's account before the run
+ * @param {Object[]} balancesBefore - Balances of the recipients' accounts before the run
+ * @returns {Promise<Object>} - { matches, sentAmount, sourceBalanceBefore, sourceBalanceAfter, mismatches }
+ */
+function reconcile(connection, journal, sentThisRun, sourceAccount, programId, decimals, sourceBefore, balancesBefore) {
+  return getTokenBalances(
+    connection,
+    [sourceAccount].concat(journal.recipients.map((entry) => new solanaWeb3.PublicKey(entry.tokenAccount))),
+    programId,
+  ).then((balancesAfter) => {
+    const sourceAfter = balancesAfter[0].amount
+    const mismatches = []
+    let sentAmount = BigInt(0)
+
+    sentThisRun.forEach((entry) => {
+      const expected = BigInt(entry.rawAmount)
+      const received = balancesAfter[entry.index + 1].amount - balancesBefore[entry.index].amount
+      sentAmount += expected
+      if (received !== expected) {
+        mismatches.push({ address: entry.address, expected: entry.amount, received: formatDelta(received, decimals) })
+      }
+    })
+
+    const sourceDelta = sourceAfter - sourceBefore.amount
+    if (sourceDelta !== -sentAmount) {
+      mismatches.push({
+        address: sourceAccount.toString(),
+        expected: formatDelta(-sentAmount, decimals),
+        received: formatDelta(sourceDelta, decimals),
+      })
+    }
+
+    return {
+      matches: mismatches.length === 0,
+      sentAmount: conversionUtils.toUiAmount(sentAmount, decimals),
+      sourceBalanceBefore: conversionUtils.toUiAmount(sourceBefore.amount, decimals),
+      sourceBalanceAfter: conversionUtils.toUiAmount(sourceAfter, decimals),
+      mismatches: mismatches,
+    }
+  })
+}
+
+module.exports = {
+  distributeTokens,
+}
@@ -0,0 +1,178 @@
+/**
+ * Functions for quoting the cost of MintMe operations on Solana
+ * @module token-fee-utils
+ */
+
+const solanaWeb3 = require("@solana/web3.js")
+const splToken = require("@solana/spl-token")
+const anchor = require("@project-serum/anchor")
+const constants = require("../constants")
+const pdaUtils = require("../utils/pda")
+const idlUtils = require("../utils/idl")
+const configUtils = require("../utils/config")
+const conversionUtils = require("../utils/conversion")
+const errorUtils = require("../utils/errors")
+
+/**
+ * Finds an account definition in the IDL, ignoring the case of its name
+ * (lib/idl.json uses "networkFeeConfig" while the embedded IDL uses "NetworkFeeConfig")
+ * @param {Object} idl - Program IDL
+ * @param {string} name - Account name
+ * @returns {Object|undefined} - The account definition, if any
+ */
+function findIdlAccount(idl, name) {
+  return (idl.accounts || []).find((account) => account.name.toLowerCase() === name.toLowerCase())
+}
+
+/**
+ * Fetches an account and decodes it with the IDL
+ * @param {solanaWeb3.Connection} connection - Solana connection
+ * @param {solanaWeb3.PublicKey} address - Account address
+ * @param {Object} idl - Program IDL
+ * @param {string} accountName - Name of the account in the IDL
+ * @returns {Promise<Object>} - Decoded account
+ */
+function fetchIdlAccount(connection, address, idl, accountName) {
+  return connection.getAccountInfo(address).then((accountInfo) => {
+    if (!accountInfo) {
+      throw new errorUtils.MintMeError(
+        `Account ${accountName} not found at ${address.toString()}. Is the program deployed on this cluster?`,
+        { account: address.toString() },
+      )
+    }
+    const coder = new anchor.BorshAccountsCoder(idl)
+    return coder.decode(accountName, accountInfo.data)
+  })
+}
+
+/**
+ * Reads the fee configuration of the MintMe program: the create fee from networkFeeConfig, the revoke fee from the
+ * revoke_fee_config account, which is the config account revokeAuthority passes to the program
+ * @param {solanaWeb3.Connection} connection - Solana connection
+ * @param {solanaWeb3.PublicKey} programId - Program ID
+ * @param {Object} idl - Program IDL
+ * @param {boolean} [includeRevoke=true] - Whether to read the revoke_fee_config account
+ * @returns {Promise<{address: solanaWeb3.PublicKey, revokeAddress: solanaWeb3.PublicKey, createFee: number,
+ *   revokeFee: number|null}>} - Fees in lamports. revokeFee is null when the revoke_fee_config account does not exist
+ *   or was not read
+ */
+function fetchFeeConfig(connection, programId, idl, includeRevoke) {
+  const networkAccount = findIdlAccount(idl, "networkFeeConfig")
+  if (!networkAccount) {
+    return Promise.reject(new errorUtils.ValidationError("The IDL does not define the networkFeeConfig account"))
+  }
+  // lib/idl.json does not define revoke_fee_config, whose layout and discriminator are RevokeFeeConfig's
+  const revokeIdl = findIdlAccount(idl, "revokeFeeConfig") ? idl : idlUtils.EMBEDDED_IDL
+  const revokeAccount = findIdlAccount(revokeIdl, "revokeFeeConfig")
+
+  return Promise.all([pdaUtils.deriveNetworkFeeConfigPDA(programId), pdaUtils.deriveRevokeFeeConfigPDA(programId)])
+    .then((pdas) =>
+      Promise.all([
+        fetchIdlAccount(connection, pdas[0].pda, idl, networkAccount.name),
+        includeRevoke === false ? null : connection.getAccountInfo(pdas[1].pda),
+      ]).then((accounts) => ({ pdas: pdas, networkConfig: accounts[0], revokeInfo: accounts[1] })),
+    )
+    .then((result) => {
+      let revokeFee = null
+      if (result.revokeInfo) {
+        const revokeConfig = new anchor.BorshAccountsCoder(revokeIdl).decode(revokeAccount.name, result.revokeInfo.data)
+        revokeFee = revokeConfig.feeRevokeLamports.toNumber()
+      }
+      return {
+        address: result.pdas[0].pda,
+        revokeAddress: result.pdas[1].pda,
+        createFee: result.networkConfig.feeLamports.toNumber(),
+        revokeFee: revokeFee,
+      }
+    })
+}
+
+/**
+ * Gets an itemized quote of what a MintMe operation will cost the payer
+ * @param {Object} options - Quote options
+ * @param {solanaWeb3.Connection} options.connection - Solana connection
+ * @param {string|solanaWeb3.PublicKey} [options.programId] - Program ID (default: the program ID of the cluster)
+ * @param {string} [options.cluster] - Cluster whose program ID is used without programId (see resolveConfig)
+ * @param {string} [options.operation="create"] - Operation to quote: "create" or "revoke"
+ * @param {number} [options.partnerAmount=0] - Amount sent to the partner wallet, in lamports
+ * @param {string|Object} [options.idl] - Program IDL (URL, object, or path, optional)
+ * @returns {Promise<Object>} - { operation, items: [{ name, lamports }], total, totalSol, feeConfig }
+ */
+function getFeeQuote(options) {
+  if (!options || !options.connection) {
+    return Promise.reject(new errorUtils.ValidationError("A Solana connection is required"))
+  }
+
+  const connection = options.connection
+  const operation = options.operation || "create"
+  if (operation !== "create" && operation !== "revoke") {
+    return Promise.reject(
+      new errorUtils.ValidationError(`Unknown operation "${operation}". Use "create" or "revoke"`),
+    )
+  }
+
+  let programId
+  try {
+    programId = configUtils.resolveProgramId(options)
+  } catch (error) {
+    return Promise.reject(error)
+  }
+
+  const partnerAmount = Number(options.partnerAmount || 0)
+
+  return idlUtils
+    .loadIDL(options.idl || null)
+    .then((idl) =>
+      Promise.all([
+        fetchFeeConfig(connection, programId, idl, operation === "revoke"),
+        operation === "create"
+          ? Promise.all([
+              connection.getMinimumBalanceForRentExemption(splToken.MINT_SIZE),
+              connection.getMinimumBalanceForRentExemption(splToken.ACCOUNT_SIZE),
+              connection.getMinimumBalanceForRentExemption(constants.METADATA_ACCOUNT_SIZE),
+            ])
+          : null,
+      ]),
+    )
+    .then((results) => {
+      const feeConfig = results[0]
+      const rent = results[1]
+
+      const items = []
+      if (operation === "create") {
+        items.push({ name: "programFee", lamports: feeConfig.createFee })
+        items.push({ name: "mintRent", lamports: rent[0] })
+        items.push({ name: "tokenAccountRent", lamports: rent[1] })
+        items.push({ name: "metadataRent", lamports: rent[2] })
+      } else {
+        if (feeConfig.revokeFee === null) {
+          throw new errorUtils.MintMeError(
+            `Account revokeFeeConfig not found at ${feeConfig.revokeAddress.toString()}. Is the program deployed on ` +
+              "this cluster?",
+            { account: feeConfig.revokeAddress.toString() },
+          )
+        }
+        items.push({ name: "programFee", lamports: feeConfig.revokeFee })
+      }
+      if (partnerAmount > 0) {
+        items.push({ name: "partnerAmount", lamports: partnerAmount })
+      }
+      items.push({ name: "networkFee", lamports: constants.LAMPORTS_PER_SIGNATURE })
+
+      const total = items.reduce((sum, item) => sum + item.lamports, 0)
+
+      return {
+        operation: operation,
+        items: items,
+        total: total,
+        totalSol: conversionUtils.lamportsToSol(total),
+        // Account holding the quoted program fee
+        feeConfig: (operation === "create" ? feeConfig.address : feeConfig.revokeAddress).toString(),
+      }
+    })
+}
+
+module.exports = {
+  getFeeQuote,
+  fetchFeeConfig,
+}
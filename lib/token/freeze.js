@@ -0,0 +1,419 @@
+/**
+ * Functions for freezing and thawing token accounts with the retained freeze authority
+ * @module token-freeze-utils
+ */
+
+const splToken = require("@solana/spl-token")
+const walletUtils = require("../utils/wallet")
+const pdaUtils = require("../utils/pda")
+const accountUtils = require("../utils/accounts")
+const transactionUtils = require("../utils/transaction")
+const errorUtils = require("../utils/errors")
+const loggerUtils = require("../utils/logger")
+const tokenSupply = require("./supply")
+const tokenMultisig = require("./multisig")
+
+/**
+ * Decodes a token account of the given mint
+ * @param {solanaWeb3.PublicKey} address - Account address
+ * @param {Object|null} account - Account info
+ * @param {Object} mintAccount - Result of loadMint
+ * @returns {Object|null} - Decoded token account, or null if the account is not a token account of the mint
+ */
+function decodeTokenAccount(address, account, mintAccount) {
+  if (!account || !account.owner.equals(mintAccount.programId)) {
+    return null
+  }
+  try {
+    const decoded = splToken.unpackAccount(address, account, mintAccount.programId)
+    return decoded.mint.equals(mintAccount.info.address) ? decoded : null
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Validates the options shared by every function of this module
+ * @param {Object} options - Options
+ * @returns {Error|null} - The error, if an option is missing
+ */
+function checkOptions(options) {
+  if (!options || !options.connection) {
+    return new errorUtils.ValidationError("A Solana connection is required")
+  }
+  if (!options.payer) {
+    return new errorUtils.WalletError("A payer (wallet or keypair) is required")
+  }
+  if (!options.mint) {
+    return new errorUtils.ValidationError("A mint address is required")
+  }
+  return null
+}
+
+/**
+ * Resolves the token accounts to freeze or thaw.
+ * An address of kind "auto" is used as is when it is a token account of the mint, otherwise as the owner of an ATA.
+ * @param {solanaWeb3.Connection} connection - Solana connection
+ * @param {Object} mintAccount - Result of loadMint
+ * @param {Array<{address: solanaWeb3.PublicKey, kind: string}>} targets - Addresses, of kind "owner", "tokenAccount"
+ *   or "auto"
+ * @returns {Promise<Object[]>} - { address, owner, tokenAccount, decoded } per target (decoded is null if not found)
+ */
+function resolveTargets(connection, mintAccount, targets) {
+  const mint = mintAccount.info.address
+
+  return accountUtils
+    .getAccounts(connection, targets.map((target) => target.address))
+    .then((accounts) => {
+      const resolved = targets.map((target, index) => {
+        const decoded =
+          target.kind === "owner" ? null : decodeTokenAccount(target.address, accounts[index], mintAccount)
+        if (decoded || target.kind === "tokenAccount") {
+          return { address: target.address, tokenAccount: target.address, decoded: decoded }
+        }
+        return { address: target.address, owner: target.address, decoded: null }
+      })
+
+      const owners = resolved.filter((target) => !target.tokenAccount)
+      return Promise.all(owners.map((target) => pdaUtils.deriveTokenAccount(mint, target.owner, mintAccount.programId)))
+        .then((tokenAccounts) => {
+          owners.forEach((target, index) => {
+            target.tokenAccount = tokenAccounts[index]
+          })
+          return accountUtils.getAccounts(connection, tokenAccounts)
+        })
+        .then((ataAccounts) => {
+          owners.forEach((target, index) => {
+            target.decoded = decodeTokenAccount(target.tokenAccount, ataAccounts[index], mintAccount)
+          })
+          resolved.forEach((target) => {
+            target.owner = target.decoded ? target.decoded.owner : target.owner || null
+          })
+          return resolved
+        })
+    })
+}
+
+/**
+ * Freezes or thaws token accounts of a mint. The freeze authority is the payer, or a multisig and its co-signers.
+ * Accounts already in the requested state are left unchanged, the others are packed into as few transactions as fit.
+ * @param {Object} options - Options of the public functions
+ * @param {boolean} freeze - true to freeze, false to thaw
+ * @param {Array<{address: solanaWeb3.PublicKey, kind: string}>} targets - Accounts (see resolveTargets)
+ * @returns {Promise<Object>} - { success, mint, changed, unchanged, failed, awaitingSignatures, transactions,
+ *   pendingTransactions, rows }
+ */
+function setAccountsFrozen(options, freeze, targets) {
+  const logger = loggerUtils.toLogger(options.logger)
+  const connection = options.connection
+  const action = freeze ? "freeze" : "thaw"
+
+  let wallet
+  let mint
+  let commitment
+  try {
+    wallet = walletUtils.toWallet(options.payer)
+    mint = walletUtils.toPublicKey(options.mint)
+    commitment = transactionUtils.resolveCommitment(options.commitment)
+  } catch (error) {
+    return Promise.reject(error)
+  }
+
+  let mintAccount
+  let authority
+
+  return tokenSupply
+    .loadMint(connection, mint)
+    .then((loaded) => {
+      mintAccount = loaded
+      return tokenMultisig.resolveAuthority(connection, options, wallet, mintAccount.programId)
+    })
+    .then((resolved) => {
+      authority = resolved
+      const freezeAuthority = mintAccount.info.freezeAuthority
+
+      if (!freezeAuthority) {
+        throw new errorUtils.ValidationError(
+          `The freeze authority of ${mint.toString()} has been revoked: its accounts can no longer be frozen or thawed`,
+        )
+      }
+      if (!freezeAuthority.equals(authority.address)) {
+        throw new errorUtils.ValidationError(
+          `The freeze authority of ${mint.toString()} is ${freezeAuthority.toString()}, not ${authority.address.toString()}`,
+        )
+      }
+
+      return resolveTargets(connection, mintAccount, targets)
+    })
+    .then((resolved) => {
+      const rows = resolved.map((target) => ({
+        address: target.address.toString(),
+        owner: target.owner ? target.owner.toString() : null,
+        tokenAccount: target.tokenAccount.toString(),
+        status: "pending",
+      }))
+
+      const entries = []
+      resolved.forEach((target, index) => {
+        const row = rows[index]
+        if (!target.decoded) {
+          row.status = "failed"
+          row.error = `No ${mint.toString()} token account found for ${row.address}`
+        } else if (target.decoded.isFrozen === freeze) {
+          row.status = "unchanged"
+        } else {
+          const create = freeze ? splToken.createFreezeAccountInstruction : splToken.createThawAccountInstruction
+          entries.push({
+            row: row,
+            instructions: [
+              create(target.tokenAccount, mint, authority.address, authority.multiSigners, mintAccount.programId),
+            ],
+          })
+        }
+      })
+
+      const batches = transactionUtils.packInstructions(entries, wallet.publicKey)
+      if (options.nonceAccount && batches.length > 1) {
+        throw new errorUtils.ValidationError(
+          `A durable nonce covers a single transaction, and these ${entries.length} accounts need ${batches.length}`,
+        )
+      }
+      if (entries.length > 0) {
+        logger(`${freeze ? "Freezing" : "Thawing"} ${entries.length} token accounts of ${mint.toString()}...`)
+      }
+
+      let transactions = 0
+      const pendingTransactions = []
+      const sendNext = (index) => {
+        if (index >= batches.length) {
+          return Promise.resolve()
+        }
+        const batch = batches[index]
+        return tokenMultisig
+          .executeWithAuthority(authority, {
+            connection: connection,
+            wallet: wallet,
+            instructions: batch.reduce((all, entry) => all.concat(entry.instructions), []),
+            priorityFee: options.priorityFee,
+            computeUnitLimit: options.computeUnitLimit,
+            commitment: commitment,
+            skipPreflight: options.skipPreflight,
+            rebroadcastInterval: options.rebroadcastInterval,
+            nonceAccount: options.nonceAccount,
+            logger: logger,
+          })
+          .catch((error) => ({ success: false, error: error.message }))
+          .then((result) => {
+            if (result.partiallySigned) {
+              // Nothing was sent: the co-signers complete the transaction (see cosignTransaction)
+              pendingTransactions.push({
+                transaction: result.transaction,
+                txSignature: result.txSignature,
+                missingSignatures: result.missingSignatures,
+                recentBlockhash: result.recentBlockhash,
+                lastValidBlockHeight: result.lastValidBlockHeight,
+                nonceAccount: result.nonceAccount,
+                tokenAccounts: batch.map((entry) => entry.row.tokenAccount),
+              })
+              batch.forEach((entry) => {
+                entry.row.status = "awaitingSignatures"
+                entry.row.txSignature = result.txSignature
+              })
+              return sendNext(index + 1)
+            }
+            if (result.success) {
+              transactions++
+            } else {
+              logger.error(`Error trying to ${action} accounts: ${result.error}`)
+            }
+            batch.forEach((entry) => {
+              entry.row.status = result.success ? (freeze ? "frozen" : "thawed") : "failed"
+              entry.row.txSignature = result.txSignature || null
+              if (!result.success) {
+                entry.row.error = result.error
+                entry.row.retryable = !!result.retryable
+              }
+            })
+            return sendNext(index + 1)
+          })
+      }
+
+      return sendNext(0).then(() => {
+        const count = (status) => rows.filter((row) => row.status === status).length
+        const failed = count("failed")
+        return {
+          success: failed === 0,
+          mint: mint.toString(),
+          changed: count(freeze ? "frozen" : "thawed"),
+          unchanged: count("unchanged"),
+          failed: failed,
+          awaitingSignatures: count("awaitingSignatures"),
+          transactions: transactions,
+          pendingTransactions: pendingTransactions,
+          rows: rows,
+        }
+      })
+    })
+    .catch((error) => {
+      logger.error(`Error trying to ${action} accounts: ${error.message}`)
+      return {
+        success: false,
+        error: error.message,
+        details: errorUtils.toMintMeError(error),
+      }
+    })
+}
+
+/**
+ * Validates the options of freezeAccount / thawAccount and runs the change on a single account
+ * @param {Object} options - Options of freezeAccount / thawAccount
+ * @param {boolean} freeze - true to freeze, false to thaw
+ * @returns {Promise<Object>} - Result of the single account
+ */
+function setAccountFrozen(options, freeze) {
+  const error = checkOptions(options)
+  if (error) {
+    return Promise.reject(error)
+  }
+  if (!options.owner === !options.tokenAccount) {
+    return Promise.reject(
+      new errorUtils.ValidationError(`Provide either the owner or the tokenAccount to ${freeze ? "freeze" : "thaw"}`),
+    )
+  }
+
+  let target
+  try {
+    target = options.tokenAccount
+      ? { address: walletUtils.toPublicKey(options.tokenAccount), kind: "tokenAccount" }
+      : { address: walletUtils.toPublicKey(options.owner), kind: "owner" }
+  } catch (invalid) {
+    return Promise.reject(new errorUtils.ValidationError(`Invalid address: ${invalid.message}`, { cause: invalid }))
+  }
+
+  const logger = loggerUtils.forOperation(options.logger, freeze ? "freezeAccount" : "thawAccount")
+  return setAccountsFrozen(Object.assign({}, options, { logger: logger }), freeze, [target]).then((result) => {
+    if (!result.rows) {
+      return result
+    }
+    const row = result.rows[0]
+    if (row.status === "awaitingSignatures") {
+      const pending = Object.assign({}, result.pendingTransactions[0])
+      delete pending.tokenAccounts
+      return Object.assign(
+        { success: true, partiallySigned: true, mint: result.mint, owner: row.owner, tokenAccount: row.tokenAccount },
+        pending,
+      )
+    }
+    const changed = row.status === "frozen" || row.status === "thawed"
+    const single = {
+      success: result.success,
+      mint: result.mint,
+      owner: row.owner,
+      tokenAccount: row.tokenAccount,
+      changed: changed,
+      txSignature: row.txSignature || null,
+    }
+    if (row.status === "failed") {
+      single.error = row.error
+      single.retryable = !!row.retryable
+    } else {
+      single.isFrozen = freeze
+    }
+    return single
+  })
+}
+
+/**
+ * Validates the options of freezeAccounts / thawAccounts and runs the change on every address
+ * @param {Object} options - Options of freezeAccounts / thawAccounts
+ * @param {boolean} freeze - true to freeze, false to thaw
+ * @returns {Promise<Object>} - Bulk result
+ */
+function setAddressesFrozen(options, freeze) {
+  const error = checkOptions(options)
+  if (error) {
+    return Promise.reject(error)
+  }
+  if (!Array.isArray(options.addresses) || options.addresses.length === 0) {
+    return Promise.reject(new errorUtils.ValidationError("A non-empty list of addresses is required"))
+  }
+
+  const invalid = []
+  const targets = []
+  options.addresses.forEach((address) => {
+    try {
+      targets.push({ address: walletUtils.toPublicKey(address), kind: "auto" })
+    } catch (notAKey) {
+      invalid.push(String(address))
+    }
+  })
+  if (invalid.length > 0) {
+    return Promise.reject(new errorUtils.ValidationError(`Invalid addresses: ${invalid.join(", ")}`))
+  }
+
+  const logger = loggerUtils.forOperation(options.logger, freeze ? "freezeAccounts" : "thawAccounts")
+  return setAccountsFrozen(Object.assign({}, options, { logger: logger }), freeze, targets)
+}
+
+/**
+ * Freezes the token account of a holder: its tokens can no longer be transferred or burned until it is thawed.
+ * The payer, or a multisig (see createMultisig), must hold the freeze authority of the mint (kept with revokeFreeze: false).
+ * @param {Object} options - Freeze options
+ * @param {solanaWeb3.Connection} options.connection - Solana connection
+ * @param {solanaWeb3.Keypair|Object} options.payer - Keypair or wallet of the freeze authority (pays the fees)
+ * @param {string|solanaWeb3.PublicKey} options.mint - Mint address
+ * @param {string|solanaWeb3.PublicKey} [options.owner] - Holder whose associated token account is frozen
+ * @param {string|solanaWeb3.PublicKey} [options.tokenAccount] - Token account to freeze, instead of owner
+ * @param {string|solanaWeb3.PublicKey} [options.multisig] - SPL multisig holding the freeze authority
+ * @param {Array<solanaWeb3.Keypair|string|solanaWeb3.PublicKey>} [options.multisigSigners] - See mintMoreTokens
+ * @param {string|solanaWeb3.PublicKey} [options.nonceAccount] - See mintMoreTokens
+ * @param {number|string|Object} [options.priorityFee] - Priority fee (see createToken)
+ * @param {number|string} [options.computeUnitLimit] - Compute unit limit (see createToken)
+ * @param {string} [options.commitment="confirmed"] - Commitment to wait for
+ * @param {Function} [options.logger] - Custom logger function
+ * @returns {Promise<Object>} - { success, mint, owner, tokenAccount, isFrozen, changed, txSignature }
+ *   (changed is false when the account was already frozen), or { success, partiallySigned, transaction,
+ *   missingSignatures, ... } when co-signatures are still missing
+ */
+function freezeAccount(options) {
+  return setAccountFrozen(options, true)
+}
+
+/**
+ * Thaws a frozen token account
+ * @param {Object} options - Same options as freezeAccount
+ * @returns {Promise<Object>} - { success, mint, owner, tokenAccount, isFrozen, changed, txSignature }
+ *   (changed is false when the account was not frozen)
+ */
+function thawAccount(options) {
+  return setAccountFrozen(options, false)
+}
+
+/**
+ * Freezes the token accounts of many holders, packing as many accounts per transaction as fit
+ * @param {Object} options - Same options as freezeAccount, with addresses instead of owner / tokenAccount
+ * @param {Array<string|solanaWeb3.PublicKey>} options.addresses - Holders or token accounts (token accounts of the mint
+ *   are used as is, any other address is treated as a holder)
+ * @returns {Promise<Object>} - { success, mint, changed, unchanged, failed, awaitingSignatures, transactions,
+ *   pendingTransactions, rows }. pendingTransactions lists the partially signed transactions left to co-sign
+ */
+function freezeAccounts(options) {
+  return setAddressesFrozen(options, true)
+}
+
+/**
+ * Thaws the token accounts of many holders
+ * @param {Object} options - Same options as freezeAccounts
+ * @returns {Promise<Object>} - { success, mint, changed, unchanged, failed, awaitingSignatures, transactions,
+ *   pendingTransactions, rows }
+ */
+function thawAccounts(options) {
+  return setAddressesFrozen(options, false)
+}
+
+module.exports = {
+  freezeAccount,
+  thawAccount,
+  freezeAccounts,
+  thawAccounts,
+}
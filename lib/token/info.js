@@ -0,0 +1,138 @@
+/**
+ * Functions for reading the current state of a token
+ * @module token-info-utils
+ */
+
+const splToken = require("@solana/spl-token")
+const splTokenMetadata = require("@solana/spl-token-metadata")
+const constants = require("../constants")
+const walletUtils = require("../utils/wallet")
+const pdaUtils = require("../utils/pda")
+const metaplexUtils = require("../utils/metaplex")
+const conversionUtils = require("../utils/conversion")
+const errorUtils = require("../utils/errors")
+
+/**
+ * Reads the on-mint metadata of a Token-2022 mint, if it has any
+ * @param {Object} mintInfo - Mint decoded by splToken.unpackMint
+ * @returns {Object|null} - { address, source, name, symbol, uri, updateAuthority, isMutable, additionalMetadata }
+ */
+function readToken2022Metadata(mintInfo) {
+  const data = splToken.getExtensionData(splToken.ExtensionType.TokenMetadata, mintInfo.tlvData)
+  if (!data) {
+    return null
+  }
+
+  const metadata = splTokenMetadata.unpack(data)
+  // Token-2022 metadata is immutable once its update authority is removed (unpack leaves it undefined)
+  const updateAuthority = metadata.updateAuthority ? metadata.updateAuthority.toString() : null
+
+  return {
+    address: mintInfo.address.toString(),
+    source: "token-2022",
+    name: metadata.name.trim(),
+    symbol: metadata.symbol.trim(),
+    uri: metadata.uri.trim(),
+    updateAuthority: updateAuthority,
+    isMutable: updateAuthority !== null,
+    additionalMetadata: metadata.additionalMetadata,
+  }
+}
+
+/**
+ * Reads the current state of a token: mint account, authorities and metadata.
+ * Works for legacy SPL mints (Metaplex metadata) and Token-2022 mints (on-mint metadata, if any).
+ * @param {Object} options - Options
+ * @param {solanaWeb3.Connection} options.connection - Solana connection
+ * @param {string|solanaWeb3.PublicKey} options.mint - Mint address
+ * @param {string} [options.commitment] - Commitment level of the reads
+ * @returns {Promise<Object>} - { success, mint, tokenProgram, decimals, supply, uiSupply, mintAuthority,
+ *   freezeAuthority, extensions, metadata }
+ */
+function getTokenInfo(options) {
+  if (!options || !options.connection) {
+    return Promise.reject(new errorUtils.ValidationError("A Solana connection is required"))
+  }
+  if (!options.mint) {
+    return Promise.reject(new errorUtils.ValidationError("A mint address is required"))
+  }
+
+  let mint
+  try {
+    mint = walletUtils.toPublicKey(options.mint)
+  } catch (error) {
+    return Promise.reject(new errorUtils.ValidationError(`Invalid mint address: ${error.message}`, { cause: error }))
+  }
+
+  const connection = options.connection
+
+  return Promise.resolve(pdaUtils.deriveMetadataAccount(mint))
+    .then((metadataAccount) =>
+      connection
+        .getMultipleAccountsInfo([mint, metadataAccount.metadataAddress], options.commitment)
+        .then((accounts) => ({ metadataAddress: metadataAccount.metadataAddress, accounts: accounts })),
+    )
+    .then((result) => {
+      const mintAccount = result.accounts[0]
+      const metadataAccount = result.accounts[1]
+
+      if (!mintAccount) {
+        throw new errorUtils.ValidationError(`Mint ${mint.toString()} not found`)
+      }
+
+      let tokenProgram
+      if (mintAccount.owner.equals(splToken.TOKEN_PROGRAM_ID)) {
+        tokenProgram = "token"
+      } else if (mintAccount.owner.equals(splToken.TOKEN_2022_PROGRAM_ID)) {
+        tokenProgram = "token-2022"
+      } else {
+        throw new errorUtils.ValidationError(`Account ${mint.toString()} is not a token mint`)
+      }
+
+      const mintInfo = splToken.unpackMint(mint, mintAccount, mintAccount.owner)
+
+      // Metaplex metadata takes precedence: it is what the MintMe program creates
+      let metadata = null
+      if (metadataAccount && metadataAccount.owner.equals(constants.TOKEN_METADATA_PROGRAM_ID)) {
+        const decoded = metaplexUtils.decodeMetadata(metadataAccount.data)
+        metadata = {
+          address: result.metadataAddress.toString(),
+          source: "metaplex",
+          name: decoded.data.name,
+          symbol: decoded.data.symbol,
+          uri: decoded.data.uri,
+          updateAuthority: decoded.updateAuthority.toString(),
+          isMutable: decoded.isMutable,
+          sellerFeeBasisPoints: decoded.data.sellerFeeBasisPoints,
+        }
+      } else if (tokenProgram === "token-2022") {
+        metadata = readToken2022Metadata(mintInfo)
+      }
+
+      return {
+        success: true,
+        mint: mint.toString(),
+        tokenProgram: tokenProgram,
+        decimals: mintInfo.decimals,
+        supply: mintInfo.supply.toString(),
+        uiSupply: conversionUtils.toUiAmount(mintInfo.supply, mintInfo.decimals),
+        mintAuthority: mintInfo.mintAuthority ? mintInfo.mintAuthority.toString() : null,
+        freezeAuthority: mintInfo.freezeAuthority ? mintInfo.freezeAuthority.toString() : null,
+        isInitialized: mintInfo.isInitialized,
+        extensions:
+          tokenProgram === "token-2022"
+            ? splToken.getExtensionTypes(mintInfo.tlvData).map((type) => splToken.ExtensionType[type])
+            : [],
+        metadata: metadata,
+      }
+    })
+    .catch((error) => ({
+      success: false,
+      error: error.message,
+      details: errorUtils.toMintMeError(error),
+    }))
+}
+
+module.exports = {
+  getTokenInfo,
+}
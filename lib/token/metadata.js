@@ -0,0 +1,251 @@
+/**
+ * Functions for building and uploading the off-chain token metadata (Metaplex JSON)
+ * @module token-metadata-utils
+ */
+
+const fs = require("fs")
+const path = require("path")
+const anchor = require("@project-serum/anchor")
+const validationUtils = require("../utils/validation")
+const errorUtils = require("../utils/errors")
+const storageUtils = require("../utils/storage")
+
+// Content types of the supported images, by file extension
+const IMAGE_CONTENT_TYPES = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+  svg: "image/svg+xml",
+}
+
+/**
+ * Guesses the content type of an image from its file name or URL
+ * @param {string} name - File name or URL
+ * @returns {string|null} - Content type, or null if the extension is unknown
+ */
+function guessImageContentType(name) {
+  const match = /\.([a-z0-9]+)(?:[?#].*)?$/i.exec(name || "")
+  return match ? IMAGE_CONTENT_TYPES[match[1].toLowerCase()] || null : null
+}
+
+/**
+ * Normalizes attributes given as an array of { trait_type, value } or as a { trait: value } map
+ * @param {Array|Object} [attributes] - Attributes
+ * @returns {Array<{trait_type: string, value: string|number}>}
+ */
+function normalizeAttributes(attributes) {
+  if (!attributes) {
+    return []
+  }
+  if (Array.isArray(attributes)) {
+    return attributes.map((attribute) => {
+      if (!attribute || !attribute.trait_type || attribute.value === undefined) {
+        throw new errorUtils.ValidationError("Each attribute must have a trait_type and a value")
+      }
+      return { trait_type: String(attribute.trait_type), value: attribute.value }
+    })
+  }
+  return Object.keys(attributes).map((key) => ({ trait_type: key, value: attributes[key] }))
+}
+
+/**
+ * Builds a Metaplex-compliant off-chain metadata JSON for a fungible token
+ * @param {Object} options - Metadata fields
+ * @param {string} options.name - Token name (must match the on-chain name)
+ * @param {string} options.symbol - Token symbol (must match the on-chain symbol)
+ * @param {string} [options.description] - Token description
+ * @param {string} [options.image] - Image URI
+ * @param {string} [options.imageType] - Content type of the image (guessed from the URI if omitted)
+ * @param {Object} [options.links] - Project links, e.g. { website, twitter, telegram, discord }
+ * @param {Array|Object} [options.attributes] - Attributes, as [{ trait_type, value }] or { trait: value }
+ * @returns {Object} - Metadata JSON
+ * @throws {errorUtils.ValidationError} - If a field is invalid
+ */
+function buildMetadataJson(options) {
+  const settings = options || {}
+
+  const nameValidation = validationUtils.validateTokenName(settings.name)
+  if (!nameValidation.isValid) {
+    throw new errorUtils.ValidationError(nameValidation.message)
+  }
+  const symbolValidation = validationUtils.validateTokenSymbol(settings.symbol)
+  if (!symbolValidation.isValid) {
+    throw new errorUtils.ValidationError(symbolValidation.message)
+  }
+  if (settings.image !== undefined && typeof settings.image !== "string") {
+    throw new errorUtils.ValidationError("The image must be a URI. Use uploadMetadata to upload an image file")
+  }
+
+  const metadata = {
+    name: settings.name,
+    symbol: settings.symbol,
+    description: settings.description || "",
+  }
+
+  if (settings.image) {
+    const imageType = settings.imageType || guessImageContentType(settings.image) || "image/png"
+    metadata.image = settings.image
+    metadata.properties = {
+      files: [{ uri: settings.image, type: imageType }],
+      category: "image",
+    }
+  }
+
+  const links = {}
+  Object.keys(settings.links || {}).forEach((key) => {
+    if (settings.links[key]) {
+      links[key] = String(settings.links[key])
+    }
+  })
+  if (links.website) {
+    metadata.external_url = links.website
+  }
+  if (Object.keys(links).length > 0) {
+    metadata.extensions = links
+  }
+
+  metadata.attributes = normalizeAttributes(settings.attributes)
+
+  return metadata
+}
+
+/**
+ * Reads the image to upload
+ * @param {string|Object} image - File path, or { data, contentType, fileName }
+ * @returns {{data: Buffer|Uint8Array, contentType: string, extension: string}}
+ * @throws {errorUtils.ValidationError} - If the image cannot be read or its type is unknown
+ */
+function readImage(image) {
+  if (typeof image === "string") {
+    if (!fs) {
+      throw new errorUtils.ValidationError("Reading an image from a file is only available in Node.js environments")
+    }
+    const contentType = guessImageContentType(image)
+    if (!contentType) {
+      throw new errorUtils.ValidationError(
+        `Unsupported image type: ${image}. Use ${Object.keys(IMAGE_CONTENT_TYPES).join(", ")}`,
+      )
+    }
+    let data
+    try {
+      data = fs.readFileSync(path.resolve(image))
+    } catch (error) {
+      throw new errorUtils.ValidationError(`Could not read the image ${image}: ${error.message}`, { cause: error })
+    }
+    return {
+      data: data,
+      contentType: contentType,
+      extension: path.extname(image).slice(1).toLowerCase(),
+    }
+  }
+
+  if (!image || !image.data) {
+    throw new errorUtils.ValidationError("The image must be a URI, a file path or { data, contentType, fileName }")
+  }
+  const contentType = image.contentType || guessImageContentType(image.fileName)
+  if (!contentType) {
+    throw new errorUtils.ValidationError("The content type of the image is required")
+  }
+  const extension = Object.keys(IMAGE_CONTENT_TYPES).find((key) => IMAGE_CONTENT_TYPES[key] === contentType) || "bin"
+
+  return { data: image.data, contentType: contentType, extension: extension }
+}
+
+/**
+ * Builds the metadata JSON, uploads it and its image through a storage adapter, and returns the URI to pass to createToken.
+ * Files are named after a hash of their content, so uploading the same metadata twice gives the same URI.
+ * @param {Object} options - Same fields as buildMetadataJson, plus:
+ * @param {Object} options.storage - Storage adapter (see createFileSystemStorage, createMemoryStorage, createHttpStorage)
+ * @param {string|Object} [options.image] - Image URI (used as is), file path, or { data, contentType, fileName } to upload
+ * @returns {Promise<{uri: string, imageUri: string|null, metadata: Object}>}
+ */
+function uploadMetadata(options) {
+  const settings = options || {}
+
+  let image = null
+  try {
+    storageUtils.assertStorageAdapter(settings.storage)
+    // Fail on invalid fields before uploading anything
+    buildMetadataJson(Object.assign({}, settings, { image: undefined }))
+    const isUri = typeof settings.image === "string" && /^(https?|ipfs|ar):\/\//i.test(settings.image)
+    if (settings.image && !isUri) {
+      image = readImage(settings.image)
+    }
+  } catch (error) {
+    return Promise.reject(error)
+  }
+
+  const prefix = settings.symbol.toLowerCase()
+
+  const imagePromise = image
+    ? settings.storage.upload(image.data, {
+        fileName: `${prefix}-${anchor.utils.sha256.hash(image.data).slice(0, 16)}.${image.extension}`,
+        contentType: image.contentType,
+      })
+    : Promise.resolve(settings.image || null)
+
+  return imagePromise.then((imageUri) => {
+    const metadata = buildMetadataJson(
+      Object.assign({}, settings, {
+        image: imageUri || undefined,
+        imageType: image ? image.contentType : settings.imageType,
+      }),
+    )
+    const json = JSON.stringify(metadata, null, 2)
+
+    return settings.storage
+      .upload(json, {
+        fileName: `${prefix}-${anchor.utils.sha256.hash(json).slice(0, 16)}.json`,
+        contentType: "application/json",
+      })
+      .then((uri) => ({
+        uri: uri,
+        imageUri: imageUri,
+        metadata: metadata,
+      }))
+  })
+}
+
+/**
+ * Runs the deep URI check requested by the verifyMetadata option of the creation functions
+ * @param {Object} params - { uri, name, symbol } of the token being created
+ * @param {boolean|Object} verifyMetadata - true, or { timeout, fetch } (see validateUri)
+ * @param {Function} logger - Logger function
+ * @returns {Promise<Object|null>} - Check result (null when no check was requested)
+ * @throws {errorUtils.ValidationError} - If the metadata does not match the token (rejected promise)
+ */
+function verifyTokenMetadata(params, verifyMetadata, logger) {
+  if (!verifyMetadata) {
+    return Promise.resolve(null)
+  }
+
+  logger(`Verifying metadata at ${params.uri}...`)
+  return validationUtils
+    .validateUri(
+      params.uri,
+      Object.assign({}, typeof verifyMetadata === "object" ? verifyMetadata : {}, {
+        deep: true,
+        name: params.name,
+        symbol: params.symbol,
+      }),
+    )
+    .then((check) => {
+      check.warnings.forEach((warning) => logger(`Warning: ${warning}`))
+      if (!check.isValid) {
+        check.errors.forEach((error) => logger(`- ${error}`))
+        throw new errorUtils.ValidationError(`Metadata verification failed: ${check.errors.join(", ")}`, {
+          errors: check.errors,
+          warnings: check.warnings,
+        })
+      }
+      return check
+    })
+}
+
+module.exports = {
+  buildMetadataJson,
+  uploadMetadata,
+  verifyTokenMetadata,
+}
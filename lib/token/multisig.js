@@ -0,0 +1,559 @@
+/**
+ * Functions for SPL multisig authorities: creating a multisig, signing mint operations with its co-signers,
+ * and completing partially signed transactions
+ * @module token-multisig-utils
+ */
+
+const solanaWeb3 = require("@solana/web3.js")
+const splToken = require("@solana/spl-token")
+const anchor = require("@project-serum/anchor")
+const walletUtils = require("../utils/wallet")
+const errorUtils = require("../utils/errors")
+const loggerUtils = require("../utils/logger")
+const validationUtils = require("../utils/validation")
+const transactionUtils = require("../utils/transaction")
+
+// Largest multisig the token program accepts (MAX_SIGNERS)
+const MAX_MULTISIG_SIGNERS = 11
+// Blocks to wait for a co-signed transaction when its own expiry is unknown: a blockhash never lives longer
+const COSIGNED_CONFIRMATION_WINDOW = 150
+
+/**
+ * Checks whether a value is a Keypair (as opposed to a public key or a wallet)
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isKeypair(value) {
+  return !!value && !!value.constructor && value.constructor.name === "Keypair"
+}
+
+/**
+ * Decodes an SPL multisig account
+ * @param {solanaWeb3.PublicKey} address - Multisig address
+ * @param {Object} account - Account info
+ * @returns {Object} - { address, programId, threshold, signers: solanaWeb3.PublicKey[] }
+ */
+function decodeMultisig(address, account) {
+  const multisig = splToken.unpackMultisig(address, account, account.owner)
+  const signers = [multisig.signer1, multisig.signer2, multisig.signer3, multisig.signer4, multisig.signer5]
+    .concat([multisig.signer6, multisig.signer7, multisig.signer8, multisig.signer9, multisig.signer10])
+    .concat([multisig.signer11])
+    .slice(0, multisig.n)
+  return { address: address, programId: account.owner, threshold: multisig.m, signers: signers }
+}
+
+/**
+ * Loads an SPL multisig account
+ * @param {solanaWeb3.Connection} connection - Solana connection
+ * @param {solanaWeb3.PublicKey} address - Multisig address
+ * @param {solanaWeb3.PublicKey} [programId] - Token program the multisig must belong to (the mint's)
+ * @returns {Promise<Object>} - { address, programId, threshold, signers: solanaWeb3.PublicKey[] }
+ */
+function loadMultisig(connection, address, programId) {
+  return connection.getAccountInfo(address).then((account) => {
+    if (!account) {
+      throw new errorUtils.ValidationError(`Multisig ${address.toString()} not found`)
+    }
+    const isTokenProgram =
+      account.owner.equals(splToken.TOKEN_PROGRAM_ID) || account.owner.equals(splToken.TOKEN_2022_PROGRAM_ID)
+    if (!isTokenProgram || account.data.length !== splToken.MULTISIG_SIZE) {
+      throw new errorUtils.ValidationError(`${address.toString()} is not an SPL multisig account`)
+    }
+    if (programId && !account.owner.equals(programId)) {
+      throw new errorUtils.ValidationError(
+        `The multisig ${address.toString()} belongs to another token program than the mint`,
+      )
+    }
+    return decodeMultisig(address, account)
+  })
+}
+
+/**
+ * Resolves who signs for a mint or freeze authority: the payer, or an SPL multisig and its co-signers.
+ * Co-signers given as keypairs sign right away; co-signers given as public keys sign later (see cosignTransaction).
+ * @param {solanaWeb3.Connection} connection - Solana connection
+ * @param {Object} options - Operation options
+ * @param {string|solanaWeb3.PublicKey} [options.multisig] - Multisig holding the authority
+ * @param {Array<solanaWeb3.Keypair|string|solanaWeb3.PublicKey>} [options.multisigSigners] - Co-signers
+ * @param {Object} wallet - Payer's wallet
+ * @param {solanaWeb3.PublicKey} programId - Token program of the mint
+ * @returns {Promise<Object>} - { address, multisig, multiSigners, keypairs, pendingSigners }
+ */
+function resolveAuthority(connection, options, wallet, programId) {
+  if (!options.multisig) {
+    if (options.multisigSigners && options.multisigSigners.length) {
+      return Promise.reject(
+        new errorUtils.ValidationError("multisigSigners requires the multisig address (multisig option)"),
+      )
+    }
+    return Promise.resolve({
+      address: wallet.publicKey,
+      multisig: null,
+      multiSigners: [],
+      keypairs: [],
+      pendingSigners: [],
+    })
+  }
+
+  let address
+  try {
+    address = walletUtils.toPublicKey(options.multisig)
+  } catch (error) {
+    return Promise.reject(
+      new errorUtils.ValidationError(`Invalid multisig address: ${error.message}`, { cause: error }),
+    )
+  }
+  const entries = options.multisigSigners || []
+
+  return loadMultisig(connection, address, programId).then((multisig) => {
+    const multiSigners = []
+    const keypairs = []
+    const pendingSigners = []
+
+    entries.forEach((entry) => {
+      const signer = isKeypair(entry) ? entry.publicKey : walletUtils.toPublicKey(entry)
+      if (!multisig.signers.some((member) => member.equals(signer))) {
+        throw new errorUtils.ValidationError(
+          `${signer.toString()} is not a signer of the multisig ${address.toString()}`,
+        )
+      }
+      if (multiSigners.some((other) => other.equals(signer))) {
+        throw new errorUtils.ValidationError(`Co-signer ${signer.toString()} is listed twice`)
+      }
+      multiSigners.push(signer)
+      if (isKeypair(entry)) {
+        keypairs.push(entry)
+      } else if (!signer.equals(wallet.publicKey)) {
+        // The payer signs anyway, every other public key is a signature still to collect
+        pendingSigners.push(signer)
+      }
+    })
+
+    if (multiSigners.length < multisig.threshold) {
+      throw new errorUtils.ValidationError(
+        `The multisig ${address.toString()} needs ${multisig.threshold} co-signers, ${multiSigners.length} given in multisigSigners`,
+      )
+    }
+
+    return {
+      address: address,
+      multisig: {
+        address: address.toString(),
+        threshold: multisig.threshold,
+        signers: multisig.signers.map((signer) => signer.toString()),
+      },
+      multiSigners: multiSigners,
+      keypairs: keypairs,
+      pendingSigners: pendingSigners,
+    }
+  })
+}
+
+/**
+ * Runs instructions signed by an authority returned by resolveAuthority.
+ * When co-signatures are still missing, returns a partially signed transaction instead of sending it.
+ * @param {Object} authority - Authority returned by resolveAuthority
+ * @param {Object} executeOptions - Options of transactionUtils.executeInstructions
+ * @returns {Promise<Object>} - Result of executeInstructions
+ */
+function executeWithAuthority(authority, executeOptions) {
+  return transactionUtils.executeInstructions(
+    Object.assign({}, executeOptions, {
+      signers: (executeOptions.signers || []).concat(authority.keypairs),
+      partialSign: !executeOptions.simulate && authority.pendingSigners.length > 0,
+    }),
+  )
+}
+
+/**
+ * Parses the multisig option of a token creation, which hands the retained authorities to a multisig
+ * @param {Object} options - Token creation options ({ multisig, revokeMint, revokeFreeze })
+ * @returns {solanaWeb3.PublicKey|null} - The multisig, if one is given
+ * @throws {errorUtils.ValidationError} - If the address is invalid, or if both authorities are revoked
+ */
+function parseHandoffMultisig(options) {
+  if (!options.multisig) {
+    return null
+  }
+  if (options.revokeMint && options.revokeFreeze) {
+    throw new errorUtils.ValidationError("multisig has no effect when both the mint and freeze authorities are revoked")
+  }
+  try {
+    return walletUtils.toPublicKey(options.multisig)
+  } catch (error) {
+    throw new errorUtils.ValidationError(`Invalid multisig address: ${error.message}`, { cause: error })
+  }
+}
+
+/**
+ * Builds the instructions that hand the authorities kept at creation over to a multisig
+ * @param {solanaWeb3.PublicKey} mint - New mint
+ * @param {solanaWeb3.PublicKey} payer - Current authority (the creator)
+ * @param {solanaWeb3.PublicKey} multisig - New authority
+ * @param {Object} params - Creation parameters ({ revokeMint, revokeFreeze })
+ * @param {solanaWeb3.PublicKey} programId - Token program of the mint
+ * @returns {solanaWeb3.TransactionInstruction[]}
+ */
+function createHandoffInstructions(mint, payer, multisig, params, programId) {
+  const instructions = []
+  if (!params.revokeMint) {
+    instructions.push(
+      splToken.createSetAuthorityInstruction(mint, payer, splToken.AuthorityType.MintTokens, multisig, [], programId),
+    )
+  }
+  if (!params.revokeFreeze) {
+    instructions.push(
+      splToken.createSetAuthorityInstruction(mint, payer, splToken.AuthorityType.FreezeAccount, multisig, [], programId),
+    )
+  }
+  return instructions
+}
+
+/**
+ * Creates an SPL multisig account, to be used as a mint or freeze authority
+ * @param {Object} options - Multisig options
+ * @param {solanaWeb3.Connection} options.connection - Solana connection
+ * @param {solanaWeb3.Keypair|Object} options.payer - Keypair or wallet paying for the account
+ * @param {Array<string|solanaWeb3.PublicKey>} options.signers - Members of the multisig (1 to 11)
+ * @param {number} options.threshold - Number of members that must sign (M of N)
+ * @param {string} [options.tokenProgram="token"] - Token program of the mints it will control: "token" or "token-2022"
+ * @param {solanaWeb3.Keypair} [options.keypair] - Keypair of the new account (default: generated)
+ * @param {boolean} [options.simulate=false] - Build and simulate the transaction without sending it
+ * @param {number|string|Object} [options.priorityFee] - Priority fee (see createToken)
+ * @param {number|string} [options.computeUnitLimit] - Compute unit limit (see createToken)
+ * @param {string} [options.commitment="confirmed"] - Commitment to wait for
+ * @param {Function} [options.logger] - Custom logger function
+ * @returns {Promise<Object>} - { success, status, multisig, threshold, signers, tokenProgram, txSignature }
+ */
+function createMultisig(options) {
+  if (!options || !options.connection) {
+    return Promise.reject(new errorUtils.ValidationError("A Solana connection is required"))
+  }
+  if (!options.payer) {
+    return Promise.reject(new errorUtils.WalletError("A payer (wallet or keypair) is required"))
+  }
+  if (!Array.isArray(options.signers) || options.signers.length === 0) {
+    return Promise.reject(new errorUtils.ValidationError("At least one multisig signer is required"))
+  }
+  if (options.signers.length > MAX_MULTISIG_SIGNERS) {
+    return Promise.reject(new errorUtils.ValidationError(`A multisig has at most ${MAX_MULTISIG_SIGNERS} signers`))
+  }
+  const invalidSigner = options.signers.find((signer) => !validationUtils.validatePublicKey(signer).isValid)
+  if (invalidSigner !== undefined) {
+    return Promise.reject(new errorUtils.ValidationError(`Invalid multisig signer: ${invalidSigner}`))
+  }
+  if (!Number.isInteger(options.threshold) || options.threshold < 1 || options.threshold > options.signers.length) {
+    return Promise.reject(
+      new errorUtils.ValidationError(
+        `Invalid threshold: ${options.threshold}. Must be between 1 and ${options.signers.length}`,
+      ),
+    )
+  }
+  const tokenProgram = options.tokenProgram || "token"
+  if (tokenProgram !== "token" && tokenProgram !== "token-2022") {
+    return Promise.reject(
+      new errorUtils.ValidationError(`Invalid tokenProgram "${tokenProgram}". Use "token" or "token-2022"`),
+    )
+  }
+
+  const logger = loggerUtils.forOperation(options.logger, "createMultisig")
+  const connection = options.connection
+  const programId = tokenProgram === "token" ? splToken.TOKEN_PROGRAM_ID : splToken.TOKEN_2022_PROGRAM_ID
+
+  let wallet
+  let signers
+  let commitment
+  try {
+    wallet = walletUtils.toWallet(options.payer)
+    signers = options.signers.map((signer) => walletUtils.toPublicKey(signer))
+    commitment = transactionUtils.resolveCommitment(options.commitment)
+  } catch (error) {
+    return Promise.reject(error)
+  }
+  const duplicate = signers.find((signer, index) => signers.findIndex((other) => other.equals(signer)) !== index)
+  if (duplicate) {
+    return Promise.reject(new errorUtils.ValidationError(`Multisig signer ${duplicate.toString()} is listed twice`))
+  }
+
+  const keypair = options.keypair || solanaWeb3.Keypair.generate()
+  const details = {
+    multisig: keypair.publicKey.toString(),
+    threshold: options.threshold,
+    signers: signers.map((signer) => signer.toString()),
+    tokenProgram: tokenProgram,
+  }
+
+  return connection
+    .getMinimumBalanceForRentExemption(splToken.MULTISIG_SIZE)
+    .then((lamports) => {
+      if (options.simulate) {
+        logger("Simulating multisig creation (nothing will be sent)...")
+      } else {
+        logger(`Creating ${options.threshold}-of-${signers.length} multisig ${details.multisig}`)
+      }
+
+      return transactionUtils.executeInstructions({
+        connection: connection,
+        wallet: wallet,
+        instructions: [
+          solanaWeb3.SystemProgram.createAccount({
+            fromPubkey: wallet.publicKey,
+            newAccountPubkey: keypair.publicKey,
+            space: splToken.MULTISIG_SIZE,
+            lamports: lamports,
+            programId: programId,
+          }),
+          splToken.createInitializeMultisigInstruction(keypair.publicKey, signers, options.threshold, programId),
+        ],
+        signers: [keypair],
+        simulate: options.simulate,
+        priorityFee: options.priorityFee,
+        computeUnitLimit: options.computeUnitLimit,
+        commitment: commitment,
+        skipPreflight: options.skipPreflight,
+        rebroadcastInterval: options.rebroadcastInterval,
+        logger: logger,
+      })
+    })
+    .then((result) => {
+      if (!result.success) {
+        logger.error(`Error creating multisig: ${result.error}`)
+      }
+      return Object.assign(result, details)
+    })
+    .catch((error) => {
+      logger.error(`Error creating multisig: ${error.message}`)
+      return {
+        success: false,
+        error: error.message,
+        details: errorUtils.toMintMeError(error),
+      }
+    })
+}
+
+/**
+ * Decodes a transaction passed between co-signers
+ * @param {string} encoded - Transaction (base64)
+ * @returns {solanaWeb3.Transaction}
+ * @throws {errorUtils.ValidationError} - If it is not a serialized transaction
+ */
+function decodeTransaction(encoded) {
+  try {
+    return solanaWeb3.Transaction.from(Buffer.from(encoded, "base64"))
+  } catch (error) {
+    throw new errorUtils.ValidationError(`Invalid transaction: ${error.message}`, { cause: error })
+  }
+}
+
+/**
+ * Adds a co-signer's signature to a partially signed transaction
+ * @param {Object} options - Signing options
+ * @param {string} options.transaction - Partially signed transaction (base64), as returned by a multisig operation
+ * @param {solanaWeb3.Keypair|Object} options.signer - Keypair or wallet of the co-signer
+ * @returns {Promise<Object>} - { success, transaction, signer, missingSignatures, complete }
+ */
+function cosignTransaction(options) {
+  if (!options || !options.transaction) {
+    return Promise.reject(new errorUtils.ValidationError("A partially signed transaction (base64) is required"))
+  }
+  if (!options.signer) {
+    return Promise.reject(new errorUtils.WalletError("A signer (wallet or keypair) is required"))
+  }
+
+  let transaction
+  let wallet
+  try {
+    transaction = decodeTransaction(options.transaction)
+    wallet = walletUtils.toWallet(options.signer)
+  } catch (error) {
+    return Promise.reject(error)
+  }
+
+  const signer = wallet.publicKey
+  if (!transaction.signatures.some((entry) => entry.publicKey.equals(signer))) {
+    return Promise.reject(new errorUtils.ValidationError(`${signer.toString()} is not a signer of this transaction`))
+  }
+
+  // Some wallet adapters drop the signatures already present: keep them to put them back
+  const existing = transaction.signatures.filter((entry) => entry.signature)
+
+  return Promise.resolve(wallet.signTransaction(transaction)).then((signed) => {
+    existing.forEach((entry) => {
+      const current = signed.signatures.find((other) => other.publicKey.equals(entry.publicKey))
+      if (!current.signature) {
+        signed.addSignature(entry.publicKey, entry.signature)
+      }
+    })
+    const missingSignatures = transactionUtils.getMissingSignatures(signed)
+    return {
+      success: true,
+      transaction: signed.serialize({ requireAllSignatures: false }).toString("base64"),
+      signer: signer.toString(),
+      missingSignatures: missingSignatures,
+      complete: missingSignatures.length === 0,
+    }
+  })
+}
+
+/**
+ * Finds the nonce account a durable nonce transaction advances
+ * @param {solanaWeb3.Transaction} transaction - Transaction
+ * @returns {solanaWeb3.PublicKey|null} - The nonce account, null for a transaction that uses a blockhash
+ */
+function getNonceAccount(transaction) {
+  const instruction = transaction.instructions[0]
+  if (!instruction || !instruction.programId.equals(solanaWeb3.SystemProgram.programId)) {
+    return null
+  }
+  try {
+    if (solanaWeb3.SystemInstruction.decodeInstructionType(instruction) !== "AdvanceNonceAccount") {
+      return null
+    }
+    return solanaWeb3.SystemInstruction.decodeNonceAdvance(instruction).noncePubkey
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Tells whether a durable nonce transaction that was not seen in time can still land: it can as long as the nonce
+ * account still holds the nonce the transaction was signed with
+ * @param {solanaWeb3.Connection} connection - Solana connection
+ * @param {solanaWeb3.PublicKey} nonceAccount - Nonce account the transaction advances
+ * @param {solanaWeb3.Transaction} transaction - Transaction
+ * @param {Object} sent - Expired outcome of sendSignedTransaction
+ * @param {string} commitment - Commitment used to read the nonce account
+ * @returns {Promise<Object>} - The outcome, "pending" when the nonce has not advanced
+ */
+function checkNonce(connection, nonceAccount, transaction, sent, commitment) {
+  return connection.getNonce(nonceAccount, commitment).then(
+    (nonce) => {
+      if (!nonce || nonce.nonce !== transaction.recentBlockhash) {
+        // The nonce was used or the account closed: the transaction can no longer land
+        return sent
+      }
+      return {
+        status: transactionUtils.TransactionStatus.PENDING,
+        signature: sent.signature,
+        error: new errorUtils.RpcError(
+          `The transaction did not land yet, but nonce account ${nonceAccount.toString()} has not advanced: it can ` +
+            "still land. Send it again, or advance the nonce to cancel it",
+          { instructionIndex: null, code: null, name: "NonceNotAdvanced" },
+        ),
+      }
+    },
+    (error) => ({
+      status: transactionUtils.TransactionStatus.UNKNOWN,
+      signature: sent.signature,
+      error: new errorUtils.RpcError(
+        `Could not read nonce account ${nonceAccount.toString()}: ${error.message}. Check the signature of the ` +
+          "transaction before retrying",
+        { instructionIndex: null, code: null, name: "StatusUnknown", cause: error },
+      ),
+    }),
+  )
+}
+
+/**
+ * Sends a transaction once every co-signer has signed it, and waits for a definitive status.
+ * Without lastValidBlockHeight it waits 150 blocks: "expired" then means the transaction did not land in time.
+ * A durable nonce transaction does not expire with the blockhash: once the wait is over, its nonce account is read.
+ * If the nonce has not advanced the status is "pending": the transaction can still land, sending the same transaction
+ * again is safe (it can only be processed once), and it is not retryable. If the nonce has advanced the status is
+ * "expired": the transaction can no longer land and must be signed again with the new nonce.
+ * @param {Object} options - Send options
+ * @param {solanaWeb3.Connection} options.connection - Solana connection
+ * @param {string} options.transaction - Fully signed transaction (base64)
+ * @param {number} [options.lastValidBlockHeight] - Returned with the partially signed transaction
+ * @param {string} [options.commitment="confirmed"] - Commitment to wait for
+ * @param {boolean} [options.skipPreflight=false] - Skip the preflight simulation
+ * @param {number} [options.rebroadcastInterval=2000] - Milliseconds between rebroadcasts
+ * @param {Function} [options.logger] - Custom logger function
+ * @returns {Promise<Object>} - { success, status, txSignature, error, programError, retryable, logs }
+ */
+function sendCosignedTransaction(options) {
+  if (!options || !options.connection) {
+    return Promise.reject(new errorUtils.ValidationError("A Solana connection is required"))
+  }
+  if (!options.transaction) {
+    return Promise.reject(new errorUtils.ValidationError("A signed transaction (base64) is required"))
+  }
+
+  const logger = loggerUtils.forOperation(options.logger, "sendCosignedTransaction")
+  const connection = options.connection
+
+  let transaction
+  let commitment
+  try {
+    transaction = decodeTransaction(options.transaction)
+    commitment = transactionUtils.resolveCommitment(options.commitment)
+  } catch (error) {
+    return Promise.reject(error)
+  }
+
+  const missingSignatures = transactionUtils.getMissingSignatures(transaction)
+  if (missingSignatures.length > 0) {
+    return Promise.reject(
+      new errorUtils.ValidationError(
+        `The transaction is still missing signatures from: ${missingSignatures.join(", ")}`,
+      ),
+    )
+  }
+  if (!transaction.verifySignatures()) {
+    return Promise.reject(
+      new errorUtils.ValidationError("A signature does not match the transaction: it was changed after being signed"),
+    )
+  }
+
+  const lastValidBlockHeightPromise = options.lastValidBlockHeight
+    ? Promise.resolve(options.lastValidBlockHeight)
+    : connection.getBlockHeight(commitment).then((blockHeight) => blockHeight + COSIGNED_CONFIRMATION_WINDOW)
+
+  return lastValidBlockHeightPromise
+    .then((lastValidBlockHeight) =>
+      transactionUtils.sendSignedTransaction({
+        connection: connection,
+        rawTransaction: transaction.serialize(),
+        signature: anchor.utils.bytes.bs58.encode(transaction.signature),
+        lastValidBlockHeight: lastValidBlockHeight,
+        commitment: commitment,
+        skipPreflight: options.skipPreflight,
+        rebroadcastInterval: options.rebroadcastInterval,
+        logger: logger,
+      }),
+    )
+    .then((sent) => {
+      const nonceAccount = getNonceAccount(transaction)
+      if (nonceAccount && sent.status === transactionUtils.TransactionStatus.EXPIRED) {
+        return checkNonce(connection, nonceAccount, transaction, sent, commitment)
+      }
+      return sent
+    })
+    .then((sent) => {
+      const result = transactionUtils.toSendResult(sent, null)
+      if (!result.success) {
+        logger.error(`Error sending co-signed transaction: ${result.error}`)
+      }
+      return result
+    })
+    .catch((error) => {
+      logger.error(`Error sending co-signed transaction: ${error.message}`)
+      return {
+        success: false,
+        error: error.message,
+        details: errorUtils.toMintMeError(error),
+      }
+    })
+}
+
+module.exports = {
+  createMultisig,
+  cosignTransaction,
+  sendCosignedTransaction,
+  loadMultisig,
+  decodeMultisig,
+  resolveAuthority,
+  executeWithAuthority,
+  parseHandoffMultisig,
+  createHandoffInstructions,
+}
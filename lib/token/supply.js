@@ -0,0 +1,382 @@
+/**
+ * Functions for changing the supply of an existing token (minting and burning)
+ * @module token-supply-utils
+ */
+
+const splToken = require("@solana/spl-token")
+const walletUtils = require("../utils/wallet")
+const pdaUtils = require("../utils/pda")
+const conversionUtils = require("../utils/conversion")
+const transactionUtils = require("../utils/transaction")
+const errorUtils = require("../utils/errors")
+const loggerUtils = require("../utils/logger")
+const tokenCreator = require("./creator")
+const tokenMultisig = require("./multisig")
+
+// Maximum supply of an SPL token (2^64 - 1)
+const MAX_SUPPLY = BigInt("18446744073709551615")
+
+/**
+ * Loads and decodes a mint account, legacy SPL or Token-2022
+ * @param {solanaWeb3.Connection} connection - Solana connection
+ * @param {solanaWeb3.PublicKey} mint - Mint address
+ * @param {string} [commitment] - Commitment level of the read
+ * @returns {Promise<{programId: solanaWeb3.PublicKey, tokenProgram: string, info: Object}>}
+ */
+function loadMint(connection, mint, commitment) {
+  return connection.getAccountInfo(mint, commitment).then((account) => {
+    if (!account) {
+      throw new errorUtils.ValidationError(`Mint ${mint.toString()} not found`)
+    }
+
+    let tokenProgram
+    if (account.owner.equals(splToken.TOKEN_PROGRAM_ID)) {
+      tokenProgram = "token"
+    } else if (account.owner.equals(splToken.TOKEN_2022_PROGRAM_ID)) {
+      tokenProgram = "token-2022"
+    } else {
+      throw new errorUtils.ValidationError(`Account ${mint.toString()} is not a token mint`)
+    }
+
+    return {
+      programId: account.owner,
+      tokenProgram: tokenProgram,
+      info: splToken.unpackMint(mint, account, account.owner),
+    }
+  })
+}
+
+/**
+ * Converts a human-readable amount to base units with the mint's decimals
+ * @param {number|string} amount - Amount (e.g. 1000 or "1.5")
+ * @param {number} decimals - Mint decimals
+ * @returns {bigint}
+ * @throws {errorUtils.ValidationError} - If the amount is not a positive number
+ */
+function toBaseUnits(amount, decimals) {
+  const baseUnits = BigInt(tokenCreator.calculateAdjustedSupply(amount, decimals))
+  if (baseUnits <= BigInt(0)) {
+    throw new errorUtils.ValidationError(`Invalid amount: ${amount}. Must be greater than zero`)
+  }
+  return baseUnits
+}
+
+/**
+ * Mints more tokens of an existing token. The payer, or a multisig with its co-signers, must hold the mint authority.
+ * The destination's associated token account is created if it does not exist yet.
+ * @param {Object} options - Mint options
+ * @param {solanaWeb3.Connection} options.connection - Solana connection
+ * @param {solanaWeb3.Keypair|Object} options.payer - Keypair or wallet of the mint authority (pays the fees)
+ * @param {string|solanaWeb3.PublicKey} options.mint - Mint address
+ * @param {number|string} options.amount - Amount to mint, in tokens (e.g. 1000 or "1.5"), converted with the mint's decimals
+ * @param {string|solanaWeb3.PublicKey} [options.destination] - Owner of the account receiving the tokens (default: payer)
+ * @param {string|solanaWeb3.PublicKey} [options.multisig] - SPL multisig holding the mint authority
+ * @param {Array<solanaWeb3.Keypair|string|solanaWeb3.PublicKey>} [options.multisigSigners] - Co-signers: keypairs sign
+ *   now, public keys sign later (the transaction is then returned partially signed, see cosignTransaction)
+ * @param {string|solanaWeb3.PublicKey} [options.nonceAccount] - Durable nonce account, so a partially signed
+ *   transaction does not expire while it waits for the co-signers
+ * @param {boolean} [options.simulate=false] - Build and simulate the transaction without sending it
+ * @param {number|string|Object} [options.priorityFee] - Priority fee (see createToken)
+ * @param {number|string} [options.computeUnitLimit] - Compute unit limit (see createToken)
+ * @param {string} [options.commitment="confirmed"] - Commitment to wait for
+ * @param {Function} [options.logger] - Custom logger function
+ * @returns {Promise<Object>} - { success, status, mint, tokenProgram, destination, tokenAccount, createdTokenAccount,
+ *   amount, rawAmount, supply, uiSupply, multisig, txSignature }, or { success, partiallySigned, transaction,
+ *   missingSignatures, ... } when co-signatures are still missing
+ */
+function mintMoreTokens(options) {
+  if (!options || !options.connection) {
+    return Promise.reject(new errorUtils.ValidationError("A Solana connection is required"))
+  }
+  if (!options.payer) {
+    return Promise.reject(new errorUtils.WalletError("A payer (wallet or keypair) is required"))
+  }
+  if (!options.mint) {
+    return Promise.reject(new errorUtils.ValidationError("A mint address is required"))
+  }
+  if (options.amount === undefined || options.amount === null) {
+    return Promise.reject(new errorUtils.ValidationError("An amount to mint is required"))
+  }
+
+  const logger = loggerUtils.forOperation(options.logger, "mintMoreTokens")
+  const connection = options.connection
+
+  let wallet
+  let mint
+  let destination
+  let commitment
+  try {
+    wallet = walletUtils.toWallet(options.payer)
+    mint = walletUtils.toPublicKey(options.mint)
+    destination = options.destination ? walletUtils.toPublicKey(options.destination) : wallet.publicKey
+    commitment = transactionUtils.resolveCommitment(options.commitment)
+  } catch (error) {
+    return Promise.reject(error)
+  }
+
+  let mintAccount
+  let authority
+  let rawAmount
+  let tokenAccount
+  let createdTokenAccount
+
+  return loadMint(connection, mint)
+    .then((loaded) => {
+      mintAccount = loaded
+      return tokenMultisig.resolveAuthority(connection, options, wallet, mintAccount.programId)
+    })
+    .then((resolved) => {
+      authority = resolved
+      const info = mintAccount.info
+
+      if (!info.mintAuthority) {
+        throw new errorUtils.ValidationError(
+          `The mint authority of ${mint.toString()} has been revoked: its supply is fixed`,
+        )
+      }
+      if (!info.mintAuthority.equals(authority.address)) {
+        throw new errorUtils.ValidationError(
+          `The mint authority of ${mint.toString()} is ${info.mintAuthority.toString()}, not ${authority.address.toString()}`,
+        )
+      }
+
+      rawAmount = toBaseUnits(options.amount, info.decimals)
+      if (info.supply + rawAmount > MAX_SUPPLY) {
+        throw new errorUtils.ValidationError(
+          `Minting ${options.amount} would exceed the maximum supply (${conversionUtils.toUiAmount(MAX_SUPPLY, info.decimals)})`,
+        )
+      }
+
+      return pdaUtils.deriveTokenAccount(mint, destination, mintAccount.programId)
+    })
+    .then((address) => {
+      tokenAccount = address
+      return connection.getAccountInfo(tokenAccount)
+    })
+    .then((existing) => {
+      const programId = mintAccount.programId
+      const decimals = mintAccount.info.decimals
+      const instructions = []
+
+      createdTokenAccount = !existing
+      if (createdTokenAccount) {
+        logger(`Creating token account ${tokenAccount.toString()} for ${destination.toString()}`)
+        instructions.push(
+          splToken.createAssociatedTokenAccountIdempotentInstruction(
+            wallet.publicKey,
+            tokenAccount,
+            destination,
+            mint,
+            programId,
+          ),
+        )
+      }
+      instructions.push(
+        splToken.createMintToCheckedInstruction(
+          mint,
+          tokenAccount,
+          authority.address,
+          rawAmount,
+          decimals,
+          authority.multiSigners,
+          programId,
+        ),
+      )
+
+      const supply = mintAccount.info.supply + rawAmount
+      const details = {
+        mint: mint.toString(),
+        tokenProgram: mintAccount.tokenProgram,
+        destination: destination.toString(),
+        tokenAccount: tokenAccount.toString(),
+        createdTokenAccount: createdTokenAccount,
+        amount: conversionUtils.toUiAmount(rawAmount, decimals),
+        rawAmount: rawAmount.toString(),
+        supply: supply.toString(),
+        uiSupply: conversionUtils.toUiAmount(supply, decimals),
+        multisig: authority.multisig,
+      }
+
+      if (options.simulate) {
+        logger("Simulating mint (nothing will be sent)...")
+      } else {
+        logger(`Minting ${details.amount} tokens of ${mint.toString()} to ${tokenAccount.toString()}`)
+      }
+
+      return tokenMultisig
+        .executeWithAuthority(authority, {
+          connection: connection,
+          wallet: wallet,
+          instructions: instructions,
+          simulate: options.simulate,
+          priorityFee: options.priorityFee,
+          computeUnitLimit: options.computeUnitLimit,
+          commitment: commitment,
+          skipPreflight: options.skipPreflight,
+          rebroadcastInterval: options.rebroadcastInterval,
+          nonceAccount: options.nonceAccount,
+          logger: logger,
+        })
+        .then((result) => {
+          if (!result.success) {
+            logger.error(`Error minting tokens: ${result.error}`)
+          }
+          return Object.assign(result, details)
+        })
+    })
+    .catch((error) => {
+      logger.error(`Error minting tokens: ${error.message}`)
+      return {
+        success: false,
+        error: error.message,
+        details: errorUtils.toMintMeError(error),
+      }
+    })
+}
+
+/**
+ * Burns tokens from the payer's associated token account, reducing the supply
+ * @param {Object} options - Burn options
+ * @param {solanaWeb3.Connection} options.connection - Solana connection
+ * @param {solanaWeb3.Keypair|Object} options.payer - Keypair or wallet of the holder (pays the fees)
+ * @param {string|solanaWeb3.PublicKey} options.mint - Mint address
+ * @param {number|string} [options.amount] - Amount to burn, in tokens (e.g. 1000 or "1.5"), converted with the mint's decimals
+ * @param {boolean} [options.all=false] - Burn the whole balance instead of an amount
+ * @param {boolean} [options.simulate=false] - Build and simulate the transaction without sending it
+ * @param {number|string|Object} [options.priorityFee] - Priority fee (see createToken)
+ * @param {number|string} [options.computeUnitLimit] - Compute unit limit (see createToken)
+ * @param {string} [options.commitment="confirmed"] - Commitment to wait for
+ * @param {Function} [options.logger] - Custom logger function
+ * @returns {Promise<Object>} - { success, status, mint, tokenProgram, tokenAccount, amount, rawAmount, balance, uiBalance,
+ *   supply, uiSupply, txSignature }
+ */
+function burnTokens(options) {
+  if (!options || !options.connection) {
+    return Promise.reject(new errorUtils.ValidationError("A Solana connection is required"))
+  }
+  if (!options.payer) {
+    return Promise.reject(new errorUtils.WalletError("A payer (wallet or keypair) is required"))
+  }
+  if (!options.mint) {
+    return Promise.reject(new errorUtils.ValidationError("A mint address is required"))
+  }
+  const hasAmount = options.amount !== undefined && options.amount !== null
+  if (!hasAmount && !options.all) {
+    return Promise.reject(new errorUtils.ValidationError("An amount to burn (or all: true) is required"))
+  }
+  if (hasAmount && options.all) {
+    return Promise.reject(new errorUtils.ValidationError("Use either amount or all: true, not both"))
+  }
+
+  const logger = loggerUtils.forOperation(options.logger, "burnTokens")
+  const connection = options.connection
+
+  let wallet
+  let mint
+  let commitment
+  try {
+    wallet = walletUtils.toWallet(options.payer)
+    mint = walletUtils.toPublicKey(options.mint)
+    commitment = transactionUtils.resolveCommitment(options.commitment)
+  } catch (error) {
+    return Promise.reject(error)
+  }
+
+  let mintAccount
+  let tokenAccount
+
+  return loadMint(connection, mint)
+    .then((loaded) => {
+      mintAccount = loaded
+      return pdaUtils.deriveTokenAccount(mint, wallet.publicKey, mintAccount.programId)
+    })
+    .then((address) => {
+      tokenAccount = address
+      return connection.getAccountInfo(tokenAccount)
+    })
+    .then((account) => {
+      const programId = mintAccount.programId
+      const decimals = mintAccount.info.decimals
+
+      if (!account) {
+        throw new errorUtils.ValidationError(
+          `${wallet.publicKey.toString()} holds no ${mint.toString()} tokens (no token account)`,
+        )
+      }
+      const holding = splToken.unpackAccount(tokenAccount, account, programId)
+      if (holding.isFrozen) {
+        throw new errorUtils.ValidationError(
+          `Token account ${tokenAccount.toString()} is frozen: its tokens cannot be burned`,
+        )
+      }
+
+      const rawAmount = options.all ? holding.amount : toBaseUnits(options.amount, decimals)
+      if (rawAmount === BigInt(0)) {
+        throw new errorUtils.ValidationError(`Token account ${tokenAccount.toString()} is empty: nothing to burn`)
+      }
+      if (rawAmount > holding.amount) {
+        throw new errorUtils.ValidationError(
+          `Insufficient balance: burning ${conversionUtils.toUiAmount(rawAmount, decimals)} but the account holds ${conversionUtils.toUiAmount(holding.amount, decimals)}`,
+        )
+      }
+
+      const balance = holding.amount - rawAmount
+      const supply = mintAccount.info.supply - rawAmount
+      const details = {
+        mint: mint.toString(),
+        tokenProgram: mintAccount.tokenProgram,
+        tokenAccount: tokenAccount.toString(),
+        amount: conversionUtils.toUiAmount(rawAmount, decimals),
+        rawAmount: rawAmount.toString(),
+        balance: balance.toString(),
+        uiBalance: conversionUtils.toUiAmount(balance, decimals),
+        supply: supply.toString(),
+        uiSupply: conversionUtils.toUiAmount(supply, decimals),
+      }
+
+      if (options.simulate) {
+        logger("Simulating burn (nothing will be sent)...")
+      } else {
+        logger(`Burning ${details.amount} tokens of ${mint.toString()} from ${tokenAccount.toString()}`)
+      }
+
+      return transactionUtils
+        .executeInstructions({
+          connection: connection,
+          wallet: wallet,
+          instructions: [
+            splToken.createBurnCheckedInstruction(tokenAccount, mint, wallet.publicKey, rawAmount, decimals, [], programId),
+          ],
+          simulate: options.simulate,
+          priorityFee: options.priorityFee,
+          computeUnitLimit: options.computeUnitLimit,
+          commitment: commitment,
+          skipPreflight: options.skipPreflight,
+          rebroadcastInterval: options.rebroadcastInterval,
+          logger: logger,
+        })
+        .then((result) => {
+          if (!result.success) {
+            logger.error(`Error burning tokens: ${result.error}`)
+          } else if (!result.simulated) {
+            logger(`Burned ${details.amount} tokens. New supply: ${details.uiSupply}`)
+          }
+          return Object.assign(result, details)
+        })
+    })
+    .catch((error) => {
+      logger.error(`Error burning tokens: ${error.message}`)
+      return {
+        success: false,
+        error: error.message,
+        details: errorUtils.toMintMeError(error),
+      }
+    })
+}
+
+module.exports = {
+  mintMoreTokens,
+  burnTokens,
+  loadMint,
+  toBaseUnits,
+}
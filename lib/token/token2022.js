@@ -0,0 +1,706 @@
+/**
+ * Functions for creating Token-2022 mints with extensions
+ * @module token-2022-utils
+ */
+
+const solanaWeb3 = require("@solana/web3.js")
+const splToken = require("@solana/spl-token")
+const splTokenMetadata = require("@solana/spl-token-metadata")
+const walletUtils = require("../utils/wallet")
+const pdaUtils = require("../utils/pda")
+const validationUtils = require("../utils/validation")
+const simulationUtils = require("../utils/simulation")
+const budgetUtils = require("../utils/budget")
+const transactionUtils = require("../utils/transaction")
+const errorUtils = require("../utils/errors")
+const loggerUtils = require("../utils/logger")
+const progressUtils = require("../utils/progress")
+const tokenMetadata = require("./metadata")
+const tokenMultisig = require("./multisig")
+const tokenInfo = require("./info")
+
+// Value accepted by the tokenProgram option to select this path
+const TOKEN_2022 = "token-2022"
+// Largest value of a u64 (supply and maximum transfer fee)
+const MAX_U64 = BigInt("18446744073709551615")
+
+/**
+ * Checks whether token creation options select the Token-2022 program
+ * @param {Object} options - Token creation options
+ * @returns {boolean}
+ */
+function isToken2022(options) {
+  const tokenProgram = options.tokenProgram
+  if (!tokenProgram || tokenProgram === "token") {
+    return false
+  }
+  if (tokenProgram === TOKEN_2022) {
+    return true
+  }
+  if (tokenProgram instanceof solanaWeb3.PublicKey && tokenProgram.equals(splToken.TOKEN_2022_PROGRAM_ID)) {
+    return true
+  }
+  if (tokenProgram instanceof solanaWeb3.PublicKey && tokenProgram.equals(splToken.TOKEN_PROGRAM_ID)) {
+    return false
+  }
+  throw new errorUtils.ValidationError(
+    `Invalid token program "${tokenProgram.toString()}". Use "token" or "${TOKEN_2022}"`,
+  )
+}
+
+/**
+ * Converts an amount in base units to a BigInt that fits in a u64
+ * @param {number|string|BN|bigint} value - Amount
+ * @param {string} label - Name of the amount, for error messages
+ * @returns {bigint}
+ * @throws {errorUtils.ValidationError} - If the amount is not a valid u64
+ */
+function toU64(value, label) {
+  const text = value.toString()
+  if (!/^\d+$/.test(text)) {
+    throw new errorUtils.ValidationError(`Invalid ${label}: ${text}`)
+  }
+  const amount = BigInt(text)
+  if (amount > MAX_U64) {
+    throw new errorUtils.ValidationError(`${label} ${text} exceeds maximum allowed value ${MAX_U64.toString()}`)
+  }
+  return amount
+}
+
+/**
+ * Validates and normalizes the extensions requested for a Token-2022 mint
+ * @param {Object} [extensions] - Requested extensions (see createToken2022)
+ * @param {solanaWeb3.PublicKey} payer - Payer, default authority of every extension
+ * @returns {Object} - { types, transferFee, metadata, nonTransferable, interestBearing, defaultAccountState }
+ * @throws {errorUtils.ValidationError} - If an extension is invalid
+ */
+function resolveExtensions(extensions, payer) {
+  const settings = extensions || {}
+  const resolved = {
+    types: [],
+    transferFee: null,
+    metadata: null,
+    nonTransferable: false,
+    interestBearing: null,
+    defaultAccountState: null,
+  }
+
+  if (settings.transferFee) {
+    const feeBasisPoints = settings.transferFee.feeBasisPoints
+    if (!Number.isInteger(feeBasisPoints) || feeBasisPoints < 0 || feeBasisPoints > 10000) {
+      throw new errorUtils.ValidationError("Transfer fee basis points must be an integer between 0 and 10000")
+    }
+    if (settings.transferFee.maxFee === undefined) {
+      throw new errorUtils.ValidationError("Transfer fee requires maxFee (in base units)")
+    }
+    resolved.transferFee = {
+      feeBasisPoints: feeBasisPoints,
+      maxFee: toU64(settings.transferFee.maxFee, "maximum transfer fee"),
+      transferFeeConfigAuthority: settings.transferFee.transferFeeConfigAuthority
+        ? walletUtils.toPublicKey(settings.transferFee.transferFeeConfigAuthority)
+        : payer,
+      withdrawWithheldAuthority: settings.transferFee.withdrawWithheldAuthority
+        ? walletUtils.toPublicKey(settings.transferFee.withdrawWithheldAuthority)
+        : payer,
+    }
+    resolved.types.push(splToken.ExtensionType.TransferFeeConfig)
+  }
+
+  // On-mint metadata is on by default, without it wallets cannot show the name and symbol
+  if (settings.metadata !== false) {
+    const metadata = typeof settings.metadata === "object" ? settings.metadata : {}
+    const additionalMetadata = metadata.additionalMetadata || {}
+    resolved.metadata = {
+      updateAuthority: metadata.updateAuthority ? walletUtils.toPublicKey(metadata.updateAuthority) : payer,
+      additionalMetadata: Object.keys(additionalMetadata).map((key) => [key, String(additionalMetadata[key])]),
+    }
+    resolved.types.push(splToken.ExtensionType.MetadataPointer)
+  }
+
+  if (settings.nonTransferable) {
+    resolved.nonTransferable = true
+    resolved.types.push(splToken.ExtensionType.NonTransferable)
+  }
+
+  if (settings.interestBearing) {
+    const rate = settings.interestBearing.rate
+    if (!Number.isInteger(rate) || rate < -32768 || rate > 32767) {
+      throw new errorUtils.ValidationError(
+        "Interest rate must be an integer amount of basis points between -32768 and 32767",
+      )
+    }
+    resolved.interestBearing = {
+      rate: rate,
+      rateAuthority: settings.interestBearing.rateAuthority
+        ? walletUtils.toPublicKey(settings.interestBearing.rateAuthority)
+        : payer,
+    }
+    resolved.types.push(splToken.ExtensionType.InterestBearingConfig)
+  }
+
+  if (settings.defaultAccountState) {
+    const states = {
+      initialized: splToken.AccountState.Initialized,
+      frozen: splToken.AccountState.Frozen,
+    }
+    if (states[settings.defaultAccountState] === undefined) {
+      throw new errorUtils.ValidationError(
+        `Invalid default account state "${settings.defaultAccountState}". Use "initialized" or "frozen"`,
+      )
+    }
+    resolved.defaultAccountState = states[settings.defaultAccountState]
+    resolved.types.push(splToken.ExtensionType.DefaultAccountState)
+  }
+
+  return resolved
+}
+
+/**
+ * Lists the names of the resolved extensions, for results and logs
+ * @param {Object} extensions - Result of resolveExtensions
+ * @returns {string[]}
+ */
+function extensionNames(extensions) {
+  return extensions.types.map((type) => splToken.ExtensionType[type])
+}
+
+/**
+ * Parses and validates the options of a Token-2022 creation
+ * @param {Object} options - Token creation options (see createToken2022)
+ * @param {solanaWeb3.PublicKey} payerPublicKey - Public key of the account paying for the token
+ * @param {Function} logger - Logger function
+ * @returns {Object} - Normalized creation parameters
+ * @throws {errorUtils.ValidationError} - If a parameter is invalid
+ */
+function resolveToken2022Params(options, payerPublicKey, logger) {
+  // 0 is a valid number of decimals
+  const decimals = options.decimals === undefined || options.decimals === null ? 9 : options.decimals
+
+  const validation = validationUtils.validateTokenCreationParams({
+    name: options.name,
+    symbol: options.symbol,
+    decimals: decimals,
+    initialSupply: options.initialSupply || 1,
+    uri: options.uri || "https://ipfs.mintme.dev/metadata.json",
+  })
+
+  if (!validation.isValid) {
+    logger("Token validation failed:")
+    validation.errors.forEach((error) => logger(`- ${error}`))
+    throw new errorUtils.ValidationError(`Token validation failed: ${validation.errors.join(", ")}`)
+  }
+
+  const extensions = resolveExtensions(options.extensions, payerPublicKey)
+
+  const revokeFreeze = options.revokeFreeze || false
+  if (revokeFreeze && extensions.defaultAccountState === splToken.AccountState.Frozen) {
+    // Every new account would stay frozen forever
+    throw new errorUtils.ValidationError("revokeFreeze cannot be combined with a frozen default account state")
+  }
+
+  if (options.mint && !(options.mint.secretKey && options.mint.publicKey)) {
+    throw new errorUtils.ValidationError("The mint must be a Keypair")
+  }
+
+  return {
+    payer: payerPublicKey,
+    // Token-2022 mints are regular accounts: reuse the same keypair to retry a creation safely
+    mint: options.mint || solanaWeb3.Keypair.generate(),
+    name: options.name,
+    symbol: options.symbol,
+    decimals: decimals,
+    initialSupply: toU64(options.initialSupply || 1, "initial supply"),
+    uri: options.uri || "https://ipfs.mintme.dev/metadata.json",
+    revokeMint: options.revokeMint || false,
+    revokeFreeze: revokeFreeze,
+    multisig: tokenMultisig.parseHandoffMultisig(options),
+    extensions: extensions,
+    priorityFee: options.priorityFee,
+    computeUnitLimit: options.computeUnitLimit,
+    commitment: transactionUtils.resolveCommitment(options.commitment),
+  }
+}
+
+/**
+ * Builds the instructions creating a Token-2022 mint with its extensions, the payer's token account and the initial supply
+ * @param {solanaWeb3.Connection} connection - Solana connection
+ * @param {Object} params - Parameters returned by resolveToken2022Params
+ * @param {Function} logger - Logger function
+ * @returns {Promise<Object>} - { transaction, computeBudget, mint, tokenAccount }
+ */
+function prepareToken2022(connection, params, logger) {
+  const programId = splToken.TOKEN_2022_PROGRAM_ID
+  const payer = params.payer
+  const mint = params.mint.publicKey
+  const extensions = params.extensions
+
+  // The metadata is variable-length: it is appended after InitializeMint, but its rent is paid up front
+  const mintSpace = splToken.getMintLen(extensions.types)
+  let rentSpace = mintSpace
+  if (extensions.metadata) {
+    rentSpace +=
+      splToken.TYPE_SIZE +
+      splToken.LENGTH_SIZE +
+      splTokenMetadata.pack({
+        updateAuthority: extensions.metadata.updateAuthority,
+        mint: mint,
+        name: params.name,
+        symbol: params.symbol,
+        uri: params.uri,
+        additionalMetadata: extensions.metadata.additionalMetadata,
+      }).length
+  }
+
+  return Promise.all([
+    pdaUtils.deriveTokenAccount(mint, payer, programId),
+    connection.getMinimumBalanceForRentExemption(rentSpace),
+    // The multisig must exist and belong to Token-2022, or the authorities would be lost
+    params.multisig ? tokenMultisig.loadMultisig(connection, params.multisig, programId) : null,
+  ]).then((results) => {
+    const tokenAccount = results[0]
+    const lamports = results[1]
+
+    logger(`Token Program: Token-2022 (${programId.toString()})`)
+    logger(`Mint: ${mint.toString()}`)
+    logger(`Token Account: ${tokenAccount.toString()}`)
+    logger(`Extensions: ${extensionNames(extensions).join(", ") || "none"}`)
+
+    const instructions = [
+      solanaWeb3.SystemProgram.createAccount({
+        fromPubkey: payer,
+        newAccountPubkey: mint,
+        space: mintSpace,
+        lamports: lamports,
+        programId: programId,
+      }),
+    ]
+
+    // Mint extensions must be initialized before the mint itself
+    if (extensions.transferFee) {
+      instructions.push(
+        splToken.createInitializeTransferFeeConfigInstruction(
+          mint,
+          extensions.transferFee.transferFeeConfigAuthority,
+          extensions.transferFee.withdrawWithheldAuthority,
+          extensions.transferFee.feeBasisPoints,
+          extensions.transferFee.maxFee,
+          programId,
+        ),
+      )
+    }
+    if (extensions.metadata) {
+      instructions.push(
+        splToken.createInitializeMetadataPointerInstruction(mint, extensions.metadata.updateAuthority, mint, programId),
+      )
+    }
+    if (extensions.nonTransferable) {
+      instructions.push(splToken.createInitializeNonTransferableMintInstruction(mint, programId))
+    }
+    if (extensions.interestBearing) {
+      instructions.push(
+        splToken.createInitializeInterestBearingMintInstruction(
+          mint,
+          extensions.interestBearing.rateAuthority,
+          extensions.interestBearing.rate,
+          programId,
+        ),
+      )
+    }
+    if (extensions.defaultAccountState !== null) {
+      instructions.push(
+        splToken.createInitializeDefaultAccountStateInstruction(mint, extensions.defaultAccountState, programId),
+      )
+    }
+
+    instructions.push(splToken.createInitializeMintInstruction(mint, params.decimals, payer, payer, programId))
+
+    // The metadata lives in the mint account itself (metadata pointer to the mint)
+    if (extensions.metadata) {
+      const updateAuthority = extensions.metadata.updateAuthority
+      // UpdateField must be signed by the update authority: the payer writes the fields, then hands the authority over
+      const fieldsAuthority = extensions.metadata.additionalMetadata.length > 0 ? payer : updateAuthority
+      instructions.push(
+        splTokenMetadata.createInitializeInstruction({
+          programId: programId,
+          metadata: mint,
+          updateAuthority: fieldsAuthority,
+          mint: mint,
+          mintAuthority: payer,
+          name: params.name,
+          symbol: params.symbol,
+          uri: params.uri,
+        }),
+      )
+      extensions.metadata.additionalMetadata.forEach((entry) =>
+        instructions.push(
+          splTokenMetadata.createUpdateFieldInstruction({
+            programId: programId,
+            metadata: mint,
+            updateAuthority: fieldsAuthority,
+            field: entry[0],
+            value: entry[1],
+          }),
+        ),
+      )
+      if (!fieldsAuthority.equals(updateAuthority)) {
+        instructions.push(
+          splTokenMetadata.createUpdateAuthorityInstruction({
+            programId: programId,
+            metadata: mint,
+            oldAuthority: fieldsAuthority,
+            newAuthority: updateAuthority,
+          }),
+        )
+      }
+    }
+
+    instructions.push(
+      splToken.createAssociatedTokenAccountIdempotentInstruction(payer, tokenAccount, payer, mint, programId),
+    )
+    // With a frozen default state the payer's account must be thawed before receiving the supply
+    if (extensions.defaultAccountState === splToken.AccountState.Frozen) {
+      instructions.push(splToken.createThawAccountInstruction(tokenAccount, mint, payer, [], programId))
+    }
+    if (params.initialSupply > BigInt(0)) {
+      instructions.push(splToken.createMintToInstruction(mint, tokenAccount, payer, params.initialSupply, [], programId))
+    }
+
+    if (params.revokeMint) {
+      instructions.push(
+        splToken.createSetAuthorityInstruction(mint, payer, splToken.AuthorityType.MintTokens, null, [], programId),
+      )
+    }
+    if (params.revokeFreeze) {
+      instructions.push(
+        splToken.createSetAuthorityInstruction(mint, payer, splToken.AuthorityType.FreezeAccount, null, [], programId),
+      )
+    }
+    if (params.multisig) {
+      logger(`Handing the remaining authorities to the multisig ${params.multisig.toString()}`)
+      tokenMultisig
+        .createHandoffInstructions(mint, payer, params.multisig, params, programId)
+        .forEach((instruction) => instructions.push(instruction))
+    }
+
+    const hasPriorityFee = params.priorityFee !== undefined && params.priorityFee !== null
+    const hasComputeUnitLimit = params.computeUnitLimit !== undefined && params.computeUnitLimit !== null
+    const budgetPromise =
+      hasPriorityFee || hasComputeUnitLimit
+        ? budgetUtils.buildComputeBudgetInstructions({
+            connection: connection,
+            instructions: instructions,
+            feePayer: payer,
+            priorityFee: params.priorityFee,
+            computeUnitLimit: params.computeUnitLimit,
+            logger: logger,
+          })
+        : Promise.resolve(null)
+
+    return budgetPromise.then((budget) => {
+      const transaction = new solanaWeb3.Transaction()
+      transaction.feePayer = payer
+      if (budget) {
+        budget.instructions.forEach((instruction) => transaction.add(instruction))
+      }
+      instructions.forEach((instruction) => transaction.add(instruction))
+
+      return {
+        transaction: transaction,
+        computeBudget: budget ? { microLamports: budget.microLamports, computeUnitLimit: budget.computeUnitLimit } : null,
+        mint: mint,
+        tokenAccount: tokenAccount,
+      }
+    })
+  })
+}
+
+/**
+ * Checks whether the mint account of a Token-2022 creation already exists, and reads it if it does.
+ * An existing account that is not a Token-2022 mint with the requested decimals, name and symbol is another token,
+ * reported as a conflict
+ * @param {solanaWeb3.Connection} connection - Solana connection
+ * @param {Object} prepared - Result of prepareToken2022
+ * @param {Object} params - Parameters returned by resolveToken2022Params
+ * @param {Function} logger - Logger function
+ * @returns {Promise<Object|null>} - Details of the existing token as stored on-chain (flagged alreadyExisted), or null
+ * @throws {ValidationError} - If the existing account is not a mint, or does not match the request
+ */
+function findExistingToken2022(connection, prepared, params, logger) {
+  const mint = prepared.mint
+  return connection.getAccountInfo(mint).then((accountInfo) => {
+    if (!accountInfo) {
+      return null
+    }
+
+    return tokenInfo
+      .getTokenInfo({ connection: connection, mint: mint, commitment: params.commitment })
+      .then((info) => {
+        if (!info.success) {
+          throw info.details
+        }
+
+        const metadata = info.metadata || {}
+        const existing = {
+          tokenProgram: info.tokenProgram,
+          decimals: info.decimals,
+          name: metadata.name,
+          symbol: metadata.symbol,
+        }
+        const requested = {
+          tokenProgram: TOKEN_2022,
+          decimals: params.decimals,
+          name: params.name,
+          symbol: params.symbol,
+        }
+        const conflicts = Object.keys(existing).filter(
+          (field) => existing[field] !== undefined && existing[field] !== requested[field],
+        )
+        if (conflicts.length > 0) {
+          const differences = conflicts.map((field) => `${field} ${existing[field]} (requested ${requested[field]})`)
+          throw new errorUtils.ValidationError(
+            `A different token already exists at ${mint.toString()}: ${differences.join(", ")}. Use another mint keypair`,
+            { mint: mint.toString(), conflicts: conflicts },
+          )
+        }
+
+        logger(`Token already exists at ${mint.toString()}, nothing to create`)
+        return {
+          success: true,
+          alreadyExisted: true,
+          mint: mint.toString(),
+          tokenAccount: prepared.tokenAccount.toString(),
+          metadata: mint.toString(),
+          tokenName: metadata.name || null,
+          tokenSymbol: metadata.symbol || null,
+          decimals: info.decimals,
+          uri: metadata.uri || null,
+          supply: info.supply,
+          mintAuthority: info.mintAuthority,
+          freezeAuthority: info.freezeAuthority,
+          tokenProgram: TOKEN_2022,
+          extensions: extensionNames(params.extensions),
+        }
+      })
+  })
+}
+
+/**
+ * Creates a Token-2022 mint with extensions.
+ * The mint is created directly with the Token-2022 program: the MintMe program and its fee are not involved.
+ * @param {Object} options - Same options as createToken, plus:
+ * @param {solanaWeb3.Keypair} [options.mint] - Keypair of the new mint (generated if omitted). Reuse it to retry safely
+ * @param {Object} [options.extensions] - Mint extensions
+ * @param {Object} [options.extensions.transferFee] - { feeBasisPoints, maxFee, transferFeeConfigAuthority, withdrawWithheldAuthority }
+ * @param {Object|boolean} [options.extensions.metadata=true] - On-mint metadata ({ updateAuthority, additionalMetadata }), false to disable it
+ * @param {boolean} [options.extensions.nonTransferable=false] - Make the token non-transferable (soulbound)
+ * @param {Object} [options.extensions.interestBearing] - { rate (basis points), rateAuthority }
+ * @param {string} [options.extensions.defaultAccountState] - State of new token accounts: "initialized" or "frozen"
+ * @param {string|solanaWeb3.PublicKey} [options.multisig] - Token-2022 multisig that receives the mint and freeze
+ *   authorities not revoked, in the same transaction. Extension authorities stay with the payer
+ * @param {Function} [options.onProgress] - Receives the validated, awaitingSignature and submitted events. createToken
+ *   adds the confirmed or failed event
+ * @returns {Promise<Object>} - Result of token creation (or of the simulation when options.simulate is set)
+ */
+function createToken2022(options) {
+  const logger = loggerUtils.forOperation(options.logger, "createToken2022")
+
+  if (!options.connection) {
+    return Promise.reject(new errorUtils.ValidationError("A Solana connection is required"))
+  }
+  if (!options.payer) {
+    return Promise.reject(new errorUtils.WalletError("A payer (wallet or keypair) is required"))
+  }
+
+  let wallet
+  let params
+  try {
+    wallet = walletUtils.toWallet(options.payer)
+    params = resolveToken2022Params(options, wallet.publicKey, logger)
+  } catch (error) {
+    return Promise.reject(error)
+  }
+  progressUtils.emitProgress(options.onProgress, progressUtils.ProgressEvent.VALIDATED, {
+    payer: wallet.publicKey.toString(),
+    name: params.name,
+    symbol: params.symbol,
+    decimals: params.decimals,
+    initialSupply: params.initialSupply.toString(),
+    mint: params.mint.publicKey.toString(),
+    programId: splToken.TOKEN_2022_PROGRAM_ID.toString(),
+  })
+
+  return tokenMetadata
+    .verifyTokenMetadata(params, options.verifyMetadata, logger)
+    .then(() => prepareToken2022(options.connection, params, logger))
+    .then((prepared) =>
+      findExistingToken2022(options.connection, prepared, params, logger).then((existing) => {
+        if (existing) {
+          return options.simulate ? simulationUtils.existingTokenSimulation(existing) : existing
+        }
+
+        const mint = prepared.mint
+        const tokenAccount = prepared.tokenAccount
+
+        if (options.simulate) {
+          logger("Simulating token creation (nothing will be sent)...")
+          return simulationUtils
+            .simulateTransaction({
+              connection: options.connection,
+              transaction: prepared.transaction,
+              feePayer: wallet.publicKey,
+              watchAccounts: [
+                { label: "payer", address: wallet.publicKey },
+                { label: "mint", address: mint },
+                { label: "tokenAccount", address: tokenAccount },
+              ],
+            })
+            .then((simulation) => {
+              logger(`Simulation units consumed: ${simulation.unitsConsumed}`)
+              if (simulation.error) {
+                logger(`Simulation failed: ${simulation.error.message}`)
+              }
+              return {
+                success: true,
+                simulated: true,
+                wouldSucceed: !simulation.error,
+                mint: mint.toString(),
+                tokenAccount: tokenAccount.toString(),
+                metadata: mint.toString(),
+                tokenName: params.name,
+                tokenSymbol: params.symbol,
+                tokenProgram: TOKEN_2022,
+                extensions: extensionNames(params.extensions),
+                multisig: params.multisig ? params.multisig.toString() : null,
+                unitsConsumed: simulation.unitsConsumed,
+                logs: simulation.logs,
+                networkFee: simulation.networkFee,
+                lamportOutflow: simulation.lamportOutflow,
+                balanceChanges: simulation.balanceChanges,
+                programError: simulation.error,
+                computeBudget: prepared.computeBudget,
+              }
+            })
+        }
+
+        return transactionUtils
+          .sendAndConfirmTransaction({
+            connection: options.connection,
+            transaction: prepared.transaction,
+            wallet: wallet,
+            signers: [params.mint],
+            commitment: params.commitment,
+            skipPreflight: options.skipPreflight,
+            rebroadcastInterval: options.rebroadcastInterval,
+            onProgress: options.onProgress,
+            logger: logger,
+          })
+          .then((sent) => {
+            const result = Object.assign(transactionUtils.toSendResult(sent, prepared.computeBudget), {
+              mint: mint.toString(),
+              tokenAccount: tokenAccount.toString(),
+              metadata: mint.toString(),
+              tokenName: params.name,
+              tokenSymbol: params.symbol,
+              tokenProgram: TOKEN_2022,
+              extensions: extensionNames(params.extensions),
+              multisig: params.multisig ? params.multisig.toString() : null,
+            })
+            if (!result.success) {
+              logger.error("Error creating token: " + result.error)
+            }
+            return result
+          })
+      }),
+    )
+    .catch((error) => {
+      logger.error("Error creating token: " + error.message)
+      return {
+        success: false,
+        error: error.message,
+        details: errorUtils.toMintMeError(error),
+      }
+    })
+}
+
+/**
+ * Builds a Token-2022 creation transaction signed by the new mint only.
+ * The payer signs it last (e.g. in a browser wallet) and sends it.
+ * @param {Object} options - Same options as createToken2022, except for the payer
+ * @param {string|solanaWeb3.PublicKey} options.payer - Public key of the wallet that will sign and pay
+ * @returns {Promise<Object>} - Serialized transaction (base64) and the new accounts,
+ *   or the existing token (alreadyExisted: true, no transaction) if the mint already exists
+ */
+function buildCreateToken2022Transaction(options) {
+  const logger = loggerUtils.forOperation(options.logger, "buildCreateToken2022Transaction")
+
+  if (!options.connection) {
+    return Promise.reject(new errorUtils.ValidationError("A Solana connection is required"))
+  }
+  if (!options.payer) {
+    return Promise.reject(new errorUtils.WalletError("A payer public key is required"))
+  }
+
+  let payerPublicKey
+  let params
+  try {
+    payerPublicKey = walletUtils.toPublicKey(options.payer)
+    params = resolveToken2022Params(options, payerPublicKey, logger)
+  } catch (error) {
+    return Promise.reject(error)
+  }
+
+  return tokenMetadata
+    .verifyTokenMetadata(params, options.verifyMetadata, logger)
+    .then(() => prepareToken2022(options.connection, params, logger))
+    .then((prepared) =>
+      Promise.all([
+        prepared,
+        findExistingToken2022(options.connection, prepared, params, logger),
+        options.connection.getLatestBlockhash(params.commitment),
+      ]),
+    )
+    .then((results) => {
+      const prepared = results[0]
+      const existing = results[1]
+      const latestBlockhash = results[2]
+
+      if (existing) {
+        return existing
+      }
+
+      const transaction = prepared.transaction
+      transaction.recentBlockhash = latestBlockhash.blockhash
+      transaction.partialSign(params.mint)
+
+      return {
+        success: true,
+        transaction: transaction.serialize({ requireAllSignatures: false, verifySignatures: false }).toString("base64"),
+        feePayer: payerPublicKey.toString(),
+        recentBlockhash: latestBlockhash.blockhash,
+        lastValidBlockHeight: latestBlockhash.lastValidBlockHeight,
+        mint: prepared.mint.toString(),
+        tokenAccount: prepared.tokenAccount.toString(),
+        metadata: prepared.mint.toString(),
+        tokenName: params.name,
+        tokenSymbol: params.symbol,
+        tokenProgram: TOKEN_2022,
+        extensions: extensionNames(params.extensions),
+        computeBudget: prepared.computeBudget,
+      }
+    })
+    .catch((error) => {
+      logger.error("Error building token creation transaction: " + error.message)
+      return {
+        success: false,
+        error: error.message,
+        details: errorUtils.toMintMeError(error),
+      }
+    })
+}
+
+module.exports = {
+  TOKEN_2022,
+  isToken2022,
+  createToken2022,
+  buildCreateToken2022Transaction,
+}
@@ -0,0 +1,373 @@
+/**
+ * Functions for updating the metadata of an existing token
+ * @module token-update-utils
+ */
+
+const solanaWeb3 = require("@solana/web3.js")
+const splToken = require("@solana/spl-token")
+const splTokenMetadata = require("@solana/spl-token-metadata")
+const constants = require("../constants")
+const walletUtils = require("../utils/wallet")
+const pdaUtils = require("../utils/pda")
+const metaplexUtils = require("../utils/metaplex")
+const validationUtils = require("../utils/validation")
+const transactionUtils = require("../utils/transaction")
+const errorUtils = require("../utils/errors")
+const loggerUtils = require("../utils/logger")
+
+/**
+ * Loads the metadata of a mint, whether it is a Metaplex account or Token-2022 on-mint metadata
+ * @param {solanaWeb3.Connection} connection - Solana connection
+ * @param {solanaWeb3.PublicKey} mint - Mint address
+ * @returns {Promise<Object>} - { source, address, current: { name, symbol, uri, updateAuthority, isMutable }, ... }
+ */
+function loadMetadata(connection, mint) {
+  return Promise.resolve(pdaUtils.deriveMetadataAccount(mint)).then((metadataAccount) =>
+    connection.getMultipleAccountsInfo([mint, metadataAccount.metadataAddress]).then((accounts) => {
+      const mintAccount = accounts[0]
+      const metadataInfo = accounts[1]
+
+      if (!mintAccount) {
+        throw new errorUtils.ValidationError(`Mint ${mint.toString()} not found`)
+      }
+
+      if (metadataInfo && metadataInfo.owner.equals(constants.TOKEN_METADATA_PROGRAM_ID)) {
+        const decoded = metaplexUtils.decodeMetadata(metadataInfo.data)
+        return {
+          source: "metaplex",
+          address: metadataAccount.metadataAddress,
+          decoded: decoded,
+          current: {
+            name: decoded.data.name,
+            symbol: decoded.data.symbol,
+            uri: decoded.data.uri,
+            updateAuthority: decoded.updateAuthority,
+            isMutable: decoded.isMutable,
+          },
+        }
+      }
+
+      if (mintAccount.owner.equals(splToken.TOKEN_2022_PROGRAM_ID)) {
+        const mintInfo = splToken.unpackMint(mint, mintAccount, splToken.TOKEN_2022_PROGRAM_ID)
+        const data = splToken.getExtensionData(splToken.ExtensionType.TokenMetadata, mintInfo.tlvData)
+        if (data) {
+          const unpacked = splTokenMetadata.unpack(data)
+          return {
+            source: "token-2022",
+            address: mint,
+            unpacked: unpacked,
+            account: mintAccount,
+            current: {
+              name: unpacked.name,
+              symbol: unpacked.symbol,
+              uri: unpacked.uri,
+              updateAuthority: unpacked.updateAuthority || null,
+              isMutable: !!unpacked.updateAuthority,
+            },
+          }
+        }
+      }
+
+      throw new errorUtils.ValidationError(`Mint ${mint.toString()} has no metadata to update`)
+    }),
+  )
+}
+
+/**
+ * Checks that the metadata can be changed by the given authority
+ * @param {Object} target - Result of loadMetadata
+ * @param {solanaWeb3.PublicKey} authority - Signing update authority
+ * @throws {errorUtils.ValidationError} - If the metadata is immutable or the authority does not match
+ */
+function assertCanUpdate(target, authority) {
+  if (!target.current.isMutable) {
+    throw new errorUtils.ValidationError("The metadata is immutable and can no longer be updated")
+  }
+  if (!target.current.updateAuthority.equals(authority)) {
+    throw new errorUtils.ValidationError(
+      `The update authority of the metadata is ${target.current.updateAuthority.toString()}, not ${authority.toString()}`,
+    )
+  }
+}
+
+/**
+ * Builds the instructions applying a change to Token-2022 on-mint metadata.
+ * The mint account grows with its metadata, so the missing rent is transferred first.
+ * @param {solanaWeb3.Connection} connection - Solana connection
+ * @param {Object} target - Result of loadMetadata
+ * @param {Object} change - { fields: { name, symbol, uri }, newUpdateAuthority, isMutable }
+ * @param {solanaWeb3.PublicKey} authority - Update authority, also pays the extra rent
+ * @returns {Promise<solanaWeb3.TransactionInstruction[]>}
+ */
+function buildToken2022Update(connection, target, change, authority) {
+  const programId = splToken.TOKEN_2022_PROGRAM_ID
+  const fields = Object.keys(change.fields)
+  const updated = Object.assign({}, target.unpacked, change.fields)
+  const growth = splTokenMetadata.pack(updated).length - splTokenMetadata.pack(target.unpacked).length
+
+  const instructions = fields.map((field) =>
+    splTokenMetadata.createUpdateFieldInstruction({
+      programId: programId,
+      metadata: target.address,
+      updateAuthority: authority,
+      field: field,
+      value: change.fields[field],
+    }),
+  )
+
+  if (change.newUpdateAuthority || change.isMutable === false) {
+    instructions.push(
+      splTokenMetadata.createUpdateAuthorityInstruction({
+        programId: programId,
+        metadata: target.address,
+        oldAuthority: authority,
+        // Without an update authority, Token-2022 metadata can no longer change
+        newAuthority: change.isMutable === false ? null : change.newUpdateAuthority,
+      }),
+    )
+  }
+
+  if (growth <= 0) {
+    return Promise.resolve(instructions)
+  }
+
+  return connection.getMinimumBalanceForRentExemption(target.account.data.length + growth).then((required) => {
+    const missing = required - target.account.lamports
+    if (missing > 0) {
+      instructions.unshift(
+        solanaWeb3.SystemProgram.transfer({ fromPubkey: authority, toPubkey: target.address, lamports: missing }),
+      )
+    }
+    return instructions
+  })
+}
+
+/**
+ * Builds the instruction applying a change to a Metaplex metadata account
+ * @param {Object} target - Result of loadMetadata
+ * @param {Object} change - { fields: { name, symbol, uri }, newUpdateAuthority, isMutable }
+ * @param {solanaWeb3.PublicKey} authority - Update authority
+ * @returns {solanaWeb3.TransactionInstruction[]}
+ */
+function buildMetaplexUpdate(target, change, authority) {
+  const current = target.decoded.data
+  const hasFieldChanges = Object.keys(change.fields).length > 0
+
+  return [
+    metaplexUtils.createUpdateMetadataAccountV2Instruction({
+      metadata: target.address,
+      updateAuthority: authority,
+      // DataV2 replaces every field: keep the current values of what is not being changed
+      data: hasFieldChanges
+        ? {
+            name: change.fields.name !== undefined ? change.fields.name : current.name,
+            symbol: change.fields.symbol !== undefined ? change.fields.symbol : current.symbol,
+            uri: change.fields.uri !== undefined ? change.fields.uri : current.uri,
+            sellerFeeBasisPoints: current.sellerFeeBasisPoints,
+            creators: current.creators,
+            collection: target.decoded.collection,
+            uses: target.decoded.uses,
+          }
+        : null,
+      newUpdateAuthority: change.newUpdateAuthority || null,
+      isMutable: change.isMutable === false ? false : null,
+    }),
+  ]
+}
+
+/**
+ * Loads the metadata of a mint, applies a change and sends (or simulates) the transaction
+ * @param {Object} options - Options of updateTokenMetadata / makeMetadataImmutable
+ * @param {Object} change - { fields: { name, symbol, uri }, newUpdateAuthority, isMutable }
+ * @param {string} action - Description of the change, for logs
+ * @returns {Promise<Object>} - Result of the update
+ */
+function sendMetadataUpdate(options, change, action) {
+  const logger = loggerUtils.forOperation(
+    options.logger,
+    change.isMutable === false ? "makeMetadataImmutable" : "updateTokenMetadata",
+  )
+  const connection = options.connection
+
+  let wallet
+  let mint
+  let commitment
+  try {
+    wallet = walletUtils.toWallet(options.payer)
+    mint = walletUtils.toPublicKey(options.mint)
+    commitment = transactionUtils.resolveCommitment(options.commitment)
+  } catch (error) {
+    return Promise.reject(error)
+  }
+
+  let target
+
+  return loadMetadata(connection, mint)
+    .then((loaded) => {
+      target = loaded
+      assertCanUpdate(target, wallet.publicKey)
+      logger(`${action} for ${mint.toString()} (${target.source} metadata at ${target.address.toString()})`)
+
+      return target.source === "metaplex"
+        ? buildMetaplexUpdate(target, change, wallet.publicKey)
+        : buildToken2022Update(connection, target, change, wallet.publicKey)
+    })
+    .then((instructions) => {
+      const updated = Object.assign({}, target.current, change.fields)
+      if (change.newUpdateAuthority) {
+        updated.updateAuthority = change.newUpdateAuthority
+      }
+      if (change.isMutable === false) {
+        updated.isMutable = false
+        if (target.source === "token-2022") {
+          updated.updateAuthority = null
+        }
+      }
+      const details = {
+        mint: mint.toString(),
+        metadata: target.address.toString(),
+        source: target.source,
+        name: updated.name,
+        symbol: updated.symbol,
+        uri: updated.uri,
+        updateAuthority: updated.updateAuthority ? updated.updateAuthority.toString() : null,
+        isMutable: updated.isMutable,
+      }
+
+      if (options.simulate) {
+        logger("Simulating metadata update (nothing will be sent)...")
+      }
+
+      return transactionUtils
+        .executeInstructions({
+          connection: connection,
+          wallet: wallet,
+          instructions: instructions,
+          simulate: options.simulate,
+          priorityFee: options.priorityFee,
+          computeUnitLimit: options.computeUnitLimit,
+          commitment: commitment,
+          skipPreflight: options.skipPreflight,
+          rebroadcastInterval: options.rebroadcastInterval,
+          logger: logger,
+        })
+        .then((result) => {
+          if (!result.success) {
+            logger.error(`Error updating metadata: ${result.error}`)
+          }
+          return Object.assign(result, details)
+        })
+    })
+    .catch((error) => {
+      logger.error(`Error updating metadata: ${error.message}`)
+      return {
+        success: false,
+        error: error.message,
+        details: errorUtils.toMintMeError(error),
+      }
+    })
+}
+
+/**
+ * Updates the name, symbol, URI and/or update authority of a token's metadata.
+ * Works for Metaplex metadata (MintMe tokens) and Token-2022 on-mint metadata.
+ * @param {Object} options - Update options
+ * @param {solanaWeb3.Connection} options.connection - Solana connection
+ * @param {solanaWeb3.Keypair|Object} options.payer - Keypair or wallet of the update authority (pays the fees)
+ * @param {string|solanaWeb3.PublicKey} options.mint - Mint address
+ * @param {string} [options.name] - New token name
+ * @param {string} [options.symbol] - New token symbol
+ * @param {string} [options.uri] - New metadata URI
+ * @param {string|solanaWeb3.PublicKey} [options.newUpdateAuthority] - New update authority
+ * @param {boolean} [options.simulate=false] - Build and simulate the transaction without sending it
+ * @param {number|string|Object} [options.priorityFee] - Priority fee (see createToken)
+ * @param {number|string} [options.computeUnitLimit] - Compute unit limit (see createToken)
+ * @param {string} [options.commitment="confirmed"] - Commitment to wait for
+ * @param {Function} [options.logger] - Custom logger function
+ * @returns {Promise<Object>} - { success, status, mint, metadata, source, name, symbol, uri, updateAuthority, isMutable, txSignature }
+ */
+function updateTokenMetadata(options) {
+  if (!options || !options.connection) {
+    return Promise.reject(new errorUtils.ValidationError("A Solana connection is required"))
+  }
+  if (!options.payer) {
+    return Promise.reject(new errorUtils.WalletError("A payer (wallet or keypair) is required"))
+  }
+  if (!options.mint) {
+    return Promise.reject(new errorUtils.ValidationError("A mint address is required"))
+  }
+
+  // Same rules as at creation
+  const errors = []
+  const fields = {}
+  if (options.name !== undefined) {
+    const validation = validationUtils.validateTokenName(options.name)
+    if (!validation.isValid) {
+      errors.push(validation.message)
+    }
+    fields.name = options.name
+  }
+  if (options.symbol !== undefined) {
+    const validation = validationUtils.validateTokenSymbol(options.symbol)
+    if (!validation.isValid) {
+      errors.push(validation.message)
+    }
+    fields.symbol = options.symbol
+  }
+  if (options.uri !== undefined) {
+    const validation = validationUtils.validateUri(options.uri)
+    if (!validation.isValid) {
+      errors.push(validation.message)
+    }
+    fields.uri = options.uri
+  }
+  if (errors.length > 0) {
+    return Promise.reject(new errorUtils.ValidationError(`Metadata validation failed: ${errors.join(", ")}`))
+  }
+
+  let newUpdateAuthority = null
+  if (options.newUpdateAuthority) {
+    try {
+      newUpdateAuthority = walletUtils.toPublicKey(options.newUpdateAuthority)
+    } catch (error) {
+      return Promise.reject(
+        new errorUtils.ValidationError(`Invalid new update authority: ${error.message}`, { cause: error }),
+      )
+    }
+  }
+
+  if (Object.keys(fields).length === 0 && !newUpdateAuthority) {
+    return Promise.reject(
+      new errorUtils.ValidationError("Nothing to update: provide name, symbol, uri or newUpdateAuthority"),
+    )
+  }
+
+  return sendMetadataUpdate(options, { fields: fields, newUpdateAuthority: newUpdateAuthority }, "Updating metadata")
+}
+
+/**
+ * Makes a token's metadata immutable, for good. Nobody will be able to change it afterwards.
+ * @param {Object} options - Same options as updateTokenMetadata, without the fields to change
+ * @param {solanaWeb3.Connection} options.connection - Solana connection
+ * @param {solanaWeb3.Keypair|Object} options.payer - Keypair or wallet of the update authority (pays the fees)
+ * @param {string|solanaWeb3.PublicKey} options.mint - Mint address
+ * @returns {Promise<Object>} - Same result as updateTokenMetadata, with isMutable: false
+ */
+function makeMetadataImmutable(options) {
+  if (!options || !options.connection) {
+    return Promise.reject(new errorUtils.ValidationError("A Solana connection is required"))
+  }
+  if (!options.payer) {
+    return Promise.reject(new errorUtils.WalletError("A payer (wallet or keypair) is required"))
+  }
+  if (!options.mint) {
+    return Promise.reject(new errorUtils.ValidationError("A mint address is required"))
+  }
+
+  return sendMetadataUpdate(options, { fields: {}, isMutable: false }, "Making metadata immutable")
+}
+
+module.exports = {
+  updateTokenMetadata,
+  makeMetadataImmutable,
+}
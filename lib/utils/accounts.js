@@ -0,0 +1,28 @@
+/**
+ * Utilities for reading many accounts at once
+ */
+
+// Maximum number of accounts per getMultipleAccountsInfo call
+const ACCOUNTS_PER_REQUEST = 100
+
+/**
+ * Reads many accounts, ACCOUNTS_PER_REQUEST at a time
+ * @param {solanaWeb3.Connection} connection - Solana connection
+ * @param {solanaWeb3.PublicKey[]} addresses - Accounts to read
+ * @returns {Promise<Array<Object|null>>} - Account infos, in the same order
+ */
+function getAccounts(connection, addresses) {
+  const chunks = []
+  for (let i = 0; i < addresses.length; i += ACCOUNTS_PER_REQUEST) {
+    chunks.push(addresses.slice(i, i + ACCOUNTS_PER_REQUEST))
+  }
+  return chunks.reduce(
+    (promise, chunk) =>
+      promise.then((accounts) => connection.getMultipleAccountsInfo(chunk).then((infos) => accounts.concat(infos))),
+    Promise.resolve([]),
+  )
+}
+
+module.exports = {
+  getAccounts,
+}
@@ -0,0 +1,194 @@
+/**
+ * Utilities for compute budget and priority fees
+ */
+
+const solanaWeb3 = require("@solana/web3.js")
+const errorUtils = require("./errors")
+
+// Maximum compute units a transaction can request
+const MAX_COMPUTE_UNIT_LIMIT = 1400000
+// Extra room added on top of the simulated compute units when the limit is auto-sized
+const COMPUTE_UNIT_MARGIN = 1.1
+// Percentile of recent prioritization fees used by the "auto" priority fee
+const DEFAULT_PRIORITY_FEE_PERCENTILE = 75
+
+/**
+ * Estimates a priority fee from the recent prioritization fees paid on the cluster
+ * @param {solanaWeb3.Connection} connection - Solana connection
+ * @param {Object} [options] - Estimation options
+ * @param {solanaWeb3.PublicKey[]} [options.accounts] - Writable accounts of the transaction, to scope the estimate
+ * @param {number} [options.percentile=75] - Percentile of the recent fees to use (0-100)
+ * @param {number} [options.minMicroLamports=0] - Lower bound of the result
+ * @param {number} [options.maxMicroLamports] - Upper bound of the result
+ * @returns {Promise<number>} - Compute unit price in microLamports
+ */
+function estimatePriorityFee(connection, options) {
+  const settings = options || {}
+  const percentile = settings.percentile !== undefined ? settings.percentile : DEFAULT_PRIORITY_FEE_PERCENTILE
+
+  if (typeof percentile !== "number" || percentile < 0 || percentile > 100) {
+    return Promise.reject(new errorUtils.ValidationError("Priority fee percentile must be a number between 0 and 100"))
+  }
+
+  const config = settings.accounts && settings.accounts.length ? { lockedWritableAccounts: settings.accounts } : undefined
+
+  return connection.getRecentPrioritizationFees(config).then((recentFees) => {
+    const fees = recentFees.map((entry) => entry.prioritizationFee).sort((a, b) => a - b)
+
+    let microLamports = 0
+    if (fees.length > 0) {
+      const index = Math.min(fees.length - 1, Math.ceil((percentile / 100) * fees.length) - 1)
+      microLamports = fees[Math.max(0, index)]
+    }
+
+    microLamports = Math.max(microLamports, settings.minMicroLamports || 0)
+    if (settings.maxMicroLamports !== undefined) {
+      microLamports = Math.min(microLamports, settings.maxMicroLamports)
+    }
+
+    return microLamports
+  })
+}
+
+/**
+ * Sizes the compute unit limit of an instruction by simulating it
+ * @param {solanaWeb3.Connection} connection - Solana connection
+ * @param {solanaWeb3.TransactionInstruction[]} instructions - Instructions to simulate
+ * @param {solanaWeb3.PublicKey} feePayer - Fee payer of the transaction
+ * @returns {Promise<number|null>} - Compute unit limit, or null if the simulation failed
+ */
+function estimateComputeUnitLimit(connection, instructions, feePayer) {
+  const transaction = new solanaWeb3.Transaction()
+  transaction.feePayer = feePayer
+  // Simulate with the maximum limit so the default one does not cut the run short
+  transaction.add(solanaWeb3.ComputeBudgetProgram.setComputeUnitLimit({ units: MAX_COMPUTE_UNIT_LIMIT }))
+  instructions.forEach((instruction) => transaction.add(instruction))
+
+  return connection.simulateTransaction(transaction).then((result) => {
+    if (result.value.err || !result.value.unitsConsumed) {
+      return null
+    }
+    return Math.min(MAX_COMPUTE_UNIT_LIMIT, Math.ceil(result.value.unitsConsumed * COMPUTE_UNIT_MARGIN))
+  })
+}
+
+/**
+ * Builds the ComputeBudget instructions for a transaction
+ * @param {Object} options - Compute budget options
+ * @param {solanaWeb3.Connection} options.connection - Solana connection
+ * @param {solanaWeb3.TransactionInstruction[]} options.instructions - Instructions the budget applies to
+ * @param {solanaWeb3.PublicKey} options.feePayer - Fee payer of the transaction
+ * @param {number|string|Object} [options.priorityFee] - microLamports per compute unit, "auto", or
+ *   { percentile, minMicroLamports, maxMicroLamports } for an automatic estimate
+ * @param {number|string} [options.computeUnitLimit] - Compute unit limit, or "auto" to size it from a simulation
+ * @param {Function} [options.logger] - Logger function
+ * @returns {Promise<{instructions: solanaWeb3.TransactionInstruction[], microLamports: number|null, computeUnitLimit: number|null}>}
+ */
+function buildComputeBudgetInstructions(options) {
+  const logger = options.logger || (() => {})
+  const priorityFee = options.priorityFee
+  const computeUnitLimit = options.computeUnitLimit
+
+  let pricePromise
+  if (priorityFee === undefined || priorityFee === null) {
+    pricePromise = Promise.resolve(null)
+  } else if (typeof priorityFee === "number") {
+    if (!Number.isInteger(priorityFee) || priorityFee < 0) {
+      return Promise.reject(new errorUtils.ValidationError("Priority fee must be a non-negative integer amount of microLamports"))
+    }
+    pricePromise = Promise.resolve(priorityFee)
+  } else if (priorityFee === "auto" || typeof priorityFee === "object") {
+    const writableAccounts = []
+    options.instructions.forEach((instruction) =>
+      instruction.keys.forEach((key) => {
+        if (key.isWritable && !writableAccounts.some((account) => account.equals(key.pubkey))) {
+          writableAccounts.push(key.pubkey)
+        }
+      }),
+    )
+    pricePromise = estimatePriorityFee(
+      options.connection,
+      Object.assign({ accounts: writableAccounts }, typeof priorityFee === "object" ? priorityFee : {}),
+    )
+  } else {
+    return Promise.reject(new errorUtils.ValidationError(`Invalid priority fee: ${priorityFee}`))
+  }
+
+  let limitPromise
+  if (computeUnitLimit === undefined || computeUnitLimit === null) {
+    limitPromise = Promise.resolve(null)
+  } else if (typeof computeUnitLimit === "number") {
+    if (!Number.isInteger(computeUnitLimit) || computeUnitLimit <= 0 || computeUnitLimit > MAX_COMPUTE_UNIT_LIMIT) {
+      return Promise.reject(
+        new errorUtils.ValidationError(`Compute unit limit must be an integer between 1 and ${MAX_COMPUTE_UNIT_LIMIT}`),
+      )
+    }
+    limitPromise = Promise.resolve(computeUnitLimit)
+  } else if (computeUnitLimit === "auto") {
+    limitPromise = estimateComputeUnitLimit(options.connection, options.instructions, options.feePayer).then((units) => {
+      if (units === null) {
+        logger("Warning: Could not size the compute unit limit from a simulation, using the default limit")
+      }
+      return units
+    })
+  } else {
+    return Promise.reject(new errorUtils.ValidationError(`Invalid compute unit limit: ${computeUnitLimit}`))
+  }
+
+  return Promise.all([pricePromise, limitPromise]).then((results) => {
+    const microLamports = results[0]
+    const units = results[1]
+    const instructions = []
+
+    if (units !== null) {
+      logger(`Compute unit limit: ${units}`)
+      instructions.push(solanaWeb3.ComputeBudgetProgram.setComputeUnitLimit({ units: units }))
+    }
+    if (microLamports !== null) {
+      logger(`Priority fee: ${microLamports} microLamports per compute unit`)
+      instructions.push(solanaWeb3.ComputeBudgetProgram.setComputeUnitPrice({ microLamports: microLamports }))
+    }
+
+    return {
+      instructions: instructions,
+      microLamports: microLamports,
+      computeUnitLimit: units,
+    }
+  })
+}
+
+/**
+ * Prepends the ComputeBudget instructions to an Anchor method builder.
+ * The budget is sized for the whole transaction: the pre-instructions, the method and the post-instructions
+ * @param {Object} methodBuilder - Anchor method builder (program.methods.x(...).accounts(...))
+ * @param {Object} options - Same options as buildComputeBudgetInstructions, without instructions
+ * @returns {Promise<{methodBuilder: Object, computeBudget: Object|null}>}
+ */
+function applyComputeBudget(methodBuilder, options) {
+  const hasPriorityFee = options.priorityFee !== undefined && options.priorityFee !== null
+  const hasComputeUnitLimit = options.computeUnitLimit !== undefined && options.computeUnitLimit !== null
+  if (!hasPriorityFee && !hasComputeUnitLimit) {
+    return Promise.resolve({ methodBuilder: methodBuilder, computeBudget: null })
+  }
+
+  return methodBuilder
+    .transaction()
+    .then((transaction) =>
+      buildComputeBudgetInstructions(Object.assign({}, options, { instructions: transaction.instructions })),
+    )
+    .then((budget) => ({
+      methodBuilder: methodBuilder.preInstructions(budget.instructions),
+      computeBudget: {
+        microLamports: budget.microLamports,
+        computeUnitLimit: budget.computeUnitLimit,
+      },
+    }))
+}
+
+module.exports = {
+  MAX_COMPUTE_UNIT_LIMIT,
+  estimatePriorityFee,
+  estimateComputeUnitLimit,
+  buildComputeBudgetInstructions,
+  applyComputeBudget,
+}
@@ -0,0 +1,246 @@
+/**
+ * Configuration of the SDK: cluster presets, config file and environment variables
+ *
+ * Each value is resolved in this order, the last one found wins: the preset of the cluster, the config file
+ * (mintme.config.json or .mintmerc), the environment variables (MINTME_*), then the options of the call.
+ */
+
+const fs = require("fs")
+const path = require("path")
+const solanaWeb3 = require("@solana/web3.js")
+const constants = require("../constants")
+const errorUtils = require("./errors")
+const loggerUtils = require("./logger")
+
+// Environment of the process, empty in browsers
+const ENVIRONMENT = typeof process !== "undefined" && process.env ? process.env : {}
+
+// Config files looked up in the working directory, in this order
+const CONFIG_FILES = ["mintme.config.json", ".mintmerc"]
+
+// Environment variables and the setting each one sets
+const ENV_VARIABLES = {
+  MINTME_CLUSTER: "cluster",
+  MINTME_RPC_URL: "rpcEndpoint",
+  MINTME_PROGRAM_ID: "programId",
+  MINTME_EXPLORER_URL: "explorerUrl",
+  MINTME_COMMITMENT: "commitment",
+  MINTME_IDL: "idl",
+  MINTME_WALLET_PATH: "walletPath",
+}
+
+// Settings of a cluster, which a config file can set for each cluster in its "clusters" section
+const CLUSTER_SETTINGS = ["rpcEndpoint", "programId", "explorerUrl", "explorerQuery"]
+
+// Preset of the clusters that have none (a custom RPC endpoint)
+const CUSTOM_CLUSTER = {
+  programId: constants.DEFAULT_PROGRAM_ID,
+  explorerUrl: "https://explorer.solana.com",
+  explorerQuery: "?cluster=custom&customUrl={rpcEndpoint}",
+}
+
+/**
+ * Returns the canonical name of a cluster ("mainnet" is "mainnet-beta", "localhost" is "localnet")
+ * @param {string} cluster - Cluster name
+ * @returns {string}
+ */
+function normalizeCluster(cluster) {
+  const name = String(cluster).trim()
+  return constants.CLUSTER_ALIASES[name] || name
+}
+
+/**
+ * Finds and reads the config file: the path given, then MINTME_CONFIG, then the first of CONFIG_FILES found in the
+ * working directory
+ * @param {string} [configPath] - Path of the config file. false skips the config file
+ * @returns {Object|null} - { path, values }, or null if there is no config file
+ * @throws {ValidationError} - If the file given is missing, or a config file is not a JSON object
+ */
+function loadConfigFile(configPath) {
+  // No config file outside Node.js
+  if (configPath === false || !fs || !fs.existsSync) {
+    return null
+  }
+
+  let filePath = configPath || ENVIRONMENT.MINTME_CONFIG
+  if (filePath) {
+    filePath = path.resolve(filePath)
+    if (!fs.existsSync(filePath)) {
+      throw new errorUtils.ValidationError(`Config file not found: ${filePath}`)
+    }
+  } else {
+    filePath = CONFIG_FILES.map((name) => path.resolve(name)).find((candidate) => fs.existsSync(candidate))
+    if (!filePath) {
+      return null
+    }
+  }
+
+  let values
+  try {
+    values = JSON.parse(fs.readFileSync(filePath, "utf8"))
+  } catch (error) {
+    throw new errorUtils.ValidationError(`Invalid config file ${filePath}: ${error.message}`, { cause: error })
+  }
+  if (!values || typeof values !== "object" || Array.isArray(values)) {
+    throw new errorUtils.ValidationError(`Invalid config file ${filePath}: expected a JSON object`)
+  }
+  if (values.clusters !== undefined && (!values.clusters || typeof values.clusters !== "object")) {
+    throw new errorUtils.ValidationError(`Invalid config file ${filePath}: "clusters" must be an object`)
+  }
+  return { path: filePath, values: values }
+}
+
+/**
+ * Reads the settings set by environment variables (see ENV_VARIABLES)
+ * @returns {Object}
+ */
+function readEnvironment() {
+  const values = {}
+  Object.keys(ENV_VARIABLES).forEach((name) => {
+    const value = ENVIRONMENT[name]
+    if (value !== undefined && value !== "") {
+      values[ENV_VARIABLES[name]] = value
+    }
+  })
+  return values
+}
+
+/**
+ * Returns the first value that is defined
+ * @param {...*} values - Values, by precedence
+ * @returns {*}
+ */
+function firstDefined() {
+  return Array.prototype.find.call(arguments, (value) => value !== undefined && value !== null)
+}
+
+/**
+ * Resolves the configuration of an operation.
+ * The config file sets cluster, commitment, idl and walletPath at its top level, and the settings of each cluster
+ * (rpcEndpoint, programId, explorerUrl, explorerQuery) in its "clusters" section, which can add clusters of its own.
+ * The options apply to the cluster selected. MINTME_RPC_URL, MINTME_PROGRAM_ID and MINTME_EXPLORER_URL describe the
+ * cluster of MINTME_CLUSTER, or the default cluster when it is not set: they are ignored when the options or the
+ * config file select another cluster, so that an endpoint set for one cluster never serves another. Ignoring them is
+ * logged as a warning
+ * @param {Object} [options] - Options of the call
+ * @param {string} [options.cluster] - Cluster: "localnet", "devnet", "testnet", "mainnet-beta", or one from the config
+ *   file
+ * @param {string|solanaWeb3.Connection} [options.connection] - RPC endpoint or Connection, instead of the cluster's
+ * @param {string} [options.rpcEndpoint] - RPC endpoint, instead of the cluster's
+ * @param {string|solanaWeb3.PublicKey} [options.programId] - Program ID, instead of the cluster's
+ * @param {string} [options.explorerUrl] - Explorer base URL, instead of the cluster's
+ * @param {string} [options.commitment] - Commitment (default "confirmed")
+ * @param {string|Object} [options.idl] - Program IDL (URL, object, or path)
+ * @param {string} [options.walletPath] - Path of the wallet file (default "./wallet.json")
+ * @param {string|boolean} [options.configPath] - Path of the config file, false to skip it
+ * @param {Function} [options.logger] - Logger of the warnings (default: the global logger)
+ * @returns {Object} - The options, with cluster, connection, rpcEndpoint, programId, explorerUrl, explorerQuery,
+ *   commitment, idl, walletPath and configPath resolved
+ * @throws {ValidationError} - If the config file is invalid, or the cluster is unknown and has no RPC endpoint
+ */
+function resolveConfig(options) {
+  const callOptions = options || {}
+  const file = loadConfigFile(callOptions.configPath)
+  const fileValues = file ? file.values : {}
+  const env = readEnvironment()
+
+  const cluster = normalizeCluster(
+    firstDefined(callOptions.cluster, env.cluster, fileValues.cluster, constants.DEFAULT_CLUSTER),
+  )
+  const fileClusters = fileValues.clusters || {}
+  const fileCluster = fileClusters[cluster] || {}
+  const preset = constants.CLUSTERS[cluster] || CUSTOM_CLUSTER
+  // The cluster settings of the environment describe one cluster only
+  const envCluster = env.cluster ? normalizeCluster(env.cluster) : constants.DEFAULT_CLUSTER
+  const envSettings = envCluster === cluster ? env : {}
+  const ignored = Object.keys(ENV_VARIABLES).filter((name) => {
+    const setting = ENV_VARIABLES[name]
+    return CLUSTER_SETTINGS.indexOf(setting) !== -1 && env[setting] !== undefined && callOptions[setting] === undefined
+  })
+  if (envCluster !== cluster && ignored.length > 0) {
+    const logger = loggerUtils.toLogger(callOptions.logger)
+    logger.warn(
+      `Ignoring ${ignored.join(", ")} (set for ${envCluster}) on ${cluster}. Set MINTME_CLUSTER=${cluster} to use them`,
+      { cluster: cluster, envCluster: envCluster },
+    )
+  }
+
+  const clusterSettings = {}
+  CLUSTER_SETTINGS.forEach((name) => {
+    clusterSettings[name] = firstDefined(callOptions[name], envSettings[name], fileCluster[name], preset[name])
+  })
+
+  // A Connection given in the options sets the endpoint
+  const connection = callOptions.connection
+  if (connection && typeof connection !== "string") {
+    clusterSettings.rpcEndpoint = connection.rpcEndpoint || clusterSettings.rpcEndpoint
+  } else if (connection) {
+    clusterSettings.rpcEndpoint = connection
+  }
+
+  if (!clusterSettings.rpcEndpoint) {
+    const known = Object.keys(constants.CLUSTERS).concat(Object.keys(fileClusters))
+    throw new errorUtils.ValidationError(
+      `Unknown cluster: ${cluster}. Use one of: ${known.join(", ")}, or give its RPC endpoint`,
+    )
+  }
+
+  return Object.assign({}, callOptions, clusterSettings, {
+    cluster: cluster,
+    connection: connection || clusterSettings.rpcEndpoint,
+    commitment: firstDefined(callOptions.commitment, env.commitment, fileValues.commitment, "confirmed"),
+    idl: firstDefined(callOptions.idl, env.idl, fileValues.idl),
+    walletPath: firstDefined(callOptions.walletPath, env.walletPath, fileValues.walletPath, "./wallet.json"),
+    configPath: file ? file.path : null,
+  })
+}
+
+/**
+ * Resolves the program ID of an operation: the programId option, or the program ID of the cluster selected by the
+ * cluster option, the environment or the config file (see resolveConfig)
+ * @param {Object} options - Options of the operation ({ programId, cluster, connection, configPath })
+ * @param {Function} [logger] - Logger of the warnings (default: options.logger)
+ * @returns {solanaWeb3.PublicKey}
+ * @throws {ValidationError} - If the program ID is invalid, or the configuration cannot be resolved
+ */
+function resolveProgramId(options, logger) {
+  const programId =
+    options.programId ||
+    resolveConfig({
+      cluster: options.cluster,
+      connection: options.connection,
+      configPath: options.configPath,
+      logger: logger || options.logger,
+    }).programId
+  try {
+    return typeof programId === "string" ? new solanaWeb3.PublicKey(programId) : programId
+  } catch (error) {
+    throw new errorUtils.ValidationError(`Invalid program ID: ${error.message}`, { cause: error })
+  }
+}
+
+/**
+ * Returns the explorer link of a transaction or an address
+ * @param {string} type - "tx" or "address"
+ * @param {string|solanaWeb3.PublicKey} value - Transaction signature or address
+ * @param {Object|string} [config] - Configuration returned by resolveConfig, options to resolve, or a cluster name
+ * @returns {string}
+ */
+function getExplorerUrl(type, value, config) {
+  const resolved =
+    config && config.explorerUrl !== undefined && config.explorerQuery !== undefined && config.rpcEndpoint
+      ? config
+      : resolveConfig(typeof config === "string" ? { cluster: config } : config)
+  const query = (resolved.explorerQuery || "").replace("{rpcEndpoint}", encodeURIComponent(resolved.rpcEndpoint))
+  return `${resolved.explorerUrl.replace(/\/+$/, "")}/${type}/${value.toString()}${query}`
+}
+
+module.exports = {
+  CONFIG_FILES,
+  ENV_VARIABLES,
+  normalizeCluster,
+  loadConfigFile,
+  resolveConfig,
+  resolveProgramId,
+  getExplorerUrl,
+}
@@ -34,9 +34,26 @@ function formatSolAmount(lamportsAmount, decimals = 4) {
   return `${solValue.toFixed(decimals)} SOL`
 }
 
+/**
+ * Converts a token amount in base units to its UI amount, without losing precision
+ * @param {number|string|bigint|BN} amount - Amount in base units
+ * @param {number} decimals - Token decimals
+ * @returns {string} - UI amount (e.g. "1000.5")
+ */
+function toUiAmount(amount, decimals) {
+  const digits = BigInt(amount.toString()).toString().padStart(decimals + 1, "0")
+  if (decimals === 0) {
+    return digits
+  }
+  const whole = digits.slice(0, digits.length - decimals)
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, "")
+  return fraction ? `${whole}.${fraction}` : whole
+}
+
 module.exports = {
   LAMPORTS_PER_SOL,
   solToLamports,
   lamportsToSol,
   formatSolAmount,
+  toUiAmount,
 }
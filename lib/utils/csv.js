@@ -0,0 +1,64 @@
+/**
+ * Minimal CSV parsing for manifests and recipient lists
+ */
+
+/**
+ * Splits a CSV line into fields, honoring double-quoted fields
+ * @param {string} line - CSV line
+ * @returns {string[]} - Fields
+ */
+function parseCsvLine(line) {
+  const fields = []
+  let current = ""
+  let quoted = false
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        current += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ",") {
+      fields.push(current.trim())
+      current = ""
+    } else {
+      current += char
+    }
+  }
+  fields.push(current.trim())
+
+  return fields
+}
+
+/**
+ * Parses CSV text with a header row into objects
+ * @param {string} text - CSV text
+ * @returns {Object[]} - One object per data row, keyed by header
+ */
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== "")
+  if (lines.length === 0) {
+    return []
+  }
+
+  const headers = parseCsvLine(lines[0])
+  return lines.slice(1).map((line) => {
+    const fields = parseCsvLine(line)
+    const row = {}
+    headers.forEach((header, index) => {
+      row[header] = fields[index] !== undefined ? fields[index] : ""
+    })
+    return row
+  })
+}
+
+module.exports = {
+  parseCsv,
+}
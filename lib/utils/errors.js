@@ -0,0 +1,191 @@
+/**
+ * Error classes of the SDK
+ *
+ * Every error the SDK produces is a MintMeError. type is the class name and survives JSON serialization, name is the
+ * specific error (for a ProgramError, the name from the program IDL, e.g. NoMintAuthority).
+ */
+
+// Anchor logs a failed constraint or require! as
+// "Program log: AnchorError occurred. Error Code: NoMintAuthority. Error Number: 6001. Error Message: ..."
+const ANCHOR_ERROR_LOG = /AnchorError.*Error Code: (\w+)\. Error Number: (\d+)\. Error Message: (.*)$/
+// The runtime logs the code of any custom error: "Program <id> failed: custom program error: 0x1771"
+const CUSTOM_ERROR_LOG = /custom program error: (0x[0-9a-fA-F]+)/
+// Messages of network and RPC node failures
+const RPC_ERROR_MESSAGE =
+  /failed to (get|send|fetch)|fetch failed|ECONNREFUSED|ECONNRESET|ENOTFOUND|ETIMEDOUT|EAI_AGAIN|socket hang up|Too Many Requests|\b(429|502|503|504)\b/i
+
+class MintMeError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [fields] - Extra fields (e.g. code, cause)
+   * @param {string} [type="MintMeError"] - Class name, set by the subclasses
+   */
+  constructor(message, fields, type) {
+    super(message)
+    this.type = type || "MintMeError"
+    this.name = this.type
+    Object.assign(this, fields)
+  }
+
+  /**
+   * @returns {Object} - The error as a plain object (type, name, message and the extra fields, without the cause)
+   */
+  toJSON() {
+    const json = { type: this.type, name: this.name, message: this.message }
+    Object.keys(this).forEach((key) => {
+      if (key !== "cause" && !(key in json)) {
+        json[key] = this[key]
+      }
+    })
+    return json
+  }
+}
+
+/**
+ * Invalid input: a missing option, a malformed address or amount, a token that does not allow the operation
+ */
+class ValidationError extends MintMeError {
+  constructor(message, fields) {
+    super(message, fields, "ValidationError")
+  }
+}
+
+/**
+ * The payer or signer cannot be used: unsupported format, wallet file missing, read-only wallet
+ */
+class WalletError extends MintMeError {
+  constructor(message, fields) {
+    super(message, fields, "WalletError")
+  }
+}
+
+/**
+ * The payer cannot cover the cost of the operation. required and available are in lamports
+ */
+class InsufficientBalanceError extends MintMeError {
+  constructor(message, fields) {
+    super(message, fields, "InsufficientBalanceError")
+  }
+}
+
+/**
+ * The RPC node or the network failed, or a transaction expired before it landed
+ */
+class RpcError extends MintMeError {
+  constructor(message, fields) {
+    super(message, fields, "RpcError")
+  }
+}
+
+/**
+ * A transaction failed on-chain. code and name come from the program IDL for custom errors (e.g. 6001,
+ * NoMintAuthority); code is null for runtime errors. instructionIndex is the failed instruction, when known
+ */
+class ProgramError extends MintMeError {
+  constructor(message, fields) {
+    super(message, Object.assign({ instructionIndex: null, code: null }, fields), "ProgramError")
+  }
+}
+
+/**
+ * Finds the program error reported in transaction logs: the Anchor error line first, then the custom error code
+ * logged by the runtime, resolved with the IDL
+ * @param {string[]} [logs] - Transaction or simulation logs
+ * @param {Object} [idl] - Program IDL used to resolve a custom error code
+ * @returns {ProgramError|null} - The program error, or null if the logs do not report one
+ */
+function parseProgramErrorLogs(logs, idl) {
+  if (!Array.isArray(logs)) {
+    return null
+  }
+
+  for (const line of logs) {
+    const match = ANCHOR_ERROR_LOG.exec(line)
+    if (match) {
+      return new ProgramError(match[3].replace(/\.$/, ""), {
+        code: Number.parseInt(match[2], 10),
+        name: match[1],
+      })
+    }
+  }
+
+  for (const line of logs) {
+    const match = CUSTOM_ERROR_LOG.exec(line)
+    if (match) {
+      return fromErrorCode(Number.parseInt(match[1], 16), idl)
+    }
+  }
+
+  return null
+}
+
+/**
+ * Builds the ProgramError of a custom error code
+ * @param {number} code - Custom error code
+ * @param {Object} [idl] - Program IDL used to resolve the code
+ * @param {number|null} [instructionIndex] - Failed instruction
+ * @returns {ProgramError}
+ */
+function fromErrorCode(code, idl, instructionIndex) {
+  const idlError = idl && idl.errors ? idl.errors.find((e) => e.code === code) : null
+  return new ProgramError(idlError ? idlError.msg : `Custom program error: ${code}`, {
+    instructionIndex: instructionIndex === undefined ? null : instructionIndex,
+    code: code,
+    name: idlError ? idlError.name : "Custom",
+  })
+}
+
+/**
+ * Converts any error into a MintMeError, keeping the original as cause
+ * @param {Error|Object|string} error - Error to convert
+ * @param {Object} [idl] - Program IDL used to resolve custom error codes found in logs
+ * @returns {MintMeError}
+ */
+function toMintMeError(error, idl) {
+  if (error instanceof MintMeError) {
+    return error
+  }
+  if (!error || typeof error !== "object") {
+    return new MintMeError(String(error))
+  }
+
+  // AnchorError, thrown by Anchor when it parses a failed transaction
+  if (error.error && error.error.errorCode && typeof error.error.errorCode.number === "number") {
+    return new ProgramError(error.error.errorMessage || error.message, {
+      code: error.error.errorCode.number,
+      name: error.error.errorCode.code,
+      cause: error,
+    })
+  }
+  // Anchor ProgramError
+  if (typeof error.code === "number" && typeof error.msg === "string") {
+    const programError = fromErrorCode(error.code, idl)
+    programError.message = error.msg
+    programError.cause = error
+    return programError
+  }
+
+  const fromLogs = parseProgramErrorLogs(error.logs, idl)
+  if (fromLogs) {
+    fromLogs.cause = error
+    return fromLogs
+  }
+
+  if (RPC_ERROR_MESSAGE.test(error.message || "")) {
+    return new RpcError(error.message, { cause: error })
+  }
+
+  return new MintMeError(error.message || String(error), { cause: error })
+}
+
+module.exports = {
+  MintMeError,
+  ValidationError,
+  WalletError,
+  InsufficientBalanceError,
+  RpcError,
+  ProgramError,
+  parseProgramErrorLogs,
+  fromErrorCode,
+  toMintMeError,
+}
@@ -4,7 +4,184 @@
 
 const fs = require("fs")
 const path = require("path")
+const anchor = require("@project-serum/anchor")
 const constants = require("../constants")
+const logger = require("./logger").logger
+
+// Basic IDL used when no other IDL can be loaded. It also describes the admin instructions (updateNetworkFee,
+// updateRevokeFee) that lib/idl.json leaves out. Its error codes differ from lib/idl.json after 6004 (UnauthorizedAdmin
+// is 6008 here, 6007 there): it is authoritative for the instructions it alone defines
+const EMBEDDED_IDL = {
+  version: "0.1.0",
+  name: "token_creator",
+  instructions: [
+    {
+      name: "updateNetworkFee",
+      accounts: [
+        { name: "config", isMut: true, isSigner: false },
+        { name: "admin", isMut: true, isSigner: true },
+        { name: "systemProgram", isMut: false, isSigner: false },
+      ],
+      args: [
+        { name: "newFeeLamports", type: "u64" },
+      ],
+    },
+    {
+      name: "updateRevokeFee",
+      accounts: [
+        { name: "config", isMut: true, isSigner: false },
+        { name: "admin", isMut: true, isSigner: true },
+        { name: "systemProgram", isMut: false, isSigner: false },
+      ],
+      args: [
+        { name: "newFeeLamports", type: "u64" },
+      ],
+    },
+    {
+      name: "createToken",
+      accounts: [
+        { name: "payer", isMut: true, isSigner: true },
+        { name: "config", isMut: false, isSigner: false },
+        { name: "mint", isMut: true, isSigner: false },
+        { name: "tokenAccount", isMut: true, isSigner: false },
+        { name: "metadata", isMut: true, isSigner: false },
+        { name: "tokenPda", isMut: true, isSigner: false },
+        { name: "tokenProgram", isMut: false, isSigner: false },
+        { name: "metadataProgram", isMut: false, isSigner: false },
+        { name: "systemProgram", isMut: false, isSigner: false },
+        { name: "partnerWallet", isMut: true, isSigner: false },
+        { name: "rent", isMut: false, isSigner: false },
+        {
+          name: "associatedTokenProgram",
+          isMut: false,
+          isSigner: false,
+        },
+      ],
+      args: [
+        { name: "name", type: "string" },
+        { name: "symbol", type: "string" },
+        { name: "uniqueKey", type: "string" },
+        { name: "decimals", type: "u8" },
+        { name: "initialSupply", type: "u64" },
+        { name: "uri", type: "string" },
+        { name: "revokeMint", type: "bool" },
+        { name: "revokeFreeze", type: "bool" },
+        { name: "partnerWallet", type: "publicKey" },
+        { name: "partnerAmount", type: "u64" },
+      ],
+    },
+    {
+      name: "revokeAuthority",
+      accounts: [
+        { name: "owner", isMut: true, isSigner: true },
+        { name: "mint", isMut: true, isSigner: false },
+        { name: "tokenProgram", isMut: false, isSigner: false },
+        { name: "systemProgram", isMut: false, isSigner: false },
+        { name: "tokenPda", isMut: true, isSigner: false },
+        { name: "payer", isMut: true, isSigner: true },
+        { name: "config", isMut: false, isSigner: false },
+        { name: "partnerWallet", isMut: true, isSigner: false },
+      ],
+      args: [
+        { name: "revokeMint", type: "bool" },
+        { name: "revokeFreeze", type: "bool" },
+        { name: "partnerWallet", type: "publicKey" },
+        { name: "partnerAmount", type: "u64" },
+      ],
+    },
+  ],
+  accounts: [
+    {
+      name: "NetworkFeeConfig",
+      type: {
+        kind: "struct",
+        fields: [
+          {
+            name: "feeLamports",
+            type: "u64",
+          },
+          {
+            name: "bump",
+            type: "u8",
+          },
+        ],
+      },
+    },
+    {
+      name: "RevokeFeeConfig",
+      type: {
+        kind: "struct",
+        fields: [
+          {
+            name: "feeRevokeLamports",
+            type: "u64",
+          },
+          {
+            name: "bump",
+            type: "u8",
+          },
+        ],
+      },
+    },
+  ],
+  errors: [
+    {
+      code: 6000,
+      name: "NoFreezeAuthority",
+      msg: "The mint has no freeze authority",
+    },
+    {
+      code: 6001,
+      name: "NoMintAuthority",
+      msg: "The mint has no mint authority",
+    },
+    {
+      code: 6002,
+      name: "InvalidPDA",
+      msg: "Invalid PDA",
+    },
+    {
+      code: 6003,
+      name: "InvalidReceiver",
+      msg: "Invalid receiver address",
+    },
+    {
+      code: 6004,
+      name: "InsufficientFunds",
+      msg: "Insufficient funds in payment account",
+    },
+    {
+      code: 6005,
+      name: "MissingPartnerAccount",
+      msg: "Not funds.",
+    },
+    {
+      code: 6006,
+      name: "UnauthorizedClaim",
+      msg: "Unauthorized claim attempt",
+    },
+    {
+      code: 6007,
+      name: "InvalidCommissionWallet",
+      msg: "Invalid Network Fee Wallet",
+    },
+    {
+      code: 6008,
+      name: "UnauthorizedAdmin",
+      msg: "Unauthorized admin",
+    },
+    {
+      code: 6009,
+      name: "UnauthorizedOwner",
+      msg: "The signer is not the Owner",
+    },
+    {
+      code: 6010,
+      name: "NoAuthoritySpecified",
+      msg: "No authority specified to revoke",
+    },
+  ],
+}
 
 /**
  * Loads the IDL from a URL, an object, a file, or uses the default IDL
@@ -21,181 +198,11 @@ function loadIDL(idlSource) {
           return Promise.resolve(JSON.parse(fs.readFileSync(defaultPath, "utf-8")))
         }
       } catch (error) {
-        console.warn("Error loading IDL from default file:", error)
+        logger.warn("Error loading IDL from default file", { error: error })
       }
     }
-    // If it can't be loaded from the file, use a basic embedded IDL
-    return Promise.resolve({
-      version: "0.1.0",
-      name: "token_creator",
-      instructions: [
-        {
-          name: "updateNetworkFee",
-          accounts: [
-            { name: "config", isMut: true, isSigner: false },
-            { name: "admin", isMut: true, isSigner: true },
-            { name: "systemProgram", isMut: false, isSigner: false },
-          ],
-          args: [
-            { name: "newFeeLamports", type: "u64" },
-          ],
-        },
-        {
-          name: "updateRevokeFee",
-          accounts: [
-            { name: "config", isMut: true, isSigner: false },
-            { name: "admin", isMut: true, isSigner: true },
-            { name: "systemProgram", isMut: false, isSigner: false },
-          ],
-          args: [
-            { name: "newFeeLamports", type: "u64" },
-          ],
-        },
-        {
-          name: "createToken",
-          accounts: [
-            { name: "payer", isMut: true, isSigner: true },
-            { name: "config", isMut: false, isSigner: false },
-            { name: "mint", isMut: true, isSigner: false },
-            { name: "tokenAccount", isMut: true, isSigner: false },
-            { name: "metadata", isMut: true, isSigner: false },
-            { name: "tokenPda", isMut: true, isSigner: false },
-            { name: "tokenProgram", isMut: false, isSigner: false },
-            { name: "metadataProgram", isMut: false, isSigner: false },
-            { name: "systemProgram", isMut: false, isSigner: false },
-            { name: "partnerWallet", isMut: true, isSigner: false },
-            { name: "rent", isMut: false, isSigner: false },
-            {
-              name: "associatedTokenProgram",
-              isMut: false,
-              isSigner: false,
-            },
-          ],
-          args: [
-            { name: "name", type: "string" },
-            { name: "symbol", type: "string" },
-            { name: "uniqueKey", type: "string" },
-            { name: "decimals", type: "u8" },
-            { name: "initialSupply", type: "u64" },
-            { name: "uri", type: "string" },
-            { name: "revokeMint", type: "bool" },
-            { name: "revokeFreeze", type: "bool" },
-            { name: "partnerWallet", type: "publicKey" },
-            { name: "partnerAmount", type: "u64" },
-          ],
-        },
-        {
-          name: "revokeAuthority",
-          accounts: [
-            { name: "owner", isMut: true, isSigner: true },
-            { name: "mint", isMut: true, isSigner: false },
-            { name: "tokenProgram", isMut: false, isSigner: false },
-            { name: "systemProgram", isMut: false, isSigner: false },
-            { name: "tokenPda", isMut: true, isSigner: false },
-            { name: "payer", isMut: true, isSigner: true },
-            { name: "config", isMut: false, isSigner: false },
-            { name: "partnerWallet", isMut: true, isSigner: false },
-          ],
-          args: [
-            { name: "revokeMint", type: "bool" },
-            { name: "revokeFreeze", type: "bool" },
-            { name: "partnerWallet", type: "publicKey" },
-            { name: "partnerAmount", type: "u64" },
-          ],
-        },
-      ],
-      accounts: [
-        {
-          name: "NetworkFeeConfig",
-          type: {
-            kind: "struct",
-            fields: [
-              {
-                name: "feeLamports",
-                type: "u64",
-              },
-              {
-                name: "bump",
-                type: "u8",
-              },
-            ],
-          },
-        },
-        {
-          name: "RevokeFeeConfig",
-          type: {
-            kind: "struct",
-            fields: [
-              {
-                name: "feeRevokeLamports",
-                type: "u64",
-              },
-              {
-                name: "bump",
-                type: "u8",
-              },
-            ],
-          },
-        },
-      ],
-      errors: [
-        {
-          code: 6000,
-          name: "NoFreezeAuthority",
-          msg: "The mint has no freeze authority",
-        },
-        {
-          code: 6001,
-          name: "NoMintAuthority",
-          msg: "The mint has no mint authority",
-        },
-        {
-          code: 6002,
-          name: "InvalidPDA",
-          msg: "Invalid PDA",
-        },
-        {
-          code: 6003,
-          name: "InvalidReceiver",
-          msg: "Invalid receiver address",
-        },
-        {
-          code: 6004,
-          name: "InsufficientFunds",
-          msg: "Insufficient funds in payment account",
-        },
-        {
-          code: 6005,
-          name: "MissingPartnerAccount",
-          msg: "Not funds.",
-        },
-        {
-          code: 6006,
-          name: "UnauthorizedClaim",
-          msg: "Unauthorized claim attempt",
-        },
-        {
-          code: 6007,
-          name: "InvalidCommissionWallet",
-          msg: "Invalid Network Fee Wallet",
-        },
-        {
-          code: 6008,
-          name: "UnauthorizedAdmin",
-          msg: "Unauthorized admin",
-        },
-        {
-          code: 6009,
-          name: "UnauthorizedOwner",
-          msg: "The signer is not the Owner",
-        },
-        {
-          code: 6010,
-          name: "NoAuthoritySpecified",
-          msg: "No authority specified to revoke",
-        },
-      ],
-    })
+    // If it can't be loaded from the file, use the basic embedded IDL
+    return Promise.resolve(EMBEDDED_IDL)
   }
 
   // If it's an object, use it directly
@@ -213,7 +220,7 @@ function loadIDL(idlSource) {
           return Promise.resolve(JSON.parse(fs.readFileSync(resolvedPath, "utf-8")))
         }
       } catch (error) {
-        console.warn("Error loading IDL from file:", error)
+        logger.warn("Error loading IDL from file", { error: error })
       }
     }
 
@@ -229,7 +236,7 @@ function loadIDL(idlSource) {
         return response.json()
       })
       .catch((error) => {
-        console.error("Error loading IDL from URL:", error)
+        logger.error("Error loading IDL from URL", { error: error })
         throw error
       })
   }
@@ -238,6 +245,28 @@ function loadIDL(idlSource) {
   return Promise.reject(new Error("Invalid IDL source type"))
 }
 
+/**
+ * Returns the program client of an operation. A program built beforehand (e.g. by MintMeClient) is reused when it
+ * targets the same program ID on the same connection; otherwise the IDL is loaded (or taken from that program) and a
+ * new one is built on the provider. The global Anchor provider is never changed
+ * @param {string|Object|null} idlSource - IDL source (see loadIDL)
+ * @param {PublicKey} programId - Program ID
+ * @param {anchor.AnchorProvider} provider - Provider of the operation
+ * @param {anchor.Program} [program] - Program built beforehand
+ * @returns {Promise<anchor.Program>}
+ */
+function loadProgram(idlSource, programId, provider, program) {
+  if (program) {
+    if (program.programId.equals(programId) && program.provider.connection === provider.connection) {
+      return Promise.resolve(program)
+    }
+    return Promise.resolve(new anchor.Program(program.idl, programId, provider))
+  }
+  return loadIDL(idlSource).then((idl) => new anchor.Program(idl, programId, provider))
+}
+
 module.exports = {
   loadIDL,
+  loadProgram,
+  EMBEDDED_IDL,
 }
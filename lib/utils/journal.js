@@ -0,0 +1,39 @@
+/**
+ * JSON files used to record and resume long-running operations (batch reports, distribution journals)
+ */
+
+const fs = require("fs")
+const path = require("path")
+
+/**
+ * Reads a journal, if any
+ * @param {string} journalPath - Path to the journal file
+ * @returns {Object|null} - The journal, or null if there is none
+ */
+function readJournal(journalPath) {
+  if (!journalPath || !fs || !fs.existsSync(path.resolve(journalPath))) {
+    return null
+  }
+  return JSON.parse(fs.readFileSync(path.resolve(journalPath), "utf-8"))
+}
+
+/**
+ * Writes a journal atomically (temporary file + rename) so that a crash never leaves it truncated
+ * @param {string} journalPath - Path to the journal file
+ * @param {Object} journal - Journal to write
+ */
+function writeJournal(journalPath, journal) {
+  if (!journalPath || !fs) {
+    return
+  }
+  const resolvedPath = path.resolve(journalPath)
+  const temporaryPath = `${resolvedPath}.tmp`
+  journal.updatedAt = new Date().toISOString()
+  fs.writeFileSync(temporaryPath, JSON.stringify(journal, null, 2))
+  fs.renameSync(temporaryPath, resolvedPath)
+}
+
+module.exports = {
+  readJournal,
+  writeJournal,
+}
@@ -0,0 +1,267 @@
+/**
+ * Logging of the SDK
+ *
+ * Every module logs through a Logger: a function that logs its message at the info level, with debug, info, warn and
+ * error methods that take structured fields. Operations log through a child logger that adds their name and a
+ * correlation ID to each record. The level, the format (text or JSON), the sink and the redaction are global and can be
+ * changed with configureLogger; setCustomLogger only replaces the sink.
+ */
+
+const errorUtils = require("./errors")
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 }
+
+const REDACTED = "[REDACTED]"
+// Fields whose values are secrets, whatever they look like
+const SECRET_KEY_NAMES = /secret|private|seed|mnemonic|pass(word|phrase)|api[-_]?key|authorization/i
+// A 64-byte secret key as written in wallet files: [12,34,...]. Base58 keys cannot be told apart from signatures
+const SECRET_KEY_BYTES = /\[\s*(?:\d{1,3}\s*,\s*){63}\d{1,3}\s*\]/g
+// Credentials in RPC URLs (e.g. https://rpc.example.com/?api-key=...)
+const URL_CREDENTIAL = /([?&](?:api[-_]?key|token|access[-_]?token|secret)=)[^&\s"]+/gi
+
+// Global settings, shared by every logger that does not override them
+const settings = {
+  level: "info",
+  format: "text",
+  sink: null,
+  redact: true,
+}
+
+/**
+ * Writes a log line to the console, with the console method of its level
+ * @param {string} line - Formatted line
+ * @param {Object} record - Log record
+ */
+function consoleSink(line, record) {
+  if (record.level === "error") {
+    console.error(line)
+  } else if (record.level === "warn") {
+    console.warn(line)
+  } else if (record.level === "debug") {
+    console.debug(line)
+  } else {
+    console.log(line)
+  }
+}
+
+/**
+ * Replaces secret-looking values: fields with a secret name, 64-byte arrays (secret keys) and credentials in URLs
+ * @param {*} value - Value to redact
+ * @param {string} [key] - Name of the field holding the value
+ * @returns {*} - The value, with the secrets replaced by "[REDACTED]"
+ */
+function redactValue(value, key) {
+  if (key && SECRET_KEY_NAMES.test(key) && value !== undefined && value !== null) {
+    return REDACTED
+  }
+  if (typeof value === "string") {
+    return value.replace(SECRET_KEY_BYTES, REDACTED).replace(URL_CREDENTIAL, `$1${REDACTED}`)
+  }
+  if (value instanceof Error) {
+    return redactValue(toPrintable(value))
+  }
+  if (value instanceof Uint8Array || (Array.isArray(value) && value.every((item) => typeof item === "number"))) {
+    return value.length === 64 ? REDACTED : value
+  }
+  if (value && typeof value === "object" && value.constructor === Object) {
+    const redacted = {}
+    Object.keys(value).forEach((name) => {
+      redacted[name] = redactValue(value[name], name)
+    })
+    return redacted
+  }
+  return value
+}
+
+/**
+ * Converts a field value to something JSON and text output can show: errors keep their name and message, big
+ * numbers, public keys and BN become strings
+ * @param {*} value - Field value
+ * @returns {*} - Printable value
+ */
+function toPrintable(value) {
+  if (typeof value === "bigint") {
+    return value.toString()
+  }
+  if (value instanceof Error) {
+    return typeof value.toJSON === "function" ? value.toJSON() : { name: value.name, message: value.message }
+  }
+  if (value && typeof value === "object" && !Array.isArray(value) && value.constructor !== Object) {
+    // PublicKey, BN and other values with a meaningful toString
+    if (typeof value.toBase58 === "function") {
+      return value.toBase58()
+    }
+    if (typeof value.toString === "function" && value.toString !== Object.prototype.toString) {
+      return value.toString()
+    }
+  }
+  return value
+}
+
+/**
+ * Formats a record as a line: "message key=value ..." in text, one JSON object otherwise.
+ * The text format leaves out the context fields (operation, correlationId) to keep the messages readable
+ * @param {Object} record - Log record
+ * @param {Object} fields - Fields given with the message
+ * @param {string} format - "text" or "json"
+ * @returns {string}
+ */
+function formatRecord(record, fields, format) {
+  if (format === "json") {
+    return JSON.stringify(record, function (key, value) {
+      return key === "" ? value : toPrintable(this[key])
+    })
+  }
+  const pairs = Object.keys(fields)
+    .filter((key) => fields[key] !== undefined)
+    .map((key) => {
+      const value = toPrintable(fields[key])
+      if (value && typeof value === "object") {
+        return `${key}=${value.message !== undefined ? value.message : JSON.stringify(value)}`
+      }
+      return `${key}=${value}`
+    })
+  return pairs.length > 0 ? `${record.message} ${pairs.join(" ")}` : record.message
+}
+
+/**
+ * Returns a correlation ID for an operation
+ * @returns {string}
+ */
+function newCorrelationId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8)
+}
+
+/**
+ * Creates a logger
+ * @param {Object} [options] - Logger options. Those not given follow the global settings (see configureLogger)
+ * @param {string} [options.level] - Minimum level: "debug", "info", "warn", "error" or "silent"
+ * @param {string} [options.format] - "text" or "json"
+ * @param {Function} [options.sink] - Receives each line and its record: (line, record) => void
+ * @param {boolean} [options.redact] - Replace secret-looking values
+ * @param {Object} [options.fields] - Fields added to every record (e.g. { service: "api" })
+ * @returns {Function} - Logger: logger(message, fields) logs at the info level; logger.debug, logger.info,
+ *   logger.warn and logger.error log at their level; logger.child(fields) returns a logger adding fields
+ */
+function createLogger(options) {
+  const config = options || {}
+  const context = Object.assign({}, config.fields)
+
+  const write = (level, message, fields) => {
+    const threshold = config.level || settings.level
+    if (LEVELS[level] < LEVELS[threshold] || LEVELS[threshold] >= LEVELS.silent) {
+      return
+    }
+    const redact = config.redact !== undefined ? config.redact : settings.redact
+    const text = String(message)
+    const extra = redact ? redactValue(fields || {}) : fields || {}
+    const record = Object.assign(
+      { time: new Date().toISOString(), level: level, message: redact ? redactValue(text) : text },
+      redact ? redactValue(context) : context,
+      extra,
+    )
+    const line = formatRecord(record, extra, config.format || settings.format)
+    try {
+      ;(config.sink || settings.sink || consoleSink)(line, record)
+    } catch (error) {
+      // A failing sink must not break the operation being logged
+    }
+  }
+
+  const logger = (message, fields) => write("info", message, fields)
+  Object.keys(LEVELS)
+    .filter((level) => level !== "silent")
+    .forEach((level) => {
+      logger[level] = (message, fields) => write(level, message, fields)
+    })
+  logger.fields = context
+  logger.isMintMeLogger = true
+  logger.child = (fields) => createLogger(Object.assign({}, config, { fields: Object.assign({}, context, fields) }))
+  return logger
+}
+
+// Logger of the functions called without one
+const rootLogger = createLogger()
+
+/**
+ * Returns a logger for a logger option: the logger itself, a logger writing to a plain function, or the global logger.
+ * A plain function receives the formatted line only, so that console.log and similar functions print it as before
+ * @param {Function} [logger] - Logger, or function receiving messages
+ * @returns {Function} - Logger
+ */
+function toLogger(logger) {
+  if (!logger) {
+    return rootLogger
+  }
+  if (logger.isMintMeLogger) {
+    return logger
+  }
+  return createLogger({ sink: (line) => logger(line) })
+}
+
+/**
+ * Returns the child logger of an operation, with its name and a new correlation ID.
+ * Operations that delegate to another one pass their logger on: the outermost operation and its ID are kept
+ * @param {Function} [logger] - Logger option of the operation
+ * @param {string} operation - Operation name (e.g. "createToken")
+ * @returns {Function} - Logger
+ */
+function forOperation(logger, operation) {
+  const base = toLogger(logger)
+  if (base.fields.correlationId) {
+    return base
+  }
+  return base.child({ operation: operation, correlationId: newCorrelationId() })
+}
+
+/**
+ * Changes the global logging settings
+ * @param {Object} options - Settings to change
+ * @param {string} [options.level] - Minimum level (default "info")
+ * @param {string} [options.format] - "text" (default) or "json"
+ * @param {Function|null} [options.sink] - Receives each line and its record; null restores the console
+ * @param {boolean} [options.redact] - Replace secret-looking values (default true)
+ */
+function configureLogger(options) {
+  const changes = options || {}
+  if (changes.level !== undefined) {
+    if (!(changes.level in LEVELS)) {
+      throw new errorUtils.ValidationError(
+        `Invalid log level: ${changes.level}. Use one of: ${Object.keys(LEVELS).join(", ")}`,
+      )
+    }
+    settings.level = changes.level
+  }
+  if (changes.format !== undefined) {
+    if (changes.format !== "text" && changes.format !== "json") {
+      throw new errorUtils.ValidationError(`Invalid log format: ${changes.format}. Use "text" or "json"`)
+    }
+    settings.format = changes.format
+  }
+  if (changes.sink !== undefined) {
+    settings.sink = changes.sink
+  }
+  if (changes.redact !== undefined) {
+    settings.redact = !!changes.redact
+  }
+}
+
+/**
+ * Sets a custom logger function, which receives the log lines of every function called without a logger option.
+ * Use configureLogger({ sink }) to receive the records as well
+ * @param {Function} loggerFunction - Function that will receive log messages (null restores the console)
+ */
+function setCustomLogger(loggerFunction) {
+  settings.sink = loggerFunction ? (line) => loggerFunction(line) : null
+}
+
+module.exports = {
+  LEVELS,
+  createLogger,
+  toLogger,
+  forOperation,
+  configureLogger,
+  setCustomLogger,
+  redactValue,
+  logger: rootLogger,
+}
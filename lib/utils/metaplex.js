@@ -0,0 +1,193 @@
+/**
+ * Utilities for reading and updating Metaplex Token Metadata accounts
+ */
+
+const solanaWeb3 = require("@solana/web3.js")
+const constants = require("../constants")
+
+// Instruction index of UpdateMetadataAccountV2 in the Token Metadata program
+const UPDATE_METADATA_ACCOUNT_V2 = 15
+
+/**
+ * Removes the null padding Metaplex adds to names, symbols and URIs
+ * @param {string} value - Raw string
+ * @returns {string}
+ */
+function trimPadding(value) {
+  return value.replace(/\0/g, "").trim()
+}
+
+/**
+ * Decodes a Metaplex metadata account (Borsh layout of the Metadata struct)
+ * @param {Buffer} data - Account data
+ * @returns {Object} - { updateAuthority, mint, data: { name, symbol, uri, sellerFeeBasisPoints, creators },
+ *   primarySaleHappened, isMutable, editionNonce, tokenStandard, collection, uses }
+ * @throws {Error} - If the data is not a metadata account
+ */
+function decodeMetadata(data) {
+  let offset = 0
+
+  const readU8 = () => {
+    if (offset + 1 > data.length) {
+      throw new Error("Metadata account data is too short")
+    }
+    return data.readUInt8(offset++)
+  }
+  const readU16 = () => {
+    const value = data.readUInt16LE(offset)
+    offset += 2
+    return value
+  }
+  const readU32 = () => {
+    const value = data.readUInt32LE(offset)
+    offset += 4
+    return value
+  }
+  const readU64 = () => {
+    const value = data.readBigUInt64LE(offset)
+    offset += 8
+    return value.toString()
+  }
+  const readPublicKey = () => {
+    const value = new solanaWeb3.PublicKey(data.slice(offset, offset + 32))
+    offset += 32
+    return value
+  }
+  const readString = () => {
+    const length = readU32()
+    const value = data.slice(offset, offset + length).toString("utf8")
+    offset += length
+    return trimPadding(value)
+  }
+  const readOption = (readValue) => (readU8() === 1 ? readValue() : null)
+  // Fields appended by later versions of the program: older accounts may end before them
+  const readOptionalTail = (readValue) => (offset < data.length ? readOption(readValue) : null)
+
+  // Key::MetadataV1
+  if (readU8() !== 4) {
+    throw new Error("Account is not a Metaplex metadata account")
+  }
+
+  const metadata = {
+    updateAuthority: readPublicKey(),
+    mint: readPublicKey(),
+    data: {
+      name: readString(),
+      symbol: readString(),
+      uri: readString(),
+      sellerFeeBasisPoints: readU16(),
+      creators: readOption(() => {
+        const creators = []
+        const count = readU32()
+        for (let i = 0; i < count; i++) {
+          creators.push({ address: readPublicKey(), verified: readU8() === 1, share: readU8() })
+        }
+        return creators
+      }),
+    },
+    primarySaleHappened: readU8() === 1,
+    isMutable: readU8() === 1,
+  }
+
+  metadata.editionNonce = readOptionalTail(readU8)
+  metadata.tokenStandard = readOptionalTail(readU8)
+  metadata.collection = readOptionalTail(() => ({ verified: readU8() === 1, key: readPublicKey() }))
+  metadata.uses = readOptionalTail(() => ({ useMethod: readU8(), remaining: readU64(), total: readU64() }))
+
+  return metadata
+}
+
+/**
+ * Minimal Borsh encoder for the UpdateMetadataAccountV2 arguments
+ */
+function createWriter() {
+  const chunks = []
+  const writer = {
+    u8: (value) => {
+      chunks.push(Buffer.from([value]))
+      return writer
+    },
+    u16: (value) => {
+      const buffer = Buffer.alloc(2)
+      buffer.writeUInt16LE(value)
+      chunks.push(buffer)
+      return writer
+    },
+    u32: (value) => {
+      const buffer = Buffer.alloc(4)
+      buffer.writeUInt32LE(value)
+      chunks.push(buffer)
+      return writer
+    },
+    u64: (value) => {
+      const buffer = Buffer.alloc(8)
+      buffer.writeBigUInt64LE(BigInt(value))
+      chunks.push(buffer)
+      return writer
+    },
+    bool: (value) => writer.u8(value ? 1 : 0),
+    publicKey: (value) => {
+      chunks.push(value.toBuffer())
+      return writer
+    },
+    string: (value) => {
+      const bytes = Buffer.from(value, "utf8")
+      writer.u32(bytes.length)
+      chunks.push(bytes)
+      return writer
+    },
+    option: (value, writeValue) => {
+      if (value === null || value === undefined) {
+        return writer.u8(0)
+      }
+      writer.u8(1)
+      writeValue(value)
+      return writer
+    },
+    toBuffer: () => Buffer.concat(chunks),
+  }
+  return writer
+}
+
+/**
+ * Creates an UpdateMetadataAccountV2 instruction
+ * @param {Object} options - Instruction options
+ * @param {solanaWeb3.PublicKey} options.metadata - Metadata account
+ * @param {solanaWeb3.PublicKey} options.updateAuthority - Current update authority (signer)
+ * @param {Object} [options.data] - New DataV2 ({ name, symbol, uri, sellerFeeBasisPoints, creators, collection, uses }),
+ *   omitted to keep the current data
+ * @param {solanaWeb3.PublicKey} [options.newUpdateAuthority] - New update authority
+ * @param {boolean} [options.primarySaleHappened] - Set the primary sale flag
+ * @param {boolean} [options.isMutable] - Set the mutable flag (false makes the metadata immutable, for good)
+ * @returns {solanaWeb3.TransactionInstruction}
+ */
+function createUpdateMetadataAccountV2Instruction(options) {
+  const writer = createWriter().u8(UPDATE_METADATA_ACCOUNT_V2)
+
+  writer.option(options.data, (data) => {
+    writer.string(data.name).string(data.symbol).string(data.uri).u16(data.sellerFeeBasisPoints)
+    writer.option(data.creators, (creators) => {
+      writer.u32(creators.length)
+      creators.forEach((creator) => writer.publicKey(creator.address).bool(creator.verified).u8(creator.share))
+    })
+    writer.option(data.collection, (collection) => writer.bool(collection.verified).publicKey(collection.key))
+    writer.option(data.uses, (uses) => writer.u8(uses.useMethod).u64(uses.remaining).u64(uses.total))
+  })
+  writer.option(options.newUpdateAuthority, (newUpdateAuthority) => writer.publicKey(newUpdateAuthority))
+  writer.option(options.primarySaleHappened, (primarySaleHappened) => writer.bool(primarySaleHappened))
+  writer.option(options.isMutable, (isMutable) => writer.bool(isMutable))
+
+  return new solanaWeb3.TransactionInstruction({
+    programId: constants.TOKEN_METADATA_PROGRAM_ID,
+    keys: [
+      { pubkey: options.metadata, isSigner: false, isWritable: true },
+      { pubkey: options.updateAuthority, isSigner: true, isWritable: false },
+    ],
+    data: writer.toBuffer(),
+  })
+}
+
+module.exports = {
+  decodeMetadata,
+  createUpdateMetadataAccountV2Instruction,
+}
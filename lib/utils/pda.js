@@ -3,8 +3,10 @@
  */
 
 const solanaWeb3 = require("@solana/web3.js");
+const splToken = require("@solana/spl-token");
 const anchor = require("@project-serum/anchor");
 const constants = require("../constants");
+const errorUtils = require("./errors");
 
 /**
  * Derives the PDA for payment
@@ -50,9 +52,15 @@ function deriveMintPDA(programId, payer, name, symbol, uniqueKey = "mitnme.dev")
  * Derives the associated token account
  * @param {solanaWeb3.PublicKey} mintPDA - Mint address
  * @param {solanaWeb3.PublicKey} owner - Account owner
+ * @param {solanaWeb3.PublicKey} [tokenProgramId] - Token program owning the mint (default: legacy token program)
  * @returns {Promise<solanaWeb3.PublicKey>}
  */
-function deriveTokenAccount(mintPDA, owner) {
+function deriveTokenAccount(mintPDA, owner, tokenProgramId) {
+  // The token program is part of the ATA seeds, Token-2022 mints have different ATAs
+  if (tokenProgramId && !tokenProgramId.equals(splToken.TOKEN_PROGRAM_ID)) {
+    return Promise.resolve(splToken.getAssociatedTokenAddressSync(mintPDA, owner, true, tokenProgramId));
+  }
+
   return anchor.utils.token.associatedAddress({
     mint: mintPDA,
     owner: owner,
@@ -84,10 +92,64 @@ function deriveMetadataAccount(mintPDA) {
  * @returns {Promise<{pda: solanaWeb3.PublicKey, bump: number}>}
  */
 function deriveNetworkFeeConfigPDA(programId) {
-  return solanaWeb3.PublicKey.findProgramAddress([Buffer.from("network_fee_config")], programId).then((result) => ({
+  return solanaWeb3.PublicKey.findProgramAddress(
+    [Buffer.from(constants.NETWORK_FEE_CONFIG_SEED)],
+    programId
+  ).then((result) => ({
+    pda: result[0],
+    bump: result[1],
+  }));
+}
+
+/**
+ * Derives the PDA for the revoke fee configuration
+ * @param {solanaWeb3.PublicKey} programId - Program ID
+ * @returns {Promise<{pda: solanaWeb3.PublicKey, bump: number}>}
+ */
+function deriveRevokeFeeConfigPDA(programId) {
+  return solanaWeb3.PublicKey.findProgramAddress(
+    [Buffer.from(constants.REVOKE_FEE_CONFIG_SEED)],
+    programId
+  ).then((result) => ({
     pda: result[0],
     bump: result[1],
-  }))
+  }));
+}
+
+/**
+ * Generates a deterministic unique key from the creation parameters and a caller-supplied request ID.
+ * Retrying the same request yields the same key, and therefore the same mint PDA.
+ * @param {Object} params - Token creation parameters
+ * @param {string} params.name - Token name
+ * @param {string} params.symbol - Token symbol
+ * @param {number} [params.decimals=9] - Token decimals
+ * @param {number|string} [params.initialSupply=1] - Initial supply
+ * @param {string} [params.uri] - Metadata URI
+ * @param {boolean} [params.revokeMint=false] - Revoke mint authority
+ * @param {boolean} [params.revokeFreeze=false] - Revoke freeze authority
+ * @param {string} requestId - Caller-supplied request ID (e.g. an order or job ID)
+ * @returns {string} - 32-character hex key (fits in a single PDA seed)
+ * @throws {ValidationError} - If the request ID is missing
+ */
+function generateUniqueKey(params, requestId) {
+  if (!requestId) {
+    throw new errorUtils.ValidationError(
+      "A request ID is required to generate a unique key"
+    );
+  }
+
+  const canonical = JSON.stringify([
+    params.name,
+    params.symbol,
+    params.decimals || 9,
+    String(params.initialSupply || 1),
+    params.uri || "",
+    !!params.revokeMint,
+    !!params.revokeFreeze,
+    String(requestId),
+  ]);
+
+  return anchor.utils.sha256.hash(canonical).slice(0, 32);
 }
 
 module.exports = {
@@ -96,4 +158,6 @@ module.exports = {
   deriveTokenAccount,
   deriveMetadataAccount,
   deriveNetworkFeeConfigPDA,
-}
+  deriveRevokeFeeConfigPDA,
+  generateUniqueKey,
+};
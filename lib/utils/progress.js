@@ -0,0 +1,95 @@
+/**
+ * Lifecycle events of token operations, delivered to the onProgress callback of the caller
+ */
+
+const errorUtils = require("./errors")
+
+// Lifecycle events, in the order they are emitted
+const ProgressEvent = {
+  // The options were checked and normalized
+  VALIDATED: "validated",
+  // The program IDL is loaded
+  IDL_LOADED: "idlLoaded",
+  // The accounts of the operation are derived
+  PDAS_DERIVED: "pdasDerived",
+  // The transaction is built and waits for the wallet to sign it
+  AWAITING_SIGNATURE: "awaitingSignature",
+  // The signed transaction was accepted by the RPC node
+  SUBMITTED: "submitted",
+  // The operation succeeded (the transaction landed, or the token already existed)
+  CONFIRMED: "confirmed",
+  // The operation failed, at any stage
+  FAILED: "failed",
+}
+
+/**
+ * Calls an onProgress callback with an event. Errors thrown by the callback are ignored: a failing progress bar must
+ * not abort an operation that may already have sent a transaction
+ * @param {Function} [onProgress] - Callback of the caller
+ * @param {string} type - Event type (see ProgressEvent)
+ * @param {Object} [payload] - Event fields
+ */
+function emitProgress(onProgress, type, payload) {
+  if (!onProgress) {
+    return
+  }
+  try {
+    onProgress(Object.assign({ type: type, timestamp: Date.now() }, payload))
+  } catch (error) {
+    // Ignored, see above
+  }
+}
+
+/**
+ * Wraps an onProgress callback so that its events carry the name of the operation the caller started.
+ * Operations that delegate to another one pass the wrapped callback on: the outermost name wins
+ * @param {Function} [onProgress] - Callback of the caller
+ * @param {string} operation - Operation name (e.g. "createToken")
+ * @returns {Function|null} - Wrapped callback, or null without a callback
+ */
+function forOperation(onProgress, operation) {
+  if (!onProgress) {
+    return null
+  }
+  return (event) => onProgress(Object.assign({}, event, { operation: operation }))
+}
+
+/**
+ * Emits the final event of an operation from its result: confirmed when it succeeded, failed when it did not.
+ * Simulations and partially signed transactions are not final, nothing is emitted for them
+ * @param {Function} [onProgress] - Callback of the operation
+ * @param {Object} result - Result of the operation
+ * @param {Object} [fields] - Fields added to the event (e.g. mint)
+ * @returns {Object} - The result
+ */
+function emitOutcome(onProgress, result, fields) {
+  if (result.simulated || result.partiallySigned) {
+    return result
+  }
+  if (result.success) {
+    emitProgress(
+      onProgress,
+      ProgressEvent.CONFIRMED,
+      Object.assign({ signature: result.txSignature || null, status: result.status || null }, fields, {
+        alreadyExisted: !!result.alreadyExisted,
+      }),
+    )
+  } else {
+    emitProgress(
+      onProgress,
+      ProgressEvent.FAILED,
+      Object.assign({ signature: result.txSignature || null, status: result.status || null }, fields, {
+        error: result.details || errorUtils.toMintMeError(new Error(result.error)),
+        retryable: !!result.retryable,
+      }),
+    )
+  }
+  return result
+}
+
+module.exports = {
+  ProgressEvent,
+  emitProgress,
+  forOperation,
+  emitOutcome,
+}
@@ -0,0 +1,140 @@
+/**
+ * Utilities for simulating transactions without sending them
+ */
+
+const errorUtils = require("./errors")
+
+/**
+ * Decodes a simulation/transaction error into the program error it represents
+ * @param {Object|string|null} err - Error returned by the RPC (e.g. { InstructionError: [0, { Custom: 6001 }] })
+ * @param {Object} [idl] - Program IDL used to resolve custom error codes
+ * @param {string[]} [logs] - Transaction logs. The Anchor error line they contain names the error even when the IDL
+ *   is from another version of the program
+ * @returns {errorUtils.ProgramError|null} - ProgramError ({ instructionIndex, code, name, message }) or null if there
+ *   was no error
+ */
+function decodeProgramError(err, idl, logs) {
+  if (!err) {
+    return null
+  }
+
+  if (err.InstructionError) {
+    const instructionIndex = err.InstructionError[0]
+    const detail = err.InstructionError[1]
+
+    if (detail && typeof detail === "object" && typeof detail.Custom === "number") {
+      const code = detail.Custom
+      const fromLogs = errorUtils.parseProgramErrorLogs(logs)
+      if (fromLogs && fromLogs.code === code) {
+        fromLogs.instructionIndex = instructionIndex
+        return fromLogs
+      }
+      return errorUtils.fromErrorCode(code, idl, instructionIndex)
+    }
+
+    return new errorUtils.ProgramError(`Instruction ${instructionIndex} failed: ${JSON.stringify(detail)}`, {
+      instructionIndex: instructionIndex,
+      name: typeof detail === "string" ? detail : Object.keys(detail || {})[0] || "InstructionError",
+    })
+  }
+
+  return new errorUtils.ProgramError(`Transaction failed: ${JSON.stringify(err)}`, {
+    name: typeof err === "string" ? err : Object.keys(err)[0],
+  })
+}
+
+/**
+ * Simulates an unsigned transaction and reports its effects
+ * @param {Object} options - Simulation options
+ * @param {solanaWeb3.Connection} options.connection - Solana connection
+ * @param {solanaWeb3.Transaction} options.transaction - Transaction to simulate (does not need to be signed)
+ * @param {solanaWeb3.PublicKey} options.feePayer - Fee payer of the transaction
+ * @param {Array<{label: string, address: solanaWeb3.PublicKey}>} [options.watchAccounts] - Accounts whose lamport balances are compared before and after
+ * @param {Object} [options.idl] - Program IDL used to decode custom errors
+ * @returns {Promise<Object>} - { unitsConsumed, logs, error, rawError, networkFee, balanceChanges, lamportOutflow }
+ */
+function simulateTransaction(options) {
+  const connection = options.connection
+  const transaction = options.transaction
+  // The same address may be watched under several labels (e.g. payer and partner), keep the first one
+  const watchAccounts = (options.watchAccounts || []).filter(
+    (account, index, all) => all.findIndex((other) => other.address.equals(account.address)) === index,
+  )
+  const addresses = watchAccounts.map((account) => account.address)
+
+  transaction.feePayer = options.feePayer
+
+  return Promise.all([
+    connection.getMultipleAccountsInfo(addresses),
+    connection.getLatestBlockhash(),
+  ])
+    .then((results) => {
+      const preAccounts = results[0]
+      transaction.recentBlockhash = results[1].blockhash
+
+      return Promise.all([
+        preAccounts,
+        connection.simulateTransaction(transaction, undefined, addresses),
+        connection.getFeeForMessage(transaction.compileMessage()),
+      ])
+    })
+    .then((results) => {
+      const preAccounts = results[0]
+      const simulation = results[1].value
+      const networkFee = results[2].value || 0
+      const postAccounts = simulation.accounts
+
+      const balanceChanges = watchAccounts.map((account, index) => {
+        const preLamports = preAccounts[index] ? preAccounts[index].lamports : 0
+        let postLamports = preLamports
+        if (postAccounts) {
+          postLamports = postAccounts[index] ? postAccounts[index].lamports : 0
+        }
+        return {
+          label: account.label,
+          address: account.address.toString(),
+          preLamports: preLamports,
+          postLamports: postLamports,
+          delta: postLamports - preLamports,
+        }
+      })
+
+      const payerChange = balanceChanges.find((change) => change.address === options.feePayer.toString())
+
+      return {
+        unitsConsumed: simulation.unitsConsumed || 0,
+        logs: simulation.logs || [],
+        error: decodeProgramError(simulation.err, options.idl, simulation.logs),
+        rawError: simulation.err || null,
+        networkFee: networkFee,
+        balanceChanges: balanceChanges,
+        // Lamports leaving the payer as reported by the simulated post-state
+        lamportOutflow: payerChange && payerChange.delta < 0 ? -payerChange.delta : 0,
+      }
+    })
+}
+
+/**
+ * Turns the existing token found by a simulated creation into a simulation result. Creating it again sends nothing,
+ * so the simulation would succeed and spend nothing
+ * @param {Object} existing - Existing token (flagged alreadyExisted)
+ * @returns {Object} - The existing token, flagged simulated, with empty simulation fields
+ */
+function existingTokenSimulation(existing) {
+  return Object.assign({}, existing, {
+    simulated: true,
+    wouldSucceed: true,
+    unitsConsumed: 0,
+    logs: [],
+    networkFee: 0,
+    lamportOutflow: 0,
+    balanceChanges: [],
+    programError: null,
+  })
+}
+
+module.exports = {
+  decodeProgramError,
+  simulateTransaction,
+  existingTokenSimulation,
+}
@@ -0,0 +1,147 @@
+/**
+ * Storage adapters used to upload token metadata and images.
+ *
+ * An adapter is any object with an upload(data, file) method resolving to the public URI of the stored file:
+ *   upload(data: Buffer|Uint8Array|string, file: { fileName: string, contentType: string }) => Promise<string>
+ */
+
+const fs = require("fs")
+const path = require("path")
+const errorUtils = require("./errors")
+
+/**
+ * Joins a base URL and a file name
+ * @param {string} baseUrl - Base URL
+ * @param {string} fileName - File name
+ * @returns {string}
+ */
+function joinUrl(baseUrl, fileName) {
+  return `${baseUrl.replace(/\/+$/, "")}/${encodeURIComponent(fileName)}`
+}
+
+/**
+ * Checks that an object implements the storage adapter interface
+ * @param {Object} storage - Storage adapter
+ * @throws {errorUtils.ValidationError} - If the adapter has no upload method
+ */
+function assertStorageAdapter(storage) {
+  if (!storage || typeof storage.upload !== "function") {
+    throw new errorUtils.ValidationError("Invalid storage adapter: it must implement upload(data, { fileName, contentType })")
+  }
+}
+
+/**
+ * Creates an adapter that writes files to a local directory.
+ * The directory is expected to be published (e.g. synced to a CDN) under baseUrl.
+ * @param {Object} options - Adapter options
+ * @param {string} options.directory - Directory where files are written (created if missing)
+ * @param {string} options.baseUrl - Public URL under which the directory is served
+ * @returns {Object} - Storage adapter
+ * @throws {errorUtils.ValidationError} - If an option is missing, or outside Node.js
+ */
+function createFileSystemStorage(options) {
+  const settings = options || {}
+  if (!fs) {
+    throw new errorUtils.ValidationError("The file system storage is only available in Node.js environments")
+  }
+  if (!settings.directory) {
+    throw new errorUtils.ValidationError("A directory is required")
+  }
+  if (!settings.baseUrl) {
+    throw new errorUtils.ValidationError("A base URL is required: the public URL under which the directory is served")
+  }
+
+  const directory = path.resolve(settings.directory)
+
+  return {
+    upload: (data, file) =>
+      Promise.resolve().then(() => {
+        fs.mkdirSync(directory, { recursive: true })
+        fs.writeFileSync(path.join(directory, path.basename(file.fileName)), data)
+        return joinUrl(settings.baseUrl, path.basename(file.fileName))
+      }),
+  }
+}
+
+/**
+ * Creates an adapter that keeps files in memory, for tests and previews.
+ * The default base URL uses the reserved .invalid domain, so the URIs pass validation but never resolve.
+ * @param {Object} [options] - Adapter options
+ * @param {string} [options.baseUrl="https://storage.invalid"] - Base URL of the returned URIs
+ * @returns {Object} - Storage adapter, with get(uri) and files to inspect what was uploaded
+ */
+function createMemoryStorage(options) {
+  const baseUrl = (options && options.baseUrl) || "https://storage.invalid"
+  const files = new Map()
+
+  return {
+    files: files,
+    upload: (data, file) => {
+      const uri = joinUrl(baseUrl, file.fileName)
+      files.set(uri, { data: data, contentType: file.contentType })
+      return Promise.resolve(uri)
+    },
+    get: (uri) => files.get(uri) || null,
+  }
+}
+
+/**
+ * Creates an adapter that uploads files to an HTTP endpoint (e.g. a pinning service or your own backend).
+ * Each file is sent as the raw request body with its content type.
+ * @param {Object} options - Adapter options
+ * @param {string} options.endpoint - Upload URL
+ * @param {string} [options.method="POST"] - HTTP method
+ * @param {Object} [options.headers] - Extra headers (e.g. authorization)
+ * @param {Function} [options.getUri] - Extracts the URI from the parsed JSON response
+ *   (default: response.uri or response.url)
+ * @param {Function} [options.fetch] - fetch implementation (default: global fetch)
+ * @returns {Object} - Storage adapter. Its uploads reject with an RpcError when the endpoint fails or returns no URI
+ * @throws {errorUtils.ValidationError} - If the endpoint is missing, or no fetch implementation is available
+ */
+function createHttpStorage(options) {
+  const settings = options || {}
+  if (!settings.endpoint) {
+    throw new errorUtils.ValidationError("An upload endpoint is required")
+  }
+
+  const fetchImpl = settings.fetch || (typeof fetch === "function" ? fetch : null)
+  if (!fetchImpl) {
+    throw new errorUtils.ValidationError("No fetch implementation available. Pass one with the fetch option")
+  }
+
+  const getUri = settings.getUri || ((body) => body.uri || body.url)
+
+  return {
+    upload: (data, file) =>
+      fetchImpl(settings.endpoint, {
+        method: settings.method || "POST",
+        headers: Object.assign(
+          { "Content-Type": file.contentType, "X-File-Name": encodeURIComponent(file.fileName) },
+          settings.headers || {},
+        ),
+        body: data,
+      })
+        .then((response) => {
+          if (!response.ok) {
+            throw new errorUtils.RpcError(`Upload of ${file.fileName} failed with HTTP ${response.status}`, {
+              status: response.status,
+            })
+          }
+          return response.json()
+        })
+        .then((body) => {
+          const uri = getUri(body)
+          if (!uri) {
+            throw new errorUtils.RpcError(`Upload of ${file.fileName} did not return a URI`)
+          }
+          return uri
+        }),
+  }
+}
+
+module.exports = {
+  assertStorageAdapter,
+  createFileSystemStorage,
+  createMemoryStorage,
+  createHttpStorage,
+}
@@ -0,0 +1,600 @@
+/**
+ * Utilities for sending and confirming transactions
+ */
+
+const solanaWeb3 = require("@solana/web3.js")
+const anchor = require("@project-serum/anchor")
+const simulationUtils = require("./simulation")
+const errorUtils = require("./errors")
+const progressUtils = require("./progress")
+const budgetUtils = require("./budget")
+
+// Commitment levels, from least to most final
+const COMMITMENT_LEVELS = ["processed", "confirmed", "finalized"]
+// Time between two rebroadcasts / status checks
+const DEFAULT_REBROADCAST_INTERVAL = 2000
+// Placeholder blockhash used to measure transactions before they are sent
+const PLACEHOLDER_BLOCKHASH = solanaWeb3.PublicKey.default.toBase58()
+// Blocks a blockhash stays valid for, and the time a block takes, to bound the wait when the block height is unknown
+const MAX_BLOCKHASH_AGE = 150
+const BLOCK_TIME_MS = 400
+
+/**
+ * States of a sent transaction once it is no longer awaited
+ */
+const TransactionStatus = {
+  // The transaction was confirmed at the requested commitment
+  LANDED: "landed",
+  // The transaction was rejected, by preflight or on-chain
+  FAILED: "failed",
+  // The blockhash expired before the transaction landed: it can no longer land and is safe to retry
+  EXPIRED: "expired",
+  // The cluster could not be reached until the blockhash expired: the transaction may have landed, check its signature
+  // before retrying
+  UNKNOWN: "unknown",
+  // A durable nonce transaction did not land while it was awaited, but its nonce has not advanced: it can still land
+  PENDING: "pending",
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+/**
+ * Validates a commitment level
+ * @param {string} [commitment="confirmed"] - Commitment level
+ * @returns {string} - The commitment level
+ * @throws {Error} - If the commitment level is unknown
+ */
+function resolveCommitment(commitment) {
+  const value = commitment || "confirmed"
+  if (COMMITMENT_LEVELS.indexOf(value) === -1) {
+    throw new errorUtils.ValidationError(`Invalid commitment "${value}". Use one of: ${COMMITMENT_LEVELS.join(", ")}`)
+  }
+  return value
+}
+
+/**
+ * Checks whether a signature status has reached a commitment level
+ * @param {Object} status - Signature status returned by getSignatureStatuses
+ * @param {string} commitment - Commitment level
+ * @returns {boolean}
+ */
+function hasReachedCommitment(status, commitment) {
+  return COMMITMENT_LEVELS.indexOf(status.confirmationStatus) >= COMMITMENT_LEVELS.indexOf(commitment)
+}
+
+/**
+ * Decodes the error of a failed preflight (SendTransactionError)
+ * @param {Error} error - Error thrown by sendRawTransaction
+ * @param {Object} [idl] - Program IDL used to resolve custom error codes
+ * @returns {errorUtils.MintMeError} - ProgramError when the message or the logs report one, InsufficientBalanceError
+ *   when the payer cannot pay, RpcError otherwise
+ */
+function decodePreflightError(error, idl) {
+  const fields = { instructionIndex: null, code: null, cause: error }
+  // A transfer from the payer failed: the system program reports it as custom error 1, the logs say why
+  const text = [error.message || ""].concat(error.logs || []).join("\n")
+  if (/no record of a prior credit|insufficient lamports|insufficient funds for fee/i.test(text)) {
+    return new errorUtils.InsufficientBalanceError(error.message, fields)
+  }
+
+  const match = /Error processing Instruction (\d+): custom program error: (0x[0-9a-fA-F]+)/.exec(error.message || "")
+  if (match) {
+    return simulationUtils.decodeProgramError(
+      { InstructionError: [Number.parseInt(match[1], 10), { Custom: Number.parseInt(match[2], 16) }] },
+      idl,
+      error.logs,
+    )
+  }
+  const fromLogs = errorUtils.parseProgramErrorLogs(error.logs, idl)
+  if (fromLogs) {
+    return fromLogs
+  }
+
+  return new errorUtils.RpcError(error.message, Object.assign(fields, { name: "SendTransactionError" }))
+}
+
+/**
+ * Waits for a sent transaction, rebroadcasting it until it lands or its blockhash expires.
+ * RPC errors while polling are retried until the blockhash expires, then the status is reported as unknown
+ * @param {Object} options - Confirmation options
+ * @param {solanaWeb3.Connection} options.connection - Solana connection
+ * @param {string} options.signature - Transaction signature
+ * @param {Buffer} options.rawTransaction - Serialized signed transaction, used for rebroadcasts
+ * @param {number} options.lastValidBlockHeight - Last block height at which the blockhash is valid
+ * @param {string} [options.commitment="confirmed"] - Commitment level to wait for
+ * @param {number} [options.rebroadcastInterval=2000] - Milliseconds between rebroadcasts
+ * @param {Object} [options.idl] - Program IDL used to decode custom errors
+ * @param {Function} [options.logger] - Logger function
+ * @returns {Promise<Object>} - { status, signature, slot, error }
+ */
+async function confirmTransaction(options) {
+  const connection = options.connection
+  const signature = options.signature
+  const commitment = resolveCommitment(options.commitment)
+  const interval = options.rebroadcastInterval || DEFAULT_REBROADCAST_INTERVAL
+  const logger = options.logger || (() => {})
+
+  // When the blockhash is expected to expire, updated from each block height read
+  let expiresAt = Date.now() + MAX_BLOCKHASH_AGE * BLOCK_TIME_MS
+  let blockHeight = null
+
+  for (;;) {
+    try {
+      const statuses = await connection.getSignatureStatuses([signature])
+      const status = statuses.value[0]
+
+      if (status) {
+        if (status.err) {
+          const error = simulationUtils.decodeProgramError(status.err, options.idl)
+          logger(`Transaction ${signature} failed: ${error.message}`)
+          return {
+            status: TransactionStatus.FAILED,
+            signature: signature,
+            slot: status.slot,
+            error: error,
+            rawError: status.err,
+          }
+        }
+        if (hasReachedCommitment(status, commitment)) {
+          logger(`Transaction ${signature} ${status.confirmationStatus} in slot ${status.slot}`)
+          return {
+            status: TransactionStatus.LANDED,
+            signature: signature,
+            slot: status.slot,
+            confirmationStatus: status.confirmationStatus,
+          }
+        }
+      } else {
+        // Not seen by the cluster (or dropped with a fork): it can still expire
+        blockHeight = await connection.getBlockHeight(commitment)
+        expiresAt = Date.now() + Math.max(0, options.lastValidBlockHeight - blockHeight) * BLOCK_TIME_MS
+        if (blockHeight > options.lastValidBlockHeight) {
+          // Check one last time: the transaction may have landed just before the blockhash expired
+          const finalStatuses = await connection.getSignatureStatuses([signature], { searchTransactionHistory: true })
+          if (!finalStatuses.value[0]) {
+            logger(`Transaction ${signature} expired at block height ${blockHeight}`)
+            return {
+              status: TransactionStatus.EXPIRED,
+              signature: signature,
+              lastValidBlockHeight: options.lastValidBlockHeight,
+              error: new errorUtils.RpcError(
+                "The transaction expired before it landed. It was not processed and it is safe to retry",
+                { instructionIndex: null, code: null, name: "BlockhashExpired" },
+              ),
+            }
+          }
+          // It landed just in time, keep polling until it reaches the commitment
+        } else {
+          // Rebroadcast, the RPC node may have dropped it
+          try {
+            await connection.sendRawTransaction(options.rawTransaction, { skipPreflight: true, maxRetries: 0 })
+          } catch (error) {
+            logger(`Rebroadcast failed: ${error.message}`)
+          }
+        }
+      }
+    } catch (error) {
+      const rpcError = errorUtils.toMintMeError(error)
+      if (!(rpcError instanceof errorUtils.RpcError)) {
+        throw rpcError
+      }
+      // The transaction may still land: keep polling until its blockhash has expired
+      if (Date.now() > expiresAt) {
+        logger(`Could not confirm transaction ${signature}: ${rpcError.message}`)
+        return {
+          status: TransactionStatus.UNKNOWN,
+          signature: signature,
+          lastValidBlockHeight: options.lastValidBlockHeight,
+          error: new errorUtils.RpcError(
+            `Could not tell whether transaction ${signature} landed: ${rpcError.message}. Check its signature before ` +
+              "retrying",
+            { instructionIndex: null, code: null, name: "StatusUnknown", cause: rpcError },
+          ),
+        }
+      }
+      logger(`Status check failed, retrying: ${rpcError.message}`)
+    }
+
+    await sleep(interval)
+  }
+}
+
+/**
+ * Sends a signed transaction and waits for it, reporting a definitive status
+ * @param {Object} options - Send options
+ * @param {solanaWeb3.Connection} options.connection - Solana connection
+ * @param {Buffer} options.rawTransaction - Serialized signed transaction
+ * @param {string} options.signature - Transaction signature (the fee payer's)
+ * @param {number} options.lastValidBlockHeight - Block height after which the transaction is given up on
+ * @param {string} [options.commitment="confirmed"] - Commitment level to wait for
+ * @param {boolean} [options.skipPreflight=false] - Skip the preflight simulation
+ * @param {number} [options.rebroadcastInterval=2000] - Milliseconds between rebroadcasts
+ * @param {Object} [options.idl] - Program IDL used to decode custom errors
+ * @param {Function} [options.onProgress] - Receives the submitted event once the RPC node accepts the transaction
+ * @param {Function} [options.logger] - Logger function
+ * @returns {Promise<Object>} - { status: "landed"|"failed"|"expired"|"unknown", signature, slot, error, logs }
+ */
+async function sendSignedTransaction(options) {
+  const connection = options.connection
+  const commitment = resolveCommitment(options.commitment)
+  const logger = options.logger || (() => {})
+  const signature = options.signature
+
+  try {
+    await connection.sendRawTransaction(options.rawTransaction, {
+      skipPreflight: !!options.skipPreflight,
+      preflightCommitment: commitment,
+      maxRetries: 0,
+    })
+  } catch (error) {
+    const rejection = decodePreflightError(error, options.idl)
+    logger(`Transaction rejected: ${rejection.message}`)
+    return {
+      status: TransactionStatus.FAILED,
+      signature: signature,
+      error: rejection,
+      logs: error.logs || [],
+    }
+  }
+
+  logger(`Transaction sent: ${signature}`)
+  progressUtils.emitProgress(options.onProgress, progressUtils.ProgressEvent.SUBMITTED, {
+    signature: signature,
+    lastValidBlockHeight: options.lastValidBlockHeight,
+  })
+
+  return confirmTransaction({
+    connection: connection,
+    signature: signature,
+    rawTransaction: options.rawTransaction,
+    lastValidBlockHeight: options.lastValidBlockHeight,
+    commitment: commitment,
+    rebroadcastInterval: options.rebroadcastInterval,
+    idl: options.idl,
+    logger: logger,
+  })
+}
+
+/**
+ * Signs, sends and confirms a transaction, reporting a definitive status
+ * @param {Object} options - Send options
+ * @param {solanaWeb3.Connection} options.connection - Solana connection
+ * @param {solanaWeb3.Transaction} options.transaction - Transaction to send
+ * @param {Object} options.wallet - Wallet with publicKey and signTransaction (e.g. anchor.Wallet or Phantom)
+ * @param {solanaWeb3.Keypair[]} [options.signers] - Additional keypairs that must sign (e.g. a new mint account)
+ * @param {string} [options.commitment="confirmed"] - Commitment level to wait for ("confirmed" or "finalized")
+ * @param {boolean} [options.skipPreflight=false] - Skip the preflight simulation
+ * @param {number} [options.rebroadcastInterval=2000] - Milliseconds between rebroadcasts
+ * @param {Object} [options.idl] - Program IDL used to decode custom errors
+ * @param {Function} [options.onSigned] - Called with { signature, rawTransaction, lastValidBlockHeight } right before
+ *   the transaction is sent, so callers can record it and confirm it later if the process stops
+ * @param {Function} [options.onProgress] - Receives the awaitingSignature and submitted events
+ * @param {Function} [options.logger] - Logger function
+ * @returns {Promise<Object>} - { status: "landed"|"failed"|"expired"|"unknown", signature, slot, error, logs }
+ */
+async function sendAndConfirmTransaction(options) {
+  const connection = options.connection
+  const commitment = resolveCommitment(options.commitment)
+  const transaction = options.transaction
+
+  const latestBlockhash = await connection.getLatestBlockhash(commitment)
+  transaction.feePayer = transaction.feePayer || options.wallet.publicKey
+  transaction.recentBlockhash = latestBlockhash.blockhash
+  transaction.lastValidBlockHeight = latestBlockhash.lastValidBlockHeight
+
+  progressUtils.emitProgress(options.onProgress, progressUtils.ProgressEvent.AWAITING_SIGNATURE, {
+    feePayer: transaction.feePayer.toString(),
+    lastValidBlockHeight: latestBlockhash.lastValidBlockHeight,
+  })
+  const signed = await options.wallet.signTransaction(transaction)
+  // Extra signers sign after the wallet, some wallet adapters discard existing signatures
+  if (options.signers && options.signers.length) {
+    signed.partialSign(...options.signers)
+  }
+  const rawTransaction = signed.serialize()
+  const signature = anchor.utils.bytes.bs58.encode(signed.signature)
+
+  if (options.onSigned) {
+    options.onSigned({
+      signature: signature,
+      rawTransaction: rawTransaction,
+      lastValidBlockHeight: latestBlockhash.lastValidBlockHeight,
+    })
+  }
+
+  return sendSignedTransaction({
+    connection: connection,
+    rawTransaction: rawTransaction,
+    signature: signature,
+    lastValidBlockHeight: latestBlockhash.lastValidBlockHeight,
+    commitment: commitment,
+    skipPreflight: options.skipPreflight,
+    rebroadcastInterval: options.rebroadcastInterval,
+    idl: options.idl,
+    onProgress: options.onProgress,
+    logger: options.logger,
+  })
+}
+
+/**
+ * Lists the signers that have not signed a transaction yet
+ * @param {solanaWeb3.Transaction} transaction - Transaction
+ * @returns {string[]} - Base58 addresses
+ */
+function getMissingSignatures(transaction) {
+  return transaction.signatures.filter((entry) => !entry.signature).map((entry) => entry.publicKey.toBase58())
+}
+
+/**
+ * Signs a transaction with the signers at hand, leaving the other signatures to be added later (see cosignTransaction)
+ * @param {Object} options - Signing options
+ * @param {solanaWeb3.Connection} options.connection - Solana connection
+ * @param {solanaWeb3.Transaction} options.transaction - Transaction to sign
+ * @param {Object} options.wallet - Wallet paying for the transaction
+ * @param {solanaWeb3.Keypair[]} [options.signers] - Additional keypairs that sign now
+ * @param {solanaWeb3.PublicKey|string} [options.nonceAccount] - Durable nonce account, so the transaction does not
+ *   expire while it waits for the other signatures. Its nonce authority must sign too
+ * @param {string} [options.commitment="confirmed"] - Commitment used to read the blockhash or the nonce
+ * @param {Function} [options.onProgress] - Receives the awaitingSignature event
+ * @returns {Promise<Object>} - { transaction: base64, txSignature, missingSignatures, recentBlockhash,
+ *   lastValidBlockHeight, nonceAccount }
+ */
+async function partiallySignTransaction(options) {
+  const connection = options.connection
+  const commitment = resolveCommitment(options.commitment)
+  const transaction = options.transaction
+  transaction.feePayer = transaction.feePayer || options.wallet.publicKey
+
+  let lastValidBlockHeight = null
+  let nonceAccount = null
+  if (options.nonceAccount) {
+    nonceAccount = new solanaWeb3.PublicKey(options.nonceAccount)
+    const account = await connection.getAccountInfo(nonceAccount, commitment)
+    const isNonceAccount =
+      account &&
+      account.owner.equals(solanaWeb3.SystemProgram.programId) &&
+      account.data.length === solanaWeb3.NONCE_ACCOUNT_LENGTH
+    if (!isNonceAccount) {
+      throw new errorUtils.ValidationError(`${nonceAccount.toBase58()} is not a nonce account`)
+    }
+    const nonce = solanaWeb3.NonceAccount.fromAccountData(account.data)
+    transaction.recentBlockhash = nonce.nonce
+    transaction.nonceInfo = {
+      nonce: nonce.nonce,
+      nonceInstruction: solanaWeb3.SystemProgram.nonceAdvance({
+        noncePubkey: nonceAccount,
+        authorizedPubkey: nonce.authorizedPubkey,
+      }),
+    }
+  } else {
+    const latestBlockhash = await connection.getLatestBlockhash(commitment)
+    transaction.recentBlockhash = latestBlockhash.blockhash
+    lastValidBlockHeight = latestBlockhash.lastValidBlockHeight
+  }
+
+  progressUtils.emitProgress(options.onProgress, progressUtils.ProgressEvent.AWAITING_SIGNATURE, {
+    feePayer: transaction.feePayer.toString(),
+    lastValidBlockHeight: lastValidBlockHeight,
+  })
+  const signed = await options.wallet.signTransaction(transaction)
+  if (options.signers && options.signers.length) {
+    signed.partialSign(...options.signers)
+  }
+
+  return {
+    transaction: signed.serialize({ requireAllSignatures: false }).toString("base64"),
+    txSignature: anchor.utils.bytes.bs58.encode(signed.signature),
+    missingSignatures: getMissingSignatures(signed),
+    recentBlockhash: signed.recentBlockhash,
+    lastValidBlockHeight: lastValidBlockHeight,
+    nonceAccount: nonceAccount ? nonceAccount.toBase58() : null,
+  }
+}
+
+/**
+ * Shapes the outcome of sendSignedTransaction / sendAndConfirmTransaction as an SDK result
+ * @param {Object} sent - Send outcome
+ * @param {Object|null} computeBudget - Compute budget applied to the transaction
+ * @returns {Object} - { success, status, txSignature, computeBudget, error, programError, retryable, logs, details }.
+ *   details is the MintMeError of a failure (ProgramError, InsufficientBalanceError or RpcError)
+ */
+function toSendResult(sent, computeBudget) {
+  const result = {
+    success: sent.status === TransactionStatus.LANDED,
+    status: sent.status,
+    txSignature: sent.signature,
+    computeBudget: computeBudget,
+  }
+  if (!result.success) {
+    result.error = sent.error.message
+    result.programError = sent.error
+    result.retryable = sent.status === TransactionStatus.EXPIRED
+    result.logs = sent.logs
+    result.details = sent.error
+  }
+  return result
+}
+
+/**
+ * Checks whether a set of instructions fits in a single transaction
+ * @param {solanaWeb3.PublicKey} feePayer - Fee payer
+ * @param {solanaWeb3.TransactionInstruction[]} instructions - Instructions
+ * @returns {boolean}
+ */
+function fitsInTransaction(feePayer, instructions) {
+  const transaction = new solanaWeb3.Transaction()
+  transaction.feePayer = feePayer
+  transaction.recentBlockhash = PLACEHOLDER_BLOCKHASH
+  instructions.forEach((instruction) => transaction.add(instruction))
+  try {
+    return transaction.serialize({ requireAllSignatures: false, verifySignatures: false }).length <= solanaWeb3.PACKET_DATA_SIZE
+  } catch (error) {
+    // serialize throws when the transaction is too large
+    return false
+  }
+}
+
+/**
+ * Packs groups of instructions into as few transactions as possible, keeping each group in one transaction
+ * @param {Array<{instructions: solanaWeb3.TransactionInstruction[]}>} entries - Groups to send, in order
+ * @param {solanaWeb3.PublicKey} feePayer - Fee payer
+ * @param {number} [maxEntriesPerTransaction] - Upper bound of groups per transaction
+ * @returns {Array<Object[]>} - Groups, by transaction
+ */
+function packInstructions(entries, feePayer, maxEntriesPerTransaction) {
+  // Room for the compute budget instructions added when the transaction is sent
+  const reserved = [
+    solanaWeb3.ComputeBudgetProgram.setComputeUnitLimit({ units: 1 }),
+    solanaWeb3.ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 1 }),
+  ]
+
+  const batches = []
+  let current = []
+  let instructions = reserved.slice()
+
+  entries.forEach((entry) => {
+    const candidate = instructions.concat(entry.instructions)
+    const isFull = maxEntriesPerTransaction && current.length >= maxEntriesPerTransaction
+    if (current.length > 0 && (isFull || !fitsInTransaction(feePayer, candidate))) {
+      batches.push(current)
+      current = []
+      instructions = reserved.concat(entry.instructions)
+    } else {
+      instructions = candidate
+    }
+    current.push(entry)
+  })
+  if (current.length > 0) {
+    batches.push(current)
+  }
+
+  return batches
+}
+
+/**
+ * Runs a list of instructions: adds the compute budget, then simulates or sends them in one transaction
+ * @param {Object} options - Execution options
+ * @param {solanaWeb3.Connection} options.connection - Solana connection
+ * @param {Object} options.wallet - Wallet paying for and signing the transaction
+ * @param {solanaWeb3.TransactionInstruction[]} options.instructions - Instructions to run
+ * @param {solanaWeb3.Keypair[]} [options.signers] - Additional signers
+ * @param {boolean} [options.simulate=false] - Simulate instead of sending
+ * @param {Array<{label: string, address: solanaWeb3.PublicKey}>} [options.watchAccounts] - Accounts watched by the simulation
+ * @param {number|string|Object} [options.priorityFee] - Priority fee (see buildComputeBudgetInstructions)
+ * @param {number|string} [options.computeUnitLimit] - Compute unit limit (see buildComputeBudgetInstructions)
+ * @param {string} [options.commitment="confirmed"] - Commitment to wait for
+ * @param {boolean} [options.skipPreflight=false] - Skip the preflight simulation
+ * @param {number} [options.rebroadcastInterval=2000] - Milliseconds between rebroadcasts
+ * @param {Object} [options.idl] - Program IDL used to decode custom errors
+ * @param {Function} [options.onSigned] - Called before sending (see sendAndConfirmTransaction)
+ * @param {Function} [options.onProgress] - Receives the awaitingSignature and submitted events
+ * @param {boolean} [options.partialSign=false] - Only sign with the signers at hand and return the transaction, for
+ *   the missing signers to complete (see partiallySignTransaction)
+ * @param {solanaWeb3.PublicKey|string} [options.nonceAccount] - Durable nonce account for partially signed transactions
+ * @param {Function} [options.logger] - Logger function
+ * @returns {Promise<Object>} - Simulation result ({ success, simulated, wouldSucceed, ... }),
+ *   send result ({ success, status, txSignature, error, programError, retryable, logs }) or
+ *   partially signed result ({ success, partiallySigned, transaction, missingSignatures, ... }), all with computeBudget
+ */
+function executeInstructions(options) {
+  const logger = options.logger || (() => {})
+  const connection = options.connection
+  const feePayer = options.wallet.publicKey
+
+  const hasPriorityFee = options.priorityFee !== undefined && options.priorityFee !== null
+  const hasComputeUnitLimit = options.computeUnitLimit !== undefined && options.computeUnitLimit !== null
+  const budgetPromise =
+    hasPriorityFee || hasComputeUnitLimit
+      ? budgetUtils.buildComputeBudgetInstructions({
+          connection: connection,
+          instructions: options.instructions,
+          feePayer: feePayer,
+          priorityFee: options.priorityFee,
+          computeUnitLimit: options.computeUnitLimit,
+          logger: logger,
+        })
+      : Promise.resolve(null)
+
+  return budgetPromise.then((budget) => {
+    const computeBudget = budget ? { microLamports: budget.microLamports, computeUnitLimit: budget.computeUnitLimit } : null
+    const transaction = new solanaWeb3.Transaction()
+    transaction.feePayer = feePayer
+    if (budget) {
+      budget.instructions.forEach((instruction) => transaction.add(instruction))
+    }
+    options.instructions.forEach((instruction) => transaction.add(instruction))
+
+    if (options.simulate) {
+      return simulationUtils
+        .simulateTransaction({
+          connection: connection,
+          transaction: transaction,
+          feePayer: feePayer,
+          watchAccounts: options.watchAccounts || [{ label: "payer", address: feePayer }],
+          idl: options.idl,
+        })
+        .then((simulation) => {
+          logger(`Simulation units consumed: ${simulation.unitsConsumed}`)
+          if (simulation.error) {
+            logger(`Simulation failed: ${simulation.error.message}`)
+          }
+          return {
+            success: true,
+            simulated: true,
+            wouldSucceed: !simulation.error,
+            unitsConsumed: simulation.unitsConsumed,
+            logs: simulation.logs,
+            networkFee: simulation.networkFee,
+            lamportOutflow: simulation.lamportOutflow,
+            balanceChanges: simulation.balanceChanges,
+            programError: simulation.error,
+            computeBudget: computeBudget,
+          }
+        })
+    }
+
+    if (options.partialSign) {
+      return partiallySignTransaction({
+        connection: connection,
+        transaction: transaction,
+        wallet: options.wallet,
+        signers: options.signers,
+        nonceAccount: options.nonceAccount,
+        commitment: options.commitment,
+        onProgress: options.onProgress,
+      }).then((partial) => {
+        logger(`Transaction partially signed, missing signatures: ${partial.missingSignatures.join(", ")}`)
+        return Object.assign({ success: true, partiallySigned: true }, partial, { computeBudget: computeBudget })
+      })
+    }
+
+    return sendAndConfirmTransaction({
+      connection: connection,
+      transaction: transaction,
+      wallet: options.wallet,
+      signers: options.signers,
+      commitment: options.commitment,
+      skipPreflight: options.skipPreflight,
+      rebroadcastInterval: options.rebroadcastInterval,
+      idl: options.idl,
+      onSigned: options.onSigned,
+      onProgress: options.onProgress,
+      logger: logger,
+    }).then((sent) => toSendResult(sent, computeBudget))
+  })
+}
+
+module.exports = {
+  TransactionStatus,
+  resolveCommitment,
+  confirmTransaction,
+  sendSignedTransaction,
+  sendAndConfirmTransaction,
+  getMissingSignatures,
+  partiallySignTransaction,
+  toSendResult,
+  executeInstructions,
+  packInstructions,
+}
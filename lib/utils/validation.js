@@ -123,12 +123,309 @@ function validateTokenName(name) {
 	}
   }
   
+  // Timeout of each request made by the deep URI check
+  const DEEP_CHECK_TIMEOUT = 10000
+  // Image size above which wallets and explorers may refuse to display it
+  const MAX_RECOMMENDED_IMAGE_SIZE = 1024 * 1024
+  // Bytes of the image read by the deep URI check, enough for the header with the dimensions
+  const IMAGE_HEADER_BYTES = 64 * 1024
+  // Recommended image dimensions (square, between these bounds)
+  const MIN_RECOMMENDED_IMAGE_DIMENSION = 256
+  const MAX_RECOMMENDED_IMAGE_DIMENSION = 2048
+
+  /**
+   * Fetches a URL and reads its response with a timeout. The timeout covers the body, not only the headers
+   * @param {Function} fetchImpl - fetch implementation
+   * @param {string} url - URL to fetch
+   * @param {number} timeout - Timeout in milliseconds
+   * @param {Function} read - Called with the response and the abort signal, returns the result (or a Promise of it)
+   * @returns {Promise<*>} - Result of read
+   */
+  function fetchWithTimeout(fetchImpl, url, timeout, read) {
+	const controller = typeof AbortController === "function" ? new AbortController() : null
+	const timer = controller ? setTimeout(() => controller.abort(), timeout) : null
+  
+	return fetchImpl(url, controller ? { signal: controller.signal } : undefined)
+	  .then((response) => read(response, controller))
+	  .then(
+		(result) => {
+		  clearTimeout(timer)
+		  return result
+		},
+		(error) => {
+		  clearTimeout(timer)
+		  throw new Error(error.name === "AbortError" ? `Request to ${url} timed out` : `Could not fetch ${url}: ${error.message}`)
+		},
+	  )
+  }
+  
+  /**
+   * Reads the start of a response body
+   * @param {Response} response - fetch response
+   * @param {number} limit - Number of bytes to read
+   * @param {AbortController|null} controller - Controller of the request, aborted once enough bytes are read
+   * @returns {Promise<{bytes: Uint8Array, complete: boolean}>} - The bytes read (at most limit), and whether they are
+   *   the whole body
+   */
+  function readBodyStart(response, limit, controller) {
+	// Bodies that cannot be streamed are read whole
+	if (!response.body || typeof response.body.getReader !== "function") {
+	  return response.arrayBuffer().then((buffer) => ({
+		bytes: new Uint8Array(buffer).slice(0, limit),
+		complete: buffer.byteLength <= limit,
+	  }))
+	}
+  
+	const reader = response.body.getReader()
+	const chunks = []
+	let length = 0
+	const next = () =>
+	  reader.read().then((chunk) => {
+		if (chunk.done) {
+		  return true
+		}
+		chunks.push(chunk.value)
+		length += chunk.value.length
+		if (length < limit) {
+		  return next()
+		}
+		// Enough for the header: stop the download
+		reader.cancel().catch(() => {})
+		if (controller) {
+		  controller.abort()
+		}
+		return false
+	  })
+  
+	return next().then((complete) => {
+	  const bytes = new Uint8Array(length)
+	  let offset = 0
+	  chunks.forEach((chunk) => {
+		bytes.set(chunk, offset)
+		offset += chunk.length
+	  })
+	  return { bytes: bytes.slice(0, limit), complete: complete }
+	})
+  }
+  
+  /**
+   * Reads the dimensions of a PNG, GIF, JPEG or WebP image from its bytes
+   * @param {Uint8Array} bytes - Image bytes
+   * @returns {{width: number, height: number}|null} - Dimensions, or null if the format is not recognized
+   */
+  function readImageDimensions(bytes) {
+	const u16be = (i) => (bytes[i] << 8) | bytes[i + 1]
+	const u16le = (i) => bytes[i] | (bytes[i + 1] << 8)
+	const u24le = (i) => bytes[i] | (bytes[i + 1] << 8) | (bytes[i + 2] << 16)
+	const u32be = (i) => ((bytes[i] << 24) >>> 0) + ((bytes[i + 1] << 16) | (bytes[i + 2] << 8) | bytes[i + 3])
+	const ascii = (i, length) => String.fromCharCode.apply(null, Array.from(bytes.slice(i, i + length)))
+  
+	// PNG: IHDR chunk right after the signature
+	if (bytes.length >= 24 && bytes[0] === 0x89 && ascii(1, 3) === "PNG") {
+	  return { width: u32be(16), height: u32be(20) }
+	}
+  
+	// GIF: logical screen descriptor
+	if (bytes.length >= 10 && ascii(0, 3) === "GIF") {
+	  return { width: u16le(6), height: u16le(8) }
+	}
+  
+	// JPEG: first start-of-frame marker
+	if (bytes.length >= 4 && bytes[0] === 0xff && bytes[1] === 0xd8) {
+	  let offset = 2
+	  while (offset + 9 < bytes.length) {
+		if (bytes[offset] !== 0xff) {
+		  return null
+		}
+		const marker = bytes[offset + 1]
+		if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+		  return { width: u16be(offset + 7), height: u16be(offset + 5) }
+		}
+		offset += 2 + u16be(offset + 2)
+	  }
+	  return null
+	}
+  
+	// WebP: lossy (VP8), lossless (VP8L) or extended (VP8X)
+	if (bytes.length >= 30 && ascii(0, 4) === "RIFF" && ascii(8, 4) === "WEBP") {
+	  const chunk = ascii(12, 4)
+	  if (chunk === "VP8 ") {
+		return { width: u16le(26) & 0x3fff, height: u16le(28) & 0x3fff }
+	  }
+	  if (chunk === "VP8L") {
+		const bits = bytes[21] | (bytes[22] << 8) | (bytes[23] << 16) | (bytes[24] << 24)
+		return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 }
+	  }
+	  if (chunk === "VP8X") {
+		return { width: u24le(24) + 1, height: u24le(27) + 1 }
+	  }
+	}
+  
+	return null
+  }
+  
+  /**
+   * Fetches the metadata image and checks that it is an image of a reasonable size
+   * @param {Function} fetchImpl - fetch implementation
+   * @param {string} imageUri - Image URI
+   * @param {number} timeout - Timeout in milliseconds
+   * @returns {Promise<{errors: string[], warnings: string[], image: Object}>}
+   */
+  function checkMetadataImage(fetchImpl, imageUri, timeout) {
+	const errors = []
+	const warnings = []
+  
+	return fetchWithTimeout(fetchImpl, imageUri, timeout, (response, controller) => {
+	  if (!response.ok) {
+		errors.push(`Metadata image returned HTTP ${response.status}`)
+		return null
+	  }
+	  const contentType = (response.headers.get("content-type") || "").split(";")[0].trim().toLowerCase()
+	  if (!contentType.startsWith("image/")) {
+		errors.push(`Metadata image has content type "${contentType || "unknown"}" instead of an image type`)
+		return null
+	  }
+	  const contentLength = Number.parseInt(response.headers.get("content-length"), 10)
+	  return readBodyStart(response, IMAGE_HEADER_BYTES, controller).then((body) => {
+		const dimensions = readImageDimensions(body.bytes)
+		const image = {
+		  uri: imageUri,
+		  contentType: contentType,
+		  // Only the header is read: the size of larger images comes from Content-Length, when the server sends it
+		  size: body.complete ? body.bytes.length : Number.isNaN(contentLength) ? null : contentLength,
+		  width: dimensions ? dimensions.width : null,
+		  height: dimensions ? dimensions.height : null,
+		}
+  
+		if (image.size > MAX_RECOMMENDED_IMAGE_SIZE) {
+		  warnings.push(`Metadata image is ${Math.round(image.size / 1024)} KB, some wallets do not display images over 1 MB`)
+		}
+		if (dimensions) {
+		  if (image.width !== image.height) {
+			warnings.push(`Metadata image is ${image.width}x${image.height}, token images should be square`)
+		  }
+		  const smallest = Math.min(image.width, image.height)
+		  const largest = Math.max(image.width, image.height)
+		  if (smallest < MIN_RECOMMENDED_IMAGE_DIMENSION || largest > MAX_RECOMMENDED_IMAGE_DIMENSION) {
+			warnings.push(
+			  `Metadata image is ${image.width}x${image.height}, recommended size is between ${MIN_RECOMMENDED_IMAGE_DIMENSION} and ${MAX_RECOMMENDED_IMAGE_DIMENSION} pixels`,
+			)
+		  }
+		} else if (contentType !== "image/svg+xml") {
+		  warnings.push("Could not read the dimensions of the metadata image")
+		}
+  
+		return image
+	  })
+	})
+	  .catch((error) => {
+		errors.push(`Metadata image: ${error.message}`)
+		return null
+	  })
+	  .then((image) => ({ errors: errors, warnings: warnings, image: image }))
+  }
+  
+  /**
+   * Fetches the metadata JSON and checks it against the token being created
+   * @param {string} uri - Metadata URI (already validated)
+   * @param {Object} options - Deep check options (see validateUri)
+   * @returns {Promise<Object>} - { isValid, message, errors, warnings, metadata, image }
+   */
+  function deepCheckUri(uri, options) {
+	const errors = []
+	const warnings = []
+	const timeout = options.timeout || DEEP_CHECK_TIMEOUT
+	const fetchImpl = options.fetch || (typeof fetch === "function" ? fetch : null)
+	const result = (metadata, image) => ({
+	  isValid: errors.length === 0,
+	  message: errors[0],
+	  errors: errors,
+	  warnings: warnings,
+	  metadata: metadata,
+	  image: image,
+	})
+  
+	if (!fetchImpl) {
+	  errors.push("No fetch implementation available for the deep URI check")
+	  return Promise.resolve(result(null, null))
+	}
+  
+	return fetchWithTimeout(fetchImpl, uri, timeout, (response) => {
+	  if (!response.ok) {
+		errors.push(`Metadata URI returned HTTP ${response.status}`)
+		return null
+	  }
+	  const contentType = (response.headers.get("content-type") || "").split(";")[0].trim().toLowerCase()
+	  if (!/json/.test(contentType)) {
+		errors.push(`Metadata URI has content type "${contentType || "unknown"}" instead of JSON`)
+		return null
+	  }
+	  return response.text().then((text) => {
+		try {
+		  return JSON.parse(text)
+		} catch (error) {
+		  errors.push("Metadata URI does not contain valid JSON")
+		  return null
+		}
+	  })
+	})
+	  .catch((error) => {
+		errors.push(error.message)
+		return null
+	  })
+	  .then((metadata) => {
+		if (!metadata) {
+		  return result(null, null)
+		}
+  
+		if (options.name !== undefined && metadata.name !== options.name) {
+		  errors.push(`Metadata name "${metadata.name}" does not match the token name "${options.name}"`)
+		}
+		if (options.symbol !== undefined && metadata.symbol !== options.symbol) {
+		  errors.push(`Metadata symbol "${metadata.symbol}" does not match the token symbol "${options.symbol}"`)
+		}
+  
+		if (!metadata.image) {
+		  warnings.push("Metadata has no image")
+		  return result(metadata, null)
+		}
+  
+		return checkMetadataImage(fetchImpl, metadata.image, timeout).then((imageCheck) => {
+		  imageCheck.errors.forEach((error) => errors.push(error))
+		  imageCheck.warnings.forEach((warning) => warnings.push(warning))
+		  return result(metadata, imageCheck.image)
+		})
+	  })
+  }
+  
   /**
    * Validates URI (metadata URL)
    * @param {string} uri - Metadata URI
-   * @returns {Object} - Validation result with isValid and message properties
+   * @param {Object} [options] - Validation options
+   * @param {boolean} [options.deep=false] - Also fetch the URI and check its content (returns a Promise)
+   * @param {string} [options.name] - Token name the metadata must match (deep check)
+   * @param {string} [options.symbol] - Token symbol the metadata must match (deep check)
+   * @param {number} [options.timeout=10000] - Timeout of each request in milliseconds (deep check)
+   * @param {Function} [options.fetch] - fetch implementation (deep check, default: global fetch)
+   * @returns {Object|Promise<Object>} - Validation result with isValid and message properties.
+   *   With options.deep, a Promise of { isValid, message, errors, warnings, metadata, image }
    */
-  function validateUri(uri) {
+  function validateUri(uri, options) {
+	if (options && options.deep) {
+	  const basic = validateUri(uri)
+	  if (!basic.isValid) {
+		return Promise.resolve({
+		  isValid: false,
+		  message: basic.message,
+		  errors: [basic.message],
+		  warnings: [],
+		  metadata: null,
+		  image: null,
+		})
+	  }
+	  return deepCheckUri(uri, options)
+	}
+  
 	if (!uri || typeof uri !== "string") {
 	  return { isValid: false, message: "Metadata URI is required and must be a string" }
 	}
@@ -5,6 +5,9 @@
 const fs = require("fs");
 const path = require("path");
 const solanaWeb3 = require("@solana/web3.js");
+const anchor = require("@project-serum/anchor");
+const errorUtils = require("./errors");
+const logger = require("./logger").logger;
 
 /**
  * Verifies if the wallet file exists
@@ -13,7 +16,7 @@ const solanaWeb3 = require("@solana/web3.js");
  */
 function verifyWalletFile(walletPath) {
   if (!fs) {
-    console.warn(
+    logger.warn(
       "The verifyWalletFile function is only available in Node.js environments"
     );
     return false;
@@ -23,7 +26,7 @@ function verifyWalletFile(walletPath) {
     const resolvedPath = path ? path.resolve(walletPath) : walletPath;
     return fs.existsSync(resolvedPath);
   } catch (error) {
-    console.error("Error verifying wallet file:", error);
+    logger.error("Error verifying wallet file", { error: error });
     return false;
   }
 }
@@ -35,7 +38,7 @@ function verifyWalletFile(walletPath) {
  */
 function loadWalletFromFile(walletPath) {
   if (!fs) {
-    console.warn(
+    logger.warn(
       "The loadWalletFromFile function is only available in Node.js environments"
     );
     return null;
@@ -44,19 +47,85 @@ function loadWalletFromFile(walletPath) {
   try {
     const resolvedPath = path ? path.resolve(walletPath) : walletPath;
     if (!fs.existsSync(resolvedPath)) {
-      console.error(`Error: Wallet file not found at ${resolvedPath}`);
+      logger.error(`Error: Wallet file not found at ${resolvedPath}`);
       return null;
     }
 
     const walletData = JSON.parse(fs.readFileSync(resolvedPath, "utf-8"));
     return solanaWeb3.Keypair.fromSecretKey(Buffer.from(walletData));
   } catch (error) {
-    console.error("Error loading wallet from file:", error);
+    logger.error("Error loading wallet from file", { error: error });
     return null;
   }
 }
 
+/**
+ * Converts a public key, a base58 string or a wallet/keypair into a PublicKey
+ * @param {string|solanaWeb3.PublicKey|Object} value - Value to convert
+ * @returns {solanaWeb3.PublicKey} - The resulting public key
+ * @throws {errorUtils.ValidationError} - If the value is not a valid public key
+ */
+function toPublicKey(value) {
+  if (value instanceof solanaWeb3.PublicKey) {
+    return value;
+  }
+  if (typeof value === "string") {
+    try {
+      return new solanaWeb3.PublicKey(value);
+    } catch (error) {
+      throw new errorUtils.ValidationError(`Invalid public key: ${value}`, {
+        cause: error,
+      });
+    }
+  }
+  if (value && value.publicKey) {
+    return toPublicKey(value.publicKey);
+  }
+  throw new errorUtils.ValidationError("Expected a public key, a base58 string or a wallet");
+}
+
+/**
+ * Converts a payer into a wallet able to sign transactions
+ * @param {solanaWeb3.Keypair|Object} payer - Keypair or wallet with publicKey and signTransaction (e.g. Phantom)
+ * @returns {Object} - Anchor-compatible wallet
+ * @throws {errorUtils.WalletError} - If the payer is neither a Keypair nor a wallet
+ */
+function toWallet(payer) {
+  if (payer && payer.constructor && payer.constructor.name === "Keypair") {
+    return new anchor.Wallet(payer);
+  }
+  if (payer && payer.publicKey && payer.signTransaction) {
+    // Anchor-compatible wallet (like Phantom)
+    return payer;
+  }
+  throw new errorUtils.WalletError("Unsupported wallet format");
+}
+
+/**
+ * Creates a wallet that only exposes a public key.
+ * Used to build transactions that will be signed elsewhere (e.g. in a browser wallet).
+ * @param {solanaWeb3.PublicKey} publicKey - Public key of the wallet
+ * @returns {Object} - Anchor-compatible wallet that refuses to sign
+ */
+function createReadOnlyWallet(publicKey) {
+  const refuse = () =>
+    Promise.reject(
+      new errorUtils.WalletError(
+        "This wallet is read-only. Sign the transaction with the wallet that owns the key"
+      )
+    );
+
+  return {
+    publicKey: publicKey,
+    signTransaction: refuse,
+    signAllTransactions: refuse,
+  };
+}
+
 module.exports = {
   verifyWalletFile,
   loadWalletFromFile,
+  toPublicKey,
+  toWallet,
+  createReadOnlyWallet,
 };
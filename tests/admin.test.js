@@ -0,0 +1,58 @@
+/**
+ * Tests of the admin instructions, on a stubbed connection
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const solanaWeb3 = require("@solana/web3.js");
+const { updateNetworkFee, loadStats } = require("../lib/token/admin");
+
+const admin = solanaWeb3.Keypair.generate();
+
+// Connection whose preflight rejects the transaction with a custom program error
+function stubConnection(code) {
+  return {
+    getAccountInfo: () => Promise.resolve(null),
+    getMultipleAccountsInfo: (addresses) =>
+      Promise.resolve(addresses.map(() => null)),
+    getBalance: () => Promise.resolve(1000000),
+    getLatestBlockhash: () =>
+      Promise.resolve({
+        blockhash: solanaWeb3.PublicKey.default.toBase58(),
+        lastValidBlockHeight: 100,
+      }),
+    sendRawTransaction: () =>
+      Promise.reject(
+        new Error(
+          "failed to send transaction: Transaction simulation failed: Error processing Instruction 0: custom " +
+            `program error: 0x${code.toString(16)}`
+        )
+      ),
+  };
+}
+
+test("the fee instructions decode UnauthorizedAdmin as 6008, from the embedded IDL", async () => {
+  const result = await updateNetworkFee({
+    connection: stubConnection(6008),
+    admin: admin,
+    feeLamports: 1000,
+    logger: () => {},
+  });
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.unauthorizedAdmin, true);
+  assert.strictEqual(result.programError.code, 6008);
+  assert.match(result.error, /is not the admin of program/);
+});
+
+test("loadStats decodes UnauthorizedAdmin as 6007, from lib/idl.json", async () => {
+  const result = await loadStats({
+    connection: stubConnection(6007),
+    admin: admin,
+    logger: () => {},
+  });
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.unauthorizedAdmin, true);
+  assert.strictEqual(result.programError.code, 6007);
+});
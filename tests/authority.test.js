@@ -0,0 +1,257 @@
+/**
+ * Tests of the authority operations, on a stubbed connection
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const solanaWeb3 = require("@solana/web3.js");
+const splToken = require("@solana/spl-token");
+const {
+  buildRevokeAuthorityTransaction,
+  setAuthority,
+} = require("../lib/token/authority");
+const { EMBEDDED_IDL } = require("../lib/utils/idl");
+const constants = require("../lib/constants");
+
+const owner = solanaWeb3.Keypair.generate().publicKey;
+const mint = solanaWeb3.Keypair.generate().publicKey;
+const programId = new solanaWeb3.PublicKey(constants.DEFAULT_PROGRAM_ID);
+
+const connection = {
+  getLatestBlockhash: () =>
+    Promise.resolve({
+      blockhash: solanaWeb3.PublicKey.default.toBase58(),
+      lastValidBlockHeight: 100,
+    }),
+};
+
+function buildRevoke(options) {
+  return buildRevokeAuthorityTransaction(
+    Object.assign(
+      {
+        connection: connection,
+        payer: owner.toString(),
+        mint: mint.toString(),
+        idl: EMBEDDED_IDL,
+        logger: () => {},
+      },
+      options
+    )
+  );
+}
+
+test("the unsigned revocation is left for the owner to sign", async () => {
+  const result = await buildRevoke({ revokeFreeze: false });
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.feePayer, owner.toString());
+  assert.deepStrictEqual(result.revokedAuthorities, {
+    mint: true,
+    freeze: false,
+  });
+  const transaction = solanaWeb3.Transaction.from(
+    Buffer.from(result.transaction, "base64")
+  );
+  assert.deepStrictEqual(
+    transaction.signatures.map((entry) => [
+      entry.publicKey.toString(),
+      entry.signature,
+    ]),
+    [[owner.toString(), null]]
+  );
+  const instruction = transaction.instructions.find((candidate) =>
+    candidate.programId.equals(programId)
+  );
+  const keys = instruction.keys.map((key) => key.pubkey.toString());
+  assert.ok(keys.includes(mint.toString()));
+  assert.ok(keys.includes(result.tokenPda));
+  assert.ok(keys.includes(result.revokeFeeConfig));
+});
+
+test("a revocation needs an authority to revoke", async () => {
+  await assert.rejects(
+    buildRevoke({ revokeMint: false, revokeFreeze: false }),
+    { type: "ValidationError", message: /At least one authority/ }
+  );
+  await assert.rejects(buildRevoke({ mint: "not a key" }), {
+    type: "ValidationError",
+    message: /Invalid mint address/,
+  });
+});
+
+const payer = solanaWeb3.Keypair.generate();
+const newAuthority = solanaWeb3.Keypair.generate().publicKey;
+
+function mintAccount(mintAuthority, freezeAuthority) {
+  const data = Buffer.alloc(splToken.MINT_SIZE);
+  splToken.MintLayout.encode(
+    {
+      mintAuthorityOption: mintAuthority ? 1 : 0,
+      mintAuthority: mintAuthority || solanaWeb3.PublicKey.default,
+      supply: BigInt(1000000),
+      decimals: 6,
+      isInitialized: true,
+      freezeAuthorityOption: freezeAuthority ? 1 : 0,
+      freezeAuthority: freezeAuthority || solanaWeb3.PublicKey.default,
+    },
+    data
+  );
+  return { owner: splToken.TOKEN_PROGRAM_ID, data: data };
+}
+
+// Connection holding the accounts given, replaced by those of "landed" once a
+// transaction is sent
+function authorityConnection(accounts, landed) {
+  let current = accounts;
+  const sent = [];
+  const find = (address) => current[address.toString()] || null;
+  return {
+    sent: sent,
+    getAccountInfo: (address) => Promise.resolve(find(address)),
+    getLatestBlockhash: () =>
+      Promise.resolve({
+        blockhash: solanaWeb3.PublicKey.default.toBase58(),
+        lastValidBlockHeight: 100,
+      }),
+    sendRawTransaction: (raw) => {
+      sent.push(solanaWeb3.Transaction.from(raw));
+      current = Object.assign({}, accounts, landed);
+      return Promise.resolve("signature");
+    },
+    getSignatureStatuses: () =>
+      Promise.resolve({
+        value: [{ slot: 7, confirmationStatus: "confirmed", err: null }],
+      }),
+  };
+}
+
+function transfer(connection, options) {
+  return setAuthority(
+    Object.assign(
+      {
+        connection: connection,
+        payer: payer,
+        mint: mint.toString(),
+        authorityType: "mint",
+        newAuthority: newAuthority.toString(),
+        rebroadcastInterval: 1,
+        logger: () => {},
+      },
+      options
+    )
+  );
+}
+
+test("setAuthority transfers the authority and reads the mint back", async () => {
+  const connection = authorityConnection(
+    { [mint.toString()]: mintAccount(payer.publicKey, payer.publicKey) },
+    { [mint.toString()]: mintAccount(newAuthority, payer.publicKey) }
+  );
+
+  const result = await transfer(connection);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.verified, true);
+  assert.strictEqual(result.previousAuthority, payer.publicKey.toString());
+  assert.strictEqual(result.newAuthority, newAuthority.toString());
+  assert.strictEqual(result.multisig, null);
+  const instruction = connection.sent[0].instructions.find((candidate) =>
+    candidate.programId.equals(splToken.TOKEN_PROGRAM_ID)
+  );
+  const decoded = splToken.decodeSetAuthorityInstruction(instruction);
+  assert.strictEqual(
+    decoded.data.authorityType,
+    splToken.AuthorityType.MintTokens
+  );
+  assert.ok(decoded.data.newAuthority.equals(newAuthority));
+});
+
+test("a multisig new authority is described in the result", async () => {
+  const multisig = solanaWeb3.Keypair.generate().publicKey;
+  const signers = {};
+  for (let index = 1; index <= 11; index++) {
+    signers[`signer${index}`] =
+      index <= 3
+        ? solanaWeb3.Keypair.generate().publicKey
+        : solanaWeb3.PublicKey.default;
+  }
+  const multisigData = Buffer.alloc(splToken.MULTISIG_SIZE);
+  splToken.MultisigLayout.encode(
+    Object.assign({ m: 2, n: 3, isInitialized: true }, signers),
+    multisigData
+  );
+  const connection = authorityConnection(
+    {
+      [mint.toString()]: mintAccount(payer.publicKey, payer.publicKey),
+      [multisig.toString()]: {
+        owner: splToken.TOKEN_PROGRAM_ID,
+        data: multisigData,
+      },
+    },
+    { [mint.toString()]: mintAccount(payer.publicKey, multisig) }
+  );
+
+  const result = await transfer(connection, {
+    authorityType: "freeze",
+    newAuthority: multisig,
+  });
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.multisig.threshold, 2);
+  assert.deepStrictEqual(result.multisig.signers, [
+    signers.signer1.toString(),
+    signers.signer2.toString(),
+    signers.signer3.toString(),
+  ]);
+});
+
+test("a transfer that lands without taking effect fails its verification", async () => {
+  const before = { [mint.toString()]: mintAccount(payer.publicKey, null) };
+  const connection = authorityConnection(before, before);
+
+  const result = await transfer(connection);
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.verified, false);
+  assert.match(result.error, /landed but the mint authority is/);
+});
+
+test("only the current authority can transfer it, to another wallet", async () => {
+  const other = solanaWeb3.Keypair.generate().publicKey;
+  const tokenAccount = solanaWeb3.Keypair.generate().publicKey;
+  const cases = [
+    [mintAccount(other, null), {}, /is .+, not /],
+    [mintAccount(null, null), {}, /has been revoked/],
+    [
+      mintAccount(payer.publicKey, null),
+      { newAuthority: payer.publicKey },
+      /already holds the mint authority/,
+    ],
+    [
+      mintAccount(payer.publicKey, null),
+      { newAuthority: tokenAccount },
+      /is a token account or mint/,
+    ],
+  ];
+
+  for (const [account, options, message] of cases) {
+    const connection = authorityConnection({
+      [mint.toString()]: account,
+      [tokenAccount.toString()]: {
+        owner: splToken.TOKEN_PROGRAM_ID,
+        data: Buffer.alloc(splToken.ACCOUNT_SIZE),
+      },
+    });
+    const result = await transfer(connection, options);
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.details.type, "ValidationError");
+    assert.match(result.error, message);
+    assert.strictEqual(connection.sent.length, 0);
+  }
+
+  await assert.rejects(transfer({}, { authorityType: "owner" }), {
+    type: "ValidationError",
+    message: /Invalid authorityType "owner"/,
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Tests of the token batch manifest and options
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const solanaWeb3 = require("@solana/web3.js");
+const splToken = require("@solana/spl-token");
+const batch = require("../lib/token/batch");
+const { EMBEDDED_IDL } = require("../lib/utils/idl");
+const pdaUtils = require("../lib/utils/pda");
+const constants = require("../lib/constants");
+
+const manifest = [
+  "name,symbol,uniqueKey,decimals,supply,revokeMint",
+  "Alpha,ALP,a-1,6,1000,yes",
+  "Beta,BET,b-1,,,",
+].join("\n");
+
+test("a CSV manifest is normalized", () => {
+  const rows = batch.loadManifest(manifest);
+
+  assert.deepStrictEqual(rows[0], {
+    name: "Alpha",
+    symbol: "ALP",
+    uniqueKey: "a-1",
+    decimals: 6,
+    supply: "1000",
+    uri: undefined,
+    revokeMint: true,
+    revokeFreeze: false,
+  });
+  assert.strictEqual(rows[1].decimals, 9);
+  assert.strictEqual(rows[1].supply, 1000000000);
+  assert.strictEqual(rows[1].revokeMint, false);
+});
+
+test("rows without a unique key or sharing one are invalid", () => {
+  const rows = batch.loadManifest([
+    { name: "Alpha", symbol: "ALP", uniqueKey: "a-1" },
+    { name: "Alpha", symbol: "ALP", uniqueKey: "a-1" },
+    { name: "Beta", symbol: "BET" },
+  ]);
+
+  assert.deepStrictEqual(batch.validateManifest(rows), [
+    { row: 2, errors: ["Duplicate of row 1 (same name and uniqueKey)"] },
+    { row: 3, errors: ["uniqueKey is required"] },
+  ]);
+});
+
+test("a simulated batch is rejected before the report is written", async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "mintme-batch-"));
+  const reportPath = path.join(directory, "report.json");
+
+  await assert.rejects(
+    batch.createTokensBatch(manifest, {
+      connection: {},
+      payer: solanaWeb3.Keypair.generate(),
+      reportPath: reportPath,
+      simulate: true,
+    }),
+    { type: "ValidationError" }
+  );
+  assert.strictEqual(fs.existsSync(reportPath), false);
+  fs.rmSync(directory, { recursive: true });
+});
+
+function borshString(value) {
+  const bytes = Buffer.from(value, "utf8");
+  const length = Buffer.alloc(4);
+  length.writeUInt32LE(bytes.length);
+  return Buffer.concat([length, bytes]);
+}
+
+// Connection holding a mint created by the row, and its metadata
+async function existingToken(payer, row, decimals) {
+  const programId = new solanaWeb3.PublicKey(constants.DEFAULT_PROGRAM_ID);
+  const { mintPDA } = await pdaUtils.deriveMintPDA(
+    programId,
+    payer,
+    row.name,
+    row.symbol,
+    row.uniqueKey
+  );
+  const { metadataAddress } = await pdaUtils.deriveMetadataAccount(mintPDA);
+  const mintData = Buffer.alloc(splToken.MINT_SIZE);
+  splToken.MintLayout.encode(
+    {
+      mintAuthorityOption: 1,
+      mintAuthority: payer,
+      supply: BigInt(row.supply),
+      decimals: decimals,
+      isInitialized: true,
+      freezeAuthorityOption: 0,
+      freezeAuthority: solanaWeb3.PublicKey.default,
+    },
+    mintData
+  );
+  const accounts = {
+    [mintPDA.toString()]: { owner: splToken.TOKEN_PROGRAM_ID, data: mintData },
+    [metadataAddress.toString()]: {
+      owner: constants.TOKEN_METADATA_PROGRAM_ID,
+      data: Buffer.concat([
+        Buffer.from([4]),
+        payer.toBuffer(),
+        mintPDA.toBuffer(),
+        borshString(row.name),
+        borshString(row.symbol),
+        borshString(row.uri),
+        Buffer.from([0, 0, 0, 0, 1]),
+      ]),
+    },
+  };
+  return {
+    mint: mintPDA,
+    connection: {
+      getAccountInfo: (address) =>
+        Promise.resolve(accounts[address.toString()] || null),
+      getMultipleAccountsInfo: (addresses) =>
+        Promise.resolve(
+          addresses.map((address) => accounts[address.toString()] || null)
+        ),
+    },
+  };
+}
+
+test("a row with 0 decimals keeps 0 decimals", async () => {
+  const payer = solanaWeb3.Keypair.generate();
+  const row = {
+    name: "Whole",
+    symbol: "WHL",
+    uniqueKey: "w-1",
+    decimals: 0,
+    supply: 1000,
+    uri: "https://example.com/whole.json",
+  };
+  // The token exists with 0 decimals: a 9-decimal row would be a conflict
+  const token = await existingToken(payer.publicKey, row, 0);
+
+  const summary = await batch.createTokensBatch([row], {
+    connection: token.connection,
+    payer: payer,
+    idl: EMBEDDED_IDL,
+    logger: () => {},
+  });
+
+  assert.strictEqual(summary.success, true);
+  assert.strictEqual(summary.alreadyExisted, 1);
+  assert.strictEqual(summary.rows[0].mint, token.mint.toString());
+});
@@ -0,0 +1,130 @@
+/**
+ * Tests of the compute budget utilities, on a stubbed connection
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const solanaWeb3 = require("@solana/web3.js");
+const budgetUtils = require("../lib/utils/budget");
+
+const feePayer = solanaWeb3.Keypair.generate().publicKey;
+const computeBudgetProgram = solanaWeb3.ComputeBudgetProgram.programId;
+
+function memo(text) {
+  return new solanaWeb3.TransactionInstruction({
+    keys: [{ pubkey: feePayer, isSigner: true, isWritable: true }],
+    programId: new solanaWeb3.PublicKey(
+      "MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr"
+    ),
+    data: Buffer.from(text),
+  });
+}
+
+// Method builder with the parts of the Anchor MethodsBuilder applyComputeBudget uses
+function stubMethodBuilder(pre, main, post) {
+  const builder = {
+    pre: pre,
+    transaction: () =>
+      Promise.resolve(
+        new solanaWeb3.Transaction().add(...builder.pre, main, ...post)
+      ),
+    preInstructions: (instructions) => {
+      builder.pre = builder.pre.concat(instructions);
+      return builder;
+    },
+  };
+  return builder;
+}
+
+// Connection whose simulation consumes unitsPerInstruction for each non-ComputeBudget instruction
+function stubConnection(unitsPerInstruction, simulated) {
+  return {
+    simulateTransaction: (transaction) => {
+      const instructions = transaction.instructions.filter(
+        (instruction) => !instruction.programId.equals(computeBudgetProgram)
+      );
+      simulated.push(instructions);
+      return Promise.resolve({
+        value: {
+          err: null,
+          unitsConsumed: instructions.length * unitsPerInstruction,
+        },
+      });
+    },
+    getRecentPrioritizationFees: () =>
+      Promise.resolve([
+        { slot: 1, prioritizationFee: 100 },
+        { slot: 2, prioritizationFee: 300 },
+        { slot: 3, prioritizationFee: 200 },
+        { slot: 4, prioritizationFee: 400 },
+      ]),
+  };
+}
+
+test("the auto limit is sized from the pre, main and post instructions", async () => {
+  const simulated = [];
+  const pre = memo("pre");
+  const main = memo("main");
+  const post = memo("post");
+  const budgeted = await budgetUtils.applyComputeBudget(
+    stubMethodBuilder([pre], main, [post]),
+    {
+      connection: stubConnection(10000, simulated),
+      feePayer: feePayer,
+      computeUnitLimit: "auto",
+    }
+  );
+
+  assert.deepStrictEqual(simulated, [[pre, main, post]]);
+  assert.strictEqual(budgeted.computeBudget.computeUnitLimit, 33000);
+  assert.strictEqual(budgeted.computeBudget.microLamports, null);
+  assert.strictEqual(budgeted.methodBuilder.pre.length, 2);
+});
+
+test("the auto priority fee uses the percentile of the recent fees", async () => {
+  const budget = await budgetUtils.buildComputeBudgetInstructions({
+    connection: stubConnection(0, []),
+    instructions: [memo("main")],
+    feePayer: feePayer,
+    priorityFee: { percentile: 50 },
+  });
+
+  assert.strictEqual(budget.microLamports, 200);
+  assert.strictEqual(budget.computeUnitLimit, null);
+  assert.strictEqual(budget.instructions.length, 1);
+});
+
+test("no priority fee and no limit leave the method builder as is", async () => {
+  const builder = stubMethodBuilder([], memo("main"), []);
+  const budgeted = await budgetUtils.applyComputeBudget(builder, {
+    connection: stubConnection(0, []),
+    feePayer: feePayer,
+  });
+
+  assert.strictEqual(budgeted.methodBuilder, builder);
+  assert.strictEqual(budgeted.computeBudget, null);
+});
+
+test("invalid budgets reject with a ValidationError", async () => {
+  const invalid = [
+    { priorityFee: -1 },
+    { priorityFee: 1.5 },
+    { priorityFee: "fast" },
+    { priorityFee: { percentile: 101 } },
+    { computeUnitLimit: 0 },
+    { computeUnitLimit: budgetUtils.MAX_COMPUTE_UNIT_LIMIT + 1 },
+    { computeUnitLimit: "max" },
+  ];
+  for (const options of invalid) {
+    await assert.rejects(
+      budgetUtils.applyComputeBudget(
+        stubMethodBuilder([], memo("main"), []),
+        Object.assign(
+          { connection: stubConnection(0, []), feePayer: feePayer },
+          options
+        )
+      ),
+      { type: "ValidationError" }
+    );
+  }
+});
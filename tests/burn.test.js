@@ -0,0 +1,171 @@
+/**
+ * Tests of burnTokens, on a stubbed connection
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const solanaWeb3 = require("@solana/web3.js");
+const splToken = require("@solana/spl-token");
+const { burnTokens } = require("../lib/token/supply");
+
+const holder = solanaWeb3.Keypair.generate();
+const mint = solanaWeb3.Keypair.generate().publicKey;
+const tokenAccount = splToken.getAssociatedTokenAddressSync(
+  mint,
+  holder.publicKey
+);
+
+function mintAccount() {
+  const data = Buffer.alloc(splToken.MINT_SIZE);
+  splToken.MintLayout.encode(
+    {
+      mintAuthorityOption: 0,
+      mintAuthority: solanaWeb3.PublicKey.default,
+      supply: BigInt(10000000),
+      decimals: 6,
+      isInitialized: true,
+      freezeAuthorityOption: 0,
+      freezeAuthority: solanaWeb3.PublicKey.default,
+    },
+    data
+  );
+  return { owner: splToken.TOKEN_PROGRAM_ID, data: data };
+}
+
+function holderAccount(amount, state) {
+  const data = Buffer.alloc(splToken.ACCOUNT_SIZE);
+  splToken.AccountLayout.encode(
+    {
+      mint: mint,
+      owner: holder.publicKey,
+      amount: BigInt(amount),
+      delegateOption: 0,
+      delegate: solanaWeb3.PublicKey.default,
+      state: state || splToken.AccountState.Initialized,
+      isNativeOption: 0,
+      isNative: BigInt(0),
+      delegatedAmount: BigInt(0),
+      closeAuthorityOption: 0,
+      closeAuthority: solanaWeb3.PublicKey.default,
+    },
+    data
+  );
+  return { owner: splToken.TOKEN_PROGRAM_ID, data: data };
+}
+
+// Connection holding the mint and the holder's account, recording what is sent
+function stubConnection(holding) {
+  const accounts = {
+    [mint.toString()]: mintAccount(),
+    [tokenAccount.toString()]: holding,
+  };
+  const sent = [];
+  return {
+    sent: sent,
+    getAccountInfo: (address) =>
+      Promise.resolve(accounts[address.toString()] || null),
+    getLatestBlockhash: () =>
+      Promise.resolve({
+        blockhash: solanaWeb3.PublicKey.default.toBase58(),
+        lastValidBlockHeight: 100,
+      }),
+    sendRawTransaction: (raw) => {
+      sent.push(solanaWeb3.Transaction.from(raw));
+      return Promise.resolve("signature");
+    },
+    getSignatureStatuses: () =>
+      Promise.resolve({
+        value: [{ slot: 7, confirmationStatus: "confirmed", err: null }],
+      }),
+  };
+}
+
+function burn(connection, options) {
+  return burnTokens(
+    Object.assign(
+      {
+        connection: connection,
+        payer: holder,
+        mint: mint.toString(),
+        rebroadcastInterval: 1,
+        logger: () => {},
+      },
+      options
+    )
+  );
+}
+
+// Decoded burn instruction of a sent transaction
+function burnInstruction(transaction) {
+  const instruction = transaction.instructions.find((candidate) =>
+    candidate.programId.equals(splToken.TOKEN_PROGRAM_ID)
+  );
+  return splToken.decodeBurnCheckedInstruction(instruction);
+}
+
+test("a burn converts the amount with the decimals of the mint", async () => {
+  const connection = stubConnection(holderAccount(5000000));
+
+  const result = await burn(connection, { amount: "1.5" });
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.status, "landed");
+  assert.strictEqual(result.tokenAccount, tokenAccount.toString());
+  assert.strictEqual(result.rawAmount, "1500000");
+  assert.strictEqual(result.uiBalance, "3.5");
+  assert.strictEqual(result.supply, "8500000");
+  const decoded = burnInstruction(connection.sent[0]);
+  assert.strictEqual(decoded.data.amount, BigInt(1500000));
+  assert.strictEqual(decoded.data.decimals, 6);
+  assert.ok(decoded.keys.owner.pubkey.equals(holder.publicKey));
+});
+
+test("all: true burns the whole balance", async () => {
+  const connection = stubConnection(holderAccount(5000000));
+
+  const result = await burn(connection, { all: true });
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.amount, "5");
+  assert.strictEqual(result.balance, "0");
+  assert.strictEqual(
+    burnInstruction(connection.sent[0]).data.amount,
+    BigInt(5000000)
+  );
+});
+
+test("a burn the account cannot cover sends nothing", async () => {
+  const cases = [
+    [holderAccount(1000000), { amount: 2 }, /Insufficient balance/],
+    [holderAccount(0), { all: true }, /is empty: nothing to burn/],
+    [
+      holderAccount(1000000, splToken.AccountState.Frozen),
+      { amount: 1 },
+      /is frozen/,
+    ],
+    [null, { amount: 1 }, /no token account/],
+  ];
+
+  for (const [holding, options, message] of cases) {
+    const connection = stubConnection(holding);
+    const result = await burn(connection, options);
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.details.type, "ValidationError");
+    assert.match(result.error, message);
+    assert.strictEqual(connection.sent.length, 0);
+  }
+});
+
+test("a burn needs either an amount or all: true", async () => {
+  const connection = stubConnection(holderAccount(1000000));
+
+  await assert.rejects(burn(connection, {}), {
+    type: "ValidationError",
+    message: /An amount to burn \(or all: true\) is required/,
+  });
+  await assert.rejects(burn(connection, { amount: 1, all: true }), {
+    type: "ValidationError",
+    message: /either amount or all: true/,
+  });
+});
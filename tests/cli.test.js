@@ -0,0 +1,323 @@
+/**
+ * Tests of the command line: exit codes on input rejected before any RPC
+ * request, and the output of the commands against a local JSON-RPC server
+ */
+
+const { after, before, test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const http = require("node:http");
+const os = require("node:os");
+const path = require("node:path");
+const { execFile, spawnSync } = require("node:child_process");
+const solanaWeb3 = require("@solana/web3.js");
+const splToken = require("@solana/spl-token");
+const anchor = require("@project-serum/anchor");
+const pdaUtils = require("../lib/utils/pda");
+const DEFAULT_IDL = require("../lib/idl.json");
+const constants = require("../lib/constants");
+const packageJson = require("../package.json");
+
+const cli = path.join(__dirname, "..", "bin", "mintme.js");
+const programId = new solanaWeb3.PublicKey(constants.DEFAULT_PROGRAM_ID);
+
+function run(args) {
+  return spawnSync(process.execPath, [cli].concat(args), {
+    encoding: "utf-8",
+    timeout: 30000,
+  });
+}
+
+// Runs the command line without blocking, so that the RPC server can answer
+function runAsync(args, cwd) {
+  return new Promise((resolve) => {
+    execFile(
+      process.execPath,
+      [cli].concat(args),
+      { encoding: "utf-8", timeout: 30000, cwd: cwd },
+      (error, stdout, stderr) =>
+        resolve({
+          status: error ? error.code : 0,
+          stdout: stdout,
+          stderr: stderr,
+        })
+    );
+  });
+}
+
+let server;
+let url;
+let directory;
+// Accounts served by the RPC server, by address
+const accounts = {};
+
+function toRpcAccount(account) {
+  if (!account) {
+    return null;
+  }
+  return {
+    data: [Buffer.from(account.data).toString("base64"), "base64"],
+    executable: false,
+    lamports: 1000000,
+    owner: account.owner.toString(),
+    rentEpoch: 0,
+    space: account.data.length,
+  };
+}
+
+// JSON-RPC methods served, by name
+const METHODS = {
+  getAccountInfo: (params) => ({
+    context: { slot: 1 },
+    value: toRpcAccount(accounts[params[0]]),
+  }),
+  getMultipleAccounts: (params) => ({
+    context: { slot: 1 },
+    value: params[0].map((address) => toRpcAccount(accounts[address])),
+  }),
+  getBalance: () => ({ context: { slot: 1 }, value: 1500000000 }),
+  getMinimumBalanceForRentExemption: (params) => params[0] * 10,
+};
+
+before(async () => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "mintme-cli-"));
+  server = http.createServer((request, response) => {
+    let body = "";
+    request.on("data", (chunk) => {
+      body += chunk;
+    });
+    request.on("end", () => {
+      const call = JSON.parse(body);
+      const method = METHODS[call.method];
+      response.setHeader("Content-Type", "application/json");
+      response.end(
+        JSON.stringify(
+          method
+            ? { jsonrpc: "2.0", id: call.id, result: method(call.params) }
+            : {
+                jsonrpc: "2.0",
+                id: call.id,
+                error: { code: -32601, message: `No ${call.method}` },
+              }
+        )
+      );
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  url = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test("invalid input exits with 2", () => {
+  const invalidMint = run(["info", "not-a-mint"]);
+  assert.strictEqual(invalidMint.status, 2);
+  assert.match(invalidMint.stderr, /Invalid <mint>: not-a-mint/);
+
+  const invalidSupply = run([
+    "create",
+    "--name",
+    "Test",
+    "--symbol",
+    "TEST",
+    "--unique-key",
+    "key",
+    "--supply",
+    "abc",
+    "--json",
+  ]);
+  assert.strictEqual(invalidSupply.status, 2);
+  assert.strictEqual(
+    JSON.parse(invalidSupply.stdout).details.type,
+    "ValidationError"
+  );
+});
+
+test("an unknown command exits with 2", () => {
+  assert.strictEqual(run(["unknown"]).status, 2);
+});
+
+test("help and version describe the tool", () => {
+  const version = run(["--version"]);
+  assert.strictEqual(version.status, 0);
+  assert.strictEqual(version.stdout.trim(), packageJson.version);
+
+  const help = run(["help", "create"]);
+  assert.strictEqual(help.status, 0);
+  assert.match(help.stdout, /Usage: mintme create --name NAME/);
+  assert.match(help.stdout, /--token-2022/);
+  assert.match(help.stdout, /Global options:/);
+});
+
+test("derive mint follows the payer and the program ID given", async () => {
+  const payer = solanaWeb3.Keypair.generate().publicKey;
+  const other = solanaWeb3.Keypair.generate().publicKey;
+  const args = [
+    "derive",
+    "mint",
+    "--name",
+    "Test Token",
+    "--symbol",
+    "TEST",
+    "--unique-key",
+    "key-1",
+    "--payer",
+    payer.toBase58(),
+    "--json",
+  ];
+
+  const result = run(args);
+  assert.strictEqual(result.status, 0);
+  const expected = await pdaUtils.deriveMintPDA(
+    programId,
+    payer,
+    "Test Token",
+    "TEST",
+    "key-1"
+  );
+  assert.deepStrictEqual(JSON.parse(result.stdout), {
+    success: true,
+    mint: expected.mintPDA.toBase58(),
+    bump: expected.bump,
+    payer: payer.toBase58(),
+    programId: programId.toBase58(),
+  });
+
+  const withProgram = run(args.concat("--program-id", other.toBase58()));
+  assert.strictEqual(
+    JSON.parse(withProgram.stdout).programId,
+    other.toBase58()
+  );
+});
+
+test("derive ata uses the token program chosen", () => {
+  const mint = solanaWeb3.Keypair.generate().publicKey;
+  const owner = solanaWeb3.Keypair.generate().publicKey;
+
+  const result = run([
+    "derive",
+    "ata",
+    mint.toBase58(),
+    "--owner",
+    owner.toBase58(),
+    "--token-2022",
+  ]);
+
+  assert.strictEqual(result.status, 0);
+  const address = splToken.getAssociatedTokenAddressSync(
+    mint,
+    owner,
+    false,
+    splToken.TOKEN_2022_PROGRAM_ID
+  );
+  assert.match(result.stdout, new RegExp(`tokenAccount: +${address}`));
+  assert.match(
+    result.stdout,
+    new RegExp(`tokenProgram: +${splToken.TOKEN_2022_PROGRAM_ID}`)
+  );
+});
+
+test("wallet new writes a wallet that wallet show reads", () => {
+  const walletPath = path.join(directory, "wallet.json");
+
+  const created = run(["wallet", "new", "--out", walletPath, "--json"]);
+  assert.strictEqual(created.status, 0);
+  const publicKey = JSON.parse(created.stdout).publicKey;
+  assert.strictEqual(fs.statSync(walletPath).mode & 0o777, 0o600);
+
+  const shown = run(["wallet", "show", "--wallet", walletPath, "--json"]);
+  assert.strictEqual(JSON.parse(shown.stdout).publicKey, publicKey);
+
+  const again = run(["wallet", "new", "--out", walletPath]);
+  assert.strictEqual(again.status, 2);
+  assert.match(again.stderr, /already exists. Use --force/);
+});
+
+test("wallet balance reads the endpoint given with --url", async () => {
+  const address = solanaWeb3.Keypair.generate().publicKey.toBase58();
+
+  const result = await runAsync([
+    "wallet",
+    "balance",
+    address,
+    "--url",
+    url,
+    "--json",
+  ]);
+
+  assert.strictEqual(result.status, 0);
+  const balance = JSON.parse(result.stdout);
+  assert.strictEqual(balance.address, address);
+  assert.strictEqual(balance.lamports, 1500000000);
+  assert.strictEqual(balance.sol, 1.5);
+});
+
+test("info prints the token as key: value lines", async () => {
+  const mint = solanaWeb3.Keypair.generate().publicKey;
+  const data = Buffer.alloc(splToken.MINT_SIZE);
+  splToken.MintLayout.encode(
+    {
+      mintAuthorityOption: 0,
+      mintAuthority: solanaWeb3.PublicKey.default,
+      supply: BigInt(2500000),
+      decimals: 6,
+      isInitialized: true,
+      freezeAuthorityOption: 0,
+      freezeAuthority: solanaWeb3.PublicKey.default,
+    },
+    data
+  );
+  accounts[mint.toBase58()] = { owner: splToken.TOKEN_PROGRAM_ID, data: data };
+
+  const result = await runAsync(["info", mint.toBase58(), "--url", url]);
+
+  assert.strictEqual(result.status, 0);
+  assert.match(result.stdout, /^decimals: +6$/m);
+  assert.match(result.stdout, /^uiSupply: +2\.5$/m);
+  assert.match(result.stdout, /^explorerUrl: +https:\/\/explorer\.solana/m);
+  assert.doesNotMatch(result.stdout, /mintAuthority/);
+});
+
+test("fees uses the IDL of the package, whatever the working directory", async () => {
+  // Laid out as the IDL of the package defines it
+  const coder = new anchor.BorshAccountsCoder(DEFAULT_IDL);
+  const network = await pdaUtils.deriveNetworkFeeConfigPDA(programId);
+  accounts[network.pda.toBase58()] = {
+    owner: programId,
+    data: await coder.encode("networkFeeConfig", {
+      feeLamports: new anchor.BN(100000000),
+      revokeFeelamports: new anchor.BN(0),
+      bump: 255,
+    }),
+  };
+  // An IDL at the default path of the working directory is not the CLI's
+  const cwd = path.join(directory, "project");
+  fs.mkdirSync(path.join(cwd, "lib"), { recursive: true });
+  fs.writeFileSync(
+    path.join(cwd, "lib", "idl.json"),
+    JSON.stringify({ version: "0.0.0", name: "other", instructions: [] })
+  );
+
+  const result = await runAsync(
+    ["fees", "--partner-amount", "0.5", "--url", url, "--json"],
+    cwd
+  );
+
+  assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+  const quote = JSON.parse(result.stdout);
+  assert.strictEqual(quote.operation, "create");
+  assert.strictEqual(quote.feeConfig, network.pda.toBase58());
+  assert.ok(
+    quote.items.some(
+      (item) => item.name === "programFee" && item.lamports === 100000000
+    )
+  );
+  assert.ok(
+    quote.items.some(
+      (item) => item.name === "partnerAmount" && item.lamports === 500000000
+    )
+  );
+});
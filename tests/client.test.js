@@ -0,0 +1,139 @@
+/**
+ * Tests of the MintMeClient caches and settings, on a stubbed connection
+ */
+
+const { afterEach, test } = require("node:test");
+const assert = require("node:assert");
+const solanaWeb3 = require("@solana/web3.js");
+const anchor = require("@project-serum/anchor");
+const { MintMeClient } = require("../lib/client");
+const { EMBEDDED_IDL } = require("../lib/utils/idl");
+
+const IDL_URL = "https://idl.invalid/mintme.json";
+const PROGRAM_ID = solanaWeb3.Keypair.generate().publicKey.toString();
+const savedFetch = global.fetch;
+
+afterEach(() => {
+  global.fetch = savedFetch;
+});
+
+// Serves the IDL from IDL_URL after the given number of failed requests.
+// Returns the request counter
+function serveIdl(failures) {
+  const requests = { count: 0 };
+  global.fetch = () => {
+    requests.count++;
+    if (requests.count <= (failures || 0)) {
+      return Promise.reject(new Error("fetch failed"));
+    }
+    return Promise.resolve({
+      ok: true,
+      json: () => Promise.resolve(EMBEDDED_IDL),
+    });
+  };
+  return requests;
+}
+
+function client(options) {
+  return new MintMeClient(
+    Object.assign(
+      {
+        connection: { rpcEndpoint: "https://rpc.invalid" },
+        idl: IDL_URL,
+        configPath: false,
+      },
+      options
+    )
+  );
+}
+
+test("the IDL and the program are loaded once per client", async () => {
+  const requests = serveIdl();
+  const shared = client();
+
+  const programs = await Promise.all([
+    shared.getProgram(),
+    shared.getProgram(),
+  ]);
+  await shared.getIDL();
+
+  assert.strictEqual(requests.count, 1);
+  assert.strictEqual(programs[0], programs[1]);
+  assert.strictEqual(await shared.getProgram(), programs[0]);
+});
+
+test("a failed IDL load is tried again on the next call", async () => {
+  const requests = serveIdl(1);
+  const retried = client();
+
+  await assert.rejects(retried.getProgram(), /fetch failed/);
+  const program = await retried.getProgram();
+
+  assert.strictEqual(requests.count, 2);
+  assert.strictEqual(program.idl.name, EMBEDDED_IDL.name);
+});
+
+test("each client has its own program, provider and signer", async () => {
+  serveIdl();
+  const globalProvider = new anchor.AnchorProvider(
+    { rpcEndpoint: "https://global.invalid" },
+    {},
+    {}
+  );
+  anchor.setProvider(globalProvider);
+  const first = client({ signer: solanaWeb3.Keypair.generate() });
+  const second = client({
+    signer: solanaWeb3.Keypair.generate(),
+    programId: PROGRAM_ID,
+  });
+
+  const programs = await Promise.all([
+    first.getProgram(),
+    second.getProgram(),
+  ]);
+
+  assert.notStrictEqual(programs[0], programs[1]);
+  assert.ok(programs[0].provider.wallet.publicKey.equals(first.publicKey));
+  assert.ok(programs[1].provider.wallet.publicKey.equals(second.publicKey));
+  assert.strictEqual(programs[1].programId.toString(), PROGRAM_ID);
+  assert.strictEqual(programs[0].provider.connection, first.connection);
+  assert.strictEqual(anchor.getProvider(), globalProvider);
+});
+
+test("the options of a call override the defaults and the client settings", async () => {
+  serveIdl();
+  const defaults = { priorityFee: "auto", commitment: "finalized" };
+  const signer = solanaWeb3.Keypair.generate();
+  const configured = client({ signer: signer, defaults: defaults });
+  defaults.priorityFee = 1000;
+
+  const settings = await configured.withSettings(
+    { commitment: "processed" },
+    { field: "payer" }
+  );
+  assert.strictEqual(settings.priorityFee, "auto");
+  assert.strictEqual(settings.commitment, "processed");
+  assert.strictEqual(settings.payer, signer);
+  assert.strictEqual(settings.program, await configured.getProgram());
+
+  const unsigned = await configured.withSettings(
+    {},
+    { field: "payer", publicKeyOnly: true }
+  );
+  assert.ok(unsigned.payer.equals(signer.publicKey));
+
+  // Another program ID or IDL does not use the cached program
+  const other = await configured.withSettings({ programId: PROGRAM_ID });
+  assert.strictEqual(other.program, undefined);
+  assert.strictEqual(other.programId, PROGRAM_ID);
+});
+
+test("without a loadable IDL the operation gets the IDL source", async () => {
+  serveIdl(10);
+  const offline = client();
+
+  const settings = await offline.withSettings({});
+
+  assert.strictEqual(settings.program, undefined);
+  assert.strictEqual(settings.idl, IDL_URL);
+});
@@ -0,0 +1,174 @@
+/**
+ * Tests of the configuration precedence: preset, config file, environment, options
+ */
+
+const { afterEach, beforeEach, test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const {
+  resolveConfig,
+  resolveProgramId,
+  ENV_VARIABLES,
+} = require("../lib/utils/config");
+const constants = require("../lib/constants");
+
+const PROGRAM_ID = "11111111111111111111111111111111";
+let savedEnv;
+let directory;
+
+// Writes a config file and returns its path
+function writeConfig(values) {
+  const file = path.join(directory, "mintme.config.json");
+  fs.writeFileSync(file, JSON.stringify(values));
+  return file;
+}
+
+beforeEach(() => {
+  savedEnv = {};
+  Object.keys(ENV_VARIABLES)
+    .concat("MINTME_CONFIG")
+    .forEach((name) => {
+      savedEnv[name] = process.env[name];
+      delete process.env[name];
+    });
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "mintme-config-"));
+});
+
+afterEach(() => {
+  Object.keys(savedEnv).forEach((name) => {
+    if (savedEnv[name] === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = savedEnv[name];
+    }
+  });
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test("the preset of the default cluster applies without other settings", () => {
+  const config = resolveConfig({ configPath: false });
+
+  assert.strictEqual(config.cluster, "devnet");
+  assert.strictEqual(config.rpcEndpoint, constants.CLUSTERS.devnet.rpcEndpoint);
+  assert.strictEqual(config.connection, config.rpcEndpoint);
+  assert.strictEqual(config.programId, constants.DEFAULT_PROGRAM_ID);
+  assert.strictEqual(config.commitment, "confirmed");
+  assert.strictEqual(config.walletPath, "./wallet.json");
+  assert.strictEqual(config.configPath, null);
+});
+
+test("the config file, the environment and the options override in turn", () => {
+  const configPath = writeConfig({
+    cluster: "mainnet",
+    commitment: "finalized",
+    walletPath: "./file.json",
+    clusters: { "mainnet-beta": { rpcEndpoint: "https://file.example.com" } },
+  });
+
+  const fromFile = resolveConfig({ configPath: configPath });
+  assert.strictEqual(fromFile.cluster, "mainnet-beta");
+  assert.strictEqual(fromFile.rpcEndpoint, "https://file.example.com");
+  assert.strictEqual(fromFile.commitment, "finalized");
+  assert.strictEqual(fromFile.configPath, configPath);
+
+  process.env.MINTME_CLUSTER = "mainnet-beta";
+  process.env.MINTME_RPC_URL = "https://env.example.com";
+  process.env.MINTME_WALLET_PATH = "./env.json";
+  const fromEnv = resolveConfig({ configPath: configPath });
+  assert.strictEqual(fromEnv.rpcEndpoint, "https://env.example.com");
+  assert.strictEqual(fromEnv.walletPath, "./env.json");
+  assert.strictEqual(fromEnv.commitment, "finalized");
+
+  const fromOptions = resolveConfig({
+    configPath: configPath,
+    connection: "https://options.example.com",
+    commitment: "processed",
+  });
+  assert.strictEqual(fromOptions.rpcEndpoint, "https://options.example.com");
+  assert.strictEqual(fromOptions.commitment, "processed");
+  assert.strictEqual(fromOptions.walletPath, "./env.json");
+});
+
+test("the endpoint and program ID of the environment only serve their cluster", () => {
+  process.env.MINTME_RPC_URL = "https://devnet-rpc.example.com";
+  process.env.MINTME_PROGRAM_ID = PROGRAM_ID;
+
+  // Without MINTME_CLUSTER they describe the default cluster
+  const devnet = resolveConfig({ configPath: false });
+  assert.strictEqual(devnet.rpcEndpoint, "https://devnet-rpc.example.com");
+  assert.strictEqual(devnet.programId, PROGRAM_ID);
+
+  const mainnet = resolveConfig({ cluster: "mainnet", configPath: false });
+  assert.strictEqual(
+    mainnet.rpcEndpoint,
+    constants.CLUSTERS["mainnet-beta"].rpcEndpoint
+  );
+  assert.strictEqual(mainnet.programId, constants.DEFAULT_PROGRAM_ID);
+
+  const fromFile = resolveConfig({
+    configPath: writeConfig({ cluster: "testnet" }),
+  });
+  assert.strictEqual(
+    fromFile.rpcEndpoint,
+    constants.CLUSTERS.testnet.rpcEndpoint
+  );
+
+  process.env.MINTME_CLUSTER = "testnet";
+  const testnet = resolveConfig({ cluster: "testnet", configPath: false });
+  assert.strictEqual(testnet.rpcEndpoint, "https://devnet-rpc.example.com");
+  const other = resolveConfig({ cluster: "devnet", configPath: false });
+  assert.strictEqual(other.rpcEndpoint, constants.CLUSTERS.devnet.rpcEndpoint);
+});
+
+test("an environment setting ignored for another cluster is logged", () => {
+  process.env.MINTME_RPC_URL = "https://devnet-rpc.example.com";
+  const lines = [];
+  const logger = (line) => lines.push(line);
+
+  resolveConfig({ cluster: "mainnet", configPath: false, logger: logger });
+  assert.strictEqual(lines.length, 1);
+  assert.match(
+    lines[0],
+    /Ignoring MINTME_RPC_URL \(set for devnet\) on mainnet-beta/
+  );
+
+  resolveConfig({ cluster: "devnet", configPath: false, logger: logger });
+  assert.strictEqual(lines.length, 1);
+});
+
+test("resolveProgramId falls back to the program ID of the cluster", () => {
+  const configPath = writeConfig({
+    clusters: { testnet: { programId: PROGRAM_ID } },
+  });
+
+  const testnet = resolveProgramId({
+    cluster: "testnet",
+    configPath: configPath,
+  });
+  assert.strictEqual(testnet.toString(), PROGRAM_ID);
+  assert.strictEqual(
+    resolveProgramId({ configPath: configPath }).toString(),
+    constants.DEFAULT_PROGRAM_ID
+  );
+  assert.throws(() => resolveProgramId({ programId: "nope" }), {
+    type: "ValidationError",
+    message: /Invalid program ID/,
+  });
+});
+
+test("an unknown cluster needs an RPC endpoint", () => {
+  assert.throws(
+    () => resolveConfig({ cluster: "staging", configPath: false }),
+    { type: "ValidationError", message: /Unknown cluster: staging/ }
+  );
+
+  const config = resolveConfig({
+    cluster: "staging",
+    rpcEndpoint: "https://staging.example.com",
+    configPath: false,
+  });
+  assert.strictEqual(config.rpcEndpoint, "https://staging.example.com");
+  assert.strictEqual(config.programId, constants.DEFAULT_PROGRAM_ID);
+});
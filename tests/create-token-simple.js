@@ -5,7 +5,7 @@
  * Simply run with: node createTokenNode.js
  */
 
-const { createTokenSimple } = require("mintme-sdk");
+const { createTokenSimple, getExplorerUrl } = require("mintme-sdk");
 
 async function main() {
   try {
@@ -20,7 +20,6 @@ async function main() {
       revokeMint: true,
       revokeFreeze: true,
       walletPath: "./wallet.json",
-      connection: "https://api.devnet.solana.com",
       cluster: "devnet",
     };
 
@@ -35,10 +34,10 @@ async function main() {
       console.log("=== TOKEN CREATED ===");
       console.log(result);
       console.log(
-        `TX: https://explorer.solana.com/tx/${result.txSignature}?cluster=${config.cluster}`
+        `TX: ${getExplorerUrl("tx", result.txSignature, config.cluster)}`
       );
       console.log(
-        `TKN: https://explorer.solana.com/address/${result.mint}?cluster=${config.cluster}`
+        `TKN: ${getExplorerUrl("address", result.mint, config.cluster)}`
       );
     } else {
       console.error("\n❌ Error creating the token:", result.error);
@@ -0,0 +1,203 @@
+/**
+ * Tests of the token creation helpers, on a stubbed connection
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const solanaWeb3 = require("@solana/web3.js");
+const splToken = require("@solana/spl-token");
+const { buildCreateTokenTransaction } = require("../lib/token/creator");
+const { EMBEDDED_IDL } = require("../lib/utils/idl");
+const pdaUtils = require("../lib/utils/pda");
+const constants = require("../lib/constants");
+
+const payer = solanaWeb3.Keypair.generate().publicKey;
+const programId = new solanaWeb3.PublicKey(constants.DEFAULT_PROGRAM_ID);
+const request = {
+  name: "Test Token",
+  symbol: "TEST",
+  decimals: 6,
+  initialSupply: 1000,
+  uri: "https://example.com/test.json",
+};
+
+function borshString(value) {
+  const bytes = Buffer.from(value, "utf8");
+  const length = Buffer.alloc(4);
+  length.writeUInt32LE(bytes.length);
+  return Buffer.concat([length, bytes]);
+}
+
+// Metaplex metadata account (MetadataV1, no creators)
+function metadataAccount(mint, name, symbol, uri) {
+  return {
+    owner: constants.TOKEN_METADATA_PROGRAM_ID,
+    data: Buffer.concat([
+      Buffer.from([4]),
+      payer.toBuffer(),
+      mint.toBuffer(),
+      borshString(name),
+      borshString(symbol),
+      borshString(uri),
+      Buffer.from([0, 0, 0, 0, 1]),
+    ]),
+  };
+}
+
+function mintAccount(decimals, supply) {
+  const data = Buffer.alloc(splToken.MINT_SIZE);
+  splToken.MintLayout.encode(
+    {
+      mintAuthorityOption: 1,
+      mintAuthority: payer,
+      supply: BigInt(supply),
+      decimals: decimals,
+      isInitialized: true,
+      freezeAuthorityOption: 0,
+      freezeAuthority: solanaWeb3.PublicKey.default,
+    },
+    data
+  );
+  return { owner: splToken.TOKEN_PROGRAM_ID, data: data };
+}
+
+// Connection holding the token the request derives, as stored on-chain
+async function existingToken(decimals, symbol, uri) {
+  const uniqueKey = pdaUtils.generateUniqueKey(request, "order-1");
+  const { mintPDA } = await pdaUtils.deriveMintPDA(
+    programId,
+    payer,
+    request.name,
+    request.symbol,
+    uniqueKey
+  );
+  const { metadataAddress } = await pdaUtils.deriveMetadataAccount(mintPDA);
+  const accounts = {
+    [mintPDA.toString()]: mintAccount(decimals, 1000000000),
+    [metadataAddress.toString()]: metadataAccount(
+      mintPDA,
+      request.name,
+      symbol,
+      uri
+    ),
+  };
+  return {
+    mint: mintPDA,
+    connection: {
+      getAccountInfo: (address) =>
+        Promise.resolve(accounts[address.toString()] || null),
+      getMultipleAccountsInfo: (addresses) =>
+        Promise.resolve(
+          addresses.map((address) => accounts[address.toString()] || null)
+        ),
+      getLatestBlockhash: () =>
+        Promise.resolve({
+          blockhash: solanaWeb3.PublicKey.default.toBase58(),
+          lastValidBlockHeight: 100,
+        }),
+    },
+  };
+}
+
+function build(connection) {
+  return buildCreateTokenTransaction(
+    Object.assign({}, request, {
+      connection: connection,
+      payer: payer,
+      requestId: "order-1",
+      idl: EMBEDDED_IDL,
+      logger: () => {},
+    })
+  );
+}
+
+test("generateUniqueKey is deterministic for a request ID", () => {
+  const key = pdaUtils.generateUniqueKey(request, "order-1");
+
+  assert.match(key, /^[0-9a-f]{32}$/);
+  assert.strictEqual(pdaUtils.generateUniqueKey(request, "order-1"), key);
+  assert.notStrictEqual(pdaUtils.generateUniqueKey(request, "order-2"), key);
+  assert.notStrictEqual(
+    pdaUtils.generateUniqueKey(
+      Object.assign({}, request, { decimals: 9 }),
+      "order-1"
+    ),
+    key
+  );
+  assert.throws(() => pdaUtils.generateUniqueKey(request), {
+    type: "ValidationError",
+  });
+});
+
+test("an existing token is returned as stored on-chain", async () => {
+  const token = await existingToken(6, "TEST", request.uri);
+  const result = await build(token.connection);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.alreadyExisted, true);
+  assert.strictEqual(result.transaction, undefined);
+  assert.strictEqual(result.mint, token.mint.toString());
+  assert.strictEqual(result.tokenName, "Test Token");
+  assert.strictEqual(result.tokenSymbol, "TEST");
+  assert.strictEqual(result.decimals, 6);
+  assert.strictEqual(result.uri, request.uri);
+  assert.strictEqual(result.supply, "1000000000");
+  assert.strictEqual(result.mintAuthority, payer.toString());
+  assert.strictEqual(result.freezeAuthority, null);
+});
+
+test("an existing token with other details is a conflict", async () => {
+  const token = await existingToken(9, "OTHER", request.uri);
+  const result = await build(token.connection);
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.details.type, "ValidationError");
+  assert.deepStrictEqual(result.details.conflicts, ["symbol", "decimals"]);
+  assert.match(result.error, /symbol OTHER \(requested TEST\)/);
+});
+
+test("the unsigned transaction is left for the payer to sign", async () => {
+  const token = await existingToken(6, "TEST", request.uri);
+  const connection = Object.assign({}, token.connection, {
+    getAccountInfo: () => Promise.resolve(null),
+  });
+
+  const result = await build(connection);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.mint, token.mint.toString());
+  assert.strictEqual(result.feePayer, payer.toString());
+  assert.strictEqual(result.lastValidBlockHeight, 100);
+  const transaction = solanaWeb3.Transaction.from(
+    Buffer.from(result.transaction, "base64")
+  );
+  assert.ok(transaction.feePayer.equals(payer));
+  assert.strictEqual(transaction.recentBlockhash, result.recentBlockhash);
+  assert.deepStrictEqual(
+    transaction.signatures.map((entry) => [
+      entry.publicKey.toString(),
+      entry.signature,
+    ]),
+    [[payer.toString(), null]]
+  );
+  const instruction = transaction.instructions.find((candidate) =>
+    candidate.programId.equals(programId)
+  );
+  assert.ok(
+    instruction.keys.some((key) => key.pubkey.equals(token.mint)),
+    "the instruction creates the derived mint"
+  );
+});
+
+test("a payer that is not a public key is a wallet error", async () => {
+  await assert.rejects(
+    buildCreateTokenTransaction(
+      Object.assign({}, request, {
+        connection: {},
+        payer: "not a key",
+        logger: () => {},
+      })
+    ),
+    { type: "WalletError", message: /Invalid payer/ }
+  );
+});
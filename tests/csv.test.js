@@ -0,0 +1,38 @@
+/**
+ * Tests of the CSV parser used by the batch manifests and the distribution lists
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseCsv } = require("../lib/utils/csv");
+
+test("rows become objects keyed by the header", () => {
+  assert.deepStrictEqual(parseCsv("address,amount\nA,1\nB,2.5\n"), [
+    { address: "A", amount: "1" },
+    { address: "B", amount: "2.5" },
+  ]);
+});
+
+test("quoted fields keep commas and escaped quotes", () => {
+  assert.deepStrictEqual(
+    parseCsv('name,description\n"Token, Inc.","The ""best"" token"'),
+    [{ name: "Token, Inc.", description: 'The "best" token' }]
+  );
+});
+
+test("CRLF line endings and blank lines are accepted", () => {
+  assert.deepStrictEqual(
+    parseCsv("address,amount\r\n\r\nA,1\r\n  \r\nB,2\r\n"),
+    [
+      { address: "A", amount: "1" },
+      { address: "B", amount: "2" },
+    ]
+  );
+});
+
+test("fields are trimmed and missing fields are empty", () => {
+  assert.deepStrictEqual(parseCsv(" address , amount , memo \n A , 1 \nB"), [
+    { address: "A", amount: "1", memo: "" },
+    { address: "B", amount: "", memo: "" },
+  ]);
+});
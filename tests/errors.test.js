@@ -0,0 +1,95 @@
+/**
+ * Tests of the error classes and of the program error decoding
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const errorUtils = require("../lib/utils/errors");
+const { EMBEDDED_IDL } = require("../lib/utils/idl");
+
+test("the Anchor error line gives the name, code and message", () => {
+  const error = errorUtils.parseProgramErrorLogs([
+    "Program log: Instruction: RevokeAuthority",
+    "Program log: AnchorError occurred. Error Code: NoMintAuthority. Error Number: 6001. Error Message: The mint has no mint authority.",
+    "Program Mint111 failed: custom program error: 0x1771",
+  ]);
+
+  assert.ok(error instanceof errorUtils.ProgramError);
+  assert.strictEqual(error.type, "ProgramError");
+  assert.strictEqual(error.name, "NoMintAuthority");
+  assert.strictEqual(error.code, 6001);
+  assert.strictEqual(error.message, "The mint has no mint authority");
+});
+
+test("a custom error code is resolved with the IDL", () => {
+  const logs = ["Program Mint111 failed: custom program error: 0x1778"];
+
+  const decoded = errorUtils.parseProgramErrorLogs(logs, EMBEDDED_IDL);
+  assert.strictEqual(decoded.name, "UnauthorizedAdmin");
+  assert.strictEqual(decoded.code, 6008);
+  assert.strictEqual(decoded.message, "Unauthorized admin");
+
+  const unknown = errorUtils.parseProgramErrorLogs(logs);
+  assert.strictEqual(unknown.name, "Custom");
+  assert.strictEqual(unknown.message, "Custom program error: 6008");
+});
+
+test("logs without a program error give null", () => {
+  assert.strictEqual(errorUtils.parseProgramErrorLogs(undefined), null);
+  assert.strictEqual(
+    errorUtils.parseProgramErrorLogs(["Program log: Instruction: CreateToken"]),
+    null
+  );
+});
+
+test("toMintMeError classifies errors and keeps the original as cause", () => {
+  const validation = new errorUtils.ValidationError("Invalid amount");
+  assert.strictEqual(errorUtils.toMintMeError(validation), validation);
+
+  const network = new Error("failed to get recent blockhash: fetch failed");
+  const rpc = errorUtils.toMintMeError(network);
+  assert.ok(rpc instanceof errorUtils.RpcError);
+  assert.strictEqual(rpc.cause, network);
+
+  const anchorError = errorUtils.toMintMeError({
+    message: "AnchorError",
+    error: {
+      errorCode: { code: "UnauthorizedOwner", number: 6009 },
+      errorMessage: "The signer is not the Owner",
+    },
+  });
+  assert.strictEqual(anchorError.name, "UnauthorizedOwner");
+  assert.strictEqual(anchorError.code, 6009);
+
+  const fromCode = errorUtils.toMintMeError(
+    { code: 6002, msg: "Invalid PDA" },
+    EMBEDDED_IDL
+  );
+  assert.strictEqual(fromCode.name, "InvalidPDA");
+
+  const fromLogs = errorUtils.toMintMeError({
+    message: "Simulation failed",
+    logs: ["Program Mint111 failed: custom program error: 0x1770"],
+  });
+  assert.ok(fromLogs instanceof errorUtils.ProgramError);
+  assert.strictEqual(fromLogs.code, 6000);
+
+  const other = errorUtils.toMintMeError("boom");
+  assert.strictEqual(other.type, "MintMeError");
+  assert.strictEqual(other.message, "boom");
+});
+
+test("toJSON keeps the type and the fields, not the cause", () => {
+  const error = new errorUtils.InsufficientBalanceError(
+    "Insufficient balance",
+    { required: 10, available: 5, cause: new Error("low") }
+  );
+
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(error)), {
+    type: "InsufficientBalanceError",
+    name: "InsufficientBalanceError",
+    message: "Insufficient balance",
+    required: 10,
+    available: 5,
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Tests of getFeeQuote, on a stubbed connection
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const anchor = require("@project-serum/anchor");
+const { getFeeQuote } = require("../lib/token/fees");
+const { EMBEDDED_IDL } = require("../lib/utils/idl");
+const DEFAULT_IDL = require("../lib/idl.json");
+const pdaUtils = require("../lib/utils/pda");
+const constants = require("../lib/constants");
+
+const programId = new anchor.web3.PublicKey(constants.DEFAULT_PROGRAM_ID);
+
+// Connection answering getAccountInfo from a map of address -> data
+function stubConnection(accounts) {
+  return {
+    getAccountInfo: (address) =>
+      Promise.resolve(
+        accounts[address.toString()]
+          ? { data: accounts[address.toString()] }
+          : null
+      ),
+    getMinimumBalanceForRentExemption: (size) => Promise.resolve(size * 10),
+  };
+}
+
+async function feeAccounts(createFee, revokeFee, program) {
+  const coder = new anchor.BorshAccountsCoder(EMBEDDED_IDL);
+  const owner = program || programId;
+  const network = await pdaUtils.deriveNetworkFeeConfigPDA(owner);
+  const revoke = await pdaUtils.deriveRevokeFeeConfigPDA(owner);
+  const networkData = await coder.encode("NetworkFeeConfig", {
+    feeLamports: new anchor.BN(createFee),
+    bump: 255,
+  });
+  const revokeData = await coder.encode("RevokeFeeConfig", {
+    feeRevokeLamports: new anchor.BN(revokeFee),
+    bump: 254,
+  });
+  return {
+    network: network.pda,
+    revoke: revoke.pda,
+    accounts: {
+      [network.pda.toString()]: networkData,
+      [revoke.pda.toString()]: revokeData,
+    },
+  };
+}
+
+test("the revoke quote reads the account the revoke instruction charges", async () => {
+  const fees = await feeAccounts(100000000, 7000000);
+  const quote = await getFeeQuote({
+    connection: stubConnection(fees.accounts),
+    operation: "revoke",
+    idl: EMBEDDED_IDL,
+  });
+
+  assert.strictEqual(quote.feeConfig, fees.revoke.toString());
+  assert.deepStrictEqual(quote.items, [
+    { name: "programFee", lamports: 7000000 },
+    { name: "networkFee", lamports: constants.LAMPORTS_PER_SIGNATURE },
+  ]);
+  assert.strictEqual(quote.total, 7000000 + constants.LAMPORTS_PER_SIGNATURE);
+});
+
+test("the create quote adds the rents and the partner amount", async () => {
+  const fees = await feeAccounts(100000000, 7000000);
+  const quote = await getFeeQuote({
+    connection: stubConnection(fees.accounts),
+    partnerAmount: 2000,
+    idl: EMBEDDED_IDL,
+  });
+
+  assert.strictEqual(quote.feeConfig, fees.network.toString());
+  assert.deepStrictEqual(
+    quote.items.map((item) => item.name),
+    [
+      "programFee",
+      "mintRent",
+      "tokenAccountRent",
+      "metadataRent",
+      "partnerAmount",
+      "networkFee",
+    ]
+  );
+  assert.strictEqual(quote.items[0].lamports, 100000000);
+});
+
+test("a missing revoke fee account fails the revoke quote only", async () => {
+  const fees = await feeAccounts(100000000, 7000000);
+  delete fees.accounts[fees.revoke.toString()];
+  const connection = stubConnection(fees.accounts);
+
+  const quote = await getFeeQuote({
+    connection: connection,
+    idl: EMBEDDED_IDL,
+  });
+  assert.strictEqual(quote.operation, "create");
+  await assert.rejects(
+    getFeeQuote({
+      connection: connection,
+      operation: "revoke",
+      idl: EMBEDDED_IDL,
+    }),
+    /revokeFeeConfig not found/
+  );
+});
+
+test("the default IDL decodes revoke_fee_config with its own layout", async () => {
+  // lib/idl.json only defines networkFeeConfig, with an extra revokeFeelamports field
+  const coder = new anchor.BorshAccountsCoder(DEFAULT_IDL);
+  const fees = await feeAccounts(100000000, 7000000);
+  fees.accounts[fees.network.toString()] = await coder.encode(
+    "networkFeeConfig",
+    {
+      feeLamports: new anchor.BN(100000000),
+      revokeFeelamports: new anchor.BN(1),
+      bump: 255,
+    }
+  );
+  const connection = stubConnection(fees.accounts);
+
+  const revoke = await getFeeQuote({
+    connection: connection,
+    operation: "revoke",
+    idl: DEFAULT_IDL,
+  });
+  assert.strictEqual(revoke.items[0].lamports, 7000000);
+
+  const create = await getFeeQuote({
+    connection: connection,
+    idl: DEFAULT_IDL,
+  });
+  assert.strictEqual(create.items[0].lamports, 100000000);
+});
+
+test("the create quote does not read revoke_fee_config", async () => {
+  const fees = await feeAccounts(100000000, 7000000);
+  // Undecodable: any attempt to decode it fails the quote
+  fees.accounts[fees.revoke.toString()] = Buffer.alloc(17);
+  const connection = stubConnection(fees.accounts);
+  const read = [];
+  const getAccountInfo = connection.getAccountInfo;
+  connection.getAccountInfo = (address) => {
+    read.push(address.toString());
+    return getAccountInfo(address);
+  };
+
+  const quote = await getFeeQuote({
+    connection: connection,
+    idl: EMBEDDED_IDL,
+  });
+  assert.strictEqual(quote.items[0].lamports, 100000000);
+  assert.deepStrictEqual(read, [fees.network.toString()]);
+});
+
+test("without programId the quote reads the program of the cluster", async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "mintme-fees-"));
+  const configPath = path.join(directory, "mintme.config.json");
+  const testnetProgram = anchor.web3.Keypair.generate().publicKey;
+  fs.writeFileSync(
+    configPath,
+    JSON.stringify({
+      clusters: { testnet: { programId: testnetProgram.toString() } },
+    })
+  );
+  const fees = await feeAccounts(100000000, 7000000, testnetProgram);
+
+  const quote = await getFeeQuote({
+    connection: stubConnection(fees.accounts),
+    cluster: "testnet",
+    configPath: configPath,
+    idl: EMBEDDED_IDL,
+  });
+  assert.strictEqual(quote.feeConfig, fees.network.toString());
+  fs.rmSync(directory, { recursive: true });
+});
+
+test("invalid options reject with a ValidationError", async () => {
+  await assert.rejects(getFeeQuote({}), { type: "ValidationError" });
+  await assert.rejects(
+    getFeeQuote({ connection: stubConnection({}), operation: "burn" }),
+    { type: "ValidationError" }
+  );
+  await assert.rejects(
+    getFeeQuote({ connection: stubConnection({}), programId: "nope" }),
+    { type: "ValidationError" }
+  );
+});
@@ -0,0 +1,235 @@
+/**
+ * Tests of freezing and thawing token accounts, on a stubbed connection
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const solanaWeb3 = require("@solana/web3.js");
+const splToken = require("@solana/spl-token");
+const {
+  freezeAccount,
+  thawAccount,
+  freezeAccounts,
+} = require("../lib/token/freeze");
+
+const authority = solanaWeb3.Keypair.generate();
+const mint = solanaWeb3.Keypair.generate().publicKey;
+
+function mintAccount(freezeAuthority) {
+  const data = Buffer.alloc(splToken.MINT_SIZE);
+  splToken.MintLayout.encode(
+    {
+      mintAuthorityOption: 0,
+      mintAuthority: solanaWeb3.PublicKey.default,
+      supply: BigInt(1000000),
+      decimals: 6,
+      isInitialized: true,
+      freezeAuthorityOption: freezeAuthority ? 1 : 0,
+      freezeAuthority: freezeAuthority || solanaWeb3.PublicKey.default,
+    },
+    data
+  );
+  return { owner: splToken.TOKEN_PROGRAM_ID, data: data };
+}
+
+function tokenAccount(owner, frozen) {
+  const data = Buffer.alloc(splToken.ACCOUNT_SIZE);
+  splToken.AccountLayout.encode(
+    {
+      mint: mint,
+      owner: owner,
+      amount: BigInt(1000),
+      delegateOption: 0,
+      delegate: solanaWeb3.PublicKey.default,
+      state: frozen
+        ? splToken.AccountState.Frozen
+        : splToken.AccountState.Initialized,
+      isNativeOption: 0,
+      isNative: BigInt(0),
+      delegatedAmount: BigInt(0),
+      closeAuthorityOption: 0,
+      closeAuthority: solanaWeb3.PublicKey.default,
+    },
+    data
+  );
+  return { owner: splToken.TOKEN_PROGRAM_ID, data: data };
+}
+
+// Holder with an associated token account, frozen or not
+function holder(frozen) {
+  const owner = solanaWeb3.Keypair.generate().publicKey;
+  const address = splToken.getAssociatedTokenAddressSync(mint, owner);
+  return {
+    owner: owner,
+    address: address,
+    account: tokenAccount(owner, frozen),
+  };
+}
+
+// Connection holding the mint and the holders' accounts, recording what is sent
+function stubConnection(holders, freezeAuthority) {
+  const accounts = {
+    [mint.toString()]: mintAccount(
+      freezeAuthority === undefined ? authority.publicKey : freezeAuthority
+    ),
+  };
+  holders.forEach((entry) => {
+    accounts[entry.address.toString()] = entry.account;
+  });
+  const find = (address) => accounts[address.toString()] || null;
+  const sent = [];
+  return {
+    sent: sent,
+    getAccountInfo: (address) => Promise.resolve(find(address)),
+    getMultipleAccountsInfo: (addresses) =>
+      Promise.resolve(addresses.map(find)),
+    getLatestBlockhash: () =>
+      Promise.resolve({
+        blockhash: solanaWeb3.PublicKey.default.toBase58(),
+        lastValidBlockHeight: 100,
+      }),
+    sendRawTransaction: (raw) => {
+      sent.push(solanaWeb3.Transaction.from(raw));
+      return Promise.resolve("signature");
+    },
+    getSignatureStatuses: () =>
+      Promise.resolve({
+        value: [{ slot: 7, confirmationStatus: "confirmed", err: null }],
+      }),
+  };
+}
+
+function options(connection, extra) {
+  return Object.assign(
+    {
+      connection: connection,
+      payer: authority,
+      mint: mint.toString(),
+      rebroadcastInterval: 1,
+      logger: () => {},
+    },
+    extra
+  );
+}
+
+// Token instructions sent, as [instruction type, token account]
+function tokenInstructions(connection) {
+  return connection.sent
+    .reduce((all, transaction) => all.concat(transaction.instructions), [])
+    .filter((instruction) =>
+      instruction.programId.equals(splToken.TOKEN_PROGRAM_ID)
+    )
+    .map((instruction) => [
+      instruction.data[0],
+      instruction.keys[0].pubkey.toString(),
+    ]);
+}
+
+test("freezeAccount freezes the associated token account of a holder", async () => {
+  const target = holder(false);
+  const connection = stubConnection([target]);
+
+  const result = await freezeAccount(
+    options(connection, { owner: target.owner.toString() })
+  );
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.changed, true);
+  assert.strictEqual(result.isFrozen, true);
+  assert.strictEqual(result.tokenAccount, target.address.toString());
+  assert.strictEqual(typeof result.txSignature, "string");
+  assert.deepStrictEqual(tokenInstructions(connection), [
+    [splToken.TokenInstruction.FreezeAccount, target.address.toString()],
+  ]);
+});
+
+test("thawAccount thaws a token account given by address", async () => {
+  const target = holder(true);
+  const connection = stubConnection([target]);
+
+  const result = await thawAccount(
+    options(connection, { tokenAccount: target.address })
+  );
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.changed, true);
+  assert.strictEqual(result.isFrozen, false);
+  assert.strictEqual(result.owner, target.owner.toString());
+  assert.deepStrictEqual(tokenInstructions(connection), [
+    [splToken.TokenInstruction.ThawAccount, target.address.toString()],
+  ]);
+});
+
+test("an account already in the requested state is left unchanged", async () => {
+  const target = holder(true);
+  const connection = stubConnection([target]);
+
+  const result = await freezeAccount(
+    options(connection, { owner: target.owner })
+  );
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.changed, false);
+  assert.strictEqual(result.txSignature, null);
+  assert.strictEqual(connection.sent.length, 0);
+});
+
+test("freezeAccounts packs the accounts to change into one transaction", async () => {
+  const byOwner = holder(false);
+  const byAddress = holder(false);
+  const frozen = holder(true);
+  const missing = solanaWeb3.Keypair.generate().publicKey;
+  const connection = stubConnection([byOwner, byAddress, frozen]);
+
+  const result = await freezeAccounts(
+    options(connection, {
+      addresses: [byOwner.owner, byAddress.address, frozen.owner, missing],
+    })
+  );
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.changed, 2);
+  assert.strictEqual(result.unchanged, 1);
+  assert.strictEqual(result.failed, 1);
+  assert.strictEqual(result.transactions, 1);
+  assert.deepStrictEqual(
+    result.rows.map((row) => row.status),
+    ["frozen", "frozen", "unchanged", "failed"]
+  );
+  assert.match(result.rows[3].error, /token account found/);
+  assert.deepStrictEqual(
+    tokenInstructions(connection).map((entry) => entry[1]),
+    [byOwner.address.toString(), byAddress.address.toString()]
+  );
+});
+
+test("only the freeze authority of the mint can freeze", async () => {
+  const target = holder(false);
+  const other = solanaWeb3.Keypair.generate().publicKey;
+
+  const revoked = await freezeAccount(
+    options(stubConnection([target], null), { owner: target.owner })
+  );
+  assert.strictEqual(revoked.success, false);
+  assert.strictEqual(revoked.details.type, "ValidationError");
+  assert.match(revoked.error, /has been revoked/);
+
+  const mismatch = await freezeAccount(
+    options(stubConnection([target], other), { owner: target.owner })
+  );
+  assert.strictEqual(mismatch.success, false);
+  assert.match(mismatch.error, new RegExp(`is ${other.toString()}, not`));
+
+  await assert.rejects(
+    freezeAccount(
+      options(stubConnection([target]), {
+        owner: target.owner,
+        tokenAccount: target.address,
+      })
+    ),
+    {
+      type: "ValidationError",
+      message: /either the owner or the tokenAccount/,
+    }
+  );
+});
@@ -0,0 +1,84 @@
+/**
+ * Tests of getTokenInfo, on a stubbed connection
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const solanaWeb3 = require("@solana/web3.js");
+const splToken = require("@solana/spl-token");
+const { getTokenInfo } = require("../lib/token/info");
+
+const mint = solanaWeb3.Keypair.generate().publicKey;
+const authority = solanaWeb3.Keypair.generate().publicKey;
+
+function mintData(size) {
+  const data = Buffer.alloc(size);
+  splToken.MintLayout.encode(
+    {
+      mintAuthorityOption: 0,
+      mintAuthority: solanaWeb3.PublicKey.default,
+      supply: BigInt(2500000),
+      decimals: 6,
+      isInitialized: true,
+      freezeAuthorityOption: 1,
+      freezeAuthority: authority,
+    },
+    data
+  );
+  return data;
+}
+
+// Connection answering getMultipleAccountsInfo with the mint account only
+function stubConnection(mintAccount) {
+  return {
+    getMultipleAccountsInfo: (addresses) =>
+      Promise.resolve(
+        addresses.map((address) =>
+          address.equals(mint) ? mintAccount : null
+        )
+      ),
+  };
+}
+
+test("a legacy mint without metadata", async () => {
+  const info = await getTokenInfo({
+    connection: stubConnection({
+      owner: splToken.TOKEN_PROGRAM_ID,
+      data: mintData(splToken.MINT_SIZE),
+    }),
+    mint: mint.toString(),
+  });
+
+  assert.deepStrictEqual(info, {
+    success: true,
+    mint: mint.toString(),
+    tokenProgram: "token",
+    decimals: 6,
+    supply: "2500000",
+    uiSupply: "2.5",
+    mintAuthority: null,
+    freezeAuthority: authority.toString(),
+    isInitialized: true,
+    extensions: [],
+    metadata: null,
+  });
+});
+
+test("an account that is not a mint is reported", async () => {
+  const notMint = await getTokenInfo({
+    connection: stubConnection({
+      owner: solanaWeb3.SystemProgram.programId,
+      data: Buffer.alloc(0),
+    }),
+    mint: mint,
+  });
+  assert.strictEqual(notMint.success, false);
+  assert.match(notMint.error, /is not a token mint/);
+
+  const missing = await getTokenInfo({
+    connection: stubConnection(null),
+    mint: mint,
+  });
+  assert.strictEqual(missing.success, false);
+  assert.match(missing.error, /not found/);
+});
@@ -0,0 +1,93 @@
+/**
+ * Tests of the logger redaction
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const solanaWeb3 = require("@solana/web3.js");
+const { createLogger, redactValue } = require("../lib/utils/logger");
+
+const keypair = solanaWeb3.Keypair.generate();
+const secretKeyText = JSON.stringify(Array.from(keypair.secretKey));
+
+// Logger writing its records to an array
+function capture(options) {
+  const lines = [];
+  const logger = createLogger(
+    Object.assign({ level: "debug", sink: (line) => lines.push(line) }, options)
+  );
+  return { logger: logger, lines: lines };
+}
+
+test("fields with a secret name are redacted, at any depth", () => {
+  assert.deepStrictEqual(
+    redactValue({
+      mint: "Mint111",
+      secretKey: "anything",
+      wallet: { privateKey: [1, 2, 3], seedPhrase: "word word", name: "main" },
+      headers: { Authorization: "Bearer abc" },
+      password: null,
+    }),
+    {
+      mint: "Mint111",
+      secretKey: "[REDACTED]",
+      wallet: {
+        privateKey: "[REDACTED]",
+        seedPhrase: "[REDACTED]",
+        name: "main",
+      },
+      headers: { Authorization: "[REDACTED]" },
+      password: null,
+    }
+  );
+});
+
+test("64-byte keys are redacted, other byte arrays are kept", () => {
+  assert.strictEqual(redactValue(keypair.secretKey), "[REDACTED]");
+  assert.strictEqual(
+    redactValue(Array.from(keypair.secretKey)),
+    "[REDACTED]"
+  );
+  const publicKeyBytes = keypair.publicKey.toBytes();
+  assert.strictEqual(redactValue(publicKeyBytes), publicKeyBytes);
+  assert.strictEqual(
+    redactValue(`Loaded ${secretKeyText} from disk`),
+    "Loaded [REDACTED] from disk"
+  );
+});
+
+test("credentials in URLs are redacted", () => {
+  assert.strictEqual(
+    redactValue(
+      "https://rpc.example.com/?api-key=abc123&cluster=devnet&token=xyz"
+    ),
+    "https://rpc.example.com/?api-key=[REDACTED]&cluster=devnet&token=[REDACTED]"
+  );
+  assert.deepStrictEqual(
+    redactValue(new Error("fetch failed: https://rpc.example.com/?apiKey=abc")),
+    {
+      name: "Error",
+      message: "fetch failed: https://rpc.example.com/?apiKey=[REDACTED]",
+    }
+  );
+});
+
+test("the logger redacts the message, the fields and the context", () => {
+  const { logger, lines } = capture({ format: "json" });
+  logger
+    .child({ rpc: "https://rpc.example.com/?api-key=abc" })
+    .info(`Wallet ${secretKeyText}`, { secret: "s", payer: keypair.publicKey });
+
+  const record = JSON.parse(lines[0]);
+  assert.strictEqual(record.message, "Wallet [REDACTED]");
+  assert.strictEqual(record.secret, "[REDACTED]");
+  assert.strictEqual(record.payer, keypair.publicKey.toBase58());
+  assert.strictEqual(record.rpc, "https://rpc.example.com/?api-key=[REDACTED]");
+});
+
+test("redaction can be turned off", () => {
+  const { logger, lines } = capture({ redact: false });
+  logger.info("Loaded", { secret: "s" });
+
+  assert.deepStrictEqual(lines, ["Loaded secret=s"]);
+});
@@ -0,0 +1,114 @@
+/**
+ * Tests of the off-chain metadata JSON and its upload through a storage adapter
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { buildMetadataJson, uploadMetadata } = require("../lib/token/metadata");
+const { createMemoryStorage } = require("../lib/utils/storage");
+
+test("the metadata JSON follows the Metaplex fungible standard", () => {
+  const metadata = buildMetadataJson({
+    name: "Test Token",
+    symbol: "TEST",
+    image: "https://example.com/logo.webp",
+    links: { website: "https://example.com", twitter: "" },
+    attributes: { supply: "fixed" },
+  });
+
+  assert.deepStrictEqual(metadata, {
+    name: "Test Token",
+    symbol: "TEST",
+    description: "",
+    image: "https://example.com/logo.webp",
+    properties: {
+      files: [{ uri: "https://example.com/logo.webp", type: "image/webp" }],
+      category: "image",
+    },
+    external_url: "https://example.com",
+    extensions: { website: "https://example.com" },
+    attributes: [{ trait_type: "supply", value: "fixed" }],
+  });
+});
+
+test("invalid metadata fields are rejected", () => {
+  assert.throws(() => buildMetadataJson({ name: "Test Token" }), {
+    type: "ValidationError",
+  });
+  assert.throws(
+    () =>
+      buildMetadataJson({
+        name: "Test Token",
+        symbol: "TEST",
+        image: Buffer.from("png"),
+      }),
+    { type: "ValidationError", message: /Use uploadMetadata/ }
+  );
+  assert.throws(
+    () =>
+      buildMetadataJson({
+        name: "Test Token",
+        symbol: "TEST",
+        attributes: [{ value: 1 }],
+      }),
+    { type: "ValidationError", message: /trait_type and a value/ }
+  );
+});
+
+test("the image and the JSON are uploaded under content-hashed names", async () => {
+  const storage = createMemoryStorage();
+  const options = {
+    storage: storage,
+    name: "Test Token",
+    symbol: "TEST",
+    image: { data: Buffer.from("png data"), contentType: "image/png" },
+  };
+
+  const result = await uploadMetadata(options);
+
+  assert.match(result.imageUri, /\/test-\w{16}\.png$/);
+  assert.match(result.uri, /^https:\/\/storage\.invalid\/test-\w{16}\.json$/);
+  assert.strictEqual(result.metadata.image, result.imageUri);
+  assert.deepStrictEqual(
+    JSON.parse(storage.get(result.uri).data),
+    result.metadata
+  );
+  assert.strictEqual(storage.get(result.imageUri).contentType, "image/png");
+
+  const again = await uploadMetadata(options);
+  assert.strictEqual(again.uri, result.uri);
+  assert.strictEqual(storage.files.size, 2);
+});
+
+test("an image URI is used as is", async () => {
+  const storage = createMemoryStorage();
+
+  const result = await uploadMetadata({
+    storage: storage,
+    name: "Test Token",
+    symbol: "TEST",
+    image: "ipfs://logo.png",
+  });
+
+  assert.strictEqual(result.imageUri, "ipfs://logo.png");
+  assert.strictEqual(storage.files.size, 1);
+});
+
+test("nothing is uploaded when the storage or a field is invalid", async () => {
+  const storage = createMemoryStorage();
+
+  await assert.rejects(
+    uploadMetadata({ storage: {}, name: "Test Token", symbol: "TEST" }),
+    { type: "ValidationError", message: /Invalid storage adapter/ }
+  );
+  await assert.rejects(
+    uploadMetadata({
+      storage: storage,
+      name: "Test Token",
+      symbol: "TEST",
+      image: { data: Buffer.from("data") },
+    }),
+    { type: "ValidationError", message: /content type of the image/ }
+  );
+  assert.strictEqual(storage.files.size, 0);
+});
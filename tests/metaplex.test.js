@@ -0,0 +1,119 @@
+/**
+ * Tests of the Metaplex metadata encoder and decoder
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const solanaWeb3 = require("@solana/web3.js");
+const metaplexUtils = require("../lib/utils/metaplex");
+const constants = require("../lib/constants");
+
+const metadata = solanaWeb3.Keypair.generate().publicKey;
+const updateAuthority = solanaWeb3.Keypair.generate().publicKey;
+const mint = solanaWeb3.Keypair.generate().publicKey;
+const creator = solanaWeb3.Keypair.generate().publicKey;
+const collection = solanaWeb3.Keypair.generate().publicKey;
+
+const data = {
+  name: "Test Token",
+  symbol: "TEST",
+  uri: "https://example.com/test.json",
+  sellerFeeBasisPoints: 250,
+  creators: [{ address: creator, verified: false, share: 100 }],
+  collection: { verified: false, key: collection },
+  uses: { useMethod: 1, remaining: "5", total: "10" },
+};
+
+// DataV2 bytes of an UpdateMetadataAccountV2 instruction that only sets data
+function encodeDataV2(value) {
+  const instruction = metaplexUtils.createUpdateMetadataAccountV2Instruction({
+    metadata: metadata,
+    updateAuthority: updateAuthority,
+    data: value,
+  });
+  // Instruction index and Some(data) first, then None for the three other fields
+  return instruction.data.slice(2, instruction.data.length - 3);
+}
+
+// Metadata account holding data: the collection and uses come after editionNonce and tokenStandard in the account
+function metadataAccount(value) {
+  const full = encodeDataV2(value);
+  const core = encodeDataV2(
+    Object.assign({}, value, { collection: null, uses: null })
+  ).slice(0, -2);
+  return Buffer.concat([
+    Buffer.from([4]),
+    updateAuthority.toBuffer(),
+    mint.toBuffer(),
+    core,
+    Buffer.from([0, 1, 0, 0]),
+    full.slice(core.length),
+  ]);
+}
+
+test("decodeMetadata reads back the data the instruction encodes", () => {
+  const decoded = metaplexUtils.decodeMetadata(metadataAccount(data));
+
+  assert.ok(decoded.updateAuthority.equals(updateAuthority));
+  assert.ok(decoded.mint.equals(mint));
+  assert.deepStrictEqual(decoded.data, {
+    name: data.name,
+    symbol: data.symbol,
+    uri: data.uri,
+    sellerFeeBasisPoints: 250,
+    creators: data.creators,
+  });
+  assert.strictEqual(decoded.primarySaleHappened, false);
+  assert.strictEqual(decoded.isMutable, true);
+  assert.strictEqual(decoded.editionNonce, null);
+  assert.strictEqual(decoded.tokenStandard, null);
+  assert.deepStrictEqual(decoded.collection, data.collection);
+  assert.deepStrictEqual(decoded.uses, data.uses);
+});
+
+test("decodeMetadata accepts accounts that end before the optional fields", () => {
+  const account = metadataAccount(
+    Object.assign({}, data, { creators: null, collection: null, uses: null })
+  );
+  // Drop editionNonce, tokenStandard, collection and uses
+  const decoded = metaplexUtils.decodeMetadata(account.slice(0, -4));
+
+  assert.strictEqual(decoded.data.creators, null);
+  assert.strictEqual(decoded.collection, null);
+  assert.strictEqual(decoded.uses, null);
+});
+
+test("decodeMetadata rejects other accounts", () => {
+  assert.throws(
+    () => metaplexUtils.decodeMetadata(Buffer.from([1, 2, 3])),
+    /not a Metaplex metadata account/
+  );
+  assert.throws(
+    () => metaplexUtils.decodeMetadata(Buffer.alloc(0)),
+    /too short/
+  );
+});
+
+test("the instruction encodes the authority and the mutable flag", () => {
+  const newUpdateAuthority = solanaWeb3.Keypair.generate().publicKey;
+  const instruction = metaplexUtils.createUpdateMetadataAccountV2Instruction({
+    metadata: metadata,
+    updateAuthority: updateAuthority,
+    newUpdateAuthority: newUpdateAuthority,
+    isMutable: false,
+  });
+
+  assert.ok(instruction.programId.equals(constants.TOKEN_METADATA_PROGRAM_ID));
+  assert.deepStrictEqual(instruction.keys, [
+    { pubkey: metadata, isSigner: false, isWritable: true },
+    { pubkey: updateAuthority, isSigner: true, isWritable: false },
+  ]);
+  assert.deepStrictEqual(
+    instruction.data,
+    Buffer.concat([
+      Buffer.from([15, 0, 1]),
+      newUpdateAuthority.toBuffer(),
+      Buffer.from([0, 1, 0]),
+    ])
+  );
+});
@@ -0,0 +1,120 @@
+/**
+ * Tests of sendCosignedTransaction, on a stubbed connection
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const solanaWeb3 = require("@solana/web3.js");
+const { sendCosignedTransaction } = require("../lib/token/multisig");
+
+const payer = solanaWeb3.Keypair.generate();
+const nonceAccount = solanaWeb3.Keypair.generate().publicKey;
+const nonce = solanaWeb3.Keypair.generate().publicKey.toBase58();
+
+function signedTransaction(useNonce) {
+  const transaction = new solanaWeb3.Transaction();
+  if (useNonce) {
+    transaction.add(
+      solanaWeb3.SystemProgram.nonceAdvance({
+        noncePubkey: nonceAccount,
+        authorizedPubkey: payer.publicKey,
+      })
+    );
+  }
+  transaction.add(
+    solanaWeb3.SystemProgram.transfer({
+      fromPubkey: payer.publicKey,
+      toPubkey: solanaWeb3.Keypair.generate().publicKey,
+      lamports: 1000,
+    })
+  );
+  transaction.feePayer = payer.publicKey;
+  transaction.recentBlockhash = nonce;
+  transaction.sign(payer);
+  return transaction.serialize().toString("base64");
+}
+
+// Connection that never sees the transaction: the block height jumps past the wait window after the first read
+function stubConnection(getNonce) {
+  const calls = { getNonce: 0 };
+  let blockHeight = 1000;
+  return {
+    calls: calls,
+    sendRawTransaction: () => Promise.resolve("signature"),
+    getSignatureStatuses: () => Promise.resolve({ value: [null] }),
+    getBlockHeight: () => {
+      const current = blockHeight;
+      blockHeight += 1000;
+      return Promise.resolve(current);
+    },
+    getNonce: (address) => {
+      calls.getNonce++;
+      assert.ok(address.equals(nonceAccount));
+      return getNonce();
+    },
+  };
+}
+
+function send(connection, useNonce) {
+  return sendCosignedTransaction({
+    connection: connection,
+    transaction: signedTransaction(useNonce),
+    rebroadcastInterval: 1,
+    logger: () => {},
+  });
+}
+
+test("a nonce transaction is pending while its nonce has not advanced", async () => {
+  const result = await send(
+    stubConnection(() => Promise.resolve({ nonce: nonce })),
+    true
+  );
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.status, "pending");
+  assert.strictEqual(result.retryable, false);
+  assert.strictEqual(result.details.name, "NonceNotAdvanced");
+});
+
+test("a nonce transaction has expired once its nonce has advanced", async () => {
+  const advanced = solanaWeb3.Keypair.generate().publicKey.toBase58();
+  const result = await send(
+    stubConnection(() => Promise.resolve({ nonce: advanced })),
+    true
+  );
+
+  assert.strictEqual(result.status, "expired");
+  assert.strictEqual(result.retryable, true);
+});
+
+test("the status is unknown when the nonce account cannot be read", async () => {
+  const result = await send(
+    stubConnection(() => Promise.reject(new Error("fetch failed"))),
+    true
+  );
+
+  assert.strictEqual(result.status, "unknown");
+  assert.strictEqual(result.retryable, false);
+});
+
+test("a blockhash transaction expires without reading any nonce", async () => {
+  const connection = stubConnection(() => Promise.resolve({ nonce: nonce }));
+  const result = await send(connection, false);
+
+  assert.strictEqual(result.status, "expired");
+  assert.strictEqual(connection.calls.getNonce, 0);
+});
+
+test("invalid input is rejected with typed errors", async () => {
+  await assert.rejects(
+    sendCosignedTransaction({
+      connection: stubConnection(),
+      transaction: "AA",
+    }),
+    { type: "ValidationError", message: /Invalid transaction/ }
+  );
+  await assert.rejects(
+    sendCosignedTransaction({ transaction: signedTransaction(false) }),
+    { type: "ValidationError", message: /connection is required/ }
+  );
+});
@@ -0,0 +1,214 @@
+/**
+ * Tests of the onProgress lifecycle events, on a stubbed connection
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const solanaWeb3 = require("@solana/web3.js");
+const splToken = require("@solana/spl-token");
+const { createToken } = require("../lib/token/creator");
+const { revokeAuthority } = require("../lib/token/authority");
+const { EMBEDDED_IDL } = require("../lib/utils/idl");
+
+const payer = solanaWeb3.Keypair.generate();
+
+// Connection giving the transaction a status, or null: never seen, expired
+function stubConnection(status, accounts) {
+  return {
+    getAccountInfo: (address) =>
+      Promise.resolve((accounts || {})[address.toString()] || null),
+    getMinimumBalanceForRentExemption: (size) => Promise.resolve(size * 10),
+    getLatestBlockhash: () =>
+      Promise.resolve({
+        blockhash: solanaWeb3.PublicKey.default.toBase58(),
+        lastValidBlockHeight: 100,
+      }),
+    sendRawTransaction: () => Promise.resolve("signature"),
+    getSignatureStatuses: () => Promise.resolve({ value: [status] }),
+    getBlockHeight: () => Promise.resolve(101),
+  };
+}
+
+const LANDED = { slot: 7, confirmationStatus: "confirmed", err: null };
+
+function create(connection, options) {
+  const events = [];
+  return createToken(
+    Object.assign(
+      {
+        connection: connection,
+        payer: payer,
+        name: "Test Token",
+        symbol: "TEST",
+        uniqueKey: "progress-1",
+        decimals: 6,
+        initialSupply: 1000,
+        uri: "https://example.com/test.json",
+        idl: EMBEDDED_IDL,
+        rebroadcastInterval: 1,
+        onProgress: (event) => events.push(event),
+        logger: () => {},
+      },
+      options
+    )
+  ).then((result) => ({ result: result, events: events }));
+}
+
+test("a landed creation goes through every event", async () => {
+  const { result, events } = await create(stubConnection(LANDED));
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(
+    events.map((event) => event.type),
+    [
+      "validated",
+      "idlLoaded",
+      "pdasDerived",
+      "awaitingSignature",
+      "submitted",
+      "confirmed",
+    ]
+  );
+  assert.ok(events.every((event) => event.operation === "createToken"));
+  assert.strictEqual(events[5].mint, result.mint);
+  assert.strictEqual(events[5].alreadyExisted, false);
+});
+
+test("a program error ends with a failed event that is not retryable", async () => {
+  const { result, events } = await create(
+    stubConnection({
+      slot: 7,
+      confirmationStatus: "confirmed",
+      err: { InstructionError: [0, { Custom: 6000 }] },
+    })
+  );
+
+  assert.strictEqual(result.success, false);
+  assert.deepStrictEqual(
+    events.map((event) => event.type),
+    [
+      "validated",
+      "idlLoaded",
+      "pdasDerived",
+      "awaitingSignature",
+      "submitted",
+      "failed",
+    ]
+  );
+  assert.strictEqual(events[5].status, "failed");
+  assert.strictEqual(events[5].retryable, false);
+  assert.strictEqual(events[5].error.type, "ProgramError");
+});
+
+test("an expired blockhash ends with a retryable failed event", async () => {
+  const { result, events } = await create(stubConnection(null));
+
+  assert.strictEqual(result.status, "expired");
+  assert.deepStrictEqual(
+    events.map((event) => event.type).slice(-2),
+    ["submitted", "failed"]
+  );
+  assert.strictEqual(events[5].status, "expired");
+  assert.strictEqual(events[5].retryable, true);
+  assert.strictEqual(events[5].error.name, "BlockhashExpired");
+});
+
+test("a Token-2022 creation is validated before it is signed", async () => {
+  const { result, events } = await create(stubConnection(LANDED), {
+    tokenProgram: "token-2022",
+  });
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(
+    events.map((event) => event.type),
+    ["validated", "awaitingSignature", "submitted", "confirmed"]
+  );
+  assert.strictEqual(events[0].operation, "createToken");
+  assert.strictEqual(events[0].mint, result.mint);
+  assert.strictEqual(
+    events[0].programId,
+    splToken.TOKEN_2022_PROGRAM_ID.toString()
+  );
+});
+
+// Mint whose mint authority is a 1-of-1 multisig of the given co-signer
+function multisigMint(cosigner) {
+  const mint = solanaWeb3.Keypair.generate().publicKey;
+  const multisig = solanaWeb3.Keypair.generate().publicKey;
+  const signers = {};
+  for (let index = 1; index <= 11; index++) {
+    signers[`signer${index}`] =
+      index === 1 ? cosigner : solanaWeb3.PublicKey.default;
+  }
+  const multisigData = Buffer.alloc(splToken.MULTISIG_SIZE);
+  splToken.MultisigLayout.encode(
+    Object.assign({ m: 1, n: 1, isInitialized: true }, signers),
+    multisigData
+  );
+  const mintData = Buffer.alloc(splToken.MINT_SIZE);
+  splToken.MintLayout.encode(
+    {
+      mintAuthorityOption: 1,
+      mintAuthority: multisig,
+      supply: BigInt(1000),
+      decimals: 6,
+      isInitialized: true,
+      freezeAuthorityOption: 0,
+      freezeAuthority: solanaWeb3.PublicKey.default,
+    },
+    mintData
+  );
+  return {
+    mint: mint,
+    multisig: multisig,
+    accounts: {
+      [mint.toString()]: { owner: splToken.TOKEN_PROGRAM_ID, data: mintData },
+      [multisig.toString()]: {
+        owner: splToken.TOKEN_PROGRAM_ID,
+        data: multisigData,
+      },
+    },
+  };
+}
+
+function revoke(token, cosigner) {
+  const events = [];
+  return revokeAuthority({
+    connection: stubConnection(LANDED, token.accounts),
+    payer: payer,
+    mint: token.mint,
+    revokeMint: true,
+    revokeFreeze: false,
+    multisig: token.multisig,
+    multisigSigners: [cosigner],
+    rebroadcastInterval: 1,
+    onProgress: (event) => events.push(event),
+    logger: () => {},
+  }).then((result) => ({ result: result, events: events }));
+}
+
+test("a multisig revocation skips idlLoaded and pdasDerived", async () => {
+  const cosigner = solanaWeb3.Keypair.generate();
+  const { result, events } = await revoke(
+    multisigMint(cosigner.publicKey),
+    cosigner
+  );
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(
+    events.map((event) => event.type),
+    ["validated", "awaitingSignature", "submitted", "confirmed"]
+  );
+  assert.ok(events.every((event) => event.operation === "revokeAuthority"));
+});
+
+test("a partially signed multisig revocation has no final event", async () => {
+  const cosigner = solanaWeb3.Keypair.generate().publicKey;
+  const { result, events } = await revoke(multisigMint(cosigner), cosigner);
+
+  assert.strictEqual(result.partiallySigned, true);
+  assert.deepStrictEqual(
+    events.map((event) => event.type),
+    ["validated", "awaitingSignature"]
+  );
+});
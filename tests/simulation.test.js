@@ -0,0 +1,165 @@
+/**
+ * Tests of the simulate option of createToken, on a stubbed connection
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const solanaWeb3 = require("@solana/web3.js");
+const splToken = require("@solana/spl-token");
+const { createToken } = require("../lib/token/creator");
+const { EMBEDDED_IDL } = require("../lib/utils/idl");
+
+const payer = solanaWeb3.Keypair.generate();
+
+function systemAccount() {
+  return {
+    lamports: 1000000,
+    owner: solanaWeb3.SystemProgram.programId,
+    data: Buffer.alloc(0),
+  };
+}
+
+// Connection simulating with the given error, that refuses to send anything
+function stubConnection(err, accounts) {
+  const find = (address) => (accounts || {})[address.toString()] || null;
+  return {
+    getAccountInfo: (address) => Promise.resolve(find(address)),
+    getMultipleAccountsInfo: (addresses) =>
+      Promise.resolve(
+        addresses.map((address) => find(address) || systemAccount())
+      ),
+    getMinimumBalanceForRentExemption: (size) => Promise.resolve(size * 10),
+    getLatestBlockhash: () =>
+      Promise.resolve({
+        blockhash: solanaWeb3.PublicKey.default.toBase58(),
+        lastValidBlockHeight: 100,
+      }),
+    simulateTransaction: (transaction, signers, addresses) =>
+      Promise.resolve({
+        value: {
+          err: err,
+          logs: ["Program log: Instruction: CreateToken"],
+          unitsConsumed: 85000,
+          accounts: addresses.map((address) => ({
+            lamports: address.equals(payer.publicKey) ? 400000 : 1000000,
+          })),
+        },
+      }),
+    getFeeForMessage: () => Promise.resolve({ value: 5000 }),
+    sendRawTransaction: () => Promise.reject(new Error("nothing is sent")),
+  };
+}
+
+function simulate(connection, options) {
+  return createToken(
+    Object.assign(
+      {
+        connection: connection,
+        payer: payer,
+        name: "Test Token",
+        symbol: "TEST",
+        uniqueKey: "simulation-1",
+        decimals: 6,
+        initialSupply: 1000,
+        uri: "https://example.com/test.json",
+        idl: EMBEDDED_IDL,
+        simulate: true,
+        logger: () => {},
+      },
+      options
+    )
+  );
+}
+
+test("a simulation reports the units, the fee and the payer outflow", async () => {
+  const result = await simulate(stubConnection(null));
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.simulated, true);
+  assert.strictEqual(result.wouldSucceed, true);
+  assert.strictEqual(result.unitsConsumed, 85000);
+  assert.strictEqual(result.networkFee, 5000);
+  assert.strictEqual(result.lamportOutflow, 600000);
+  assert.strictEqual(result.programError, null);
+  assert.deepStrictEqual(
+    result.balanceChanges.map((change) => change.label),
+    // The partner wallet defaults to the payer, which is watched once
+    ["payer", "tokenPda", "mint", "tokenAccount", "metadata"]
+  );
+  assert.strictEqual(result.balanceChanges[0].delta, -600000);
+});
+
+test("a simulated program error is decoded with the IDL", async () => {
+  const result = await simulate(
+    stubConnection({ InstructionError: [0, { Custom: 6001 }] })
+  );
+
+  assert.strictEqual(result.simulated, true);
+  assert.strictEqual(result.wouldSucceed, false);
+  assert.strictEqual(result.programError.type, "ProgramError");
+  assert.strictEqual(result.programError.code, 6001);
+  assert.strictEqual(result.programError.instructionIndex, 0);
+});
+
+test("an existing token is returned as a simulation that spends nothing", async () => {
+  const preview = await simulate(stubConnection(null));
+  const mintData = Buffer.alloc(splToken.MINT_SIZE);
+  splToken.MintLayout.encode(
+    {
+      mintAuthorityOption: 1,
+      mintAuthority: payer.publicKey,
+      supply: BigInt(1000000000),
+      decimals: 6,
+      isInitialized: true,
+      freezeAuthorityOption: 0,
+      freezeAuthority: solanaWeb3.PublicKey.default,
+    },
+    mintData
+  );
+  const connection = stubConnection(null, {
+    [preview.mint]: { owner: splToken.TOKEN_PROGRAM_ID, data: mintData },
+  });
+
+  const result = await simulate(connection);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.simulated, true);
+  assert.strictEqual(result.alreadyExisted, true);
+  assert.strictEqual(result.wouldSucceed, true);
+  assert.strictEqual(result.mint, preview.mint);
+  assert.strictEqual(result.supply, "1000000000");
+  assert.strictEqual(result.lamportOutflow, 0);
+  assert.deepStrictEqual(result.balanceChanges, []);
+});
+
+test("an existing Token-2022 mint is flagged simulated too", async () => {
+  const mint = solanaWeb3.Keypair.generate();
+  const mintData = Buffer.alloc(splToken.MINT_SIZE);
+  splToken.MintLayout.encode(
+    {
+      mintAuthorityOption: 0,
+      mintAuthority: solanaWeb3.PublicKey.default,
+      supply: BigInt(1000),
+      decimals: 6,
+      isInitialized: true,
+      freezeAuthorityOption: 0,
+      freezeAuthority: solanaWeb3.PublicKey.default,
+    },
+    mintData
+  );
+  const connection = stubConnection(null, {
+    [mint.publicKey.toString()]: {
+      owner: splToken.TOKEN_2022_PROGRAM_ID,
+      data: mintData,
+    },
+  });
+
+  const result = await simulate(connection, {
+    tokenProgram: "token-2022",
+    mint: mint,
+  });
+
+  assert.strictEqual(result.simulated, true);
+  assert.strictEqual(result.alreadyExisted, true);
+  assert.strictEqual(result.tokenProgram, "token-2022");
+});
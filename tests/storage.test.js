@@ -0,0 +1,138 @@
+/**
+ * Tests of the storage adapters
+ */
+
+const { afterEach, beforeEach, test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const {
+  assertStorageAdapter,
+  createFileSystemStorage,
+  createMemoryStorage,
+  createHttpStorage,
+} = require("../lib/utils/storage");
+
+let directory;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "mintme-storage-"));
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+const JSON_FILE = { fileName: "test.json", contentType: "application/json" };
+
+test("an object without upload is not a storage adapter", () => {
+  assert.throws(() => assertStorageAdapter({}), {
+    type: "ValidationError",
+    message: /Invalid storage adapter/,
+  });
+  assert.doesNotThrow(() => assertStorageAdapter(createMemoryStorage()));
+});
+
+test("the memory storage keeps the files under its base URL", async () => {
+  const storage = createMemoryStorage();
+  const uri = await storage.upload("{}", JSON_FILE);
+
+  assert.strictEqual(uri, "https://storage.invalid/test.json");
+  assert.deepStrictEqual(storage.get(uri), {
+    data: "{}",
+    contentType: "application/json",
+  });
+  assert.strictEqual(storage.get("https://storage.invalid/other.json"), null);
+
+  const custom = createMemoryStorage({ baseUrl: "https://cdn.example.com/" });
+  assert.strictEqual(
+    await custom.upload("{}", { fileName: "a b.json" }),
+    "https://cdn.example.com/a%20b.json"
+  );
+});
+
+test("the file system storage writes in its directory only", async () => {
+  const storage = createFileSystemStorage({
+    directory: path.join(directory, "public"),
+    baseUrl: "https://cdn.example.com/tokens",
+  });
+
+  const uri = await storage.upload("{}", {
+    fileName: "../escape.json",
+    contentType: "application/json",
+  });
+
+  assert.strictEqual(uri, "https://cdn.example.com/tokens/escape.json");
+  assert.strictEqual(
+    fs.readFileSync(path.join(directory, "public", "escape.json"), "utf8"),
+    "{}"
+  );
+  assert.strictEqual(
+    fs.existsSync(path.join(directory, "escape.json")),
+    false
+  );
+});
+
+test("the file system storage needs a directory and a base URL", () => {
+  assert.throws(() => createFileSystemStorage({ baseUrl: "https://a.b" }), {
+    type: "ValidationError",
+    message: /A directory is required/,
+  });
+  assert.throws(() => createFileSystemStorage({ directory: directory }), {
+    type: "ValidationError",
+    message: /A base URL is required/,
+  });
+});
+
+test("the HTTP storage sends the file and reads the URI of the response", async () => {
+  const requests = [];
+  const storage = createHttpStorage({
+    endpoint: "https://upload.example.com",
+    headers: { Authorization: "Bearer token" },
+    fetch: (url, init) => {
+      requests.push({ url: url, init: init });
+      return Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({ url: "https://cdn.example.com/1" }),
+      });
+    },
+  });
+
+  assert.strictEqual(
+    await storage.upload("{}", JSON_FILE),
+    "https://cdn.example.com/1"
+  );
+  assert.strictEqual(requests[0].url, "https://upload.example.com");
+  assert.strictEqual(requests[0].init.method, "POST");
+  assert.strictEqual(requests[0].init.body, "{}");
+  assert.deepStrictEqual(requests[0].init.headers, {
+    "Content-Type": "application/json",
+    "X-File-Name": "test.json",
+    Authorization: "Bearer token",
+  });
+});
+
+test("a failed HTTP upload rejects with an RpcError", async () => {
+  const respond = (response) =>
+    createHttpStorage({
+      endpoint: "https://upload.example.com",
+      fetch: () => Promise.resolve(response),
+    });
+
+  await assert.rejects(
+    respond({ ok: false, status: 503 }).upload("{}", JSON_FILE),
+    { type: "RpcError", status: 503, message: /failed with HTTP 503/ }
+  );
+  await assert.rejects(
+    respond({ ok: true, json: () => Promise.resolve({}) }).upload(
+      "{}",
+      JSON_FILE
+    ),
+    { type: "RpcError", message: /did not return a URI/ }
+  );
+  assert.throws(() => createHttpStorage({}), {
+    type: "ValidationError",
+    message: /An upload endpoint is required/,
+  });
+});
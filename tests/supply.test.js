@@ -0,0 +1,51 @@
+/**
+ * Tests of the amount conversions
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { calculateAdjustedSupply } = require("../lib/token/creator");
+const { toBaseUnits } = require("../lib/token/supply");
+
+test("calculateAdjustedSupply scales whole and decimal amounts", () => {
+  assert.strictEqual(calculateAdjustedSupply(1000, 9), "1000000000000");
+  assert.strictEqual(calculateAdjustedSupply("1000", 0), "1000");
+  assert.strictEqual(calculateAdjustedSupply("1.5", 6), "1500000");
+  assert.strictEqual(calculateAdjustedSupply(" 0.000001 ", 6), "1");
+  assert.strictEqual(calculateAdjustedSupply(2.25, 2), "225");
+});
+
+test("calculateAdjustedSupply stops at the u64 maximum", () => {
+  assert.strictEqual(
+    calculateAdjustedSupply("18446744073.709551615", 9),
+    "18446744073709551615"
+  );
+  assert.throws(() => calculateAdjustedSupply("18446744073.709551616", 9), {
+    type: "ValidationError",
+    message: /exceeds maximum allowed value/,
+  });
+});
+
+test("calculateAdjustedSupply rejects invalid amounts", () => {
+  assert.throws(() => calculateAdjustedSupply("1.5", 0), {
+    type: "ValidationError",
+    message: /has more than 0 decimal places/,
+  });
+  assert.throws(() => calculateAdjustedSupply("abc", 6), {
+    type: "ValidationError",
+    message: /Invalid supply value: abc/,
+  });
+});
+
+test("toBaseUnits returns a positive bigint", () => {
+  assert.strictEqual(toBaseUnits("1.5", 6), BigInt(1500000));
+  assert.strictEqual(toBaseUnits(3, 0), BigInt(3));
+  assert.throws(() => toBaseUnits(0, 6), {
+    type: "ValidationError",
+    message: /Must be greater than zero/,
+  });
+  assert.throws(() => toBaseUnits("-1", 6), {
+    type: "ValidationError",
+    message: /Must be greater than zero/,
+  });
+});
@@ -0,0 +1,257 @@
+/**
+ * Tests of the Token-2022 creation transaction, on a stubbed connection
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const solanaWeb3 = require("@solana/web3.js");
+const splToken = require("@solana/spl-token");
+const splTokenMetadata = require("@solana/spl-token-metadata");
+const {
+  buildCreateToken2022Transaction,
+  createToken2022,
+} = require("../lib/token/token2022");
+
+const payer = solanaWeb3.Keypair.generate().publicKey;
+const authority = solanaWeb3.Keypair.generate().publicKey;
+
+const connection = {
+  getAccountInfo: () => Promise.resolve(null),
+  getMinimumBalanceForRentExemption: (size) => Promise.resolve(size * 10),
+  getLatestBlockhash: () =>
+    Promise.resolve({
+      blockhash: solanaWeb3.PublicKey.default.toBase58(),
+      lastValidBlockHeight: 100,
+    }),
+};
+
+function build(extensions) {
+  const mint = solanaWeb3.Keypair.generate();
+  return buildCreateToken2022Transaction({
+    connection: connection,
+    payer: payer,
+    mint: mint,
+    name: "Test Token",
+    symbol: "TEST",
+    decimals: 6,
+    initialSupply: 1000,
+    extensions: extensions,
+    logger: () => {},
+  }).then((result) => ({
+    mint: mint.publicKey,
+    result: result,
+    transaction: solanaWeb3.Transaction.from(
+      Buffer.from(result.transaction, "base64")
+    ),
+  }));
+}
+
+function signers(transaction) {
+  return transaction.signatures.map((entry) => entry.publicKey.toString());
+}
+
+test("extension authorities other than the payer do not sign", async () => {
+  const built = await build({
+    transferFee: {
+      feeBasisPoints: 50,
+      maxFee: 1000,
+      transferFeeConfigAuthority: authority,
+      withdrawWithheldAuthority: authority,
+    },
+    interestBearing: { rate: 10, rateAuthority: authority },
+    metadata: { updateAuthority: authority },
+  });
+
+  assert.strictEqual(built.result.success, true);
+  assert.deepStrictEqual(signers(built.transaction), [
+    payer.toString(),
+    built.mint.toString(),
+  ]);
+});
+
+test("the payer writes the additional metadata, then hands the update authority over", async () => {
+  const built = await build({
+    metadata: {
+      updateAuthority: authority,
+      additionalMetadata: { site: "https://example.com" },
+    },
+  });
+
+  assert.deepStrictEqual(signers(built.transaction), [
+    payer.toString(),
+    built.mint.toString(),
+  ]);
+  const handoff = splTokenMetadata.createUpdateAuthorityInstruction({
+    programId: splToken.TOKEN_2022_PROGRAM_ID,
+    metadata: built.mint,
+    oldAuthority: payer,
+    newAuthority: authority,
+  });
+  const found = built.transaction.instructions.find((instruction) =>
+    instruction.data.equals(handoff.data)
+  );
+  assert.ok(found, "the update authority is handed over");
+  assert.deepStrictEqual(
+    found.keys.map((key) => key.pubkey.toString()),
+    [built.mint.toString(), payer.toString()]
+  );
+});
+
+// Token-2022 mint account with on-mint metadata
+function token2022Mint(mint, decimals, name, symbol) {
+  const base = Buffer.alloc(splToken.ACCOUNT_SIZE + 1);
+  splToken.MintLayout.encode(
+    {
+      mintAuthorityOption: 1,
+      mintAuthority: payer,
+      supply: BigInt(5000),
+      decimals: decimals,
+      isInitialized: true,
+      freezeAuthorityOption: 0,
+      freezeAuthority: solanaWeb3.PublicKey.default,
+    },
+    base
+  );
+  base[splToken.ACCOUNT_SIZE] = splToken.AccountType.Mint;
+  const metadata = splTokenMetadata.pack({
+    updateAuthority: payer,
+    mint: mint,
+    name: name,
+    symbol: symbol,
+    uri: "https://example.com/test.json",
+    additionalMetadata: [],
+  });
+  const header = Buffer.alloc(4);
+  header.writeUInt16LE(splToken.ExtensionType.TokenMetadata, 0);
+  header.writeUInt16LE(metadata.length, 2);
+  return {
+    owner: splToken.TOKEN_2022_PROGRAM_ID,
+    data: Buffer.concat([base, header, Buffer.from(metadata)]),
+  };
+}
+
+// Connection holding the given accounts, that lands transactions with the given error
+function sendingConnection(accounts, err) {
+  const find = (address) => (accounts || {})[address.toString()] || null;
+  return Object.assign({}, connection, {
+    getAccountInfo: (address) => Promise.resolve(find(address)),
+    getMultipleAccountsInfo: (addresses) =>
+      Promise.resolve(addresses.map(find)),
+    sendRawTransaction: () => Promise.resolve("signature"),
+    getSignatureStatuses: () =>
+      Promise.resolve({
+        value: [{ slot: 7, confirmationStatus: "confirmed", err: err }],
+      }),
+    getBlockHeight: () => Promise.resolve(50),
+  });
+}
+
+function create(accounts, mint, options) {
+  return createToken2022(
+    Object.assign(
+      {
+        connection: sendingConnection(accounts, null),
+        payer: solanaWeb3.Keypair.generate(),
+        mint: mint,
+        name: "Test Token",
+        symbol: "TEST",
+        decimals: 6,
+        initialSupply: 1000,
+        rebroadcastInterval: 1,
+        logger: () => {},
+      },
+      options
+    )
+  );
+}
+
+test("a failed creation carries the details of its error", async () => {
+  const result = await create({}, solanaWeb3.Keypair.generate(), {
+    connection: sendingConnection(
+      {},
+      { InstructionError: [0, { Custom: 1 }] }
+    ),
+  });
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.status, "failed");
+  assert.strictEqual(result.retryable, false);
+  assert.strictEqual(result.details.type, "ProgramError");
+  assert.strictEqual(result.tokenProgram, "token-2022");
+});
+
+test("an existing mint matching the request is returned as stored on-chain", async () => {
+  const mint = solanaWeb3.Keypair.generate();
+  const accounts = {
+    [mint.publicKey.toString()]: token2022Mint(
+      mint.publicKey,
+      6,
+      "Test Token",
+      "TEST"
+    ),
+  };
+
+  const result = await create(accounts, mint);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.alreadyExisted, true);
+  assert.strictEqual(result.decimals, 6);
+  assert.strictEqual(result.supply, "5000");
+  assert.strictEqual(result.tokenName, "Test Token");
+  assert.strictEqual(result.mintAuthority, payer.toString());
+});
+
+test("an existing mint that differs from the request is a conflict", async () => {
+  const mint = solanaWeb3.Keypair.generate();
+  const accounts = {
+    [mint.publicKey.toString()]: token2022Mint(
+      mint.publicKey,
+      9,
+      "Test Token",
+      "OTHER"
+    ),
+  };
+
+  const result = await create(accounts, mint);
+
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /A different token already exists/);
+  assert.strictEqual(result.details.type, "ValidationError");
+  assert.deepStrictEqual(result.details.conflicts, [
+    "decimals",
+    "symbol",
+  ]);
+});
+
+test("an existing legacy mint or another account is not taken for the token", async () => {
+  const mint = solanaWeb3.Keypair.generate();
+  const legacy = token2022Mint(mint.publicKey, 6, "Test Token", "TEST");
+  const data = Buffer.alloc(splToken.MINT_SIZE);
+  legacy.data.copy(data, 0, 0, splToken.MINT_SIZE);
+
+  const legacyResult = await create(
+    {
+      [mint.publicKey.toString()]: {
+        owner: splToken.TOKEN_PROGRAM_ID,
+        data: data,
+      },
+    },
+    mint
+  );
+  assert.strictEqual(legacyResult.success, false);
+  assert.deepStrictEqual(legacyResult.details.conflicts, [
+    "tokenProgram",
+  ]);
+
+  const otherResult = await create(
+    {
+      [mint.publicKey.toString()]: {
+        owner: solanaWeb3.SystemProgram.programId,
+        data: Buffer.alloc(0),
+      },
+    },
+    mint
+  );
+  assert.strictEqual(otherResult.success, false);
+  assert.match(otherResult.error, /is not a token mint/);
+});
@@ -0,0 +1,174 @@
+/**
+ * Tests of the transaction confirmation, on a stubbed connection, and of the instruction packing
+ */
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert");
+const solanaWeb3 = require("@solana/web3.js");
+const transactionUtils = require("../lib/utils/transaction");
+
+const { TransactionStatus } = transactionUtils;
+const signature = "5".repeat(88);
+
+// Connection answering each call with the next entry of its script: a value, or an Error to throw
+function stubConnection(script) {
+  const calls = [];
+  const answer = (name) => (...args) => {
+    calls.push(name);
+    const queue = script[name] || [];
+    const next = queue.length > 1 ? queue.shift() : queue[0];
+    return next instanceof Error
+      ? Promise.reject(next)
+      : Promise.resolve(typeof next === "function" ? next(...args) : next);
+  };
+  return {
+    calls: calls,
+    getSignatureStatuses: answer("getSignatureStatuses"),
+    getBlockHeight: answer("getBlockHeight"),
+    sendRawTransaction: answer("sendRawTransaction"),
+  };
+}
+
+function confirm(connection, lastValidBlockHeight) {
+  return transactionUtils.confirmTransaction({
+    connection: connection,
+    signature: signature,
+    rawTransaction: Buffer.alloc(0),
+    lastValidBlockHeight: lastValidBlockHeight,
+    rebroadcastInterval: 1,
+  });
+}
+
+test("a failed status check is retried", async () => {
+  const connection = stubConnection({
+    getSignatureStatuses: [
+      new Error("failed to get signature status: 503 Service Unavailable"),
+      { value: [{ slot: 7, confirmationStatus: "confirmed", err: null }] },
+    ],
+  });
+
+  const outcome = await confirm(connection, 100);
+  assert.strictEqual(outcome.status, TransactionStatus.LANDED);
+  assert.strictEqual(outcome.signature, signature);
+  assert.strictEqual(outcome.slot, 7);
+  assert.deepStrictEqual(connection.calls, [
+    "getSignatureStatuses",
+    "getSignatureStatuses",
+  ]);
+});
+
+test("the status is unknown when the RPC fails past the blockhash expiry", async () => {
+  const connection = stubConnection({
+    getSignatureStatuses: [{ value: [null] }, new Error("fetch failed")],
+    getBlockHeight: [100],
+  });
+
+  // Block height 100 is the last valid one: the next failure is past the expiry
+  const outcome = await confirm(connection, 100);
+  assert.strictEqual(outcome.status, TransactionStatus.UNKNOWN);
+  assert.strictEqual(outcome.signature, signature);
+  assert.strictEqual(outcome.error.type, "RpcError");
+  assert.strictEqual(outcome.error.name, "StatusUnknown");
+});
+
+test("an expired blockhash is reported as expired", async () => {
+  const connection = stubConnection({
+    getSignatureStatuses: [{ value: [null] }],
+    getBlockHeight: [101],
+  });
+
+  const outcome = await confirm(connection, 100);
+  assert.strictEqual(outcome.status, TransactionStatus.EXPIRED);
+  assert.strictEqual(outcome.error.name, "BlockhashExpired");
+});
+
+test("errors other than RPC failures are not retried", async () => {
+  const connection = stubConnection({
+    getSignatureStatuses: [new TypeError("getSignatureStatuses is broken")],
+  });
+
+  await assert.rejects(confirm(connection, 100), /is broken/);
+});
+
+test("an unknown status is not retryable", () => {
+  const outcome = {
+    status: TransactionStatus.UNKNOWN,
+    signature: signature,
+    error: new Error("Could not tell"),
+  };
+  const result = transactionUtils.toSendResult(outcome, null);
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.status, "unknown");
+  assert.strictEqual(result.txSignature, signature);
+  assert.strictEqual(result.retryable, false);
+});
+
+describe("packInstructions", () => {
+  const feePayer = solanaWeb3.Keypair.generate().publicKey;
+  const memoProgram = new solanaWeb3.PublicKey(
+    "MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr"
+  );
+  const entry = (size) => ({
+    instructions: [
+      new solanaWeb3.TransactionInstruction({
+        keys: [
+          {
+            pubkey: solanaWeb3.Keypair.generate().publicKey,
+            isSigner: false,
+            isWritable: true,
+          },
+        ],
+        programId: memoProgram,
+        data: Buffer.alloc(size),
+      }),
+    ],
+  });
+  // Size of the transaction of a batch, with the compute budget instructions packInstructions makes room for
+  const transactionSize = (batch) => {
+    const transaction = new solanaWeb3.Transaction().add(
+      solanaWeb3.ComputeBudgetProgram.setComputeUnitLimit({ units: 1 }),
+      solanaWeb3.ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 1 })
+    );
+    batch.forEach((item) => transaction.add(...item.instructions));
+    transaction.feePayer = feePayer;
+    transaction.recentBlockhash = solanaWeb3.PublicKey.default.toBase58();
+    // One signature, its length prefix and the message: serialize throws past the packet size
+    return 1 + 64 + transaction.serializeMessage().length;
+  };
+
+  test("groups fill transactions in order without overflowing them", () => {
+    const entries = Array.from({ length: 12 }, () => entry(200));
+    const batches = transactionUtils.packInstructions(entries, feePayer);
+
+    assert.ok(batches.length > 1);
+    assert.deepStrictEqual(batches.flat(), entries);
+    batches.forEach((batch) =>
+      assert.ok(transactionSize(batch) <= solanaWeb3.PACKET_DATA_SIZE)
+    );
+    // Each transaction is full: the first group of the next one did not fit
+    batches.slice(0, -1).forEach((batch, index) =>
+      assert.ok(
+        transactionSize(batch.concat(batches[index + 1][0])) >
+          solanaWeb3.PACKET_DATA_SIZE
+      )
+    );
+  });
+
+  test("the number of groups per transaction can be capped", () => {
+    const entries = Array.from({ length: 5 }, () => entry(10));
+    const batches = transactionUtils.packInstructions(entries, feePayer, 2);
+
+    assert.deepStrictEqual(
+      batches.map((batch) => batch.length),
+      [2, 2, 1]
+    );
+  });
+
+  test("a group too large for any transaction gets one of its own", () => {
+    const entries = [entry(10), entry(2000), entry(10)];
+    const batches = transactionUtils.packInstructions(entries, feePayer);
+
+    assert.deepStrictEqual(batches, [[entries[0]], [entries[1]], [entries[2]]]);
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Tests of the deep metadata URI check, with a stubbed fetch
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { validateUri } = require("../lib/utils/validation");
+
+const metadataUri = "https://example.com/token.json";
+const imageUri = "https://example.com/token.png";
+
+// Start of a PNG file: signature and IHDR chunk with the dimensions
+function pngHeader(width, height) {
+  const header = Buffer.alloc(24);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(header);
+  header.writeUInt32BE(13, 8);
+  header.write("IHDR", 12, "ascii");
+  header.writeUInt32BE(width, 16);
+  header.writeUInt32BE(height, 20);
+  return header;
+}
+
+function jsonResponse(body) {
+  return new Response(JSON.stringify(body), {
+    headers: { "content-type": "application/json" },
+  });
+}
+
+test("a metadata body that never ends times out", async () => {
+  const fetchStub = (url, init) =>
+    Promise.resolve({
+      ok: true,
+      headers: new Headers({ "content-type": "application/json" }),
+      // Headers arrive, the body does not: only the abort ends it
+      text: () =>
+        new Promise((resolve, reject) =>
+          init.signal.addEventListener("abort", () =>
+            reject(Object.assign(new Error("aborted"), { name: "AbortError" }))
+          )
+        ),
+    });
+
+  const result = await validateUri(metadataUri, {
+    deep: true,
+    timeout: 50,
+    fetch: fetchStub,
+  });
+  assert.strictEqual(result.isValid, false);
+  assert.deepStrictEqual(result.errors, [
+    `Request to ${metadataUri} timed out`,
+  ]);
+});
+
+test("only the header of the image is downloaded", async () => {
+  let pulled = 0;
+  const image = new ReadableStream({
+    start(controller) {
+      controller.enqueue(new Uint8Array(pngHeader(512, 512)));
+    },
+    // An endless image: the check must stop reading it
+    pull(controller) {
+      pulled += 16384;
+      controller.enqueue(new Uint8Array(16384));
+    },
+  });
+  const fetchStub = (url) =>
+    Promise.resolve(
+      url === metadataUri
+        ? jsonResponse({ name: "Test", symbol: "TEST", image: imageUri })
+        : new Response(image, {
+            headers: {
+              "content-type": "image/png",
+              "content-length": "5000000",
+            },
+          })
+    );
+
+  const result = await validateUri(metadataUri, {
+    deep: true,
+    name: "Test",
+    symbol: "TEST",
+    fetch: fetchStub,
+  });
+  assert.strictEqual(result.isValid, true);
+  assert.deepStrictEqual(result.image, {
+    uri: imageUri,
+    contentType: "image/png",
+    size: 5000000,
+    width: 512,
+    height: 512,
+  });
+  assert.ok(pulled <= 128 * 1024, `read ${pulled} bytes`);
+  assert.match(result.warnings[0], /some wallets do not display images/);
+});
+
+test("a small image is measured from its bytes", async () => {
+  const fetchStub = (url) =>
+    Promise.resolve(
+      url === metadataUri
+        ? jsonResponse({ name: "Test", symbol: "TEST", image: imageUri })
+        : new Response(pngHeader(100, 50), {
+            headers: { "content-type": "image/png" },
+          })
+    );
+
+  const result = await validateUri(metadataUri, {
+    deep: true,
+    fetch: fetchStub,
+  });
+  assert.strictEqual(result.image.size, 24);
+  assert.deepStrictEqual(result.warnings, [
+    "Metadata image is 100x50, token images should be square",
+    "Metadata image is 100x50, recommended size is between 256 and 2048 pixels",
+  ]);
+});